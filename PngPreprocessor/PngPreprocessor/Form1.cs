@@ -18,6 +18,8 @@ namespace PngPreprocessor
                 Image clipboardImage = Clipboard.GetImage();
                 // Process the image from clipboard to produce the map definition.
                 string mapString = PlanetImagePreprocessor.ProcessPlanetImage(clipboardImage);
+                // Run-length encode it; earth.js decodes this form (decodeTerrainMask).
+                mapString = PlanetImagePreprocessor.EncodeRunLength(mapString);
 
                 // Copy the resulting string to the clipboard.
                 Clipboard.SetText(mapString);
@@ -33,6 +35,10 @@ namespace PngPreprocessor
 
 public static class PlanetImagePreprocessor
     {
+        // Water bodies no larger than this fraction of the image that do not touch
+        // the top or bottom edge are written as lakes ('K') instead of ocean.
+        private const double MaxLakeFraction = 1.0 / 500.0;
+
         // Process the image at imagePath and build a string where each character
         // represents one tile based on the pixel's color.
         public static string ProcessPlanetImage(Image image)
@@ -41,7 +47,7 @@ public static class PlanetImagePreprocessor
             {
                 int width = bmp.Width;
                 int height = bmp.Height;
-                StringBuilder mapDefinition = new StringBuilder();
+                char[,] tiles = new char[height, width];
 
                 // Loop over every row and column
                 for (int y = 0; y < height; y++)
@@ -49,8 +55,18 @@ public static class PlanetImagePreprocessor
                     for (int x = 0; x < width; x++)
                     {
                         Color pixel = bmp.GetPixel(x, y);
-                        char tile = MapColorToLetter(pixel);
-                        mapDefinition.Append(tile);
+                        tiles[y, x] = MapColorToLetter(pixel);
+                    }
+                }
+
+                MarkLakes(tiles, width, height);
+
+                StringBuilder mapDefinition = new StringBuilder();
+                for (int y = 0; y < height; y++)
+                {
+                    for (int x = 0; x < width; x++)
+                    {
+                        mapDefinition.Append(tiles[y, x]);
                     }
                     mapDefinition.AppendLine();
                 }
@@ -59,36 +75,125 @@ public static class PlanetImagePreprocessor
             }
         }
 
+        // Encode a map definition as one line per row of runs ("310W4L12G"),
+        // after an "RLE <width>x<height>" header line. Single cells omit the count.
+        public static string EncodeRunLength(string mapDefinition)
+        {
+            string[] rows = mapDefinition.Split(new[] { "\r\n", "\n" }, StringSplitOptions.RemoveEmptyEntries);
+            StringBuilder encoded = new StringBuilder();
+            encoded.Append("RLE ").Append(rows.Length > 0 ? rows[0].Length : 0).Append('x').Append(rows.Length).Append('\n');
+
+            foreach (string row in rows)
+            {
+                for (int i = 0; i < row.Length;)
+                {
+                    int j = i;
+                    while (j < row.Length && row[j] == row[i])
+                        j++;
+                    if (j - i > 1)
+                        encoded.Append(j - i);
+                    encoded.Append(row[i]);
+                    i = j;
+                }
+                encoded.Append('\n');
+            }
+
+            return encoded.ToString();
+        }
+
+        // Flood-fill each body of water (wrapping East/West like the game map).
+        // Small bodies that never reach the polar edges are inland lakes.
+        private static void MarkLakes(char[,] tiles, int width, int height)
+        {
+            bool[,] visited = new bool[height, width];
+            int maxLakePixels = (int)(width * height * MaxLakeFraction);
+
+            for (int startY = 0; startY < height; startY++)
+            {
+                for (int startX = 0; startX < width; startX++)
+                {
+                    if (visited[startY, startX] || tiles[startY, startX] != 'W')
+                        continue;
 
+                    List<(int x, int y)> body = new List<(int x, int y)>();
+                    Queue<(int x, int y)> queue = new Queue<(int x, int y)>();
+                    bool touchesPole = false;
+                    visited[startY, startX] = true;
+                    queue.Enqueue((startX, startY));
 
+                    while (queue.Count > 0)
+                    {
+                        var (x, y) = queue.Dequeue();
+                        body.Add((x, y));
+                        if (y == 0 || y == height - 1)
+                            touchesPole = true;
+
+                        foreach (var (dx, dy) in new[] { (1, 0), (-1, 0), (0, 1), (0, -1) })
+                        {
+                            int nx = (x + dx + width) % width;
+                            int ny = y + dy;
+                            if (ny < 0 || ny >= height || visited[ny, nx] || tiles[ny, nx] != 'W')
+                                continue;
+                            visited[ny, nx] = true;
+                            queue.Enqueue((nx, ny));
+                        }
+                    }
 
-        // Map the color of a pixel to a letter.
-        // For example: 'W' = water, 'G' = green/forest, 'D' = desert, 'M' = mountain,
-        // and 'L' = generic land.
+                    if (!touchesPole && body.Count <= maxLakePixels)
+                    {
+                        foreach (var (x, y) in body)
+                            tiles[y, x] = 'K';
+                    }
+                }
+            }
+        }
+
+        // Map the color of a pixel to a letter (see the legend at the end of this file).
+        // The rules are tuned for satellite-style and hand-painted Earth images.
         private static char MapColorToLetter(Color color)
         {
+            int brightness = (color.R + color.G + color.B) / 3;
+            int saturation = Math.Max(color.R, Math.Max(color.G, color.B)) - Math.Min(color.R, Math.Min(color.G, color.B));
+
             // If blue is dominant beyond a threshold then consider it water.
             if (color.B > color.R + 10 && color.B > color.G + 10)
             {
                 return 'W';
             }
-            // If green is dominant then assume grassland/forest.
+            // Near-white is snow and ice.
+            if (brightness > 200 && saturation < 30)
+            {
+                return 'T';
+            }
+            // Grey with little colour is rock: dark grey for mountains, lighter for hills.
+            if (saturation < 20)
+            {
+                return brightness < 70 ? 'M' : 'H';
+            }
+            // If green is dominant then assume grassland, forest or marsh.
             if (color.G > color.R && color.G > color.B)
             {
-                return 'L';
+                // Blue-green is wetland.
+                if (color.B > color.R && color.G - color.B < 30)
+                    return 'S';
+                // Dark green is forest.
+                if (brightness < 110)
+                    return 'F';
+                return 'G';
             }
-            // If red is dominant, perhaps desert (if very bright) otherwise plain land.
+            // If red is dominant, desert if bright and yellowish, otherwise plain land.
             if (color.R > color.G && color.R > color.B)
             {
                 if (color.R > 200 && color.G > 200 && color.B < 150)
-                    return 'L';
+                    return 'D';
+                if (color.R > 180 && color.G > 140 && color.B < 120)
+                    return 'D';
                 return 'L';
             }
             // If overall brightness is low, treat it as mountain.
-            int brightness = (color.R + color.G + color.B) / 3;
             if (brightness < 70)
             {
-                return 'L';
+                return 'M';
             }
             // Default to generic land.
             return 'L';
@@ -98,9 +203,13 @@ public static class PlanetImagePreprocessor
 }
 
 
-//W: Water
-//G: Grassland/Forest
+//W: Water (ocean)
+//K: Lake (small enclosed water)
+//L: Generic Land
+//G: Grassland
 //D: Desert
+//T: Tundra / snow
+//F: Forest
+//S: Marsh (swamp)
+//H: Hills
 //M: Mountain
-//L: Generic Land
-
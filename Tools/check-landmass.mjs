@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/* check-landmass.mjs
+   Validates a landmass description (the JSON format documented in
+   "Working Outputs/landmass-schema.js") and optionally writes the map script
+   that runs it.
+
+   Usage:
+     node Tools/check-landmass.mjs <description.json> [--script <out.js>]
+
+   Options:
+     --script <out.js>   write a map script embedding the description; put it
+                         next to map-pipeline.js (in "Working Outputs") so its
+                         imports resolve
+
+   Prints every problem found and exits with status 1 if there are any.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { register } from 'node:module';
+
+function parseArgs(argv) {
+    let args = { input: null, script: null };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg == '--script') {
+            args.script = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            args.input = arg;
+        }
+    }
+    if (!args.input) {
+        throw new Error('Usage: node Tools/check-landmass.mjs <description.json> [--script out.js]');
+    }
+    return args;
+}
+
+//────────────────────────────────────────────────────────────
+// The map script for a description: the shared pipeline with the
+// description's landmass stage.
+function makeMapScript(description, sourceName, scriptName) {
+    return `// ${scriptName}
+// Generated by Tools/check-landmass.mjs from ${sourceName}; edit the JSON and
+// regenerate rather than editing this file.
+console.log("Generating using script ${scriptName}");
+
+import { registerMapScript } from './map-pipeline.js';
+import { describedMapOptions } from './landmass-description.js';
+
+const g_LandmassDescription = ${JSON.stringify(description, null, 4)};
+
+registerMapScript(describedMapOptions(g_LandmassDescription));
+
+console.log("Loaded ${scriptName}");
+`;
+}
+
+let args = parseArgs(process.argv.slice(2));
+// The schema lives with the map scripts, which are ES modules without a package.json.
+register('./headless-engine/loader.mjs', import.meta.url);
+let { validateLandmassDescription } = await import('../Working Outputs/landmass-schema.js');
+
+let description;
+try {
+    description = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+} catch (error) {
+    console.error(`${args.input}: ${error.message}`);
+    process.exit(1);
+}
+
+let errors = validateLandmassDescription(description);
+for (let error of errors) {
+    console.error(`${args.input}: ${error}`);
+}
+if (errors.length > 0) {
+    process.exit(1);
+}
+console.log(`${args.input}: valid (${description.shapes.length} shapes, ${(description.regions ?? []).length} regions)`);
+
+if (args.script) {
+    fs.writeFileSync(args.script, makeMapScript(description, path.basename(args.input), path.basename(args.script)));
+    console.log(`Wrote ${args.script}`);
+}
@@ -0,0 +1,29 @@
+/* assign-advanced-start-region.js (headless shim)
+   Claims the passable land around each start as that player's advanced
+   start region, following api-guide.txt section 12B.
+*/
+
+const REGION_RADIUS = 3;
+
+export function assignAdvancedStartRegions() {
+    let iWidth = GameplayMap.getGridWidth();
+    let iHeight = GameplayMap.getGridHeight();
+    for (let iPlayer of Players.getAliveMajorIds()) {
+        let iStart = StartPositioner.getStartPosition(iPlayer);
+        if (iStart < 0) {
+            continue;
+        }
+        let start = GameplayMap.getLocationFromIndex(iStart);
+        let claimedPlots = [];
+        for (let iY = Math.max(0, start.y - REGION_RADIUS); iY <= Math.min(iHeight - 1, start.y + REGION_RADIUS); iY++) {
+            for (let iDX = -REGION_RADIUS - 1; iDX <= REGION_RADIUS + 1; iDX++) {
+                let iX = (start.x + iDX + iWidth) % iWidth;
+                if (GameplayMap.getPlotDistance(start.x, start.y, iX, iY) <= REGION_RADIUS &&
+                    !GameplayMap.isWater(iX, iY) && !GameplayMap.isImpassable(iX, iY)) {
+                    claimedPlots.push(GameplayMap.getIndexFromXY(iX, iY));
+                }
+            }
+        }
+        StartPositioner.setAdvancedStartRegion(iPlayer, claimedPlots);
+    }
+}
@@ -0,0 +1,109 @@
+/* assign-starting-plots.js (headless shim)
+   Start sector selection and start plot assignment, following api-guide.txt
+   section 12A. Sectors are numbered west continent first, row-major from the
+   south-west corner.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { getSectorRegion, getDistanceToClosestStart, shuffle } from '/base-standard/maps/map-utilities.js';
+
+export function chooseStartSectors(iNumPlayersLandmass1, iNumPlayersLandmass2, iRows, iCols, bHumanNearEquator) {
+    let iSectorsPerContinent = iRows * iCols;
+    let sectors = new Array(iSectorsPerContinent * 2).fill(false);
+    let pick = (iOffset, iNumPlayers, bPreferEquator) => {
+        let candidates = shuffle(Array.from({ length: iSectorsPerContinent }, (_, i) => i));
+        if (bPreferEquator) {
+            let iMiddleRow = Math.floor(iRows / 2);
+            candidates.sort((a, b) => Math.abs(Math.floor(a / iCols) - iMiddleRow) - Math.abs(Math.floor(b / iCols) - iMiddleRow));
+        }
+        for (let i = 0; i < Math.min(iNumPlayers, iSectorsPerContinent); i++) {
+            sectors[iOffset + candidates[i]] = true;
+        }
+    };
+    pick(0, iNumPlayersLandmass1, bHumanNearEquator);
+    pick(iSectorsPerContinent, iNumPlayersLandmass2, false);
+    return sectors;
+}
+
+function scoreStartPlot(iX, iY) {
+    if (GameplayMap.isWater(iX, iY) || GameplayMap.isImpassable(iX, iY) || GameplayMap.isNavigableRiver(iX, iY)) {
+        return -1;
+    }
+    let iScore = 10;
+    if (GameplayMap.isRiver(iX, iY)) {
+        iScore += 6;
+    }
+    if (GameplayMap.isCoastalLand(iX, iY)) {
+        iScore += 3;
+    }
+    if (GameplayMap.getTerrainType(iX, iY) == globals.g_FlatTerrain) {
+        iScore += 2;
+    }
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && !GameplayMap.isWater(location.x, location.y) && !GameplayMap.isImpassable(location.x, location.y)) {
+            iScore += 2;
+        }
+    }
+    if (GameplayMap.getBiomeType(iX, iY) == globals.g_TundraBiome || GameplayMap.getBiomeType(iX, iY) == globals.g_DesertBiome) {
+        iScore -= 6;
+    }
+    return iScore;
+}
+
+function findBestPlot(region, startPositions) {
+    let iWidth = GameplayMap.getGridWidth();
+    let iHeight = GameplayMap.getGridHeight();
+    let iBest = -1;
+    let iBestScore = -1;
+    for (let iY = Math.max(0, region.south); iY < Math.min(iHeight, region.north); iY++) {
+        for (let iX = Math.max(0, region.west); iX < Math.min(iWidth, region.east); iX++) {
+            if (getDistanceToClosestStart(iX, iY, startPositions.length, startPositions) < globals.g_RequiredBufferBetweenMajorStarts) {
+                continue;
+            }
+            let iScore = scoreStartPlot(iX, iY);
+            if (iScore > iBestScore) {
+                iBest = GameplayMap.getIndexFromXY(iX, iY);
+                iBestScore = iScore;
+            }
+        }
+    }
+    return iBest;
+}
+
+export function assignStartPositions(iNumWest, iNumEast, west, east, iStartSectorRows, iStartSectorCols, sectors) {
+    let startPositions = [];
+    let playerIds = Players.getAliveMajorIds();
+    let iSectorsPerContinent = iStartSectorRows * iStartSectorCols;
+    let sides = [
+        { players: playerIds.slice(0, iNumWest), continent: west, iOffset: 0 },
+        { players: playerIds.slice(iNumWest, iNumWest + iNumEast), continent: east, iOffset: iSectorsPerContinent },
+    ];
+    for (let side of sides) {
+        let chosen = [];
+        for (let i = 0; i < iSectorsPerContinent; i++) {
+            if (sectors[side.iOffset + i]) {
+                chosen.push(side.iOffset + i);
+            }
+        }
+        side.players.forEach((iPlayer, i) => {
+            let iPlot = -1;
+            if (chosen.length > 0) {
+                let region = getSectorRegion(chosen[i % chosen.length], iStartSectorRows, iStartSectorCols, west.south, west.north, west.west, west.east, east.west);
+                iPlot = findBestPlot(region, startPositions);
+            }
+            if (iPlot == -1) {
+                iPlot = findBestPlot(side.continent, startPositions);
+            }
+            if (iPlot == -1) {
+                console.log("Unable to find a start position for player " + iPlayer);
+                return;
+            }
+            startPositions.push(iPlot);
+            StartPositioner.setStartPosition(iPlot, iPlayer);
+            let location = GameplayMap.getLocationFromIndex(iPlot);
+            console.log("Player " + iPlayer + " starting at (" + location.x + ", " + location.y + ")");
+        });
+    }
+    return startPositions;
+}
@@ -0,0 +1,38 @@
+/* discovery-generator.js (headless shim)
+   Poisson-sampled discoveries kept away from major starts, following
+   api-guide.txt section 11.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { getDistanceToClosestStart } from '/base-standard/maps/map-utilities.js';
+
+export function generateDiscoveries(iWidth, iHeight, startingPositions) {
+    let age = GameInfo.Ages.lookup(Game.age);
+    if (age == null || !age.GenerateDiscoveries) {
+        return;
+    }
+    let poisson = TerrainBuilder.generatePoissonMap(GameplayMap.getRandomSeed(), 5, 2);
+    let iPlaced = 0;
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (poisson[iY * iWidth + iX] < 1) {
+                continue;
+            }
+            if (GameplayMap.isWater(iX, iY) || GameplayMap.isImpassable(iX, iY) ||
+                GameplayMap.getResourceType(iX, iY) != ResourceTypes.NO_RESOURCE ||
+                GameplayMap.isNaturalWonder(iX, iY) ||
+                GameplayMap.getOwner(iX, iY) != PlayerIds.NO_PLAYER) {
+                continue;
+            }
+            if (getDistanceToClosestStart(iX, iY, startingPositions.length, startingPositions) <= globals.g_RequiredDistanceFromMajorForDiscoveries) {
+                continue;
+            }
+            let iRoll = TerrainBuilder.getRandomNumber(3, "Discovery Type");
+            let activation = [DiscoveryActivationTypes.BASIC, DiscoveryActivationTypes.INVESTIGATION, DiscoveryActivationTypes.MYTHIC][iRoll];
+            if (MapConstructibles.addDiscovery(iX, iY, DiscoveryVisualTypes.IMPROVEMENT_RUINS, activation)) {
+                iPlaced++;
+            }
+        }
+    }
+    console.log("Discoveries placed: " + iPlaced);
+}
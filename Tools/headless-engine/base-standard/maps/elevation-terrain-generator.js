@@ -0,0 +1,126 @@
+/* elevation-terrain-generator.js (headless shim)
+   Mountains, hills, coasts, lakes and rainfall, following api-guide.txt section 5.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+
+const MOUNTAIN_PERCENT = 8;
+const HILL_PERCENT = 18;
+
+function forEachAdjacent(iX, iY, callback) {
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0) {
+            callback(location.x, location.y);
+        }
+    }
+}
+
+export function addMountains(iWidth, iHeight) {
+    FractalBuilder.create(globals.g_MountainFractal, iWidth, iHeight, 5, 0);
+    let iMountainHeight = FractalBuilder.getHeightFromPercent(globals.g_MountainFractal, 100 - MOUNTAIN_PERCENT);
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY) || GameplayMap.isCoastalLand(iX, iY)) {
+                continue;
+            }
+            if (FractalBuilder.getHeight(globals.g_MountainFractal, iX, iY) >= iMountainHeight) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_MountainTerrain);
+            }
+        }
+    }
+}
+
+export function addHills(iWidth, iHeight) {
+    FractalBuilder.create(globals.g_HillFractal, iWidth, iHeight, 5, 0);
+    let iHillHeight = FractalBuilder.getHeightFromPercent(globals.g_HillFractal, 100 - HILL_PERCENT);
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            let terrain = GameplayMap.getTerrainType(iX, iY);
+            if (terrain != globals.g_FlatTerrain) {
+                continue;
+            }
+            let iElevation = GameplayMap.getElevation(iX, iY);
+            let iHillScore = 0;
+            forEachAdjacent(iX, iY, (iAdjX, iAdjY) => {
+                if (!GameplayMap.isWater(iAdjX, iAdjY)) {
+                    iHillScore += Math.abs(GameplayMap.getElevation(iAdjX, iAdjY) - iElevation);
+                }
+            });
+            let iFractalHeight = FractalBuilder.getHeight(globals.g_HillFractal, iX, iY);
+            if (iFractalHeight >= iHillHeight || iHillScore > 900) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_HillTerrain);
+            }
+        }
+    }
+}
+
+export function expandCoasts(iWidth, iHeight) {
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.getTerrainType(iX, iY) == globals.g_OceanTerrain &&
+                GameplayMap.isAdjacentToShallowWater(iX, iY) &&
+                TerrainBuilder.getRandomNumber(4, "Shallow Water Scatter") == 0) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_CoastTerrain);
+            }
+        }
+    }
+}
+
+function addMoreLake(iX, iY, iRemaining) {
+    TerrainBuilder.setTerrainType(iX, iY, globals.g_CoastTerrain);
+    if (iRemaining <= 0) {
+        return;
+    }
+    forEachAdjacent(iX, iY, (iAdjX, iAdjY) => {
+        if (!GameplayMap.isWater(iAdjX, iAdjY) && !GameplayMap.isCoastalLand(iAdjX, iAdjY) &&
+            TerrainBuilder.getRandomNumber(3, "Add More Lake") == 0) {
+            addMoreLake(iAdjX, iAdjY, iRemaining - 1);
+        }
+    });
+}
+
+export function generateLakes(iWidth, iHeight, iTilesPerLake) {
+    let iLakePlotRand = Math.max(1, Math.floor(iTilesPerLake * 4));
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY) || GameplayMap.isCoastalLand(iX, iY) || GameplayMap.isImpassable(iX, iY)) {
+                continue;
+            }
+            if (TerrainBuilder.getRandomNumber(iLakePlotRand, "MapGenerator AddLakes") == 0) {
+                addMoreLake(iX, iY, 2);
+            }
+        }
+    }
+}
+
+export function buildRainfallMap(iWidth, iHeight) {
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            let iRainfall = globals.g_StandardRainfall;
+            if (GameplayMap.isMountain(iX, iY)) {
+                iRainfall += globals.g_MountainTopIncrease;
+            } else {
+                // Rain shadow east of a mountain (prevailing westerlies), fading with distance.
+                for (let iDistance = 1; iDistance <= 8; iDistance++) {
+                    let iUpwindX = (iX - iDistance + iWidth) % iWidth;
+                    if (GameplayMap.isMountain(iUpwindX, iY)) {
+                        iRainfall += Math.min(0, globals.g_RainShadowDrop + globals.g_RainShadowIncreasePerHex * iDistance);
+                        break;
+                    }
+                }
+            }
+            let iLatitude = Math.abs(GameplayMap.getPlotLatitude(iX, iY));
+            if (iLatitude < 15) {
+                iRainfall += 40;
+            } else if (iLatitude > 20 && iLatitude < 35) {
+                iRainfall -= 40;
+            }
+            iRainfall += Math.floor(GameplayMap.getElevation(iX, iY) / 40);
+            TerrainBuilder.setRainfall(iX, iY, Math.max(0, iRainfall));
+        }
+    }
+}
@@ -0,0 +1,121 @@
+/* feature-biome-generator.js (headless shim)
+   Biome assignment by latitude/elevation/rainfall and feature placement,
+   following api-guide.txt section 6.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+
+export function designateBiomes(iWidth, iHeight) {
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                TerrainBuilder.setBiomeType(iX, iY, globals.g_MarineBiome);
+                continue;
+            }
+            // High ground and rivers shift the effective latitude.
+            let iLatitude = Math.abs(GameplayMap.getPlotLatitude(iX, iY));
+            iLatitude += Math.floor(GameplayMap.getElevation(iX, iY) / 150);
+            if (GameplayMap.isRiver(iX, iY)) {
+                iLatitude -= 5;
+            }
+            let iRainfall = GameplayMap.getRainfall(iX, iY);
+
+            let biome = globals.g_TundraBiome;
+            if (iLatitude < globals.g_TropicalLatitude && iRainfall >= globals.g_StandardRainfall) {
+                biome = globals.g_TropicalBiome;
+            } else if (iLatitude < globals.g_DesertLatitude && iRainfall < globals.g_StandardRainfall - 20) {
+                biome = globals.g_DesertBiome;
+            } else if (iLatitude < globals.g_PlainsLatitude) {
+                biome = globals.g_PlainsBiome;
+            } else if (iLatitude < globals.g_GrasslandLatitude) {
+                biome = globals.g_GrasslandBiome;
+            }
+            TerrainBuilder.setBiomeType(iX, iY, biome);
+        }
+    }
+}
+
+function canAddFeature(iX, iY, feature) {
+    if (feature.NaturalWonder || feature.PlacementDensity <= 0) {
+        return false;
+    }
+    return TerrainBuilder.canHaveFeature(iX, iY, feature.$index);
+}
+
+function placementClassAllows(iX, iY, feature) {
+    switch (feature.PlacementClass) {
+        case "NEARRIVER":
+            return GameplayMap.isRiver(iX, iY) || GameplayMap.isAdjacentToRivers(iX, iY);
+        case "COASTAL":
+            return GameplayMap.isCoastalLand(iX, iY);
+        case "SCATTERED":
+            return true;
+        default:
+            return false;
+    }
+}
+
+export function addFeatures(iWidth, iHeight) {
+    // Positional pass: river- and coast-bound features first.
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY) || GameplayMap.getFeatureType(iX, iY) != FeatureTypes.NO_FEATURE) {
+                continue;
+            }
+            for (let feature of GameInfo.Features) {
+                if (feature.PlacementClass != "NEARRIVER" && feature.PlacementClass != "COASTAL") {
+                    continue;
+                }
+                if (placementClassAllows(iX, iY, feature) && canAddFeature(iX, iY, feature) &&
+                    TerrainBuilder.getRandomNumber(100, "Feature Placement") < feature.PlacementDensity) {
+                    TerrainBuilder.setFeatureType(iX, iY, { Feature: feature.$index, Direction: -1, Elevation: 0 });
+                    break;
+                }
+            }
+        }
+    }
+    scatterFeatures(iWidth, iHeight);
+    addIce(iWidth, iHeight);
+    addReefs(iWidth, iHeight);
+}
+
+function scatterFeatures(iWidth, iHeight) {
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY) || GameplayMap.getFeatureType(iX, iY) != FeatureTypes.NO_FEATURE) {
+                continue;
+            }
+            for (let feature of GameInfo.Features) {
+                if (feature.PlacementClass == "SCATTERED" && canAddFeature(iX, iY, feature) &&
+                    TerrainBuilder.getRandomNumber(100, "Feature Scatter") < feature.PlacementDensity) {
+                    TerrainBuilder.setFeatureType(iX, iY, { Feature: feature.$index, Direction: -1, Elevation: 0 });
+                    break;
+                }
+            }
+        }
+    }
+}
+
+function addIce(iWidth, iHeight) {
+    let ice = GameInfo.Features.lookup("FEATURE_ICE");
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY) && Math.abs(GameplayMap.getPlotLatitude(iX, iY)) > 75 &&
+                TerrainBuilder.getRandomNumber(100, "Ice") < 60) {
+                TerrainBuilder.setFeatureType(iX, iY, { Feature: ice.$index, Direction: -1, Elevation: 0 });
+            }
+        }
+    }
+}
+
+function addReefs(iWidth, iHeight) {
+    let reef = GameInfo.Features.lookup("FEATURE_REEF");
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (Math.abs(GameplayMap.getPlotLatitude(iX, iY)) < 35 && canAddFeature(iX, iY, reef) &&
+                TerrainBuilder.getRandomNumber(100, "Reef") < reef.PlacementDensity) {
+                TerrainBuilder.setFeatureType(iX, iY, { Feature: reef.$index, Direction: -1, Elevation: 0 });
+            }
+        }
+    }
+}
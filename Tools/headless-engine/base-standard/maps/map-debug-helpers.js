@@ -0,0 +1,150 @@
+/* map-debug-helpers.js (headless shim)
+   ASCII dumps of map layers, following api-guide.txt section 4. Every grid is
+   printed north row first; odd rows are indented by one space so the hex
+   offset is visible, and each plot is one symbol followed by a space.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+
+function dumpGrid(title, iWidth, iHeight, symbolAt) {
+    console.log(title);
+    for (let iY = iHeight - 1; iY >= 0; iY--) {
+        let str = (iY % 2 == 1) ? " " : "";
+        for (let iX = 0; iX < iWidth; iX++) {
+            str += symbolAt(iX, iY) + " ";
+        }
+        console.log(str);
+    }
+}
+
+export function dumpStartSectors(sectors) {
+    console.log("Start Sectors");
+    sectors.forEach((value, i) => console.log("Sector " + i + ": " + value));
+}
+
+export function dumpContinents(iWidth, iHeight) {
+    dumpGrid("Continents", iWidth, iHeight, (iX, iY) => {
+        if (GameplayMap.isWater(iX, iY)) {
+            return " ";
+        }
+        let iContinent = GameplayMap.getContinentType(iX, iY);
+        if (iContinent < 0) {
+            return ".";
+        }
+        return iContinent < 36 ? iContinent.toString(36) : "?";
+    });
+}
+
+export function dumpTerrain(iWidth, iHeight) {
+    dumpGrid("Terrain", iWidth, iHeight, (iX, iY) => {
+        let terrain = GameplayMap.getTerrainType(iX, iY);
+        if (terrain == globals.g_FlatTerrain) {
+            return ".";
+        } else if (terrain == globals.g_HillTerrain) {
+            return "^";
+        } else if (terrain == globals.g_MountainTerrain) {
+            return "M";
+        } else if (terrain == globals.g_OceanTerrain) {
+            return "~";
+        }
+        return " ";
+    });
+}
+
+export function dumpElevation(iWidth, iHeight) {
+    dumpGrid("Elevation", iWidth, iHeight, (iX, iY) => {
+        if (GameplayMap.isWater(iX, iY)) {
+            return " ";
+        }
+        return Math.min(9, Math.floor(GameplayMap.getElevation(iX, iY) / 100)).toString();
+    });
+}
+
+export function dumpRainfall(iWidth, iHeight) {
+    dumpGrid("Rainfall", iWidth, iHeight, (iX, iY) => {
+        if (GameplayMap.isWater(iX, iY)) {
+            return " ";
+        }
+        let iRainfall = GameplayMap.getRainfall(iX, iY);
+        if (iRainfall < 50) {
+            return ".";
+        } else if (iRainfall < globals.g_StandardRainfall) {
+            return "-";
+        } else if (iRainfall < 150) {
+            return "s";
+        }
+        return "D";
+    });
+}
+
+const BIOME_SYMBOLS = new Map([
+    [globals.g_PlainsBiome, "_"],
+    [globals.g_TundraBiome, "*"],
+    [globals.g_TropicalBiome, "#"],
+    [globals.g_GrasslandBiome, "+"],
+    [globals.g_DesertBiome, ":"],
+    [globals.g_MarineBiome, " "],
+]);
+
+export function dumpBiomes(iWidth, iHeight) {
+    let counts = new Map();
+    dumpGrid("Biomes", iWidth, iHeight, (iX, iY) => {
+        let biome = GameplayMap.getBiomeType(iX, iY);
+        counts.set(biome, (counts.get(biome) ?? 0) + 1);
+        return BIOME_SYMBOLS.get(biome) ?? "?";
+    });
+    for (let [biome, iCount] of counts) {
+        console.log(GameInfo.Biomes[biome].BiomeType + ": " + iCount);
+    }
+}
+
+const FEATURE_SYMBOLS = {
+    FEATURE_FOREST: "F",
+    FEATURE_MARSH: "M",
+    FEATURE_SAVANNA_WOODLAND: "S",
+    FEATURE_WATERING_HOLE: "W",
+    FEATURE_SAGEBRUSH_STEPPE: "s",
+    FEATURE_RAINFOREST: "R",
+    FEATURE_MANGROVE: "m",
+    FEATURE_OASIS: "O",
+    FEATURE_TAIGA: "T",
+    FEATURE_TUNDRA_BOG: "B",
+    FEATURE_REEF: "r",
+    FEATURE_ICE: "I",
+    FEATURE_VOLCANO: "V",
+};
+
+export function dumpFeatures(iWidth, iHeight) {
+    dumpGrid("Features", iWidth, iHeight, (iX, iY) => {
+        let feature = GameInfo.Features[GameplayMap.getFeatureType(iX, iY)];
+        if (!feature) {
+            return GameplayMap.isWater(iX, iY) ? " " : ".";
+        }
+        if (feature.NaturalWonder) {
+            return "@";
+        }
+        if (feature.PlacementClass == "FLOODPLAIN") {
+            return "f";
+        }
+        return FEATURE_SYMBOLS[feature.FeatureType] ?? "?";
+    });
+}
+
+export function dumpResources(iWidth, iHeight) {
+    let counts = new Map();
+    dumpGrid("Resources", iWidth, iHeight, (iX, iY) => {
+        let resource = GameplayMap.getResourceType(iX, iY);
+        if (resource == ResourceTypes.NO_RESOURCE) {
+            return GameplayMap.isWater(iX, iY) ? " " : "*";
+        }
+        counts.set(resource, (counts.get(resource) ?? 0) + 1);
+        return resource < 36 ? resource.toString(36) : "?";
+    });
+    for (let [resource, iCount] of counts) {
+        console.log(GameInfo.Resources[resource].ResourceType + ": " + iCount);
+    }
+}
+
+export function dumpNoisePredicate(iWidth, iHeight, noise, pred) {
+    dumpGrid("Noise", iWidth, iHeight, (iX, iY) => pred(noise[iY * iWidth + iX]));
+}
@@ -0,0 +1,59 @@
+/* map-globals.js (headless shim)
+   Terrain/biome/feature indexes and tuning constants, resolved against the
+   mock GameInfo tables. Values follow api-guide.txt section 2.
+*/
+
+function terrain(type) {
+    return GameInfo.Terrains.lookup(type).$index;
+}
+
+function biome(type) {
+    return GameInfo.Biomes.lookup(type).$index;
+}
+
+export const g_MountainTerrain = terrain("TERRAIN_MOUNTAIN");
+export const g_HillTerrain = terrain("TERRAIN_HILL");
+export const g_FlatTerrain = terrain("TERRAIN_FLAT");
+export const g_CoastTerrain = terrain("TERRAIN_COAST");
+export const g_OceanTerrain = terrain("TERRAIN_OCEAN");
+export const g_NavigableRiverTerrain = terrain("TERRAIN_NAVIGABLE_RIVER");
+
+export const g_TundraBiome = biome("BIOME_TUNDRA");
+export const g_GrasslandBiome = biome("BIOME_GRASSLAND");
+export const g_PlainsBiome = biome("BIOME_PLAINS");
+export const g_TropicalBiome = biome("BIOME_TROPICAL");
+export const g_DesertBiome = biome("BIOME_DESERT");
+export const g_MarineBiome = biome("BIOME_MARINE");
+
+export const g_VolcanoFeature = GameInfo.Features.lookup("FEATURE_VOLCANO").$index;
+
+export const g_GrasslandLatitude = GameInfo.Biomes.lookup("BIOME_GRASSLAND").MaxLatitude;
+export const g_PlainsLatitude = GameInfo.Biomes.lookup("BIOME_PLAINS").MaxLatitude;
+export const g_DesertLatitude = GameInfo.Biomes.lookup("BIOME_DESERT").MaxLatitude;
+export const g_TropicalLatitude = GameInfo.Biomes.lookup("BIOME_TROPICAL").MaxLatitude;
+
+export const g_LandmassFractal = 0;
+export const g_MountainFractal = 1;
+export const g_HillFractal = 2;
+
+export const g_PolarWaterRows = 2;
+export const g_OceanWaterColumns = 4;
+
+export const g_FractalWeight = 0.8;
+export const g_WaterPercent = 20;
+export const g_IgnoreStartSectorPctFromCtr = 93;
+export const g_StartSectorWeight = 0.5;
+export const g_CenterWeight = 0.7;
+export const g_CenterExponent = 1.3;
+export const g_Cutoff = 2.0;
+export const g_AvoidSeamOffset = 2;
+export const g_IslandWidth = 5;
+
+export const g_StandardRainfall = 100;
+export const g_MountainTopIncrease = 100;
+export const g_RainShadowDrop = -80;
+export const g_RainShadowIncreasePerHex = 10;
+
+export const g_RequiredBufferBetweenMajorStarts = 6;
+export const g_DesiredBufferBetweenMajorStarts = 12;
+export const g_RequiredDistanceFromMajorForDiscoveries = 3;
@@ -0,0 +1,205 @@
+/* map-utilities.js (headless shim)
+   Sector math, plot tagging and small helpers from the base-standard module,
+   re-implemented from the descriptions in api-guide.txt section 3.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+
+export function needHumanNearEquator() {
+    for (let iPlayer of Players.getAliveMajorIds()) {
+        if (!Players.isHuman(iPlayer)) {
+            continue;
+        }
+        let civ = Configuration.getPlayer(iPlayer).civilizationTypeName;
+        for (let bias of GameInfo.StartBiasBiomes) {
+            if (bias.CivilizationType == civ && bias.BiomeType == "BIOME_TROPICAL") {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+export function getDistanceFromContinentCenter(iX, iY, iContinentBottomRow, iContinentTopRow, iWestContinentLeftCol, iWestContinentRightCol, iEastContinentLeftCol, iEastContinentRightCol) {
+    let iContinentHeight = iContinentTopRow - iContinentBottomRow;
+    let iContinentCenterY = iContinentBottomRow + Math.floor(iContinentHeight / 2);
+    let iContinentCenterX = (iX < iEastContinentLeftCol)
+        ? iWestContinentLeftCol + Math.floor((iWestContinentRightCol - iWestContinentLeftCol) / 2)
+        : iEastContinentLeftCol + Math.floor((iEastContinentRightCol - iEastContinentLeftCol) / 2);
+    return GameplayMap.getPlotDistance(iX, iY, iContinentCenterX, iContinentCenterY);
+}
+
+export function getMaxDistanceFromContinentCenter(iX, iContinentBottomRow, iContinentTopRow, iWestContinentLeftCol, iWestContinentRightCol, iEastContinentLeftCol, iEastContinentRightCol) {
+    let iContinentHeight = iContinentTopRow - iContinentBottomRow;
+    let iContinentWidth = (iX < iEastContinentLeftCol)
+        ? iWestContinentRightCol - iWestContinentLeftCol
+        : iEastContinentRightCol - iEastContinentLeftCol;
+    return Math.max(1, Math.floor(iContinentHeight / 2) + Math.floor(iContinentWidth / 4));
+}
+
+export function getSector(iX, iY, iRows, iCols, iContinentBottomRow, iContinentTopRow, iWestContinentLeftCol, iWestContinentRightCol, iEastContinentLeftCol) {
+    let bEast = iX >= iEastContinentLeftCol;
+    let iContinentWidth = iWestContinentRightCol - iWestContinentLeftCol;
+    let iLeftCol = bEast ? iEastContinentLeftCol : iWestContinentLeftCol;
+    let iCol = Math.floor((iX - iLeftCol) * iCols / Math.max(1, iContinentWidth));
+    let iRow = Math.floor((iY - iContinentBottomRow) * iRows / Math.max(1, iContinentTopRow - iContinentBottomRow));
+    iCol = Math.max(0, Math.min(iCols - 1, iCol));
+    iRow = Math.max(0, Math.min(iRows - 1, iRow));
+    return (bEast ? iRows * iCols : 0) + iRow * iCols + iCol;
+}
+
+export function getSectorRegion(iSector, iRows, iCols, iContinentBottomRow, iContinentTopRow, iWestContinentLeftCol, iWestContinentRightCol, iEastContinentLeftCol) {
+    let iSectorsPerContinent = iRows * iCols;
+    let iContinent = Math.floor(iSector / iSectorsPerContinent);
+    let iLocal = iSector % iSectorsPerContinent;
+    let iRow = Math.floor(iLocal / iCols);
+    let iCol = iLocal % iCols;
+    let iContinentWidth = iWestContinentRightCol - iWestContinentLeftCol;
+    let iLeftCol = iContinent == 0 ? iWestContinentLeftCol : iEastContinentLeftCol;
+    let iSectorWidth = iContinentWidth / iCols;
+    let iSectorHeight = (iContinentTopRow - iContinentBottomRow) / iRows;
+    return {
+        west: Math.floor(iLeftCol + iCol * iSectorWidth),
+        east: Math.floor(iLeftCol + (iCol + 1) * iSectorWidth),
+        south: Math.floor(iContinentBottomRow + iRow * iSectorHeight),
+        north: Math.floor(iContinentBottomRow + (iRow + 1) * iSectorHeight),
+        continent: iContinent,
+    };
+}
+
+export function getHeightAdjustingForStartSector(iX, iY, iWaterHeight, iFractalWeight, iCenterWeight, iStartSectorWeight, continent1, continent2, iStartSectorRows, iStartSectorCols, startSectors) {
+    let iPlotHeight = FractalBuilder.getHeight(globals.g_LandmassFractal, iX, iY) * iFractalWeight;
+    let iDistanceFromCenter = getDistanceFromContinentCenter(iX, iY, continent1.south, continent1.north, continent1.west, continent1.east, continent2.west, continent2.east);
+    let iMaxDistanceFromCenter = getMaxDistanceFromContinentCenter(iX, continent1.south, continent1.north, continent1.west, continent1.east, continent2.west, continent2.east);
+    let iPercentFromCenter = Math.min(100 * iDistanceFromCenter / iMaxDistanceFromCenter, 100);
+    iPlotHeight += iCenterWeight * iWaterHeight * Math.pow((100 - iPercentFromCenter) / 100, globals.g_CenterExponent);
+    if (iPercentFromCenter < globals.g_IgnoreStartSectorPctFromCtr) {
+        let iSector = getSector(iX, iY, iStartSectorRows, iStartSectorCols, continent1.south, continent1.north, continent1.west, continent1.east, continent2.west);
+        if (startSectors[iSector]) {
+            iPlotHeight += iStartSectorWeight * iWaterHeight;
+            if (iPercentFromCenter < (2 * globals.g_IgnoreStartSectorPctFromCtr / 3)) {
+                iPlotHeight += iStartSectorWeight * iWaterHeight;
+            }
+        }
+    }
+    return iPlotHeight;
+}
+
+export function createIslands(iWidth, iHeight, continent1, continent2, iSize) {
+    FractalBuilder.create(globals.g_LandmassFractal, iWidth, iHeight, iSize, 0);
+    let iWaterHeight = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 90);
+    for (let iY = globals.g_PolarWaterRows + 1; iY < iHeight - globals.g_PolarWaterRows - 1; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (!GameplayMap.isWater(iX, iY) || GameplayMap.isAdjacentToLand(iX, iY)) {
+                continue;
+            }
+            if (FractalBuilder.getHeight(globals.g_LandmassFractal, iX, iY) >= iWaterHeight) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_FlatTerrain);
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_ISLAND);
+            }
+        }
+    }
+}
+
+export function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        let j = TerrainBuilder.getRandomNumber(i + 1, "Array Shuffle");
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+export function getContinentEdgeHeightBump(iX, iY) {
+    if (GameplayMap.findSecondContinent(iX, iY, 1)) {
+        return 100;
+    }
+    if (GameplayMap.findSecondContinent(iX, iY, 2)) {
+        return 50;
+    }
+    return 0;
+}
+
+export function getDistanceToClosestStart(iX, iY, numFoundEarlier, startPositions) {
+    let iMinDistance = Number.MAX_SAFE_INTEGER;
+    for (let i = 0; i < numFoundEarlier; i++) {
+        let location = GameplayMap.getLocationFromIndex(startPositions[i]);
+        iMinDistance = Math.min(iMinDistance, GameplayMap.getPlotDistance(iX, iY, location.x, location.y));
+    }
+    return iMinDistance;
+}
+
+export function addLandmassPlotTags(iX, iY, iEastContinentLeftCol) {
+    TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_LANDMASS);
+    if (iX >= iEastContinentLeftCol - 1) {
+        TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_EAST_LANDMASS);
+    } else {
+        TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_WEST_LANDMASS);
+    }
+}
+
+export function addWaterPlotTags(iX, iY, iEastContinentLeftCol) {
+    TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_WATER);
+    if (iX >= iEastContinentLeftCol - 1) {
+        TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_EAST_WATER);
+    } else {
+        TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_WEST_WATER);
+    }
+}
+
+export function adjustOceanPlotTags(bWestSide) {
+    let iWidth = GameplayMap.getGridWidth();
+    let iHeight = GameplayMap.getGridHeight();
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (!GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_WATER);
+            // The seam column goes to whichever side has more players.
+            let bWest = (iX == Math.floor(iWidth / 2)) ? bWestSide : iX < iWidth / 2;
+            TerrainBuilder.addPlotTag(iX, iY, bWest ? PlotTags.PLOT_TAG_WEST_WATER : PlotTags.PLOT_TAG_EAST_WATER);
+        }
+    }
+}
+
+export function isAdjacentToNaturalWonder(iX, iY) {
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && GameplayMap.isNaturalWonder(location.x, location.y)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+export function isCliff(iX, iY) {
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        if (GameplayMap.isCliffCrossing(iX, iY, iDirection)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+export function isOceanAccess(iX, iY) {
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && GameplayMap.isWater(location.x, location.y) && !GameplayMap.isLake(location.x, location.y)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+export function isAdjacentToLand(iX, iY) {
+    if (GameplayMap.hasPlotTag(iX, iY, PlotTags.PLOT_TAG_ISLAND)) {
+        return true;
+    }
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && GameplayMap.hasPlotTag(location.x, location.y, PlotTags.PLOT_TAG_ISLAND)) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -0,0 +1,40 @@
+/* natural-wonder-generator.js (headless shim)
+   Places up to iNumNaturalWonders wonders, PlaceFirst ones before the rest,
+   following api-guide.txt section 7.
+*/
+
+import { shuffle } from '/base-standard/maps/map-utilities.js';
+
+export function addNaturalWonders(iWidth, iHeight, iNumNaturalWonders, wonderEventActive = false) {
+    let wonders = GameInfo.Features.filter(feature => feature.NaturalWonder);
+    let iRequested = Math.min(iNumNaturalWonders, wonders.length);
+    console.log("NumNaturalWonders: " + iRequested);
+    let ordered = [...wonders.filter(w => w.PlaceFirst), ...shuffle(wonders.filter(w => !w.PlaceFirst))];
+    let iPlaced = 0;
+    for (let wonder of ordered) {
+        if (iPlaced >= iRequested) {
+            break;
+        }
+        if (placeWonder(iWidth, iHeight, wonder)) {
+            iPlaced++;
+        }
+    }
+}
+
+function placeWonder(iWidth, iHeight, wonder) {
+    let candidates = [];
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (TerrainBuilder.canHaveFeature(iX, iY, wonder.$index)) {
+                candidates.push({ x: iX, y: iY });
+            }
+        }
+    }
+    if (candidates.length == 0) {
+        return false;
+    }
+    let choice = candidates[TerrainBuilder.getRandomNumber(candidates.length, "Natural Wonder Location")];
+    TerrainBuilder.setFeatureType(choice.x, choice.y, { Feature: wonder.$index, Direction: -1, Elevation: 0 });
+    console.log("Placed " + wonder.FeatureType + " at (" + choice.x + ", " + choice.y + ")");
+    return true;
+}
@@ -0,0 +1,58 @@
+/* resource-generator.js (headless shim)
+   Poisson-sampled resource placement weighted by hemisphere, following
+   api-guide.txt section 8.
+*/
+
+export function canHaveFlowerPlot(iX, iY, resourceType) {
+    return ResourceBuilder.canHaveResource(iX, iY, resourceType);
+}
+
+export function getFlowerPlot(iX, iY, resourceType) {
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && canHaveFlowerPlot(location.x, location.y, resourceType)) {
+            return GameplayMap.getIndexFromXY(location.x, location.y);
+        }
+    }
+    return -1;
+}
+
+export function generateResources(iWidth, iHeight, continent1, continent2, iNumWest, iNumEast) {
+    // Hemisphere-1 resources favour the side with more players.
+    let bEastBias = iNumEast > iNumWest;
+    let resources = GameInfo.Resources.filter(resource => resource.Tradeable);
+    let runningWeight = resources.map(() => 0);
+    let poisson = TerrainBuilder.generatePoissonMap(GameplayMap.getRandomSeed(), 3, 2);
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            let iIndex = iY * iWidth + iX;
+            if (poisson[iIndex] < 1) {
+                continue;
+            }
+            let bEast = iX >= continent2.west;
+            let iBest = -1;
+            let iBestScore = -1;
+            resources.forEach((resource, i) => {
+                if (!canHaveFlowerPlot(iX, iY, resource.$index)) {
+                    return;
+                }
+                let iWeight = resource.Weight;
+                if (resource.Hemisphere == 1 && bEast != bEastBias) {
+                    iWeight = Math.floor(iWeight / 2);
+                } else if (resource.Hemisphere == 2 && bEast == bEastBias) {
+                    iWeight = Math.floor(iWeight / 2);
+                }
+                let iScore = runningWeight[i] + iWeight + TerrainBuilder.getRandomNumber(10, "Resource Weight");
+                if (iScore > iBestScore) {
+                    iBest = i;
+                    iBestScore = iScore;
+                }
+            });
+            if (iBest != -1) {
+                ResourceBuilder.setResourceType(iX, iY, resources[iBest].$index, 1);
+                runningWeight[iBest] -= 10;
+                resources.forEach((resource, i) => runningWeight[i] += Math.ceil(resource.Weight / 4));
+            }
+        }
+    }
+}
@@ -0,0 +1,54 @@
+/* snow-generator.js (headless shim)
+   Permanent snow near the poles, following api-guide.txt section 10.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+
+const SNOW_LATITUDE = 60;
+
+export function generateSnow(iWidth, iHeight) {
+    let light = MapPlotEffects.getPlotEffectTypesContainingTags(["SNOW", "LIGHT", "PERMANENT"]);
+    let medium = MapPlotEffects.getPlotEffectTypesContainingTags(["SNOW", "MEDIUM", "PERMANENT"]);
+    let heavy = MapPlotEffects.getPlotEffectTypesContainingTags(["SNOW", "HEAVY", "PERMANENT"]);
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            let iLatitude = Math.abs(GameplayMap.getPlotLatitude(iX, iY));
+            if (iLatitude < SNOW_LATITUDE) {
+                continue;
+            }
+            let iRoll = TerrainBuilder.getRandomNumber(100, "Snow") + (iLatitude - SNOW_LATITUDE) * 2;
+            let effects = iRoll > 90 ? heavy : (iRoll > 60 ? medium : (iRoll > 30 ? light : []));
+            if (effects.length > 0) {
+                MapPlotEffects.addPlotEffect(GameplayMap.getIndexFromXY(iX, iY), effects[0]);
+            }
+        }
+    }
+}
+
+export function dumpPermanentSnow(iWidth, iHeight) {
+    let light = MapPlotEffects.getPlotEffectTypesContainingTags(["SNOW", "LIGHT", "PERMANENT"])[0];
+    let medium = MapPlotEffects.getPlotEffectTypesContainingTags(["SNOW", "MEDIUM", "PERMANENT"])[0];
+    let heavy = MapPlotEffects.getPlotEffectTypesContainingTags(["SNOW", "HEAVY", "PERMANENT"])[0];
+    console.log("Permanent Snow");
+    for (let iY = iHeight - 1; iY >= 0; iY--) {
+        let str = (iY % 2 == 1) ? " " : "";
+        for (let iX = 0; iX < iWidth; iX++) {
+            let iIndex = GameplayMap.getIndexFromXY(iX, iY);
+            let symbol = ".";
+            if (MapPlotEffects.hasPlotEffect(iIndex, heavy)) {
+                symbol = "@";
+            } else if (MapPlotEffects.hasPlotEffect(iIndex, medium)) {
+                symbol = "#";
+            } else if (MapPlotEffects.hasPlotEffect(iIndex, light)) {
+                symbol = "*";
+            } else if (GameplayMap.isWater(iX, iY)) {
+                symbol = "~";
+            }
+            str += symbol + " ";
+        }
+        console.log(str);
+    }
+}
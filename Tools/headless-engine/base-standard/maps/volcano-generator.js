@@ -0,0 +1,42 @@
+/* volcano-generator.js (headless shim)
+   Turns some mountains near continent boundaries into volcanoes, following
+   api-guide.txt section 9.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+
+export function getNumberAdjacentMountains(iX, iY) {
+    let iCount = 0;
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && GameplayMap.isMountain(location.x, location.y)) {
+            iCount++;
+        }
+    }
+    return iCount;
+}
+
+export function getNumberAdjacentVolcanoes(iX, iY) {
+    let iCount = 0;
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let location = GameplayMap.getAdjacentPlotLocation({ x: iX, y: iY }, iDirection);
+        if (location.x >= 0 && GameplayMap.getFeatureType(location.x, location.y) == globals.g_VolcanoFeature) {
+            iCount++;
+        }
+    }
+    return iCount;
+}
+
+export function addVolcanoes(iWidth, iHeight) {
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (!GameplayMap.isMountain(iX, iY) || getNumberAdjacentMountains(iX, iY) >= 6 || getNumberAdjacentVolcanoes(iX, iY) > 0) {
+                continue;
+            }
+            let iChance = GameplayMap.findSecondContinent(iX, iY, 3) ? 25 : 4;
+            if (TerrainBuilder.getRandomNumber(100, "Volcano") < iChance) {
+                TerrainBuilder.setFeatureType(iX, iY, { Feature: globals.g_VolcanoFeature, Direction: -1, Elevation: 0 });
+            }
+        }
+    }
+}
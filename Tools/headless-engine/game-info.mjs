@@ -0,0 +1,166 @@
+/* game-info.mjs
+   A trimmed-down copy of the GameInfo tables that the map scripts and the
+   base-standard map modules read. Only the columns the map generators touch
+   are present; values follow the shipped Civ 7 database closely enough for
+   generation to behave sensibly, but they are not authoritative.
+*/
+
+//────────────────────────────────────────────────────────────
+// Wrap an array of rows so it behaves like an engine GameInfo table:
+// iterable, indexable, and searchable with lookup() by index or primary key.
+function makeTable(primaryKey, rows) {
+    let table = rows.map((row, index) => Object.assign({ $index: index, $hash: hashString(row[primaryKey]) }, row));
+    let byKey = new Map();
+    let byHash = new Map();
+    for (let row of table) {
+        byKey.set(row[primaryKey], row);
+        byHash.set(row.$hash, row);
+    }
+    table.lookup = function (key) {
+        if (typeof key === 'number') {
+            return table[key] ?? byHash.get(key) ?? null;
+        }
+        return byKey.get(key) ?? null;
+    };
+    return table;
+}
+
+// FNV-1a, used to fake the $hash column the engine exposes on every row.
+export function hashString(value) {
+    let hash = 0x811c9dc5;
+    let text = String(value);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash | 0;
+}
+
+//────────────────────────────────────────────────────────────
+// Map sizes. The grid dimensions match the game; player counts and sector
+// layouts are representative defaults for each size.
+const Maps = makeTable('MapSizeType', [
+    { MapSizeType: 'MAPSIZE_TINY', GridWidth: 60, GridHeight: 38, DefaultPlayers: 4, PlayersLandmass1: 2, PlayersLandmass2: 2, StartSectorRows: 2, StartSectorCols: 2, NumNaturalWonders: 3, LakeGenerationFrequency: 25 },
+    { MapSizeType: 'MAPSIZE_SMALL', GridWidth: 74, GridHeight: 46, DefaultPlayers: 6, PlayersLandmass1: 4, PlayersLandmass2: 2, StartSectorRows: 3, StartSectorCols: 2, NumNaturalWonders: 4, LakeGenerationFrequency: 25 },
+    { MapSizeType: 'MAPSIZE_STANDARD', GridWidth: 84, GridHeight: 54, DefaultPlayers: 8, PlayersLandmass1: 5, PlayersLandmass2: 3, StartSectorRows: 3, StartSectorCols: 3, NumNaturalWonders: 5, LakeGenerationFrequency: 20 },
+    { MapSizeType: 'MAPSIZE_LARGE', GridWidth: 96, GridHeight: 60, DefaultPlayers: 10, PlayersLandmass1: 6, PlayersLandmass2: 4, StartSectorRows: 4, StartSectorCols: 3, NumNaturalWonders: 6, LakeGenerationFrequency: 20 },
+    { MapSizeType: 'MAPSIZE_HUGE', GridWidth: 106, GridHeight: 66, DefaultPlayers: 12, PlayersLandmass1: 7, PlayersLandmass2: 5, StartSectorRows: 4, StartSectorCols: 4, NumNaturalWonders: 7, LakeGenerationFrequency: 15 },
+]);
+
+const Terrains = makeTable('TerrainType', [
+    { TerrainType: 'TERRAIN_MOUNTAIN', Water: false, Impassable: true },
+    { TerrainType: 'TERRAIN_HILL', Water: false, Impassable: false },
+    { TerrainType: 'TERRAIN_FLAT', Water: false, Impassable: false },
+    { TerrainType: 'TERRAIN_COAST', Water: true, Impassable: false },
+    { TerrainType: 'TERRAIN_OCEAN', Water: true, Impassable: false },
+    { TerrainType: 'TERRAIN_NAVIGABLE_RIVER', Water: true, Impassable: false },
+]);
+
+// MaxLatitude feeds the g_*Latitude globals used by designateBiomes.
+const Biomes = makeTable('BiomeType', [
+    { BiomeType: 'BIOME_TUNDRA', MaxLatitude: 90 },
+    { BiomeType: 'BIOME_GRASSLAND', MaxLatitude: 60 },
+    { BiomeType: 'BIOME_PLAINS', MaxLatitude: 45 },
+    { BiomeType: 'BIOME_TROPICAL', MaxLatitude: 20 },
+    { BiomeType: 'BIOME_DESERT', MaxLatitude: 35 },
+    { BiomeType: 'BIOME_MARINE', MaxLatitude: 90 },
+]);
+
+// Biome lists which biome a feature may appear in (null = any land biome).
+// PlacementClass mirrors the engine's classes: scattered features are sprinkled,
+// river-adjacent and coastal ones are placed positionally, wonders are separate.
+const Features = makeTable('FeatureType', [
+    { FeatureType: 'FEATURE_FOREST', Biome: 'BIOME_GRASSLAND', PlacementClass: 'SCATTERED', PlacementDensity: 30, NaturalWonder: false },
+    { FeatureType: 'FEATURE_MARSH', Biome: 'BIOME_GRASSLAND', PlacementClass: 'NEARRIVER', PlacementDensity: 15, NaturalWonder: false },
+    { FeatureType: 'FEATURE_SAVANNA_WOODLAND', Biome: 'BIOME_PLAINS', PlacementClass: 'SCATTERED', PlacementDensity: 25, NaturalWonder: false },
+    { FeatureType: 'FEATURE_WATERING_HOLE', Biome: 'BIOME_PLAINS', PlacementClass: 'SCATTERED', PlacementDensity: 5, NaturalWonder: false },
+    { FeatureType: 'FEATURE_SAGEBRUSH_STEPPE', Biome: 'BIOME_PLAINS', PlacementClass: 'SCATTERED', PlacementDensity: 10, NaturalWonder: false },
+    { FeatureType: 'FEATURE_RAINFOREST', Biome: 'BIOME_TROPICAL', PlacementClass: 'SCATTERED', PlacementDensity: 45, NaturalWonder: false },
+    { FeatureType: 'FEATURE_MANGROVE', Biome: 'BIOME_TROPICAL', PlacementClass: 'COASTAL', PlacementDensity: 20, NaturalWonder: false },
+    { FeatureType: 'FEATURE_OASIS', Biome: 'BIOME_DESERT', PlacementClass: 'SCATTERED', PlacementDensity: 4, NaturalWonder: false },
+    { FeatureType: 'FEATURE_TAIGA', Biome: 'BIOME_TUNDRA', PlacementClass: 'SCATTERED', PlacementDensity: 30, NaturalWonder: false },
+    { FeatureType: 'FEATURE_TUNDRA_BOG', Biome: 'BIOME_TUNDRA', PlacementClass: 'NEARRIVER', PlacementDensity: 15, NaturalWonder: false },
+    { FeatureType: 'FEATURE_GRASSLAND_FLOODPLAIN', Biome: 'BIOME_GRASSLAND', PlacementClass: 'FLOODPLAIN', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_PLAINS_FLOODPLAIN', Biome: 'BIOME_PLAINS', PlacementClass: 'FLOODPLAIN', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_DESERT_FLOODPLAIN', Biome: 'BIOME_DESERT', PlacementClass: 'FLOODPLAIN', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_TROPICAL_FLOODPLAIN', Biome: 'BIOME_TROPICAL', PlacementClass: 'FLOODPLAIN', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_TUNDRA_FLOODPLAIN', Biome: 'BIOME_TUNDRA', PlacementClass: 'FLOODPLAIN', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_REEF', Biome: 'BIOME_MARINE', PlacementClass: 'WATER', PlacementDensity: 8, NaturalWonder: false },
+    { FeatureType: 'FEATURE_ICE', Biome: 'BIOME_MARINE', PlacementClass: 'ICE', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_VOLCANO', Biome: null, PlacementClass: 'VOLCANO', PlacementDensity: 0, NaturalWonder: false },
+    { FeatureType: 'FEATURE_GRAND_CANYON', Biome: 'BIOME_DESERT', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+    { FeatureType: 'FEATURE_KILIMANJARO', Biome: 'BIOME_TROPICAL', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+    { FeatureType: 'FEATURE_REDWOOD_FOREST', Biome: 'BIOME_GRASSLAND', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+    { FeatureType: 'FEATURE_ULURU', Biome: 'BIOME_DESERT', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+    { FeatureType: 'FEATURE_ZHANGJIAJIE', Biome: 'BIOME_TROPICAL', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+    { FeatureType: 'FEATURE_TORRES_DEL_PAINE', Biome: 'BIOME_TUNDRA', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+    { FeatureType: 'FEATURE_VALLEY_OF_FLOWERS', Biome: 'BIOME_PLAINS', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: true },
+    { FeatureType: 'FEATURE_GULLFOSS', Biome: 'BIOME_TUNDRA', PlacementClass: 'WONDER', PlacementDensity: 0, NaturalWonder: true, PlaceFirst: false },
+]);
+
+// Biomes/Terrains list where a resource may be placed; Hemisphere 0 means "either".
+const Resources = makeTable('ResourceType', [
+    { ResourceType: 'RESOURCE_WHEAT', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_GRASSLAND', 'BIOME_PLAINS'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 10, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_RICE', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_TROPICAL', 'BIOME_GRASSLAND'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 8, Hemisphere: 2 },
+    { ResourceType: 'RESOURCE_WILD_GAME', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_TUNDRA', 'BIOME_GRASSLAND'], Terrains: ['TERRAIN_FLAT', 'TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 8, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_FISH', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_MARINE'], Terrains: ['TERRAIN_COAST'], Water: true, Tradeable: true, Weight: 12, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_CRABS', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_MARINE'], Terrains: ['TERRAIN_COAST'], Water: true, Tradeable: true, Weight: 6, Hemisphere: 1 },
+    { ResourceType: 'RESOURCE_WHALES', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_MARINE'], Terrains: ['TERRAIN_OCEAN', 'TERRAIN_COAST'], Water: true, Tradeable: true, Weight: 4, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_HORSES', ResourceClassType: 'RESOURCECLASS_EMPIRE', Biomes: ['BIOME_PLAINS', 'BIOME_GRASSLAND'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 8, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_IRON', ResourceClassType: 'RESOURCECLASS_EMPIRE', Biomes: ['BIOME_PLAINS', 'BIOME_TUNDRA', 'BIOME_DESERT'], Terrains: ['TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 8, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_MARBLE', ResourceClassType: 'RESOURCECLASS_EMPIRE', Biomes: ['BIOME_GRASSLAND', 'BIOME_PLAINS'], Terrains: ['TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 6, Hemisphere: 1 },
+    { ResourceType: 'RESOURCE_SALT', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_DESERT', 'BIOME_PLAINS'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 6, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_DATES', ResourceClassType: 'RESOURCECLASS_BONUS', Biomes: ['BIOME_DESERT'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 6, Hemisphere: 1 },
+    { ResourceType: 'RESOURCE_INCENSE', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_DESERT', 'BIOME_PLAINS'], Terrains: ['TERRAIN_FLAT', 'TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 5, Hemisphere: 1 },
+    { ResourceType: 'RESOURCE_COTTON', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_PLAINS', 'BIOME_TROPICAL'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 6, Hemisphere: 2 },
+    { ResourceType: 'RESOURCE_SILK', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_GRASSLAND', 'BIOME_TROPICAL'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 5, Hemisphere: 2 },
+    { ResourceType: 'RESOURCE_DYES', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_TROPICAL'], Terrains: ['TERRAIN_FLAT'], Water: false, Tradeable: true, Weight: 5, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_FURS', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_TUNDRA'], Terrains: ['TERRAIN_FLAT', 'TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 6, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_GOLD', ResourceClassType: 'RESOURCECLASS_EMPIRE', Biomes: ['BIOME_DESERT', 'BIOME_PLAINS', 'BIOME_TROPICAL'], Terrains: ['TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 4, Hemisphere: 0 },
+    { ResourceType: 'RESOURCE_SILVER', ResourceClassType: 'RESOURCECLASS_EMPIRE', Biomes: ['BIOME_TUNDRA', 'BIOME_DESERT'], Terrains: ['TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 4, Hemisphere: 2 },
+    { ResourceType: 'RESOURCE_WINE', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_PLAINS', 'BIOME_GRASSLAND'], Terrains: ['TERRAIN_FLAT', 'TERRAIN_HILL'], Water: false, Tradeable: true, Weight: 5, Hemisphere: 1 },
+    { ResourceType: 'RESOURCE_PEARLS', ResourceClassType: 'RESOURCECLASS_CITY', Biomes: ['BIOME_MARINE'], Terrains: ['TERRAIN_COAST'], Water: true, Tradeable: true, Weight: 3, Hemisphere: 2 },
+]);
+
+// Civilizations available for the mock player list. Ages are informational.
+const Civilizations = makeTable('CivilizationType', [
+    { CivilizationType: 'CIVILIZATION_AKSUM', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_CARTHAGE', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_EGYPT', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_GREECE', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_HAN', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_KHMER', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_MAURYA', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_MAYA', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_MISSISSIPPIAN', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_PERSIA', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_ROME', Age: 'AGE_ANTIQUITY' },
+    { CivilizationType: 'CIVILIZATION_ABBASID', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_CHOLA', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_HAWAII', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_INCA', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_MAJAPAHIT', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_MING', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_MONGOLIA', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_NORMAN', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_SHAWNEE', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_SONGHAI', Age: 'AGE_EXPLORATION' },
+    { CivilizationType: 'CIVILIZATION_SPAIN', Age: 'AGE_EXPLORATION' },
+]);
+
+const Ages = makeTable('AgeType', [
+    { AgeType: 'AGE_ANTIQUITY', GenerateDiscoveries: true },
+    { AgeType: 'AGE_EXPLORATION', GenerateDiscoveries: true },
+    { AgeType: 'AGE_MODERN', GenerateDiscoveries: false },
+]);
+
+const StartBiasBiomes = makeTable('CivilizationType', [
+    { CivilizationType: 'CIVILIZATION_MAYA', BiomeType: 'BIOME_TROPICAL', Score: 100 },
+    { CivilizationType: 'CIVILIZATION_KHMER', BiomeType: 'BIOME_TROPICAL', Score: 100 },
+    { CivilizationType: 'CIVILIZATION_MAJAPAHIT', BiomeType: 'BIOME_TROPICAL', Score: 100 },
+    { CivilizationType: 'CIVILIZATION_EGYPT', BiomeType: 'BIOME_DESERT', Score: 100 },
+]);
+
+export function createGameInfo() {
+    return { Maps, Terrains, Biomes, Features, Resources, Civilizations, Ages, StartBiasBiomes };
+}
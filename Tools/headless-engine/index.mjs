@@ -0,0 +1,82 @@
+/* index.mjs
+   Runs a map script against the mock engine:
+     1. installs the engine globals on globalThis,
+     2. imports the script (which registers its engine.on listeners),
+     3. fires RequestMapInitData and GenerateMap for the chosen size and seed,
+     4. returns a snapshot of terrain, biomes, features, tags and start positions,
+        with the map recipe and the statistics report the script logged (see
+        "Working Outputs/map-recipe.js" and "Working Outputs/map-statistics.js").
+*/
+
+import { register } from 'node:module';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { format } from 'node:util';
+import { createMockEngine } from './mock-engine.mjs';
+
+export { createMockEngine } from './mock-engine.mjs';
+
+const g_RecipePrefix = 'Map recipe: ';
+const g_StatisticsPrefix = 'Map statistics: ';
+
+let bLoaderRegistered = false;
+let iRunCounter = 0;
+
+//────────────────────────────────────────────────────────────
+// options: { mapSize, seed, quiet, keepLog, mapValues, gameValues, civilizations }
+// Each call gets a fresh engine and a fresh instance of the script module.
+export async function runMapScript(scriptPath, options = {}) {
+    if (!bLoaderRegistered) {
+        register('./loader.mjs', import.meta.url);
+        bLoaderRegistered = true;
+    }
+
+    let mock = createMockEngine(options);
+    Object.assign(globalThis, mock.globals);
+
+    let logLines = [];
+    let recipe = null;
+    let statistics = null;
+    let originalLog = console.log;
+    console.log = (...args) => {
+        let line = format(...args);
+        if (line.startsWith(g_RecipePrefix)) {
+            recipe = JSON.parse(line.slice(g_RecipePrefix.length));
+        } else if (line.startsWith(g_StatisticsPrefix)) {
+            statistics = JSON.parse(line.slice(g_StatisticsPrefix.length));
+        }
+        if (options.keepLog) {
+            logLines.push(line);
+        }
+        if (!options.quiet) {
+            originalLog(line);
+        }
+    };
+
+    try {
+        let scriptUrl = pathToFileURL(path.resolve(scriptPath)).href + `?run=${++iRunCounter}`;
+        await import(scriptUrl);
+
+        let mapInfo = mock.state.mapInfo;
+        mock.globals.engine.trigger('RequestMapInitData', {
+            width: mapInfo.GridWidth,
+            height: mapInfo.GridHeight,
+            topLatitude: 80,
+            bottomLatitude: -80,
+            wrapX: true,
+            wrapY: false,
+            mapSize: mapInfo.$hash,
+        });
+        mock.globals.engine.trigger('GenerateMap');
+    } finally {
+        console.log = originalLog;
+    }
+
+    let result = mock.capture();
+    result.recipe = recipe;
+    result.statistics = statistics;
+    if (options.keepLog) {
+        result.log = logLines;
+    }
+    return result;
+}
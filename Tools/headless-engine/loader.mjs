@@ -0,0 +1,25 @@
+/* loader.mjs
+   Node module hooks for running map scripts outside the game.
+     • "/base-standard/maps/<name>.js" resolves to the shims under
+       ./base-standard/maps, mirroring the game's virtual file system.
+     • Plain ".js" files are loaded as ES modules, since the map scripts use
+       import/export but the repository has no package.json to say so.
+*/
+
+const shimRoot = new URL('./base-standard/maps/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    let match = /^\/base-standard\/maps\/(.+\.js)$/.exec(specifier);
+    if (match) {
+        return { url: new URL(match[1], shimRoot).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith('file:') && /\.js(\?.*)?$/.test(url)) {
+        let result = await nextLoad(url, { ...context, format: 'module' });
+        return { ...result, format: 'module', shortCircuit: true };
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,828 @@
+/* mock-engine.mjs
+   A stand-in for the Civ 7 map-generation runtime. It builds the engine globals
+   (GameplayMap, TerrainBuilder, FractalBuilder, AreaBuilder, FertilityBuilder,
+   PlotTags, engine, ...) over plain typed arrays, following the signatures in
+   api-guide.txt, so that map scripts can run under Node.
+
+   The engine-side algorithms (fractals, elevation, rivers, areas) are simple
+   approximations. They are deterministic for a given seed, which is what makes
+   the harness useful for comparing changes to generateMap().
+*/
+
+import { createGameInfo, hashString } from './game-info.mjs';
+
+export const PlotTags = Object.freeze({
+    PLOT_TAG_NONE: 0,
+    PLOT_TAG_WATER: 1,
+    PLOT_TAG_ISLAND: 2,
+    PLOT_TAG_LANDMASS: 4,
+    PLOT_TAG_EAST_LANDMASS: 8,
+    PLOT_TAG_WEST_LANDMASS: 16,
+    PLOT_TAG_EAST_WATER: 32,
+    PLOT_TAG_WEST_WATER: 64,
+});
+
+export const DirectionTypes = Object.freeze({
+    NO_DIRECTION: -1,
+    DIRECTION_NORTHEAST: 0,
+    DIRECTION_EAST: 1,
+    DIRECTION_SOUTHEAST: 2,
+    DIRECTION_SOUTHWEST: 3,
+    DIRECTION_WEST: 4,
+    DIRECTION_NORTHWEST: 5,
+    NUM_DIRECTION_TYPES: 6,
+});
+
+// Rows are "odd-r" offset hexes with y = 0 at the south edge: odd rows sit half
+// a plot to the east, which is how the debug dumps indent them.
+const EVEN_ROW_OFFSETS = [[0, 1], [1, 0], [0, -1], [-1, -1], [-1, 0], [-1, 1]];
+const ODD_ROW_OFFSETS = [[1, 1], [1, 0], [1, -1], [0, -1], [-1, 0], [0, 1]];
+
+const PLOT_EFFECTS = [
+    { id: 0, name: 'PLOTEFFECT_SNOW_LIGHT_PERMANENT', tags: ['SNOW', 'LIGHT', 'PERMANENT'] },
+    { id: 1, name: 'PLOTEFFECT_SNOW_MEDIUM_PERMANENT', tags: ['SNOW', 'MEDIUM', 'PERMANENT'] },
+    { id: 2, name: 'PLOTEFFECT_SNOW_HEAVY_PERMANENT', tags: ['SNOW', 'HEAVY', 'PERMANENT'] },
+];
+
+//────────────────────────────────────────────────────────────
+// Small, fast, seedable PRNG (mulberry32). Returns floats in [0, 1).
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// Create a fresh engine for one generation run.
+//   options.mapSize   – MapSizeType (e.g. "MAPSIZE_STANDARD") or Maps row index
+//   options.seed      – integer seed for TerrainBuilder.getRandomNumber and fractals
+//   options.civilizations – optional list of CivilizationType strings for the players
+//   options.mapValues – values returned by Configuration.getMapValue
+//   options.gameValues – values returned by Configuration.getGameValue
+export function createMockEngine(options = {}) {
+    const GameInfo = createGameInfo();
+    const mapInfo = GameInfo.Maps.lookup(options.mapSize ?? 'MAPSIZE_STANDARD');
+    if (mapInfo == null) {
+        throw new Error(`Unknown map size: ${options.mapSize}`);
+    }
+    const seed = (options.seed ?? 1) >>> 0;
+    const iWidth = mapInfo.GridWidth;
+    const iHeight = mapInfo.GridHeight;
+    const iNumPlots = iWidth * iHeight;
+    const random = createRandom(seed);
+
+    const index = (iX, iY) => iY * iWidth + iX;
+    const terrainIndex = (type) => GameInfo.Terrains.lookup(type).$index;
+    const biomeIndex = (type) => GameInfo.Biomes.lookup(type).$index;
+    const featureIndex = (type) => GameInfo.Features.lookup(type).$index;
+
+    const OCEAN = terrainIndex('TERRAIN_OCEAN');
+    const COAST = terrainIndex('TERRAIN_COAST');
+    const MOUNTAIN = terrainIndex('TERRAIN_MOUNTAIN');
+    const HILL = terrainIndex('TERRAIN_HILL');
+    const FLAT = terrainIndex('TERRAIN_FLAT');
+    const NAVIGABLE_RIVER = terrainIndex('TERRAIN_NAVIGABLE_RIVER');
+    const MARINE = biomeIndex('BIOME_MARINE');
+
+    const state = {
+        mapInfo,
+        seed,
+        width: iWidth,
+        height: iHeight,
+        initParams: null,
+        terrain: new Int16Array(iNumPlots).fill(OCEAN),
+        biome: new Int16Array(iNumPlots).fill(MARINE),
+        feature: new Int16Array(iNumPlots).fill(-1),
+        resource: new Int16Array(iNumPlots).fill(-1),
+        elevation: new Int32Array(iNumPlots),
+        rainfall: new Int32Array(iNumPlots),
+        tags: new Int32Array(iNumPlots),
+        river: new Int8Array(iNumPlots),
+        lake: new Uint8Array(iNumPlots),
+        area: new Int32Array(iNumPlots).fill(-1),
+        continent: new Int16Array(iNumPlots).fill(-1),
+        fertility: new Int16Array(iNumPlots),
+        plotEffects: Array.from({ length: iNumPlots }, () => new Set()),
+        areas: [],
+        fractals: new Map(),
+        namedRivers: [],
+        discoveries: [],
+        startPositions: new Map(),
+        advancedStartRegions: new Map(),
+        randomCalls: new Map(),
+        listeners: new Map(),
+        calls: [],
+    };
+
+    //────────────────────────────────────────────────────────────
+    // Hex helpers shared by the mock objects below.
+    function wrapX(iX) {
+        return ((iX % iWidth) + iWidth) % iWidth;
+    }
+
+    function adjacent(iX, iY, iDirection) {
+        let offsets = (iY & 1) ? ODD_ROW_OFFSETS : EVEN_ROW_OFFSETS;
+        let [dx, dy] = offsets[iDirection];
+        let iNewY = iY + dy;
+        if (iNewY < 0 || iNewY >= iHeight) {
+            return null;
+        }
+        return { x: wrapX(iX + dx), y: iNewY };
+    }
+
+    function neighbors(iX, iY) {
+        let result = [];
+        for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+            let location = adjacent(iX, iY, iDirection);
+            if (location) {
+                result.push(location);
+            }
+        }
+        return result;
+    }
+
+    function toCube(iX, iY) {
+        let q = iX - (iY - (iY & 1)) / 2;
+        return { q, r: iY };
+    }
+
+    function plotDistance(iX1, iY1, iX2, iY2) {
+        let best = Infinity;
+        for (let shift of [-iWidth, 0, iWidth]) {
+            let a = toCube(iX1, iY1);
+            let b = toCube(iX2 + shift, iY2);
+            let dq = a.q - b.q;
+            let dr = a.r - b.r;
+            best = Math.min(best, (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2);
+        }
+        return best;
+    }
+
+    function isWaterTerrain(terrain) {
+        return terrain == OCEAN || terrain == COAST;
+    }
+
+    function isWater(iX, iY) {
+        return isWaterTerrain(state.terrain[index(iX, iY)]);
+    }
+
+    function isLand(iX, iY) {
+        return !isWater(iX, iY);
+    }
+
+    function randomInt(max) {
+        return Math.floor(random() * max);
+    }
+
+    //────────────────────────────────────────────────────────────
+    // Fractals: wrap-aware value noise with a few octaves. "size" behaves like
+    // the engine's grain: small values give a few broad blobs, large values give
+    // many small ones.
+    function buildFractal(iFracWidth, iFracHeight, iSize, fractalRandom) {
+        let heights = new Int32Array(iFracWidth * iFracHeight);
+        let octaves = [];
+        for (let iOctave = 0; iOctave < 3; iOctave++) {
+            let iCellsX = Math.max(2, Math.round(Math.pow(2, iSize + iOctave)));
+            let iCellsY = Math.max(2, Math.round(iCellsX * iFracHeight / iFracWidth) + 1);
+            let lattice = new Float64Array(iCellsX * (iCellsY + 1));
+            for (let i = 0; i < lattice.length; i++) {
+                lattice[i] = fractalRandom();
+            }
+            octaves.push({ iCellsX, iCellsY, lattice, amplitude: 1 / (1 << iOctave) });
+        }
+        const smooth = (t) => t * t * (3 - 2 * t);
+        for (let iY = 0; iY < iFracHeight; iY++) {
+            for (let iX = 0; iX < iFracWidth; iX++) {
+                let value = 0;
+                let total = 0;
+                for (let octave of octaves) {
+                    let fx = iX / iFracWidth * octave.iCellsX;
+                    let fy = iY / iFracHeight * octave.iCellsY;
+                    let x0 = Math.floor(fx);
+                    let y0 = Math.floor(fy);
+                    let tx = smooth(fx - x0);
+                    let ty = smooth(fy - y0);
+                    let x1 = (x0 + 1) % octave.iCellsX;
+                    let row0 = y0 * octave.iCellsX;
+                    let row1 = Math.min(y0 + 1, octave.iCellsY) * octave.iCellsX;
+                    let top = octave.lattice[row0 + x0] * (1 - tx) + octave.lattice[row0 + x1] * tx;
+                    let bottom = octave.lattice[row1 + x0] * (1 - tx) + octave.lattice[row1 + x1] * tx;
+                    value += (top * (1 - ty) + bottom * ty) * octave.amplitude;
+                    total += octave.amplitude;
+                }
+                heights[iY * iFracWidth + iX] = Math.floor(value / total * 65535);
+            }
+        }
+        return heights;
+    }
+
+    const FractalBuilder = {
+        create(iFractalId, iFracWidth, iFracHeight, iSize, iFlags) {
+            let fractalSeed = Math.floor(random() * 4294967296);
+            let heights = buildFractal(iFracWidth, iFracHeight, iSize, createRandom(fractalSeed));
+            let sorted = Array.from(heights).sort((a, b) => a - b);
+            state.fractals.set(iFractalId, { width: iFracWidth, height: iFracHeight, size: iSize, flags: iFlags, heights, sorted });
+        },
+        getHeight(iFractalId, iX, iY) {
+            let fractal = state.fractals.get(iFractalId);
+            if (!fractal) {
+                return 0;
+            }
+            let x = ((iX % fractal.width) + fractal.width) % fractal.width;
+            let y = Math.max(0, Math.min(fractal.height - 1, iY));
+            return fractal.heights[y * fractal.width + x];
+        },
+        getHeightFromPercent(iFractalId, iPercent) {
+            let fractal = state.fractals.get(iFractalId);
+            if (!fractal) {
+                return 0;
+            }
+            let iClamped = Math.max(0, Math.min(100, iPercent));
+            let iIndex = Math.min(fractal.sorted.length - 1, Math.floor(fractal.sorted.length * iClamped / 100));
+            return fractal.sorted[iIndex];
+        },
+    };
+
+    //────────────────────────────────────────────────────────────
+    // Areas: connected groups of plots that share water/land status.
+    function recalculateAreas() {
+        state.area.fill(-1);
+        state.areas = [];
+        for (let iStart = 0; iStart < iNumPlots; iStart++) {
+            if (state.area[iStart] != -1) {
+                continue;
+            }
+            let bWater = isWaterTerrain(state.terrain[iStart]);
+            let iAreaId = state.areas.length;
+            let plots = [iStart];
+            state.area[iStart] = iAreaId;
+            for (let i = 0; i < plots.length; i++) {
+                let iX = plots[i] % iWidth;
+                let iY = Math.floor(plots[i] / iWidth);
+                for (let n of neighbors(iX, iY)) {
+                    let iNeighbor = index(n.x, n.y);
+                    if (state.area[iNeighbor] == -1 && isWaterTerrain(state.terrain[iNeighbor]) == bWater) {
+                        state.area[iNeighbor] = iAreaId;
+                        plots.push(iNeighbor);
+                    }
+                }
+            }
+            state.areas.push({ id: iAreaId, water: bWater, size: plots.length });
+        }
+    }
+
+    function largestWaterArea() {
+        let best = null;
+        for (let area of state.areas) {
+            if (area.water && (best == null || area.size > best.size)) {
+                best = area;
+            }
+        }
+        return best;
+    }
+
+    const AreaBuilder = {
+        recalculateAreas,
+        isAreaConnectedToOcean(iAreaId) {
+            let ocean = largestWaterArea();
+            return ocean != null && ocean.id == iAreaId;
+        },
+        getPlotCount(iAreaId) {
+            return state.areas[iAreaId]?.size ?? 0;
+        },
+    };
+
+    //────────────────────────────────────────────────────────────
+    // Elevation: distance inland plus a broad fractal, with bonuses for hills
+    // and mountains. Water is at 0.
+    function buildElevation() {
+        let distance = new Int32Array(iNumPlots).fill(-1);
+        let queue = [];
+        for (let i = 0; i < iNumPlots; i++) {
+            if (isWaterTerrain(state.terrain[i])) {
+                distance[i] = 0;
+                queue.push(i);
+            }
+        }
+        for (let i = 0; i < queue.length; i++) {
+            let iX = queue[i] % iWidth;
+            let iY = Math.floor(queue[i] / iWidth);
+            for (let n of neighbors(iX, iY)) {
+                let iNeighbor = index(n.x, n.y);
+                if (distance[iNeighbor] == -1) {
+                    distance[iNeighbor] = distance[queue[i]] + 1;
+                    queue.push(iNeighbor);
+                }
+            }
+        }
+        let noise = buildFractal(iWidth, iHeight, 3, createRandom(Math.floor(random() * 4294967296)));
+        for (let i = 0; i < iNumPlots; i++) {
+            if (isWaterTerrain(state.terrain[i])) {
+                state.elevation[i] = 0;
+                continue;
+            }
+            let iElevation = 50 + Math.max(0, distance[i]) * 60 + Math.floor(noise[i] / 65535 * 400);
+            if (state.terrain[i] == MOUNTAIN) {
+                iElevation += 900;
+            } else if (state.terrain[i] == HILL) {
+                iElevation += 250;
+            }
+            state.elevation[i] = iElevation;
+        }
+    }
+
+    //────────────────────────────────────────────────────────────
+    // Rivers: trace steepest descent from high plots until the walk reaches
+    // water. Paths shorter than iMinLength are discarded; the lower part of long
+    // rivers (three times iMinLength or more) becomes navigable river terrain.
+    // That cut-off is the mock's own; api-guide.txt does not say how the
+    // engine picks the navigable stretches.
+    function modelRivers(iMinLength, iMaxLength, iNavigableTerrain) {
+        let candidates = [];
+        let iLandPlots = 0;
+        for (let i = 0; i < iNumPlots; i++) {
+            if (!isWaterTerrain(state.terrain[i])) {
+                iLandPlots++;
+                if (state.terrain[i] != MOUNTAIN && state.elevation[i] > 300) {
+                    candidates.push(i);
+                }
+            }
+        }
+        for (let i = candidates.length - 1; i > 0; i--) {
+            let j = randomInt(i + 1);
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        let iWanted = Math.max(1, Math.floor(iLandPlots / 45));
+        let iRiverId = 0;
+        for (let iSource of candidates) {
+            if (iRiverId >= iWanted) {
+                break;
+            }
+            if (state.river[iSource] != 0) {
+                continue;
+            }
+            let path = [iSource];
+            let visited = new Set(path);
+            let bReachedWater = false;
+            while (path.length <= iMaxLength) {
+                let iCurrent = path[path.length - 1];
+                let iX = iCurrent % iWidth;
+                let iY = Math.floor(iCurrent / iWidth);
+                let iBest = -1;
+                let iBestElevation = state.elevation[iCurrent];
+                for (let n of neighbors(iX, iY)) {
+                    let iNeighbor = index(n.x, n.y);
+                    if (visited.has(iNeighbor) || state.terrain[iNeighbor] == MOUNTAIN) {
+                        continue;
+                    }
+                    if (isWaterTerrain(state.terrain[iNeighbor]) || state.river[iNeighbor] != 0) {
+                        iBest = iNeighbor;
+                        bReachedWater = true;
+                        break;
+                    }
+                    if (state.elevation[iNeighbor] <= iBestElevation) {
+                        iBest = iNeighbor;
+                        iBestElevation = state.elevation[iNeighbor];
+                    }
+                }
+                if (iBest == -1 || bReachedWater) {
+                    break;
+                }
+                path.push(iBest);
+                visited.add(iBest);
+            }
+            if (!bReachedWater || path.length < iMinLength) {
+                continue;
+            }
+            iRiverId++;
+            let iNavigableFrom = path.length >= iMinLength * 3 ? Math.floor(path.length * 2 / 3) : path.length;
+            for (let i = 0; i < path.length; i++) {
+                state.river[path[i]] = 1;
+                if (i >= iNavigableFrom) {
+                    state.river[path[i]] = 2;
+                    state.terrain[path[i]] = iNavigableTerrain ?? NAVIGABLE_RIVER;
+                }
+            }
+            state.namedRivers.push({ id: iRiverId, length: path.length, plots: path });
+        }
+    }
+
+    //────────────────────────────────────────────────────────────
+    function canHaveFeature(iX, iY, iFeature) {
+        let feature = GameInfo.Features[iFeature];
+        if (!feature) {
+            return false;
+        }
+        let i = index(iX, iY);
+        if (state.feature[i] != -1) {
+            return false;
+        }
+        let terrain = state.terrain[i];
+        if (feature.Biome == 'BIOME_MARINE') {
+            return terrain == COAST;
+        }
+        if (isWaterTerrain(terrain) || terrain == NAVIGABLE_RIVER) {
+            return false;
+        }
+        if (terrain == MOUNTAIN && !feature.NaturalWonder && feature.FeatureType != 'FEATURE_VOLCANO') {
+            return false;
+        }
+        // Floodplains need a river through the plot or a navigable one beside it.
+        if (feature.PlacementClass == 'FLOODPLAIN' && state.river[i] == 0 &&
+            !neighbors(iX, iY).some(n => state.river[index(n.x, n.y)] == 2)) {
+            return false;
+        }
+        return feature.Biome == null || biomeIndex(feature.Biome) == state.biome[i];
+    }
+
+    function canHaveResource(iX, iY, iResource) {
+        let resource = GameInfo.Resources[iResource];
+        let i = index(iX, iY);
+        if (!resource || state.resource[i] != -1) {
+            return false;
+        }
+        let feature = GameInfo.Features[state.feature[i]];
+        if (feature && feature.NaturalWonder) {
+            return false;
+        }
+        let terrainType = GameInfo.Terrains[state.terrain[i]].TerrainType;
+        let biomeType = GameInfo.Biomes[state.biome[i]].BiomeType;
+        return resource.Terrains.includes(terrainType) && resource.Biomes.includes(biomeType);
+    }
+
+    //────────────────────────────────────────────────────────────
+    // Poisson-disc sample: 1 marks a chosen point, 0 everything else.
+    function generatePoissonMap(iSeed, iAvgDistance, iSmoothing) {
+        let poissonRandom = createRandom((iSeed ^ Math.imul(iAvgDistance + 1, 0x9E3779B1) ^ iSmoothing) >>> 0);
+        let noise = new Array(iNumPlots).fill(0);
+        let order = Array.from({ length: iNumPlots }, (_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            let j = Math.floor(poissonRandom() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        let points = [];
+        for (let i of order) {
+            let iX = i % iWidth;
+            let iY = Math.floor(i / iWidth);
+            if (points.every(p => plotDistance(iX, iY, p.x, p.y) >= iAvgDistance)) {
+                points.push({ x: iX, y: iY });
+                noise[i] = 1;
+            }
+        }
+        return noise;
+    }
+
+    //────────────────────────────────────────────────────────────
+    const TerrainBuilder = {
+        // Navigable river is a terrain, so laying it makes a navigable river.
+        setTerrainType(iX, iY, iTerrain) {
+            let i = index(iX, iY);
+            state.terrain[i] = iTerrain;
+            if (iTerrain == NAVIGABLE_RIVER) {
+                state.river[i] = 2;
+            } else if (state.river[i] == 2) {
+                state.river[i] = 0;
+            }
+        },
+        setBiomeType(iX, iY, iBiome) {
+            state.biome[index(iX, iY)] = iBiome;
+        },
+        setFeatureType(iX, iY, featureParam) {
+            let iFeature = typeof featureParam === 'object' ? featureParam.Feature : featureParam;
+            state.feature[index(iX, iY)] = iFeature;
+        },
+        canHaveFeature,
+        setPlotTag(iX, iY, iTag) {
+            state.tags[index(iX, iY)] = iTag;
+        },
+        addPlotTag(iX, iY, iTag) {
+            state.tags[index(iX, iY)] |= iTag;
+        },
+        removePlotTag(iX, iY, iTag) {
+            state.tags[index(iX, iY)] &= ~iTag;
+        },
+        setRainfall(iX, iY, iRainfall) {
+            state.rainfall[index(iX, iY)] = iRainfall;
+        },
+        getRandomNumber(iMax, context) {
+            state.randomCalls.set(context, (state.randomCalls.get(context) ?? 0) + 1);
+            return iMax > 0 ? randomInt(iMax) : 0;
+        },
+        generatePoissonMap,
+        // Ocean next to land becomes coast, as the engine guarantees.
+        validateAndFixTerrain() {
+            for (let iY = 0; iY < iHeight; iY++) {
+                for (let iX = 0; iX < iWidth; iX++) {
+                    if (state.terrain[index(iX, iY)] == OCEAN && neighbors(iX, iY).some(n => isLand(n.x, n.y))) {
+                        state.terrain[index(iX, iY)] = COAST;
+                    }
+                }
+            }
+        },
+        stampContinents() {
+            state.continent.fill(-1);
+            let iContinent = 0;
+            for (let iStart = 0; iStart < iNumPlots; iStart++) {
+                if (state.continent[iStart] != -1 || isWaterTerrain(state.terrain[iStart])) {
+                    continue;
+                }
+                let plots = [iStart];
+                state.continent[iStart] = iContinent;
+                for (let i = 0; i < plots.length; i++) {
+                    for (let n of neighbors(plots[i] % iWidth, Math.floor(plots[i] / iWidth))) {
+                        let iNeighbor = index(n.x, n.y);
+                        if (state.continent[iNeighbor] == -1 && !isWaterTerrain(state.terrain[iNeighbor])) {
+                            state.continent[iNeighbor] = iContinent;
+                            plots.push(iNeighbor);
+                        }
+                    }
+                }
+                iContinent++;
+            }
+        },
+        buildElevation,
+        modelRivers,
+        // Navigable rivers laid as terrain rather than by modelRivers are
+        // named too, one per connected stretch.
+        defineNamedRivers() {
+            let named = new Set(state.namedRivers.flatMap(river => river.plots));
+            for (let iStart = 0; iStart < iNumPlots; iStart++) {
+                if (state.river[iStart] != 2 || named.has(iStart)) {
+                    continue;
+                }
+                let plots = [iStart];
+                named.add(iStart);
+                for (let i = 0; i < plots.length; i++) {
+                    for (let n of neighbors(plots[i] % iWidth, Math.floor(plots[i] / iWidth))) {
+                        let iNeighbor = index(n.x, n.y);
+                        if (state.river[iNeighbor] == 2 && !named.has(iNeighbor)) {
+                            named.add(iNeighbor);
+                            plots.push(iNeighbor);
+                        }
+                    }
+                }
+                state.namedRivers.push({ id: state.namedRivers.length + 1, length: plots.length, plots });
+            }
+            state.namedRivers.sort((a, b) => b.length - a.length);
+            state.namedRivers.forEach((river, i) => river.name = `River ${i + 1}`);
+        },
+        addFloodplains(iMinLength, iMaxLength) {
+            for (let river of state.namedRivers) {
+                if (river.length < iMinLength) {
+                    continue;
+                }
+                for (let i of river.plots.slice(0, iMaxLength)) {
+                    if (state.terrain[i] != FLAT || state.feature[i] != -1) {
+                        continue;
+                    }
+                    let biomeType = GameInfo.Biomes[state.biome[i]].BiomeType.replace('BIOME_', '');
+                    let floodplain = GameInfo.Features.lookup(`FEATURE_${biomeType}_FLOODPLAIN`);
+                    if (floodplain) {
+                        state.feature[i] = floodplain.$index;
+                    }
+                }
+            }
+        },
+        // Small enclosed water areas become lakes.
+        storeWaterData() {
+            let ocean = largestWaterArea();
+            for (let i = 0; i < iNumPlots; i++) {
+                let area = state.areas[state.area[i]];
+                state.lake[i] = (area && area.water && area != ocean && area.size < 10) ? 1 : 0;
+            }
+        },
+    };
+
+    //────────────────────────────────────────────────────────────
+    const GameplayMap = {
+        getGridWidth: () => iWidth,
+        getGridHeight: () => iHeight,
+        getMapSize: () => mapInfo.$hash,
+        getRandomSeed: () => seed,
+        getIndexFromXY: (iX, iY) => index(iX, iY),
+        getLocationFromIndex: (i) => ({ x: i % iWidth, y: Math.floor(i / iWidth) }),
+        getPlotLatitude(iX, iY) {
+            let params = state.initParams ?? { topLatitude: 80, bottomLatitude: -80 };
+            return params.bottomLatitude + (params.topLatitude - params.bottomLatitude) * iY / Math.max(1, iHeight - 1);
+        },
+        getTerrainType: (iX, iY) => state.terrain[index(iX, iY)],
+        getBiomeType: (iX, iY) => state.biome[index(iX, iY)],
+        getFeatureType: (iX, iY) => state.feature[index(iX, iY)],
+        getResourceType: (iX, iY) => state.resource[index(iX, iY)],
+        getElevation: (iX, iY) => state.elevation[index(iX, iY)],
+        getRainfall: (iX, iY) => state.rainfall[index(iX, iY)],
+        getContinentType: (iX, iY) => state.continent[index(iX, iY)],
+        getAreaId: (iX, iY) => state.area[index(iX, iY)],
+        getPlotTag: (iX, iY) => state.tags[index(iX, iY)],
+        hasPlotTag: (iX, iY, iTag) => (state.tags[index(iX, iY)] & iTag) != 0,
+        isWater,
+        isMountain: (iX, iY) => state.terrain[index(iX, iY)] == MOUNTAIN,
+        isImpassable: (iX, iY) => state.terrain[index(iX, iY)] == MOUNTAIN,
+        isLake: (iX, iY) => state.lake[index(iX, iY)] == 1,
+        isRiver: (iX, iY) => state.river[index(iX, iY)] != 0,
+        isNavigableRiver: (iX, iY) => state.river[index(iX, iY)] == 2,
+        isNaturalWonder: (iX, iY) => GameInfo.Features[state.feature[index(iX, iY)]]?.NaturalWonder == true,
+        isCoastalLand: (iX, iY) => isLand(iX, iY) && neighbors(iX, iY).some(n => isWater(n.x, n.y)),
+        isAdjacentToLand: (iX, iY) => neighbors(iX, iY).some(n => isLand(n.x, n.y)),
+        isAdjacentToRivers: (iX, iY) => neighbors(iX, iY).some(n => state.river[index(n.x, n.y)] != 0),
+        isFreshWater: (iX, iY) => state.river[index(iX, iY)] != 0 || neighbors(iX, iY).some(n => state.lake[index(n.x, n.y)] == 1),
+        isAdjacentToShallowWater: (iX, iY) => neighbors(iX, iY).some(n => state.terrain[index(n.x, n.y)] == COAST),
+        isCliffCrossing: (iX, iY, iDirection) => {
+            let n = adjacent(iX, iY, iDirection);
+            return n != null && Math.abs(state.elevation[index(n.x, n.y)] - state.elevation[index(iX, iY)]) > 600;
+        },
+        getAdjacentPlotLocation(location, iDirection) {
+            return adjacent(location.x, location.y, iDirection) ?? { x: -1, y: -1 };
+        },
+        getPlotDistance: plotDistance,
+        getOwner: () => -1,
+        getHemisphere: (iX) => (iX < iWidth / 2 ? 0 : 1),
+        findSecondContinent(iX, iY, iDistance) {
+            let iContinent = state.continent[index(iX, iY)];
+            for (let iDY = -iDistance; iDY <= iDistance; iDY++) {
+                for (let iDX = -iDistance; iDX <= iDistance; iDX++) {
+                    let iOtherY = iY + iDY;
+                    if (iOtherY < 0 || iOtherY >= iHeight) {
+                        continue;
+                    }
+                    let iOther = state.continent[index(wrapX(iX + iDX), iOtherY)];
+                    if (iOther != -1 && iOther != iContinent) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        },
+    };
+
+    //────────────────────────────────────────────────────────────
+    // Players, configuration and start positions.
+    const iNumMajors = mapInfo.PlayersLandmass1 + mapInfo.PlayersLandmass2;
+    const civilizations = options.civilizations ?? GameInfo.Civilizations
+        .filter(civ => civ.Age == 'AGE_ANTIQUITY')
+        .map(civ => civ.CivilizationType);
+    const players = Array.from({ length: iNumMajors }, (_, id) => {
+        let civilizationTypeName = civilizations[id % civilizations.length];
+        return {
+            id,
+            isHuman: id == 0,
+            civilizationTypeName,
+            civilizationType: hashString(civilizationTypeName),
+            leaderTypeName: 'LEADER_DEFAULT',
+        };
+    });
+
+    const Players = {
+        getAliveMajorIds: () => players.map(p => p.id),
+        getAliveIds: () => players.map(p => p.id),
+        isHuman: (id) => players[id]?.isHuman == true,
+        isAlive: (id) => players[id] != null,
+        get: (id) => players[id] ?? null,
+    };
+
+    const Configuration = {
+        getMapValue: (key) => options.mapValues?.[key] ?? null,
+        getGameValue: (key) => options.gameValues?.[key] ?? null,
+        getPlayer: (id) => players[id] ?? null,
+    };
+
+    const StartPositioner = {
+        setStartPosition(iPlotIndex, iPlayer) {
+            state.startPositions.set(iPlayer, iPlotIndex);
+        },
+        getStartPosition: (iPlayer) => state.startPositions.get(iPlayer) ?? -1,
+        setAdvancedStartRegion(iPlayer, plots) {
+            state.advancedStartRegions.set(iPlayer, Array.from(plots));
+        },
+    };
+
+    const ResourceBuilder = {
+        canHaveResource: canHaveResource,
+        setResourceType(iX, iY, iResource) {
+            state.resource[index(iX, iY)] = iResource;
+        },
+        getResourceType: (iX, iY) => state.resource[index(iX, iY)],
+    };
+
+    const MapPlotEffects = {
+        getPlotEffectTypesContainingTags: (tags) => PLOT_EFFECTS.filter(e => tags.every(t => e.tags.includes(t))).map(e => e.id),
+        addPlotEffect(iPlotIndex, iEffect) {
+            state.plotEffects[iPlotIndex].add(iEffect);
+        },
+        hasPlotEffect: (iPlotIndex, iEffect) => state.plotEffects[iPlotIndex].has(iEffect),
+    };
+
+    const MapConstructibles = {
+        addDiscovery(iX, iY, visual, activation) {
+            state.discoveries.push({ x: iX, y: iY, visual, activation });
+            return true;
+        },
+    };
+
+    // Fertility is only stored for inspection; the real engine uses it when
+    // scoring start positions.
+    const FertilityBuilder = {
+        recalculate() {
+            for (let i = 0; i < iNumPlots; i++) {
+                let iScore = 0;
+                if (!isWaterTerrain(state.terrain[i]) && state.terrain[i] != MOUNTAIN) {
+                    iScore = 10 + (state.river[i] ? 10 : 0) + (state.resource[i] != -1 ? 5 : 0) - (state.terrain[i] == HILL ? 3 : 0);
+                }
+                state.fertility[i] = iScore;
+            }
+        },
+    };
+
+    const engine = {
+        on(eventName, callback) {
+            if (!state.listeners.has(eventName)) {
+                state.listeners.set(eventName, []);
+            }
+            state.listeners.get(eventName).push(callback);
+        },
+        call(name, ...args) {
+            state.calls.push({ name, args });
+            if (name == 'SetMapInitData') {
+                state.initParams = args[0];
+            }
+        },
+        trigger(eventName, ...args) {
+            for (let callback of state.listeners.get(eventName) ?? []) {
+                callback(...args);
+            }
+        },
+    };
+
+    const globals = {
+        GameplayMap,
+        TerrainBuilder,
+        FractalBuilder,
+        AreaBuilder,
+        FertilityBuilder,
+        ResourceBuilder,
+        MapPlotEffects,
+        MapConstructibles,
+        StartPositioner,
+        Players,
+        Configuration,
+        GameInfo,
+        PlotTags,
+        DirectionTypes,
+        FeatureTypes: { NO_FEATURE: -1 },
+        ResourceTypes: { NO_RESOURCE: -1 },
+        RiverTypes: { NO_RIVER: 0, RIVER_MINOR: 1, RIVER_NAVIGABLE: 2 },
+        PlayerIds: { NO_PLAYER: -1 },
+        DiscoveryActivationTypes: { BASIC: 0, INVESTIGATION: 1, MYTHIC: 2 },
+        DiscoveryVisualTypes: { IMPROVEMENT_RUINS: 0, IMPROVEMENT_CAIRN: 1, IMPROVEMENT_CAMPFIRE: 2, IMPROVEMENT_WRECKAGE: 3 },
+        Database: { makeHash: hashString },
+        Game: { age: GameInfo.Ages.lookup('AGE_ANTIQUITY').$hash },
+        engine,
+    };
+
+    //────────────────────────────────────────────────────────────
+    // Snapshot of everything a map script produced, in a JSON-friendly shape.
+    function capture() {
+        let names = (table, key, values) => Array.from(values, v => (v >= 0 && table[v]) ? table[v][key] : null);
+        let startPositions = [];
+        for (let [iPlayer, iPlotIndex] of state.startPositions) {
+            startPositions.push({
+                player: iPlayer,
+                civilization: players[iPlayer]?.civilizationTypeName ?? null,
+                plot: iPlotIndex,
+                x: iPlotIndex % iWidth,
+                y: Math.floor(iPlotIndex / iWidth),
+            });
+        }
+        let tagNames = Array.from(state.tags, iTags => Object.keys(PlotTags).filter(k => PlotTags[k] != 0 && (iTags & PlotTags[k]) != 0));
+        return {
+            mapSize: mapInfo.MapSizeType,
+            seed,
+            width: iWidth,
+            height: iHeight,
+            initParams: state.initParams,
+            plots: {
+                terrain: names(GameInfo.Terrains, 'TerrainType', state.terrain),
+                biome: names(GameInfo.Biomes, 'BiomeType', state.biome),
+                feature: names(GameInfo.Features, 'FeatureType', state.feature),
+                resource: names(GameInfo.Resources, 'ResourceType', state.resource),
+                elevation: Array.from(state.elevation),
+                rainfall: Array.from(state.rainfall),
+                river: Array.from(state.river),
+                lake: Array.from(state.lake),
+                continent: Array.from(state.continent),
+                tags: tagNames,
+            },
+            startPositions,
+            discoveries: state.discoveries.length,
+            namedRivers: state.namedRivers.map(r => ({ name: r.name ?? null, length: r.length })),
+            randomCalls: Object.fromEntries(state.randomCalls),
+        };
+    }
+
+    return { globals, state, capture };
+}
@@ -0,0 +1,245 @@
+/* parse-dumps.mjs
+   Reads the ASCII dumps of map-debug-helpers.js back out of a game log, so
+   what the game really generated can be checked, counted and drawn like a
+   harness run.
+
+   The dumps (api-guide.txt section 4) are a title line, then one line per
+   row, north row first, odd rows indented by one space, one symbol and a
+   space per plot:
+     Terrain     . flat, ^ hill, M mountain, ~ ocean, blank other water
+     Biomes      _ plains, * tundra, # tropical, + grassland, : desert,
+                 blank marine; then a count per biome
+     Features    F forest, M marsh, S savanna woodland, W watering hole,
+                 s sagebrush steppe, R rainforest, m mangrove, O oasis,
+                 T taiga, B tundra bog, r reef, I ice, V volcano,
+                 f floodplain, @ natural wonder, . none on land
+     Elevation   elevation / 100, one digit, blank on water
+     Rainfall    . under 50, - under 100, s under 150, D more
+     Continents  the continent's index in base 36, . land on none
+     Resources   the resource's index in base 36, * none on land; then a
+                 count per resource
+     Start Sectors  "Sector <i>: <true|false>" per sector
+   Blank plots are water in every grid; trailing blanks may have been
+   trimmed from the log.
+
+   parseDumps() returns the map in the form the headless harness captures
+   (see map-image/render.mjs), with only the layers the log has:
+     { width, height, source: "log", plots: { terrain, biome, feature,
+       resource, elevation, rainfall, continent }, startSectors,
+       startPositions, counts: { biomes, resources }, recipe, warnings }
+   Elevation and rainfall are the middle of the band each symbol stands for,
+   resources are indexes (the grid does not name them), and a plot with no
+   feature or resource is null, as in a harness capture. Where the log holds
+   several maps, the last of each dump wins.
+*/
+
+const g_TerrainSymbols = {
+    ".": "TERRAIN_FLAT",
+    "^": "TERRAIN_HILL",
+    "M": "TERRAIN_MOUNTAIN",
+    "~": "TERRAIN_OCEAN",
+    " ": "TERRAIN_COAST"
+};
+
+const g_BiomeSymbols = {
+    "_": "BIOME_PLAINS",
+    "*": "BIOME_TUNDRA",
+    "#": "BIOME_TROPICAL",
+    "+": "BIOME_GRASSLAND",
+    ":": "BIOME_DESERT",
+    " ": "BIOME_MARINE"
+};
+
+const g_FeatureSymbols = {
+    "F": "FEATURE_FOREST",
+    "M": "FEATURE_MARSH",
+    "S": "FEATURE_SAVANNA_WOODLAND",
+    "W": "FEATURE_WATERING_HOLE",
+    "s": "FEATURE_SAGEBRUSH_STEPPE",
+    "R": "FEATURE_RAINFOREST",
+    "m": "FEATURE_MANGROVE",
+    "O": "FEATURE_OASIS",
+    "T": "FEATURE_TAIGA",
+    "B": "FEATURE_TUNDRA_BOG",
+    "r": "FEATURE_REEF",
+    "I": "FEATURE_ICE",
+    "V": "FEATURE_VOLCANO",
+    "f": "FEATURE_FLOODPLAIN",
+    "@": "FEATURE_NATURAL_WONDER",
+    ".": null,
+    " ": null
+};
+
+// The middle of each rainfall band.
+const g_RainfallSymbols = { ".": 25, "-": 75, "s": 125, "D": 175, " ": 0 };
+
+// Title line -> plots layer and symbol reader (symbol, warn) => value.
+const g_Grids = {
+    "Terrain": { layer: "terrain", read: (symbol) => g_TerrainSymbols[symbol] },
+    "Biomes": { layer: "biome", read: (symbol) => g_BiomeSymbols[symbol] },
+    "Features": { layer: "feature", read: (symbol) => g_FeatureSymbols[symbol] },
+    "Elevation": { layer: "elevation", read: (symbol) => (symbol == " " ? 0 : /\d/.test(symbol) ? Number(symbol) * 100 + 50 : undefined) },
+    "Rainfall": { layer: "rainfall", read: (symbol) => g_RainfallSymbols[symbol] },
+    "Continents": { layer: "continent", read: (symbol) => (symbol == " " || symbol == "." ? -1 : readBase36(symbol)) },
+    "Resources": { layer: "resource", read: (symbol) => (symbol == " " || symbol == "*" ? null : readBase36(symbol)) }
+};
+
+function readBase36(symbol) {
+    return /^[0-9a-z]$/.test(symbol) ? parseInt(symbol, 36) : undefined;
+}
+
+//────────────────────────────────────────────────────────────
+// Whether a line can be a grid row: a symbol then a space, over and over,
+// after an optional indent. A blank line is a row of water.
+function isGridLine(line) {
+    for (let iIndent = 0; iIndent <= 1; iIndent++) {
+        let bGrid = line.length > iIndent || line.trim() == "";
+        for (let i = 0; i < line.length && bGrid; i++) {
+            if ((i < iIndent || (i - iIndent) % 2 == 1) && line[i] != " ") {
+                bGrid = false;
+            }
+        }
+        if (bGrid) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// The grid size: from the map recipe, the pipeline's "Generating ... (WxH)"
+// line, or else the widest and longest terrain grid in the log.
+function findSize(lines, recipe) {
+    if (recipe?.width && recipe?.height) {
+        return { width: recipe.width, height: recipe.height };
+    }
+    for (let i = lines.length - 1; i >= 0; i--) {
+        let match = /^Generating .* \((\d+)x(\d+)\)/.exec(lines[i]);
+        if (match) {
+            return { width: Number(match[1]), height: Number(match[2]) };
+        }
+    }
+    let iTitle = lines.lastIndexOf("Terrain");
+    if (iTitle == -1) {
+        return null;
+    }
+    let iHeight = 0;
+    let iWidth = 0;
+    for (let i = iTitle + 1; i < lines.length && lines[i].trim() != "" && isGridLine(lines[i]); i++) {
+        iHeight++;
+        iWidth = Math.max(iWidth, Math.ceil(lines[i].trimStart().length / 2));
+    }
+    return iHeight > 0 ? { width: iWidth, height: iHeight } : null;
+}
+
+// The grid under the title at lines[iTitle], as one value per plot from the
+// south row up, or null (with a warning) if it is cut short.
+function readGrid(lines, iTitle, size, grid, warnings) {
+    let values = new Array(size.width * size.height);
+    let unknown = new Set();
+    for (let iRow = 0; iRow < size.height; iRow++) {
+        let line = lines[iTitle + 1 + iRow];
+        if (line === undefined || !isGridLine(line)) {
+            warnings.push(`${grid.layer}: the dump stops after ${iRow} of ${size.height} rows`);
+            return null;
+        }
+        let iY = size.height - 1 - iRow;
+        let iIndent = iY % 2;
+        for (let iX = 0; iX < size.width; iX++) {
+            let symbol = line[iIndent + 2 * iX] ?? " ";
+            let value = grid.read(symbol);
+            if (value === undefined) {
+                unknown.add(symbol);
+                value = null;
+            }
+            values[iY * size.width + iX] = value;
+        }
+    }
+    if (unknown.size > 0) {
+        warnings.push(`${grid.layer}: unknown symbols ${Array.from(unknown).map(s => JSON.stringify(s)).join(", ")}`);
+    }
+    return values;
+}
+
+// "NAME: count" lines after a grid.
+function readCounts(lines, iStart) {
+    let counts = {};
+    for (let i = iStart; i < lines.length; i++) {
+        let match = /^([A-Z][A-Z0-9_]+): (\d+)$/.exec(lines[i]);
+        if (!match) {
+            break;
+        }
+        counts[match[1]] = Number(match[2]);
+    }
+    return counts;
+}
+
+//────────────────────────────────────────────────────────────
+// The map in a log's dumps (see the top of this file). options.strip is a
+// RegExp taken off the front of every line (a timestamp, say) first.
+export function parseDumps(text, options = {}) {
+    let lines = text.split(/\r?\n/);
+    if (options.strip) {
+        lines = lines.map(line => line.replace(options.strip, ""));
+    }
+    let warnings = [];
+
+    let recipe = null;
+    for (let line of lines) {
+        let iStart = line.indexOf("Map recipe: ");
+        if (iStart != -1) {
+            try {
+                recipe = JSON.parse(line.slice(iStart + "Map recipe: ".length));
+            } catch (error) {
+                warnings.push("recipe: " + error.message);
+            }
+        }
+    }
+
+    let size = findSize(lines, recipe);
+    if (size == null) {
+        throw new Error("parse-dumps: cannot tell the map size; the log has no recipe, no \"Generating\" line and no terrain dump");
+    }
+    let map = { width: size.width, height: size.height, source: "log", plots: {}, startSectors: null, startPositions: [], counts: {}, recipe, warnings };
+
+    for (let [title, grid] of Object.entries(g_Grids)) {
+        let iTitle = lines.lastIndexOf(title);
+        if (iTitle == -1) {
+            continue;
+        }
+        let values = readGrid(lines, iTitle, size, grid, warnings);
+        if (values == null) {
+            continue;
+        }
+        map.plots[grid.layer] = values;
+        if (title == "Biomes" || title == "Resources") {
+            map.counts[grid.layer == "biome" ? "biomes" : "resources"] = readCounts(lines, iTitle + 1 + size.height);
+        }
+    }
+
+    let iSectors = lines.lastIndexOf("Start Sectors");
+    if (iSectors != -1) {
+        map.startSectors = [];
+        for (let i = iSectors + 1; i < lines.length; i++) {
+            let match = /^Sector (\d+): (true|false)$/.exec(lines[i]);
+            if (!match) {
+                break;
+            }
+            map.startSectors[Number(match[1])] = match[2] == "true";
+        }
+    }
+
+    // The harness's assignStartPositions logs where each player starts.
+    let starts = new Map();
+    for (let line of lines) {
+        let match = /^Player (\d+) starting at \((\d+), (\d+)\)/.exec(line);
+        if (match) {
+            starts.set(Number(match[1]), { player: Number(match[1]), x: Number(match[2]), y: Number(match[3]) });
+        }
+    }
+    map.startPositions = Array.from(starts.values());
+
+    if (Object.keys(map.plots).length == 0) {
+        warnings.push("the log has no map dumps");
+    }
+    return map;
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/* make-map-options.mjs
+   Writes the mod config that puts the map options of
+   "Working Outputs/map-options.js" on the game's setup screen: a Parameters
+   row per option for every script that offers it (g_ScriptOptions), the
+   domains of values they take, and the English text for both.
+
+   Usage:
+     node Tools/make-map-options.mjs [options]
+
+   Options:
+     --out-dir <dir>      where to write map-options.xml and
+                          map-options-text.xml (default "Working Outputs/config")
+     --map-path <prefix>  put in front of each script's file name to make the
+                          Key2 that ties a parameter to its map; it must match
+                          the File of the mod's Maps rows (default "{ai-maps}maps/")
+     --check              write nothing; exit with status 1 if the files in
+                          --out-dir are not what this would write
+
+   Load map-options.xml with UpdateDatabase and map-options-text.xml with
+   UpdateText in the mod's front-end (shell) action group.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { register } from 'node:module';
+
+function parseArgs(argv) {
+    let args = { outDir: 'Working Outputs/config', mapPath: '{ai-maps}maps/', check: false };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--out-dir': args.outDir = argv[++i]; break;
+            case '--map-path': args.mapPath = argv[++i]; break;
+            case '--check': args.check = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return args;
+}
+
+// SeaLevel -> SEA_LEVEL, for the text tags.
+function tagName(key) {
+    return key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function row(attributes) {
+    return '\t\t<Row ' + Object.entries(attributes).map(([name, value]) => `${name}="${escapeXml(value)}"`).join(' ') + '/>';
+}
+
+//────────────────────────────────────────────────────────────
+// The value of one step of an option: a named step, or the number itself.
+function valueTag(option, iValue) {
+    let suffix = option.values ? option.values[iValue - option.min].replace(/\W+/g, '_').toUpperCase() : String(iValue);
+    return `LOC_MAPOPTION_${tagName(option.key)}_${suffix}`;
+}
+
+function valueText(option, iValue) {
+    return option.values ? option.values[iValue - option.min] : String(iValue);
+}
+
+// The domain an option takes in a script: "bool" for on/off options, else
+// one per option and range, so a script that narrows the range gets its own.
+function domainOf(option, iMin, iMax) {
+    if (option.bBoolean) {
+        return 'bool';
+    }
+    let domain = `MapOption${option.key}`;
+    return iMin == option.min && iMax == option.max ? domain : `${domain}_${iMin}_${iMax}`.replace(/-/g, 'M');
+}
+
+function makeConfig(g_MapOptions, g_ScriptOptions, mapPath) {
+    let parameters = [];
+    let domains = new Map();
+    for (let [file, offered] of Object.entries(g_ScriptOptions)) {
+        g_MapOptions.forEach((option, iIndex) => {
+            let range = offered[option.key];
+            if (!range) {
+                return;
+            }
+            let iMin = range.min ?? option.min;
+            let iMax = range.max ?? option.max;
+            let domain = domainOf(option, iMin, iMax);
+            parameters.push(row({
+                Key1: 'Map',
+                Key2: mapPath + file,
+                ParameterID: option.key,
+                Name: `LOC_MAPOPTION_${tagName(option.key)}_NAME`,
+                Description: `LOC_MAPOPTION_${tagName(option.key)}_DESCRIPTION`,
+                Domain: domain,
+                DefaultValue: option.bBoolean ? (option.defaultValue ? 'true' : 'false') : Math.min(iMax, Math.max(iMin, option.defaultValue)),
+                ConfigurationGroup: 'Map',
+                ConfigurationKey: option.key,
+                GroupID: 'MapOptions',
+                SortIndex: 2000 + iIndex * 10
+            }));
+            if (!option.bBoolean && !domains.has(domain)) {
+                let values = [];
+                for (let iValue = iMin; iValue <= iMax; iValue++) {
+                    values.push(row({ Domain: domain, Value: iValue, Name: valueTag(option, iValue), SortIndex: (iValue - iMin + 1) * 10 }));
+                }
+                domains.set(domain, values);
+            }
+        });
+    }
+    return `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated by Tools/make-map-options.mjs from map-options.js; edit the
+     tables there and regenerate rather than editing this file. -->
+<Database>
+\t<Parameters>
+${parameters.join('\n')}
+\t</Parameters>
+\t<DomainValues>
+${Array.from(domains.values()).flat().join('\n')}
+\t</DomainValues>
+</Database>
+`;
+}
+
+function makeText(g_MapOptions) {
+    let rows = [];
+    let text = (tag, value) => rows.push(`\t\t<Row Tag="${tag}">\n\t\t\t<Text>${escapeXml(value)}</Text>\n\t\t</Row>`);
+    for (let option of g_MapOptions) {
+        text(`LOC_MAPOPTION_${tagName(option.key)}_NAME`, option.name);
+        text(`LOC_MAPOPTION_${tagName(option.key)}_DESCRIPTION`, option.description);
+        if (!option.bBoolean) {
+            for (let iValue = option.min; iValue <= option.max; iValue++) {
+                text(valueTag(option, iValue), valueText(option, iValue));
+            }
+        }
+    }
+    return `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated by Tools/make-map-options.mjs from map-options.js. -->
+<Database>
+\t<EnglishText>
+${rows.join('\n')}
+\t</EnglishText>
+</Database>
+`;
+}
+
+let args = parseArgs(process.argv.slice(2));
+// The tables live with the map scripts, which are ES modules without a package.json.
+register('./headless-engine/loader.mjs', import.meta.url);
+let { g_MapOptions, g_ScriptOptions } = await import('../Working Outputs/map-options.js');
+
+let files = {
+    'map-options.xml': makeConfig(g_MapOptions, g_ScriptOptions, args.mapPath),
+    'map-options-text.xml': makeText(g_MapOptions)
+};
+let bStale = false;
+for (let [name, contents] of Object.entries(files)) {
+    let file = path.join(args.outDir, name);
+    if (args.check) {
+        if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') != contents) {
+            console.error(`${file} is out of date; run node Tools/make-map-options.mjs`);
+            bStale = true;
+        }
+        continue;
+    }
+    fs.mkdirSync(args.outDir, { recursive: true });
+    fs.writeFileSync(file, contents);
+    console.log(`Wrote ${file}`);
+}
+if (bStale) {
+    process.exit(1);
+}
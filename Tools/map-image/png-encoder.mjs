@@ -0,0 +1,68 @@
+/* png-encoder.mjs
+   Minimal PNG writer for the map renderer: 8-bit RGBA, no interlacing, every
+   row filtered with Sub, which is enough to keep flat-colored hexes small.
+*/
+
+import zlib from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let crcTable = null;
+
+function crc32(buffer) {
+    if (crcTable == null) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    let header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    let crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+}
+
+// image: { width, height, pixels } with pixels as RGBA bytes, row by row
+// from the top, as decodePng returns them.
+export function encodePng(image) {
+    let { width, height, pixels } = image;
+    let ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;    // bit depth
+    ihdr[9] = 6;    // RGBA
+    ihdr[10] = 0;   // deflate
+    ihdr[11] = 0;   // adaptive filtering
+    ihdr[12] = 0;   // no interlacing
+
+    let iStride = width * 4;
+    let raw = Buffer.alloc((iStride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        let iRow = y * (iStride + 1);
+        raw[iRow] = 1;  // Sub
+        for (let i = 0; i < iStride; i++) {
+            let iLeft = i >= 4 ? pixels[y * iStride + i - 4] : 0;
+            raw[iRow + 1 + i] = (pixels[y * iStride + i] - iLeft) & 0xff;
+        }
+    }
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
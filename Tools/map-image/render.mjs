@@ -0,0 +1,320 @@
+/* render.mjs
+   Draws a map as hexes, the way the game lays them out: pointy-top, odd rows
+   shifted half a hex east, north at the top of the image (row 0 is the south
+   edge of the map).
+
+   The map is the state the headless harness captures (run-map.mjs --out):
+
+     { width, height,
+       plots: { terrain, biome, feature, resource, elevation, rainfall,
+                river, lake, continent },
+       startPositions: [{ x, y }, ...] }
+
+   with one entry per plot in each plots array, row by row from the south.
+   Any of them may be missing; the layers that need it are left out, with a
+   warning.
+
+   Layers, drawn in the order given:
+     base (the first layer, exactly one)
+       terrain    – ocean, coast, lakes, flat, hills, mountains, rivers
+       biome      – land by biome, water as for terrain
+       elevation  – land from green lowlands to white peaks
+       rainfall   – land from dry tan to wet blue
+       continent  – each continent in its own color
+     overlays
+       relief     – hills darkened and mountains greyed over the base
+       feature    – a smaller hex in the feature's color (natural wonders gold)
+       river      – a blue dot on river plots, larger on navigable ones
+       resource   – a white dot on plots with a resource
+       start      – a red ring around each start position
+*/
+
+export const g_BaseLayers = ["terrain", "biome", "elevation", "rainfall", "continent"];
+export const g_OverlayLayers = ["relief", "feature", "river", "resource", "start"];
+export const g_DefaultLayers = ["biome", "relief", "feature", "river", "start"];
+
+// What each layer reads from the map.
+const g_LayerNeeds = {
+    terrain: ["terrain"],
+    biome: ["terrain", "biome"],
+    elevation: ["terrain", "elevation"],
+    rainfall: ["terrain", "rainfall"],
+    continent: ["terrain", "continent"],
+    relief: ["terrain"],
+    feature: ["feature"],
+    river: ["river"],
+    resource: ["resource"],
+    start: []
+};
+
+const g_WaterColors = {
+    TERRAIN_OCEAN: [28, 58, 112],
+    TERRAIN_COAST: [58, 110, 170],
+    TERRAIN_NAVIGABLE_RIVER: [70, 140, 210]
+};
+const g_LakeColor = [90, 150, 200];
+
+const g_TerrainColors = {
+    TERRAIN_FLAT: [140, 170, 90],
+    TERRAIN_HILL: [150, 130, 80],
+    TERRAIN_MOUNTAIN: [110, 100, 95]
+};
+
+const g_BiomeColors = {
+    BIOME_GRASSLAND: [110, 165, 70],
+    BIOME_PLAINS: [185, 180, 95],
+    BIOME_DESERT: [225, 205, 140],
+    BIOME_TROPICAL: [40, 130, 60],
+    BIOME_TUNDRA: [170, 175, 160]
+};
+
+const g_FeatureColors = {
+    FEATURE_FOREST: [40, 100, 40],
+    FEATURE_RAINFOREST: [20, 80, 30],
+    FEATURE_TAIGA: [50, 90, 70],
+    FEATURE_REDWOOD_FOREST: [70, 60, 30],
+    FEATURE_SAVANNA_WOODLAND: [140, 150, 60],
+    FEATURE_SAGEBRUSH_STEPPE: [160, 150, 110],
+    FEATURE_MARSH: [80, 110, 90],
+    FEATURE_TUNDRA_BOG: [100, 120, 110],
+    FEATURE_MANGROVE: [50, 90, 60],
+    FEATURE_OASIS: [80, 180, 160],
+    FEATURE_WATERING_HOLE: [100, 160, 190],
+    FEATURE_ICE: [235, 245, 250],
+    FEATURE_REEF: [80, 200, 200],
+    FEATURE_VOLCANO: [200, 60, 30]
+};
+const g_FloodplainColor = [165, 150, 85];
+const g_WonderColor = [255, 200, 0];
+
+const g_UnknownColor = [255, 0, 255];
+const g_MountainColor = [120, 110, 100];
+const g_RiverColor = [60, 130, 220];
+const g_ResourceColor = [250, 250, 250];
+const g_OutlineColor = [20, 20, 20];
+const g_StartColor = [220, 30, 30];
+
+//────────────────────────────────────────────────────────────
+function mix(from, to, fShare) {
+    return from.map((iValue, i) => Math.round(iValue + (to[i] - iValue) * fShare));
+}
+
+// A color along a ramp of stops at 0, 1/(n-1), ..., 1.
+function ramp(stops, fValue) {
+    let fAt = Math.min(1, Math.max(0, fValue)) * (stops.length - 1);
+    let i = Math.min(stops.length - 2, Math.floor(fAt));
+    return mix(stops[i], stops[i + 1], fAt - i);
+}
+
+// A color that is always the same for the same id, far enough from its
+// neighbours to tell continents apart.
+function idColor(iId) {
+    let fHue = (iId * 137.508) % 360;
+    let f = (n) => {
+        let k = (n + fHue / 30) % 12;
+        return Math.round(255 * (0.55 - 0.35 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [f(0), f(8), f(4)];
+}
+
+function isWater(plots, i) {
+    return plots.terrain[i] in g_WaterColors || (plots.lake?.[i] ?? 0) != 0;
+}
+
+function waterColor(plots, i) {
+    return (plots.lake?.[i] ?? 0) != 0 ? g_LakeColor : g_WaterColors[plots.terrain[i]];
+}
+
+function maxOverLand(plots, values) {
+    let iMax = 1;
+    values.forEach((iValue, i) => {
+        if (!isWater(plots, i)) {
+            iMax = Math.max(iMax, iValue);
+        }
+    });
+    return iMax;
+}
+
+//────────────────────────────────────────────────────────────
+// The base color of every plot for a base layer.
+function baseColors(map, layer) {
+    let plots = map.plots;
+    let iPlots = map.width * map.height;
+    let colors = new Array(iPlots);
+    let iMaxElevation = layer == "elevation" ? maxOverLand(plots, plots.elevation) : 0;
+    let iMaxRainfall = layer == "rainfall" ? maxOverLand(plots, plots.rainfall) : 0;
+    for (let i = 0; i < iPlots; i++) {
+        if (isWater(plots, i)) {
+            colors[i] = layer == "terrain" || layer == "biome" ? waterColor(plots, i) : [40, 50, 70];
+            continue;
+        }
+        switch (layer) {
+            case "terrain": colors[i] = g_TerrainColors[plots.terrain[i]] ?? g_UnknownColor; break;
+            case "biome": colors[i] = g_BiomeColors[plots.biome[i]] ?? g_UnknownColor; break;
+            case "elevation": colors[i] = ramp([[80, 140, 70], [190, 170, 110], [240, 240, 240]], plots.elevation[i] / iMaxElevation); break;
+            case "rainfall": colors[i] = ramp([[215, 190, 130], [90, 170, 80], [30, 90, 160]], plots.rainfall[i] / iMaxRainfall); break;
+            case "continent": colors[i] = plots.continent[i] >= 0 ? idColor(plots.continent[i]) : [200, 200, 200]; break;
+        }
+    }
+    return colors;
+}
+
+function featureColor(feature) {
+    if (feature.endsWith("_FLOODPLAIN")) {
+        return g_FloodplainColor;
+    }
+    // Anything that is not an ordinary feature is a natural wonder.
+    return g_FeatureColors[feature] ?? g_WonderColor;
+}
+
+//────────────────────────────────────────────────────────────
+// A canvas of hexes of iHexSize pixels from center to corner.
+function createCanvas(iWidth, iHeight, iHexSize) {
+    let fHexWidth = Math.sqrt(3) * iHexSize;
+    let canvas = {
+        iWidth,
+        iHeight,
+        iHexSize,
+        fHexWidth,
+        width: Math.ceil(fHexWidth * (iWidth + 0.5)),
+        height: Math.ceil(1.5 * iHexSize * (iHeight - 1) + 2 * iHexSize)
+    };
+    canvas.pixels = new Uint8Array(canvas.width * canvas.height * 4);
+    return canvas;
+}
+
+function hexCenter(canvas, iX, iY) {
+    return {
+        x: canvas.fHexWidth * (iX + 0.5 * (iY % 2) + 0.5),
+        y: canvas.iHexSize * (1 + 1.5 * (canvas.iHeight - 1 - iY))
+    };
+}
+
+function setPixel(canvas, iPx, iPy, color) {
+    let i = (iPy * canvas.width + iPx) * 4;
+    canvas.pixels[i] = color[0];
+    canvas.pixels[i + 1] = color[1];
+    canvas.pixels[i + 2] = color[2];
+    canvas.pixels[i + 3] = 255;
+}
+
+// Fill the pixels within the hex of the plot, scaled by fScale, or within
+// a circle of fRadius hex sizes when bCircle.
+function fillPlot(canvas, iX, iY, color, fScale = 1, bCircle = false) {
+    let center = hexCenter(canvas, iX, iY);
+    let fSize = canvas.iHexSize * fScale;
+    let iMinX = Math.max(0, Math.floor(center.x - fSize));
+    let iMaxX = Math.min(canvas.width - 1, Math.ceil(center.x + fSize));
+    let iMinY = Math.max(0, Math.floor(center.y - fSize));
+    let iMaxY = Math.min(canvas.height - 1, Math.ceil(center.y + fSize));
+    for (let iPy = iMinY; iPy <= iMaxY; iPy++) {
+        for (let iPx = iMinX; iPx <= iMaxX; iPx++) {
+            let fDx = Math.abs(iPx + 0.5 - center.x);
+            let fDy = Math.abs(iPy + 0.5 - center.y);
+            let bInside = bCircle ? fDx * fDx + fDy * fDy <= fSize * fSize
+                : fDx <= fSize * Math.sqrt(3) / 2 && fDy <= fSize - fDx / Math.sqrt(3);
+            if (bInside) {
+                setPixel(canvas, iPx, iPy, color);
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// The overlays, each drawn over the whole map in turn.
+const g_Overlays = {
+    relief: (canvas, map, i, iX, iY) => {
+        let terrain = map.plots.terrain[i];
+        if (terrain == "TERRAIN_MOUNTAIN") {
+            fillPlot(canvas, iX, iY, g_MountainColor, 0.7);
+            fillPlot(canvas, iX, iY, [235, 235, 235], 0.25);
+        } else if (terrain == "TERRAIN_HILL") {
+            fillPlot(canvas, iX, iY, mix(canvas.colors[i], [0, 0, 0], 0.25), 0.6);
+        }
+    },
+    feature: (canvas, map, i, iX, iY) => {
+        let feature = map.plots.feature[i];
+        if (feature != null && feature != "NO_FEATURE") {
+            fillPlot(canvas, iX, iY, featureColor(feature), feature == "FEATURE_ICE" ? 1 : 0.55);
+        }
+    },
+    river: (canvas, map, i, iX, iY) => {
+        let iRiver = map.plots.river[i];
+        if (iRiver != 0) {
+            fillPlot(canvas, iX, iY, g_RiverColor, iRiver == 2 ? 0.45 : 0.3, true);
+        }
+    },
+    resource: (canvas, map, i, iX, iY) => {
+        let resource = map.plots.resource[i];
+        if (resource != null && resource != "NO_RESOURCE") {
+            fillPlot(canvas, iX, iY, g_OutlineColor, 0.28, true);
+            fillPlot(canvas, iX, iY, g_ResourceColor, 0.2, true);
+        }
+    }
+};
+
+function drawStarts(canvas, map) {
+    for (let start of map.startPositions ?? []) {
+        let center = hexCenter(canvas, start.x, start.y);
+        let fOuter = canvas.iHexSize * 1.1;
+        let fInner = canvas.iHexSize * 0.75;
+        for (let iPy = Math.max(0, Math.floor(center.y - fOuter)); iPy <= Math.min(canvas.height - 1, Math.ceil(center.y + fOuter)); iPy++) {
+            for (let iPx = Math.max(0, Math.floor(center.x - fOuter)); iPx <= Math.min(canvas.width - 1, Math.ceil(center.x + fOuter)); iPx++) {
+                let fDistance = Math.hypot(iPx + 0.5 - center.x, iPy + 0.5 - center.y);
+                if (fDistance <= fOuter && fDistance >= fInner) {
+                    setPixel(canvas, iPx, iPy, g_StartColor);
+                }
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Render the map with the given layers. Returns { width, height, pixels,
+// warnings }: RGBA pixels for encodePng, and a line per layer left out.
+export function renderMap(map, options = {}) {
+    let layers = options.layers ?? g_DefaultLayers;
+    let warnings = [];
+    if (!g_BaseLayers.includes(layers[0])) {
+        throw new Error(`render: the first layer must be one of ${g_BaseLayers.join(", ")}, not ${layers[0]}`);
+    }
+    for (let layer of layers.slice(1)) {
+        if (!g_OverlayLayers.includes(layer)) {
+            throw new Error(`render: unknown overlay ${layer} (${g_OverlayLayers.join(", ")})`);
+        }
+    }
+
+    let canvas = createCanvas(map.width, map.height, options.hexSize ?? 6);
+    let missing = (layer) => g_LayerNeeds[layer].filter(key => !Array.isArray(map.plots?.[key]));
+    let base = layers[0];
+    if (missing(base).length > 0) {
+        warnings.push(`${base}: no ${missing(base).join(", ")} in the map; drew terrain instead`);
+        base = "terrain";
+        if (missing(base).length > 0) {
+            throw new Error("render: the map has no terrain");
+        }
+    }
+    canvas.colors = baseColors(map, base);
+    for (let iY = 0; iY < map.height; iY++) {
+        for (let iX = 0; iX < map.width; iX++) {
+            fillPlot(canvas, iX, iY, canvas.colors[iY * map.width + iX]);
+        }
+    }
+
+    for (let layer of layers.slice(1)) {
+        if (missing(layer).length > 0) {
+            warnings.push(`${layer}: no ${missing(layer).join(", ")} in the map; left out`);
+            continue;
+        }
+        if (layer == "start") {
+            drawStarts(canvas, map);
+            continue;
+        }
+        for (let iY = 0; iY < map.height; iY++) {
+            for (let iX = 0; iX < map.width; iX++) {
+                g_Overlays[layer](canvas, map, iY * map.width + iX, iX, iY);
+            }
+        }
+    }
+    return { width: canvas.width, height: canvas.height, pixels: canvas.pixels, warnings };
+}
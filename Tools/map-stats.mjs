@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/* map-stats.mjs
+   Runs a map script over many seeds under the headless harness and sums up
+   the statistics report each run logs ("Working Outputs/map-statistics.js"):
+   for every number in the report, its mean, spread and range over the seeds.
+   Compare two settings by running it twice, e.g. with and without
+   --map-value SeaLevel=1.
+
+   Usage:
+     node Tools/map-stats.mjs "Working Outputs/earthlike.js" [options]
+
+   Options:
+     --seeds <list>         seeds to run: "1-20", "3,7,9" or a count ("20"
+                            runs 1 to 20; default 10)
+     --size <MAPSIZE_*>     map size (default MAPSIZE_STANDARD)
+     --map-value key=value  value returned by Configuration.getMapValue (repeatable)
+     --only a,b             only the numbers whose name starts with one of
+                            these, e.g. --only land,starts.land
+     --out <file.json>      write every run's report and the summary as JSON
+*/
+
+import fs from 'node:fs';
+import { runMapScript } from './headless-engine/index.mjs';
+
+function parseSeeds(text) {
+    if (/^\d+$/.test(text)) {
+        return Array.from({ length: Number(text) }, (_, i) => i + 1);
+    }
+    let seeds = [];
+    for (let part of text.split(',')) {
+        let range = /^(\d+)-(\d+)$/.exec(part);
+        if (range) {
+            for (let iSeed = Number(range[1]); iSeed <= Number(range[2]); iSeed++) {
+                seeds.push(iSeed);
+            }
+        } else if (/^\d+$/.test(part)) {
+            seeds.push(Number(part));
+        } else {
+            throw new Error(`Bad seed list: ${text}`);
+        }
+    }
+    return seeds;
+}
+
+function parseArgs(argv) {
+    let args = { script: null, seeds: parseSeeds('10'), mapSize: 'MAPSIZE_STANDARD', mapValues: {}, only: null, out: null, quiet: true };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--seeds': args.seeds = parseSeeds(argv[++i]); break;
+            case '--size': args.mapSize = argv[++i]; break;
+            case '--only': args.only = argv[++i].split(','); break;
+            case '--out': args.out = argv[++i]; break;
+            case '--map-value': {
+                let [key, value] = argv[++i].split('=');
+                args.mapValues[key] = isNaN(Number(value)) ? value : Number(value);
+                break;
+            }
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.script = arg;
+        }
+    }
+    if (!args.script) {
+        throw new Error('Usage: node Tools/map-stats.mjs <map-script.js> [--seeds 1-20] [--size MAPSIZE_*] [--map-value k=v] [--only prefix,...]');
+    }
+    return args;
+}
+
+//────────────────────────────────────────────────────────────
+// Every number in a report by its dotted name; lists (landmass sizes, the
+// starts one by one) are left out, their summaries are in the report.
+function flatten(report, prefix = '', numbers = {}) {
+    for (let [key, value] of Object.entries(report)) {
+        let name = prefix + key;
+        if (typeof value === 'number') {
+            numbers[name] = value;
+        } else if (value != null && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, name + '.', numbers);
+        }
+    }
+    return numbers;
+}
+
+// Mean, standard deviation, min and max of each number over the runs. A
+// number missing from a run (a biome that did not come up) counts as 0.
+function summarize(reports, only) {
+    let runs = reports.map(report => flatten(report));
+    let names = new Set(runs.flatMap(numbers => Object.keys(numbers)));
+    let summary = {};
+    for (let name of Array.from(names).sort()) {
+        if (only && !only.some(prefix => name.startsWith(prefix))) {
+            continue;
+        }
+        let values = runs.map(numbers => numbers[name] ?? 0);
+        let fMean = values.reduce((fSum, fValue) => fSum + fValue, 0) / values.length;
+        let fVariance = values.reduce((fSum, fValue) => fSum + (fValue - fMean) ** 2, 0) / values.length;
+        summary[name] = { mean: fMean, sd: Math.sqrt(fVariance), min: Math.min(...values), max: Math.max(...values) };
+    }
+    return summary;
+}
+
+function printSummary(summary) {
+    let iNameWidth = Math.max(6, ...Object.keys(summary).map(name => name.length));
+    let column = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1)).padStart(9);
+    console.log('number'.padEnd(iNameWidth) + ['mean', 'sd', 'min', 'max'].map(label => label.padStart(9)).join(''));
+    for (let [name, stats] of Object.entries(summary)) {
+        console.log(name.padEnd(iNameWidth) + column(stats.mean) + column(stats.sd) + column(stats.min) + column(stats.max));
+    }
+}
+
+let args = parseArgs(process.argv.slice(2));
+let reports = [];
+for (let iSeed of args.seeds) {
+    let result = await runMapScript(args.script, { ...args, seed: iSeed });
+    if (result.statistics == null) {
+        throw new Error(`${args.script} logged no map statistics for seed ${iSeed}; does it run the pipeline's statistics stage?`);
+    }
+    reports.push({ seed: iSeed, ...result.statistics });
+}
+let summary = summarize(reports.map(({ seed, script, ...report }) => report), args.only);
+console.log(`${args.script}, ${args.mapSize}, ${args.seeds.length} seeds` +
+    (Object.keys(args.mapValues).length > 0 ? `, ${Object.entries(args.mapValues).map(([key, value]) => `${key}=${value}`).join(' ')}` : ''));
+printSummary(summary);
+if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify({ script: args.script, mapSize: args.mapSize, mapValues: args.mapValues, seeds: args.seeds, runs: reports, summary }));
+    console.log(`Wrote ${args.out}`);
+}
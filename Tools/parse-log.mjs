@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/* parse-log.mjs
+   Reads the map dumps (dumpTerrain, dumpBiomes, dumpFeatures, ...) out of a
+   game log and writes them as JSON, in the form run-map.mjs --out writes, so
+   the same tools work on maps the game really generated. See
+   log-dumps/parse-dumps.mjs for the symbols.
+
+   Usage:
+     node Tools/parse-log.mjs Scripting.log [options]
+
+   Options:
+     --out <file.json>   write the map as JSON (default: only the summary)
+     --strip <regex>     take this off the front of every line first, e.g.
+                         a timestamp: --strip "^\[[^\]]*\] "
+
+   Prints the layers found and any problems; exits with status 1 if the log
+   holds no map dumps.
+*/
+
+import fs from 'node:fs';
+import { parseDumps } from './log-dumps/parse-dumps.mjs';
+
+function parseArgs(argv) {
+    let args = { input: null, out: null, strip: null };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--out': args.out = argv[++i]; break;
+            case '--strip': args.strip = new RegExp(argv[++i]); break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.input = arg;
+        }
+    }
+    if (!args.input) {
+        throw new Error('Usage: node Tools/parse-log.mjs <log file> [--out map.json] [--strip regex]');
+    }
+    return args;
+}
+
+let args = parseArgs(process.argv.slice(2));
+let map = parseDumps(fs.readFileSync(args.input, 'utf8'), { strip: args.strip });
+for (let warning of map.warnings) {
+    console.warn(`${args.input}: ${warning}`);
+}
+let layers = Object.keys(map.plots);
+console.log(`${args.input}: ${map.width}x${map.height}, ${layers.length > 0 ? layers.join(', ') : 'no layers'}` +
+    (map.startSectors ? `, ${map.startSectors.length} start sectors` : '') +
+    (map.startPositions.length > 0 ? `, ${map.startPositions.length} start positions` : '') +
+    (map.recipe ? `, recipe (seed ${map.recipe.seed}, checksum ${map.recipe.checksum})` : ''));
+if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(map));
+    console.log(`Wrote ${args.out}`);
+}
+if (layers.length == 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,184 @@
+/* classifier.mjs
+   Port of PlanetImagePreprocessor (PngPreprocessor/Form1.cs): turns RGBA
+   pixels into the mask letters read by applyTerrainMask in earth.js.
+
+     W water   K lake   L land   G grassland   D desert   T tundra / snow
+     F forest  S marsh  H hills  M mountain
+
+   The default thresholds reproduce MapColorToLetter exactly. A palette maps
+   specific colors straight to letters, which suits hand-painted maps drawn
+   with a fixed set of colors; pixels that match no palette entry fall back
+   to the threshold rules.
+*/
+
+export const DEFAULT_THRESHOLDS = {
+    waterBlueMargin: 10,         // blue must beat red and green by more than this
+    snowMinBrightness: 200,      // near-white ...
+    snowMaxSaturation: 30,       // ... with little color is snow
+    rockMaxSaturation: 20,       // grey is rock ...
+    mountainMaxBrightness: 70,   // ... dark grey mountains, lighter grey hills
+    marshMaxGreenOverBlue: 30,   // blue-green with green this close to blue is marsh
+    forestMaxBrightness: 110,    // dark green is forest
+    desertBrightMinRed: 200,     // bright yellow desert
+    desertBrightMinGreen: 200,
+    desertBrightMaxBlue: 150,
+    desertWarmMinRed: 180,       // orange / tan desert
+    desertWarmMinGreen: 140,
+    desertWarmMaxBlue: 120,
+    lakeMaxFraction: 1 / 500     // largest enclosed water body written as a lake
+};
+
+export const MASK_LETTERS = 'WKLGDTFSHM';
+
+//────────────────────────────────────────────────────────────
+// Parse "#rgb" / "#rrggbb" / [r, g, b] into [r, g, b].
+export function parseColor(color) {
+    if (Array.isArray(color)) {
+        return color.slice(0, 3);
+    }
+    let hex = String(color).replace(/^#/, '');
+    if (hex.length == 3) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+        throw new Error(`Bad palette color: ${color}`);
+    }
+    return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+//────────────────────────────────────────────────────────────
+// Palette description: { tolerance, colors: { letter: color | [colors] } }.
+// Returns a matcher (r, g, b) -> letter | null using the nearest entry within
+// the tolerance (Euclidean RGB distance).
+export function createPaletteMatcher(palette) {
+    let entries = [];
+    for (let [letter, colors] of Object.entries(palette.colors ?? {})) {
+        if (!MASK_LETTERS.includes(letter)) {
+            throw new Error(`Palette letter ${letter} is not one of ${MASK_LETTERS}`);
+        }
+        let list = Array.isArray(colors) && !Number.isInteger(colors[0]) ? colors : [colors];
+        for (let color of list) {
+            entries.push({ letter, rgb: parseColor(color) });
+        }
+    }
+    let tolerance = palette.tolerance ?? 0;
+    return (r, g, b) => {
+        let best = null;
+        let bestDistance = tolerance * tolerance;
+        for (let entry of entries) {
+            let dr = r - entry.rgb[0];
+            let dg = g - entry.rgb[1];
+            let db = b - entry.rgb[2];
+            let distance = dr * dr + dg * dg + db * db;
+            if (distance <= bestDistance) {
+                best = entry.letter;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// Same decision order as MapColorToLetter in Form1.cs.
+export function mapColorToLetter(r, g, b, thresholds = DEFAULT_THRESHOLDS) {
+    let t = thresholds;
+    let brightness = Math.floor((r + g + b) / 3);
+    let saturation = Math.max(r, g, b) - Math.min(r, g, b);
+
+    if (b > r + t.waterBlueMargin && b > g + t.waterBlueMargin) {
+        return 'W';
+    }
+    if (brightness > t.snowMinBrightness && saturation < t.snowMaxSaturation) {
+        return 'T';
+    }
+    if (saturation < t.rockMaxSaturation) {
+        return brightness < t.mountainMaxBrightness ? 'M' : 'H';
+    }
+    if (g > r && g > b) {
+        if (b > r && g - b < t.marshMaxGreenOverBlue) {
+            return 'S';
+        }
+        if (brightness < t.forestMaxBrightness) {
+            return 'F';
+        }
+        return 'G';
+    }
+    if (r > g && r > b) {
+        if (r > t.desertBrightMinRed && g > t.desertBrightMinGreen && b < t.desertBrightMaxBlue) {
+            return 'D';
+        }
+        if (r > t.desertWarmMinRed && g > t.desertWarmMinGreen && b < t.desertWarmMaxBlue) {
+            return 'D';
+        }
+        return 'L';
+    }
+    if (brightness < t.mountainMaxBrightness) {
+        return 'M';
+    }
+    return 'L';
+}
+
+//────────────────────────────────────────────────────────────
+// Flood-fill each body of water, wrapping East/West like the game map. Small
+// bodies that never reach the top or bottom row become lakes ('K').
+function markLakes(tiles, width, height, iMaxLakePixels) {
+    let visited = new Uint8Array(width * height);
+    for (let start = 0; start < tiles.length; start++) {
+        if (visited[start] || tiles[start] != 'W') {
+            continue;
+        }
+        let body = [start];
+        let touchesPole = false;
+        visited[start] = 1;
+        for (let i = 0; i < body.length; i++) {
+            let x = body[i] % width;
+            let y = Math.floor(body[i] / width);
+            if (y == 0 || y == height - 1) {
+                touchesPole = true;
+            }
+            for (let [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                let nx = (x + dx + width) % width;
+                let ny = y + dy;
+                let n = ny * width + nx;
+                if (ny < 0 || ny >= height || visited[n] || tiles[n] != 'W') {
+                    continue;
+                }
+                visited[n] = 1;
+                body.push(n);
+            }
+        }
+        if (!touchesPole && body.length <= iMaxLakePixels) {
+            for (let i of body) {
+                tiles[i] = 'K';
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Classify a decoded image ({ width, height, pixels: RGBA }) into mask rows,
+// top row first, as ProcessPlanetImage does.
+//   options.thresholds  overrides merged over DEFAULT_THRESHOLDS
+//   options.palette     palette description (see createPaletteMatcher)
+//   options.lakes       set to false to keep every water body as 'W'
+export function classifyImage(image, options = {}) {
+    let thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+    let matchPalette = options.palette ? createPaletteMatcher(options.palette) : null;
+    let { width, height, pixels } = image;
+    let tiles = new Array(width * height);
+    for (let i = 0; i < tiles.length; i++) {
+        let r = pixels[i * 4];
+        let g = pixels[i * 4 + 1];
+        let b = pixels[i * 4 + 2];
+        tiles[i] = (matchPalette && matchPalette(r, g, b)) || mapColorToLetter(r, g, b, thresholds);
+    }
+    if (options.lakes !== false) {
+        markLakes(tiles, width, height, Math.floor(width * height * thresholds.lakeMaxFraction));
+    }
+    let rows = [];
+    for (let y = 0; y < height; y++) {
+        rows.push(tiles.slice(y * width, (y + 1) * width).join(''));
+    }
+    return rows;
+}
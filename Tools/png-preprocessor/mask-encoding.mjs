@@ -0,0 +1,35 @@
+/* mask-encoding.mjs
+   Run-length encoding for terrain masks. The encoded form keeps one line per
+   mask row so diffs stay readable:
+
+     RLE 681x247
+     681W
+     310W4L12G355W
+
+   Each run is an optional count followed by a mask letter (no count means 1).
+   decodeTerrainMask() in Working Outputs/terrain-mask.js is the one decoder
+   for this form, for the map scripts and the tools alike.
+*/
+
+export const RLE_HEADER = 'RLE';
+
+export function encodeMask(rows) {
+    let width = rows[0]?.length ?? 0;
+    let lines = [`${RLE_HEADER} ${width}x${rows.length}`];
+    for (let row of rows) {
+        if (row.length != width) {
+            throw new Error(`Mask rows must all be ${width} wide`);
+        }
+        let line = '';
+        for (let i = 0; i < row.length;) {
+            let j = i;
+            while (j < row.length && row[j] == row[i]) {
+                j++;
+            }
+            line += (j - i > 1 ? j - i : '') + row[i];
+            i = j;
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,160 @@
+/* png-decoder.mjs
+   Minimal PNG reader for the mask preprocessor: enough of the format to read
+   the maps people paint or export (all color types, 1-16 bit depths, palette
+   transparency, Adam7 interlacing). Pixels come back as 8-bit RGBA.
+*/
+
+import zlib from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel by color type.
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep].
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function readChunks(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+    let chunks = [];
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        let length = buffer.readUInt32BE(offset);
+        let type = buffer.toString('latin1', offset + 4, offset + 8);
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type == 'IEND') {
+            break;
+        }
+    }
+    return chunks;
+}
+
+function paeth(a, b, c) {
+    let p = a + b - c;
+    let pa = Math.abs(p - a);
+    let pb = Math.abs(p - b);
+    let pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return pb <= pc ? b : c;
+}
+
+// Undo the per-scanline filters in place; returns the unfiltered rows.
+function unfilter(data, offset, width, height, bytesPerPixel, bitsPerPixel) {
+    let stride = Math.ceil(width * bitsPerPixel / 8);
+    let rows = [];
+    let previous = new Uint8Array(stride);
+    for (let y = 0; y < height; y++) {
+        let filter = data[offset];
+        let row = Uint8Array.from(data.subarray(offset + 1, offset + 1 + stride));
+        offset += 1 + stride;
+        for (let i = 0; i < stride; i++) {
+            let left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            let up = previous[i];
+            let upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            switch (filter) {
+                case 0: break;
+                case 1: row[i] = (row[i] + left) & 0xff; break;
+                case 2: row[i] = (row[i] + up) & 0xff; break;
+                case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+                case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+                default: throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+        }
+        rows.push(row);
+        previous = row;
+    }
+    return { rows, offset };
+}
+
+function readSample(row, index, bitDepth) {
+    switch (bitDepth) {
+        case 16: return row[index * 2];
+        case 8: return row[index];
+        default: {
+            let bit = index * bitDepth;
+            let shift = 8 - bitDepth - (bit % 8);
+            return (row[bit >> 3] >> shift) & ((1 << bitDepth) - 1);
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Decode a PNG file's bytes into { width, height, pixels } where pixels is a
+// Uint8Array of RGBA values, row-major from the top-left corner.
+export function decodePng(buffer) {
+    let chunks = readChunks(buffer);
+    let header = chunks.find(c => c.type == 'IHDR');
+    if (!header) {
+        throw new Error('PNG has no IHDR chunk');
+    }
+    let width = header.data.readUInt32BE(0);
+    let height = header.data.readUInt32BE(4);
+    let bitDepth = header.data[8];
+    let colorType = header.data[9];
+    let interlace = header.data[12];
+    let channels = CHANNELS[colorType];
+    if (!channels) {
+        throw new Error(`Unsupported PNG color type ${colorType}`);
+    }
+
+    let palette = chunks.find(c => c.type == 'PLTE')?.data;
+    let transparency = chunks.find(c => c.type == 'tRNS')?.data;
+    let data = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type == 'IDAT').map(c => c.data)));
+
+    let bitsPerPixel = channels * bitDepth;
+    let bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    let scale = bitDepth < 8 && colorType != 3 ? 255 / ((1 << bitDepth) - 1) : 1;
+    let pixels = new Uint8Array(width * height * 4);
+
+    let writePixel = (row, index, x, y) => {
+        let out = (y * width + x) * 4;
+        let sample = (c) => readSample(row, index * channels + c, bitDepth);
+        switch (colorType) {
+            case 0: {
+                let g = Math.round(sample(0) * scale);
+                pixels.set([g, g, g, 255], out);
+                break;
+            }
+            case 2:
+                pixels.set([sample(0), sample(1), sample(2), 255], out);
+                break;
+            case 3: {
+                let entry = sample(0);
+                let alpha = transparency && entry < transparency.length ? transparency[entry] : 255;
+                pixels.set([palette[entry * 3], palette[entry * 3 + 1], palette[entry * 3 + 2], alpha], out);
+                break;
+            }
+            case 4: {
+                let g = Math.round(sample(0) * scale);
+                pixels.set([g, g, g, sample(1)], out);
+                break;
+            }
+            case 6:
+                pixels.set([sample(0), sample(1), sample(2), sample(3)], out);
+                break;
+        }
+    };
+
+    let passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+    let offset = 0;
+    for (let [x0, y0, dx, dy] of passes) {
+        let passWidth = Math.ceil((width - x0) / dx);
+        let passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) {
+            continue;
+        }
+        let pass = unfilter(data, offset, passWidth, passHeight, bytesPerPixel, bitsPerPixel);
+        offset = pass.offset;
+        for (let py = 0; py < passHeight; py++) {
+            for (let px = 0; px < passWidth; px++) {
+                writePixel(pass.rows[py], px, x0 + px * dx, y0 + py * dy);
+            }
+        }
+    }
+    return { width, height, pixels };
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/* png-to-mask.mjs
+   Command-line version of the PngPreprocessor: reads a PNG and writes the
+   terrain mask that earth.js pastes into originalTerrainString.
+
+   Usage:
+     node Tools/png-to-mask.mjs earth.png [options]
+
+   Options:
+     --out <file>              write to a file instead of stdout
+     --format text|js          plain mask (default), or an ES module
+                               exporting the mask as a template string
+     --encoding rle|raw        run-length encoded rows (default, see
+                               png-preprocessor/mask-encoding.mjs) or one
+                               letter per pixel
+     --name <identifier>       export name for --format js (default originalTerrainString)
+     --config <file.json>      { "thresholds": {...}, "palette": {...}, "lakes": true }
+     --threshold key=value     override one classification threshold (repeatable)
+     --palette <file.json>     { "tolerance": 24, "colors": { "W": ["#1f4e8c"], "M": "#555" } }
+     --no-lakes                keep enclosed water as 'W' instead of 'K'
+     --list-thresholds         print the default thresholds and exit
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { decodePng } from './png-preprocessor/png-decoder.mjs';
+import { classifyImage, DEFAULT_THRESHOLDS, MASK_LETTERS } from './png-preprocessor/classifier.mjs';
+import { encodeMask } from './png-preprocessor/mask-encoding.mjs';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+    let args = { input: null, out: null, format: 'text', encoding: 'rle', name: 'originalTerrainString', thresholds: {}, palette: null, lakes: true };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--out': args.out = argv[++i]; break;
+            case '--format': args.format = argv[++i]; break;
+            case '--encoding': args.encoding = argv[++i]; break;
+            case '--name': args.name = argv[++i]; break;
+            case '--no-lakes': args.lakes = false; break;
+            case '--palette': args.palette = readJson(argv[++i]); break;
+            case '--config': {
+                let config = readJson(argv[++i]);
+                Object.assign(args.thresholds, config.thresholds);
+                args.palette = config.palette ?? args.palette;
+                args.lakes = config.lakes ?? args.lakes;
+                break;
+            }
+            case '--threshold': {
+                let [key, value] = argv[++i].split('=');
+                args.thresholds[key] = Number(value);
+                break;
+            }
+            case '--list-thresholds':
+                console.log(JSON.stringify(DEFAULT_THRESHOLDS, null, 4));
+                process.exit(0);
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.input = arg;
+        }
+    }
+    if (!args.input) {
+        throw new Error('Usage: node Tools/png-to-mask.mjs <image.png> [--out file] [--format text|js] [--config file.json]');
+    }
+    if (args.format != 'text' && args.format != 'js') {
+        throw new Error(`Unknown format: ${args.format}`);
+    }
+    if (args.encoding != 'rle' && args.encoding != 'raw') {
+        throw new Error(`Unknown encoding: ${args.encoding}`);
+    }
+    for (let [key, value] of Object.entries(args.thresholds)) {
+        if (!(key in DEFAULT_THRESHOLDS)) {
+            throw new Error(`Unknown threshold: ${key} (see --list-thresholds)`);
+        }
+        if (!Number.isFinite(value)) {
+            throw new Error(`Threshold ${key} must be a number`);
+        }
+    }
+    return args;
+}
+
+function formatModule(mask, args, image) {
+    return `// Terrain mask generated by Tools/png-to-mask.mjs from ${path.basename(args.input)} (${image.width}x${image.height}).\n` +
+        `// Letters: ${MASK_LETTERS.split('').join(' ')} (see applyTerrainMask in earth.js).\n` +
+        `export const ${args.name} =\n\`${mask}\n\`;\n`;
+}
+
+let args = parseArgs(process.argv.slice(2));
+let image = decodePng(fs.readFileSync(args.input));
+let rows = classifyImage(image, args);
+let mask = args.encoding == 'rle' ? encodeMask(rows) : rows.join('\n');
+let output = args.format == 'js' ? formatModule(mask, args, image) : mask + '\n';
+
+if (args.out) {
+    fs.writeFileSync(args.out, output);
+    let counts = {};
+    for (let row of rows) {
+        for (let ch of row) {
+            counts[ch] = (counts[ch] ?? 0) + 1;
+        }
+    }
+    console.log(`${image.width}x${image.height} -> ${args.out}`);
+    console.log(Object.entries(counts).map(([ch, n]) => `${ch}: ${n}`).join(', '));
+} else {
+    process.stdout.write(output);
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/* render-map.mjs
+   Draws a generated map as a PNG of hexes (see map-image/render.mjs for the
+   layers), for previews and for reviewing map changes side by side.
+
+   Usage:
+     node Tools/render-map.mjs <map.json | map-script.js | game.log> --out map.png [options]
+
+   The map is the JSON run-map.mjs or parse-log.mjs writes, a map script,
+   which is run under the headless harness first, or a game log, whose map
+   dumps are read back (see parse-log.mjs; only the layers dumped there can
+   be drawn).
+
+   Options:
+     --out <file.png>       where to write the image (required)
+     --layers a,b,c         base layer then overlays (default
+                            biome,relief,feature,river,start)
+     --hex <pixels>         hex size, center to corner (default 6)
+     --list-layers          print the layers and exit
+     --strip <regex>        for a log, as for parse-log.mjs
+   and for a map script, as for run-map.mjs:
+     --size <MAPSIZE_*>     map size (default MAPSIZE_STANDARD)
+     --seed <n>             random seed (default 1)
+     --map-value key=value  value returned by Configuration.getMapValue (repeatable)
+     --verbose              show the script's console output
+*/
+
+import fs from 'node:fs';
+import { runMapScript } from './headless-engine/index.mjs';
+import { renderMap, g_BaseLayers, g_OverlayLayers, g_DefaultLayers } from './map-image/render.mjs';
+import { encodePng } from './map-image/png-encoder.mjs';
+import { parseDumps } from './log-dumps/parse-dumps.mjs';
+
+function parseArgs(argv) {
+    let args = { input: null, out: null, layers: g_DefaultLayers, hexSize: 6, mapSize: 'MAPSIZE_STANDARD', seed: 1, mapValues: {}, quiet: true, listLayers: false, strip: null };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--out': args.out = argv[++i]; break;
+            case '--layers': args.layers = argv[++i].split(','); break;
+            case '--hex': args.hexSize = parseInt(argv[++i], 10); break;
+            case '--size': args.mapSize = argv[++i]; break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--verbose': args.quiet = false; break;
+            case '--list-layers': args.listLayers = true; break;
+            case '--strip': args.strip = new RegExp(argv[++i]); break;
+            case '--map-value': {
+                let [key, value] = argv[++i].split('=');
+                args.mapValues[key] = isNaN(Number(value)) ? value : Number(value);
+                break;
+            }
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.input = arg;
+        }
+    }
+    if (!args.listLayers && (!args.input || !args.out)) {
+        throw new Error('Usage: node Tools/render-map.mjs <map.json | map-script.js | game.log> --out map.png [--layers biome,relief,...] [--hex n]');
+    }
+    if (!(args.hexSize >= 2)) {
+        throw new Error('--hex must be at least 2 pixels');
+    }
+    return args;
+}
+
+let args = parseArgs(process.argv.slice(2));
+if (args.listLayers) {
+    console.log(`Base layers: ${g_BaseLayers.join(', ')}`);
+    console.log(`Overlays: ${g_OverlayLayers.join(', ')}`);
+    process.exit(0);
+}
+
+let map;
+if (args.input.endsWith('.json')) {
+    map = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+} else if (args.input.endsWith('.js')) {
+    map = await runMapScript(args.input, args);
+} else {
+    map = parseDumps(fs.readFileSync(args.input, 'utf8'), { strip: args.strip });
+    for (let warning of map.warnings) {
+        console.warn(`${args.input}: ${warning}`);
+    }
+}
+let image = renderMap(map, { layers: args.layers, hexSize: args.hexSize });
+for (let warning of image.warnings) {
+    console.warn(`${args.input}: ${warning}`);
+}
+fs.writeFileSync(args.out, encodePng(image));
+console.log(`Wrote ${args.out} (${image.width}x${image.height}, ${args.layers.join(', ')})`);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/* run-map.mjs
+   Runs a map script under Node with the headless mock engine.
+
+   Usage:
+     node Tools/run-map.mjs "Working Outputs/earth.js" [options]
+
+   Options:
+     --size <MAPSIZE_*>     map size from GameInfo.Maps (default MAPSIZE_STANDARD)
+     --seed <n>             random seed (default 1)
+     --out <file.json>      write the captured map state as JSON
+     --map-value key=value  value returned by Configuration.getMapValue (repeatable)
+     --civs a,b,c           CivilizationType per player, in player order
+     --replay <file>        regenerate the map from a map recipe: the recipe's
+                            JSON, or a log with its "Map recipe:" line. Sets the
+                            seed, size and map values (--map-value still wins)
+                            and exits with status 1 if the map comes out different
+     --quiet                hide the script's console output
+
+   Exits with status 1 as well if the map statistics report any two regions
+   (the continents or hemispheres the separation stage keeps apart) closer
+   than the ocean separation.
+*/
+
+import fs from 'node:fs';
+import { runMapScript } from './headless-engine/index.mjs';
+
+function parseArgs(argv) {
+    let args = { script: null, mapSize: 'MAPSIZE_STANDARD', seed: 1, out: null, quiet: false, mapValues: {}, civilizations: undefined, replay: null };
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        switch (arg) {
+            case '--size': args.mapSize = argv[++i]; break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--out': args.out = argv[++i]; break;
+            case '--quiet': args.quiet = true; break;
+            case '--civs': args.civilizations = argv[++i].split(','); break;
+            case '--replay': args.replay = readRecipe(argv[++i]); break;
+            case '--map-value': {
+                let [key, value] = argv[++i].split('=');
+                args.mapValues[key] = isNaN(Number(value)) ? value : Number(value);
+                break;
+            }
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.script = arg;
+        }
+    }
+    if (args.replay) {
+        args.seed = args.replay.seed;
+        args.mapSize = args.replay.mapSize;
+        let recorded = Object.entries(args.replay.mapValues ?? {}).filter(([, value]) => value != null);
+        // The replay forces the map values the recipe recorded, so --map-value
+        // goes into the recipe to win over them.
+        let overrides = Object.entries(args.mapValues).filter(([key]) => key in (args.replay.mapValues ?? {}));
+        let forced = { ...args.replay, mapValues: { ...args.replay.mapValues, ...Object.fromEntries(overrides) } };
+        args.mapValues = { ...Object.fromEntries(recorded), ...args.mapValues, MapRecipe: JSON.stringify(forced) };
+    }
+    if (!args.script) {
+        throw new Error('Usage: node Tools/run-map.mjs <map-script.js> [--size MAPSIZE_*] [--seed n] [--out file.json]');
+    }
+    return args;
+}
+
+// A map recipe from a file holding its JSON or a log with its line.
+function readRecipe(file) {
+    let text = fs.readFileSync(file, 'utf8');
+    let iStart = text.lastIndexOf('Map recipe: ');
+    return JSON.parse(iStart == -1 ? text : text.slice(iStart + 'Map recipe: '.length).split('\n')[0]);
+}
+
+//────────────────────────────────────────────────────────────
+// One-paragraph summary so a run can be eyeballed without opening the JSON.
+function summarize(result) {
+    let iLand = result.plots.terrain.filter(t => t != 'TERRAIN_OCEAN' && t != 'TERRAIN_COAST').length;
+    let iTotal = result.width * result.height;
+    console.log(`${result.mapSize} ${result.width}x${result.height}, seed ${result.seed}`);
+    console.log(`Land: ${iLand}/${iTotal} plots (${(100 * iLand / iTotal).toFixed(1)}%)`);
+    console.log(`Start positions: ${result.startPositions.map(s => `${s.civilization}@(${s.x},${s.y})`).join(', ') || 'none'}`);
+    console.log(`Checksum: ${result.recipe?.checksum ?? 'none'}`);
+}
+
+let args = parseArgs(process.argv.slice(2));
+let result = await runMapScript(args.script, args);
+summarize(result);
+if (args.replay) {
+    let bSame = result.recipe?.checksum == args.replay.checksum && result.recipe?.randomHash == args.replay.randomHash;
+    console.log(bSame ? 'Replay: identical map' : `Replay: different map (checksum ${args.replay.checksum} recorded)`);
+    if (!bSame) {
+        process.exitCode = 1;
+    }
+}
+for (let violation of result.statistics?.separation?.violations ?? []) {
+    console.log(`Separation: ${violation.regions.join(' and ')} are only ${violation.gap} water tiles apart (${result.statistics.separation.minGap} required)`);
+    process.exitCode = 1;
+}
+if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(result));
+    console.log(`Wrote ${args.out}`);
+}
@@ -0,0 +1,360 @@
+/* archipelago.js
+   An archipelago: each hemisphere is a sea of islands rather than one
+   continent. The land is grown island by island instead of being cut from a
+   single fractal, in four passes per hemisphere:
+
+     1. Home islands – one in every chosen start sector, g_HomeIslandShare of
+        the sector's plots, so each of the PlayersLandmass1 (West) and
+        PlayersLandmass2 (East) players has an island big enough to settle.
+     2. Volcanic arcs – strings of small islands along a circular arc, each
+        one a volcano with a little land around it.
+     3. Atolls – rings of land around a shallow lagoon, with one gap in the
+        ring as a pass to the open sea. Lagoons get reefs.
+     4. Scattered islands – sizes drawn from g_IslandSizeClasses until the
+        hemisphere is g_LandPercent land.
+
+   Each island grows plot by plot, preferring plots that are high on a
+   fractal. Every size class grows over a fractal of its own grain (3 for the
+   big islands up to 6 for the smallest, the sizes the base game's
+   archipelago layers), so big islands come out broad and lobed and small
+   ones ragged. Islands always keep a water plot between one another.
+
+   All islands stay inside the continent boxes, whose ocean gaps keep West
+   and East eight tiles apart (wrap included); the pipeline's separation
+   stage checks that anyway. Every plot gets its hemisphere's landmass tags,
+   and every island other than a home island is tagged PLOT_TAG_ISLAND.
+*/
+
+console.log("Generating using script archipelago.js");
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { registerMapScript } from './map-pipeline.js';
+import { getAdjacentPlot, getSpiral, plotToPoint, pointToPlot } from './hex-geometry.js';
+
+// Share of a start sector's plots its home island covers (the homeIslandShare
+// tunable), and the least a home island may have.
+const g_HomeIslandShare = 0.3;
+const g_MinHomeIslandSize = 20;
+
+// Land, as a percentage of each continent box, the scattered islands fill up
+// to (the landPercent tunable), less g_SeaLevelStep per step of the SeaLevel
+// option.
+const g_LandPercent = 32;
+const g_SeaLevelStep = 4;
+
+// Scattered island sizes: plots from min to max, chosen with the given
+// weight, grown over a fractal of the given grain.
+const g_IslandSizeClasses = [
+    { min: 1, max: 2, weight: 35, grain: 6 },
+    { min: 3, max: 6, weight: 35, grain: 5 },
+    { min: 7, max: 14, weight: 20, grain: 4 },
+    { min: 15, max: 30, weight: 10, grain: 3 },
+];
+
+// One volcanic arc per this many plots of continent box (at least one), and
+// the distance between the volcanoes along it.
+const g_PlotsPerArc = 900;
+const g_ArcSpacing = 3;
+
+// One atoll per this many plots of continent box (at least two).
+const g_PlotsPerAtoll = 400;
+
+//────────────────────────────────────────────────────────────
+// The islands grown so far. island[y * width + x] is the id of the island a
+// plot belongs to (lagoons and passes included), or -1 for open water.
+function createArchipelago(map) {
+    return {
+        land: new Uint8Array(map.iWidth * map.iHeight),
+        island: new Int32Array(map.iWidth * map.iHeight).fill(-1),
+        islands: [],
+        peaks: [],
+        lagoons: []
+    };
+}
+
+// The fractal of each grain, normalized to 0..1.
+function createGrainHeights(map) {
+    let heights = new Map();
+    for (let iGrain = 3; iGrain <= 6; iGrain++) {
+        FractalBuilder.create(globals.g_LandmassFractal, map.iWidth, map.iHeight, iGrain, 0);
+        let fLow = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 0);
+        let fHigh = Math.max(fLow + 1, FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 100));
+        let fHeights = new Float32Array(map.iWidth * map.iHeight);
+        for (let iY = 0; iY < map.iHeight; iY++) {
+            for (let iX = 0; iX < map.iWidth; iX++) {
+                fHeights[iY * map.iWidth + iX] = (FractalBuilder.getHeight(globals.g_LandmassFractal, iX, iY) - fLow) / (fHigh - fLow);
+            }
+        }
+        heights.set(iGrain, fHeights);
+    }
+    return heights;
+}
+
+// Boxes are half-open, as everywhere in the pipeline (map-pipeline.js).
+function isInBox(box, iX, iY) {
+    return iX >= box.west && iX < box.east && iY >= box.south && iY < box.north;
+}
+
+function randomPlotInBox(box, iMargin, label) {
+    let iWidth = Math.max(1, box.east - box.west - 2 * iMargin);
+    let iHeight = Math.max(1, box.north - box.south - 2 * iMargin);
+    return {
+        x: box.west + iMargin + TerrainBuilder.getRandomNumber(iWidth, label + " X"),
+        y: box.south + iMargin + TerrainBuilder.getRandomNumber(iHeight, label + " Y")
+    };
+}
+
+// A plot island iIsland may take: in the box, unclaimed, and not next to any
+// other island.
+function canGrowInto(map, archipelago, box, location, iIsland) {
+    if (location == null || !isInBox(box, location.x, location.y) ||
+        archipelago.island[location.y * map.iWidth + location.x] != -1) {
+        return false;
+    }
+    for (let iDirection = 0; iDirection < DirectionTypes.NUM_DIRECTION_TYPES; iDirection++) {
+        let adjacent = getAdjacentPlot(location.x, location.y, iDirection, map.iWidth, map.iHeight);
+        if (adjacent) {
+            let iOther = archipelago.island[adjacent.y * map.iWidth + adjacent.x];
+            if (iOther != -1 && iOther != iIsland) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+function claimPlot(map, archipelago, island, location, bLand) {
+    let iIndex = location.y * map.iWidth + location.x;
+    archipelago.island[iIndex] = island.id;
+    if (bLand) {
+        archipelago.land[iIndex] = 1;
+        island.plots.push(iIndex);
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Grow an island of up to iSize plots from seed. Of a few random plots next
+// to the island, each step takes the one highest on the fractal. Returns the
+// island, or null if the seed itself is taken.
+function growIsland(map, archipelago, box, seed, iSize, fHeights, kind) {
+    let island = { id: archipelago.islands.length, kind, plots: [] };
+    if (!canGrowInto(map, archipelago, box, seed, island.id)) {
+        return null;
+    }
+    archipelago.islands.push(island);
+    claimPlot(map, archipelago, island, seed, true);
+    let frontier = [seed];
+    for (let iStep = 0; island.plots.length < iSize && frontier.length > 0 && iStep < iSize * 30; iStep++) {
+        let best = null;
+        let fBest = -1;
+        let from = null;
+        for (let iTry = 0; iTry < 3; iTry++) {
+            from = frontier[TerrainBuilder.getRandomNumber(frontier.length, "Island Growth")];
+            let next = getAdjacentPlot(from.x, from.y, TerrainBuilder.getRandomNumber(DirectionTypes.NUM_DIRECTION_TYPES, "Island Direction"), map.iWidth, map.iHeight);
+            if (canGrowInto(map, archipelago, box, next, island.id) && fHeights[next.y * map.iWidth + next.x] > fBest) {
+                best = next;
+                fBest = fHeights[next.y * map.iWidth + next.x];
+            }
+        }
+        if (best == null) {
+            // A plot that cannot grow any further stops being tried.
+            if (TerrainBuilder.getRandomNumber(4, "Island Frontier") == 0) {
+                frontier.splice(frontier.indexOf(from), 1);
+            }
+            continue;
+        }
+        claimPlot(map, archipelago, island, best, true);
+        frontier.push(best);
+    }
+    return island;
+}
+
+//────────────────────────────────────────────────────────────
+// One home island in the middle of each chosen start sector of the hemisphere.
+function growHomeIslands(map, archipelago, continent, heights) {
+    let west = map.westContinent;
+    let iSectorsPerContinent = map.iStartSectorRows * map.iStartSectorCols;
+    let iFirst = continent.continent * iSectorsPerContinent;
+    let iSmallest = Number.MAX_SAFE_INTEGER;
+    for (let iSector = iFirst; iSector < iFirst + iSectorsPerContinent; iSector++) {
+        if (!map.startSectors[iSector]) {
+            continue;
+        }
+        let region = utilities.getSectorRegion(iSector, map.iStartSectorRows, map.iStartSectorCols,
+            west.south, west.north, west.west, west.east, map.eastContinent.west);
+        // Shrink the sector by a plot all round so neighbouring home islands stay apart.
+        let box = {
+            west: Math.max(region.west + 1, continent.west),
+            east: Math.min(region.east - 1, continent.east),
+            south: Math.max(region.south + 1, continent.south),
+            north: Math.min(region.north - 1, continent.north)
+        };
+        let iSize = Math.max(g_MinHomeIslandSize, Math.floor((region.east - region.west) * (region.north - region.south) * map.tunables.homeIslandShare));
+        let seed = { x: Math.floor((box.west + box.east) / 2), y: Math.floor((box.south + box.north) / 2) };
+        let island = growIsland(map, archipelago, box, seed, iSize, heights.get(3), "home");
+        let iPlots = island?.plots.length ?? 0;
+        if (iPlots < iSize * 2 / 3) {
+            console.log("Archipelago: the home island in sector " + iSector + " only has " + iPlots + " of " + iSize + " plots");
+        }
+        iSmallest = Math.min(iSmallest, iPlots);
+    }
+    return iSmallest;
+}
+
+// A string of small volcanic islands along a circular arc. Returns the
+// number of volcanoes placed.
+function growVolcanicArc(map, archipelago, continent, heights) {
+    let iBoxHeight = continent.north - continent.south;
+    let fRadius = iBoxHeight * (30 + TerrainBuilder.getRandomNumber(20, "Arc Radius")) / 100;
+    // Pick the middle of the arc inside the box; the center of its circle may be outside.
+    let middle = randomPlotInBox(continent, 2, "Arc Middle");
+    let fFacing = TerrainBuilder.getRandomNumber(360, "Arc Facing") * Math.PI / 180;
+    let fSpan = (60 + TerrainBuilder.getRandomNumber(60, "Arc Span")) * Math.PI / 180;
+    let fStart = fFacing - fSpan / 2;
+    // The circle is laid out in plot space (hex-geometry.js), so the arc is round.
+    let middlePoint = plotToPoint(middle.x, middle.y);
+    let center = {
+        x: middlePoint.x - fRadius * Math.cos(fFacing),
+        y: middlePoint.y - fRadius * Math.sin(fFacing)
+    };
+    let iSteps = Math.max(2, Math.floor(fRadius * fSpan / g_ArcSpacing));
+    let iVolcanoes = 0;
+    for (let iStep = 0; iStep <= iSteps; iStep++) {
+        let fAngle = fStart + fSpan * iStep / iSteps;
+        let seed = pointToPlot(center.x + fRadius * Math.cos(fAngle), center.y + fRadius * Math.sin(fAngle), map.iWidth);
+        let iSize = 1 + TerrainBuilder.getRandomNumber(3, "Arc Island Size");
+        let island = growIsland(map, archipelago, continent, seed, iSize, heights.get(6), "arc");
+        if (island != null) {
+            archipelago.peaks.push(island.plots[0]);
+            iVolcanoes++;
+        }
+    }
+    return iVolcanoes;
+}
+
+// A ring of land iRadius plots from a lagoon, less one plot for the pass.
+// Returns whether it fit.
+function growAtoll(map, archipelago, continent) {
+    let iRadius = 1 + TerrainBuilder.getRandomNumber(2, "Atoll Radius");
+    let center = randomPlotInBox(continent, iRadius + 1, "Atoll");
+    let island = { id: archipelago.islands.length, kind: "atoll", plots: [] };
+    let ring = [];
+    let lagoon = [];
+    for (let plot of getSpiral(center.x, center.y, iRadius, map.iWidth, map.iHeight)) {
+        if (!canGrowInto(map, archipelago, continent, plot, island.id)) {
+            return false;
+        }
+        (plot.ring == iRadius ? ring : lagoon).push({ x: plot.x, y: plot.y });
+    }
+    archipelago.islands.push(island);
+    let iPass = TerrainBuilder.getRandomNumber(ring.length, "Atoll Pass");
+    ring.forEach((location, i) => claimPlot(map, archipelago, island, location, i != iPass));
+    lagoon.forEach(location => claimPlot(map, archipelago, island, location, false));
+    archipelago.lagoons.push(...lagoon);
+    return true;
+}
+
+// Islands drawn from g_IslandSizeClasses until the box is landPercent land.
+// Returns the number grown.
+function growScatteredIslands(map, archipelago, continent, heights) {
+    let iArea = (continent.east - continent.west) * (continent.north - continent.south);
+    let iTarget = Math.floor(iArea * map.tunables.landPercent / 100);
+    let iLand = 0;
+    for (let iY = continent.south; iY < continent.north; iY++) {
+        for (let iX = continent.west; iX < continent.east; iX++) {
+            iLand += archipelago.land[iY * map.iWidth + iX];
+        }
+    }
+    let iTotalWeight = g_IslandSizeClasses.reduce((iSum, sizeClass) => iSum + sizeClass.weight, 0);
+    let iGrown = 0;
+    for (let iTry = 0; iLand < iTarget && iTry < iArea / 2; iTry++) {
+        let iRoll = TerrainBuilder.getRandomNumber(iTotalWeight, "Island Class");
+        let sizeClass = g_IslandSizeClasses.find(candidate => (iRoll -= candidate.weight) < 0);
+        let iSize = sizeClass.min + TerrainBuilder.getRandomNumber(sizeClass.max - sizeClass.min + 1, "Island Size");
+        let island = growIsland(map, archipelago, continent, randomPlotInBox(continent, 0, "Island"), iSize, heights.get(sizeClass.grain), "scattered");
+        if (island != null) {
+            iLand += island.plots.length;
+            iGrown++;
+        }
+    }
+    return iGrown;
+}
+
+//────────────────────────────────────────────────────────────
+// The landmass stage: grow each hemisphere's islands, then write them to
+// the map.
+function growArchipelago(map) {
+    let archipelago = createArchipelago(map);
+    let heights = createGrainHeights(map);
+    for (let continent of [map.westContinent, map.eastContinent]) {
+        let iArea = (continent.east - continent.west) * (continent.north - continent.south);
+        let iSmallestHome = growHomeIslands(map, archipelago, continent, heights);
+        let iArcs = Math.max(1, Math.round(iArea / g_PlotsPerArc));
+        let iVolcanoes = 0;
+        for (let i = 0; i < iArcs; i++) {
+            iVolcanoes += growVolcanicArc(map, archipelago, continent, heights);
+        }
+        let iAtolls = 0;
+        let iWanted = Math.max(2, Math.round(iArea / g_PlotsPerAtoll));
+        for (let iTry = 0; iTry < iWanted * 10 && iAtolls < iWanted; iTry++) {
+            iAtolls += growAtoll(map, archipelago, continent) ? 1 : 0;
+        }
+        let iScattered = growScatteredIslands(map, archipelago, continent, heights);
+        console.log("Archipelago " + (continent.continent == 0 ? "West" : "East") + ": smallest home island " + iSmallestHome +
+            " plots, " + iArcs + " arcs with " + iVolcanoes + " volcanoes, " + iAtolls + " atolls, " + iScattered + " other islands");
+    }
+
+    for (let island of archipelago.islands) {
+        for (let iIndex of island.plots) {
+            let iX = iIndex % map.iWidth;
+            let iY = Math.floor(iIndex / map.iWidth);
+            TerrainBuilder.setTerrainType(iX, iY, globals.g_FlatTerrain);
+            utilities.addLandmassPlotTags(iX, iY, map.eastContinent.west);
+            if (island.kind != "home") {
+                TerrainBuilder.addPlotTag(iX, iY, PlotTags.PLOT_TAG_ISLAND);
+            }
+        }
+    }
+    for (let iIndex of archipelago.peaks) {
+        TerrainBuilder.setTerrainType(iIndex % map.iWidth, Math.floor(iIndex / map.iWidth), globals.g_MountainTerrain);
+    }
+    let iLand = archipelago.land.reduce((iSum, iLandPlot) => iSum + iLandPlot, 0);
+    console.log("Archipelago: " + archipelago.islands.length + " islands, " + iLand + " land plots (" +
+        (100 * iLand / (map.iWidth * map.iHeight)).toFixed(1) + "%)");
+    map.archipelago = archipelago;
+}
+
+// The arc peaks become volcanoes, whatever the volcano stage chose elsewhere.
+function addArcVolcanoes(map) {
+    for (let iIndex of map.archipelago.peaks) {
+        let iX = iIndex % map.iWidth;
+        let iY = Math.floor(iIndex / map.iWidth);
+        if (GameplayMap.isMountain(iX, iY) && GameplayMap.getFeatureType(iX, iY) == FeatureTypes.NO_FEATURE) {
+            TerrainBuilder.setFeatureType(iX, iY, { Feature: globals.g_VolcanoFeature, Direction: -1, Elevation: 0 });
+        }
+    }
+}
+
+function addLagoonReefs(map) {
+    let iReef = GameInfo.Features.lookup("FEATURE_REEF").$index;
+    for (let location of map.archipelago.lagoons) {
+        if (TerrainBuilder.canHaveFeature(location.x, location.y, iReef)) {
+            TerrainBuilder.setFeatureType(location.x, location.y, { Feature: iReef, Direction: -1, Elevation: 0 });
+        }
+    }
+}
+
+registerMapScript({
+    name: "Archipelago map",
+    file: "archipelago.js",
+    landmass: growArchipelago,
+    rivers: { minLength: 3, maxLength: 10 },
+    tunables: (mapOptions) => ({
+        homeIslandShare: g_HomeIslandShare,
+        landPercent: g_LandPercent - mapOptions.SeaLevel * g_SeaLevelStep
+    }),
+    hooks: { after: { volcanoes: addArcVolcanoes, features: addLagoonReefs } }
+});
+
+console.log("Loaded archipelago.js");
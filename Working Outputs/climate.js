@@ -0,0 +1,273 @@
+/* climate.js
+   The pipeline's rainfall and biome stages: a small climate model in place
+   of the engine's latitude-driven rainfall.
+
+   Temperature starts from latitude, cools with elevation, and is pushed up
+   or down near coasts by ocean currents. Warm currents run along the east
+   coasts of landmasses and the west coasts at high latitudes (the Gulf
+   Stream and the North Atlantic Drift); cold ones along the west coasts in
+   the subtropics (the California, Humboldt and Benguela currents).
+
+   Rain is carried by the prevailing wind of each latitude band: trade winds
+   from the east up to 30°, westerlies from the west up to 60°, polar
+   easterlies beyond. Each row is swept downwind. Over water the air picks up
+   moisture, more when it is warm (a cold current gives little); over land
+   part of it rains out, more on hills and mountains, and some is given
+   back. A cold current also dries the coast beside it and a warm one wets
+   it. Downwind of a mountain the rain shadow takes g_RainShadowDrop off
+   the rainfall, g_RainShadowIncreasePerHex less for every plot further on.
+   The large-scale circulation adds rain under the equatorial convergence
+   zone and takes it away under the subtropical highs.
+
+   So deserts come out where Earth has them: on the west coasts of the
+   subtropics, where the trade winds arrive dry after crossing the land and
+   the cold current offshore gives nothing, in continental interiors, and in
+   the lee of mountain ranges.
+
+   The Rainfall and Temperature map options come in as the pipeline's
+   rainfallPercent and temperatureOffset tunables: every land plot's rain is
+   scaled by the one, and every plot's temperature shifted by the other.
+
+   buildClimate() writes the rainfall with TerrainBuilder.setRainfall and
+   returns { temperature, current } per plot, which the pipeline keeps as
+   map.climate; designateClimateBiomes() reads that temperature and the
+   rainfall back from GameplayMap (so anything a script changes in between
+   counts) to choose each plot's biome.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { forEachAdjacentPlot } from './hex-geometry.js';
+
+// Prevailing wind by latitude band: +1 blows toward the east.
+const g_WindBands = [
+    { maxLatitude: 30, iDirection: -1 },
+    { maxLatitude: 60, iDirection: 1 },
+    { maxLatitude: 90, iDirection: -1 },
+];
+
+// Share of the gap to saturation the air picks up over each water plot, the
+// share of its moisture that rains out over each land plot (more on hills
+// and mountains), and the share of that rain the land gives back.
+const g_OceanEvaporation = 0.3;
+const g_LandRainout = 0.15;
+const g_HillRainout = 0.25;
+const g_MountainRainout = 0.4;
+const g_LandRecycling = 0.6;
+
+// Rainfall per unit of moisture rained out, and the circulation's own
+// adjustments by latitude band.
+const g_RainfallScale = 8;
+const g_Circulation = [
+    { maxLatitude: 12, iRainfall: 30 },    // equatorial convergence zone
+    { maxLatitude: 18, iRainfall: 0 },
+    { maxLatitude: 35, iRainfall: -35 },   // subtropical highs
+    { maxLatitude: 45, iRainfall: 0 },
+    { maxLatitude: 60, iRainfall: 15 },    // mid-latitude storm track
+    { maxLatitude: 90, iRainfall: -20 },
+];
+
+// How far from a coast a current runs, how much warmer or colder it is, and
+// the rainfall it adds to (or takes from) the coast beside it per degree.
+const g_CurrentReach = 5;
+const g_WarmCurrent = 4;
+const g_ColdCurrent = -5;
+const g_CurrentRainfall = 8;
+
+// Cooling per unit of elevation.
+const g_LapseRate = 0.005;
+
+// Biome thresholds: below g_TundraTemperature it is tundra; hot and dry is
+// desert; hot and wet tropical; warm plains; cool grassland, or plains if
+// dry. Rivers count as g_RiverRainfall more rain.
+const g_TundraTemperature = 0;
+const g_DesertTemperature = 10;
+const g_DesertRainfall = 55;
+const g_TropicalTemperature = 20;
+const g_TropicalRainfall = 110;
+const g_PlainsTemperature = 14;
+const g_SteppeRainfall = 60;
+const g_RiverRainfall = 30;
+
+//────────────────────────────────────────────────────────────
+// Mean temperature at sea level, in °C: about 27 at the equator, 19 at 30°,
+// 10 at 45° and just below freezing at 60°.
+function latitudeTemperature(iLatitude) {
+    let fLatitude = Math.abs(iLatitude);
+    return 27 - 0.05 * fLatitude - 0.007 * fLatitude * fLatitude;
+}
+
+function bandFor(bands, iLatitude) {
+    let iAbsLatitude = Math.abs(iLatitude);
+    return bands.find(band => iAbsLatitude <= band.maxLatitude) ?? bands[bands.length - 1];
+}
+
+// Moisture saturated air holds at a temperature.
+function saturation(fTemperature) {
+    return 40 + 4 * Math.max(0, fTemperature);
+}
+
+// Temperature anomaly of the current along each water plot near a coast:
+// land within g_CurrentReach to the west means an east coast, to the east a
+// west coast (whichever is closer).
+function findCurrents(map) {
+    let current = new Float32Array(map.iWidth * map.iHeight);
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        let iLatitude = Math.abs(GameplayMap.getPlotLatitude(0, iY));
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (!GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            let iToWest = Infinity;
+            let iToEast = Infinity;
+            for (let iDistance = 1; iDistance <= g_CurrentReach; iDistance++) {
+                if (iToWest == Infinity && !GameplayMap.isWater((iX - iDistance + map.iWidth) % map.iWidth, iY)) {
+                    iToWest = iDistance;
+                }
+                if (iToEast == Infinity && !GameplayMap.isWater((iX + iDistance) % map.iWidth, iY)) {
+                    iToEast = iDistance;
+                }
+            }
+            if (iToWest == Infinity && iToEast == Infinity) {
+                continue;
+            }
+            let fFade = 1 - (Math.min(iToWest, iToEast) - 1) / g_CurrentReach;
+            if (iToWest < iToEast) {
+                current[iY * map.iWidth + iX] = fFade * (iLatitude < 50 ? g_WarmCurrent : g_ColdCurrent / 2);
+            } else if (iLatitude > 10 && iLatitude < 45) {
+                current[iY * map.iWidth + iX] = fFade * g_ColdCurrent;
+            } else if (iLatitude >= 45) {
+                current[iY * map.iWidth + iX] = fFade * g_WarmCurrent * 3 / 4;
+            }
+        }
+    }
+    return current;
+}
+
+// Temperature per plot, and for coastal land the mean anomaly of the
+// currents beside it.
+function findTemperatures(map, current) {
+    let temperature = new Float32Array(map.iWidth * map.iHeight);
+    let coastal = new Float32Array(map.iWidth * map.iHeight);
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        let fBase = latitudeTemperature(GameplayMap.getPlotLatitude(0, iY)) + map.tunables.temperatureOffset;
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let iIndex = iY * map.iWidth + iX;
+            if (GameplayMap.isWater(iX, iY)) {
+                temperature[iIndex] = fBase + current[iIndex];
+                continue;
+            }
+            // Coastal land is half as far off as the currents beside it.
+            let fCoastal = 0;
+            let iWaterNeighbours = 0;
+            forEachAdjacentPlot(iX, iY, (iAdjX, iAdjY) => {
+                if (GameplayMap.isWater(iAdjX, iAdjY)) {
+                    fCoastal += current[iAdjY * map.iWidth + iAdjX];
+                    iWaterNeighbours++;
+                }
+            }, map.iWidth, map.iHeight);
+            if (iWaterNeighbours > 0) {
+                coastal[iIndex] = fCoastal / iWaterNeighbours;
+            }
+            temperature[iIndex] = fBase + coastal[iIndex] / 2 - GameplayMap.getElevation(iX, iY) * g_LapseRate;
+        }
+    }
+    return { temperature, coastal };
+}
+
+// Sweep one row downwind, twice round so the air arriving at the first plot
+// has already crossed the rest of the row. Returns the rain per plot.
+function sweepRow(map, iY, temperature) {
+    let iDirection = bandFor(g_WindBands, GameplayMap.getPlotLatitude(0, iY)).iDirection;
+    let rain = new Float32Array(map.iWidth);
+    let shadow = new Int32Array(map.iWidth);
+    let fMoisture = 0;
+    let iShadowDistance = 0;
+    for (let iStep = 0; iStep < 2 * map.iWidth; iStep++) {
+        let iX = ((iDirection > 0 ? iStep : -iStep) % map.iWidth + map.iWidth) % map.iWidth;
+        let iIndex = iY * map.iWidth + iX;
+        let bRecord = iStep >= map.iWidth;
+        if (GameplayMap.isWater(iX, iY)) {
+            fMoisture += (saturation(temperature[iIndex]) - fMoisture) * g_OceanEvaporation;
+            iShadowDistance = 0;
+            continue;
+        }
+        let fRainout = GameplayMap.isMountain(iX, iY) ? g_MountainRainout :
+            GameplayMap.getTerrainType(iX, iY) == globals.g_HillTerrain ? g_HillRainout : g_LandRainout;
+        let fRain = fMoisture * fRainout;
+        fMoisture -= fRain * (1 - g_LandRecycling);
+        if (bRecord) {
+            rain[iX] = fRain;
+            shadow[iX] = iShadowDistance;
+        }
+        if (GameplayMap.isMountain(iX, iY)) {
+            iShadowDistance = 1;
+        } else if (iShadowDistance > 0) {
+            iShadowDistance++;
+        }
+    }
+    return { rain, shadow };
+}
+
+//────────────────────────────────────────────────────────────
+// The rainfall stage. Writes every land plot's rainfall and returns the
+// climate (temperature and current per plot) for the biome stage.
+export function buildClimate(map) {
+    let current = findCurrents(map);
+    let { temperature, coastal } = findTemperatures(map, current);
+    let iMinRainfall = Infinity;
+    let iMaxRainfall = 0;
+    let iLandPlots = 0;
+    let iTotalRainfall = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        let { rain, shadow } = sweepRow(map, iY, temperature);
+        let iCirculation = bandFor(g_Circulation, GameplayMap.getPlotLatitude(0, iY)).iRainfall;
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            let iIndex = iY * map.iWidth + iX;
+            let iRainfall = Math.round(rain[iX] * g_RainfallScale + coastal[iIndex] * g_CurrentRainfall) + iCirculation;
+            if (GameplayMap.isMountain(iX, iY)) {
+                iRainfall += globals.g_MountainTopIncrease;
+            } else if (shadow[iX] > 0) {
+                iRainfall += Math.min(0, globals.g_RainShadowDrop + globals.g_RainShadowIncreasePerHex * shadow[iX]);
+            }
+            iRainfall = Math.max(0, Math.round(iRainfall * map.tunables.rainfallPercent / 100));
+            TerrainBuilder.setRainfall(iX, iY, iRainfall);
+            iMinRainfall = Math.min(iMinRainfall, iRainfall);
+            iMaxRainfall = Math.max(iMaxRainfall, iRainfall);
+            iTotalRainfall += iRainfall;
+            iLandPlots++;
+        }
+    }
+    let iWarm = current.filter(fAnomaly => fAnomaly > 0).length;
+    let iCold = current.filter(fAnomaly => fAnomaly < 0).length;
+    console.log("Climate: land rainfall " + iMinRainfall + " to " + iMaxRainfall + " (mean " +
+        Math.round(iTotalRainfall / Math.max(1, iLandPlots)) + "); " + iWarm + " water plots on warm currents, " + iCold + " on cold");
+    return { temperature, current };
+}
+
+// The biome stage: temperature and rainfall instead of latitude alone.
+export function designateClimateBiomes(map, climate) {
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                TerrainBuilder.setBiomeType(iX, iY, globals.g_MarineBiome);
+                continue;
+            }
+            let fTemperature = climate.temperature[iY * map.iWidth + iX];
+            let iRainfall = GameplayMap.getRainfall(iX, iY) + (GameplayMap.isRiver(iX, iY) ? g_RiverRainfall : 0);
+            let biome = globals.g_GrasslandBiome;
+            if (fTemperature < g_TundraTemperature) {
+                biome = globals.g_TundraBiome;
+            } else if (fTemperature >= g_DesertTemperature && iRainfall < g_DesertRainfall) {
+                biome = globals.g_DesertBiome;
+            } else if (fTemperature >= g_TropicalTemperature && iRainfall >= g_TropicalRainfall) {
+                biome = globals.g_TropicalBiome;
+            } else if (fTemperature >= g_PlainsTemperature || iRainfall < g_SteppeRainfall) {
+                biome = globals.g_PlainsBiome;
+            }
+            TerrainBuilder.setBiomeType(iX, iY, biome);
+        }
+    }
+}
@@ -20,16 +20,10 @@ console.log("Generating using script EarthLike.js");
 
 import * as utilities from '/base-standard/maps/map-utilities.js';
 import * as globals from '/base-standard/maps/map-globals.js';
-import { assignStartPositions, chooseStartSectors } from '/base-standard/maps/assign-starting-plots.js';
-import { addMountains, addHills, expandCoasts, buildRainfallMap, generateLakes } from '/base-standard/maps/elevation-terrain-generator.js';
-import { addFeatures, designateBiomes } from '/base-standard/maps/feature-biome-generator.js';
-import { addNaturalWonders } from '/base-standard/maps/natural-wonder-generator.js';
-import { generateResources } from '/base-standard/maps/resource-generator.js';
-import { addVolcanoes } from '/base-standard/maps/volcano-generator.js';
-import { assignAdvancedStartRegions } from '/base-standard/maps/assign-advanced-start-region.js';
-import { generateDiscoveries } from '/base-standard/maps/discovery-generator.js';
-import { generateSnow, dumpPermanentSnow } from '/base-standard/maps/snow-generator.js';
-import { dumpStartSectors, dumpContinents, dumpTerrain, dumpElevation, dumpRainfall, dumpBiomes, dumpFeatures, dumpResources, dumpNoisePredicate } from '/base-standard/maps/map-debug-helpers.js';
+import { registerMapScript } from './map-pipeline.js';
+import { withTectonics } from './plate-tectonics.js';
+import { enforceLandmassSeparation } from './landmass-separation.js';
+import { readMapOption } from './map-options.js';
 
 
 /* 
@@ -49,81 +43,37 @@ function requestMapData(initParams) {
 }
 
 
+
 /* 
-  Function: generateMap
-  -----------------------
-  This is the primary entry–point to generate our Earth–like map.
+  Function: carveContinents
+  -------------------------
+  The landmass stage of our Earth–like map; map-pipeline.js runs everything else.
   
-  Key steps in this function:
-    1. Retrieve map dimensions and map–size key from GameInfo.Maps.
-    2. Define continent boundaries so that two large, irregular landmasses are created:
+  Key steps:
+    1. The pipeline has already defined the continent boundaries, so that two large, irregular landmasses are created:
          - West continent: from the left margin to just before a central 8–tile–wide ocean gap.
          - East continent: from just after that gap to the right margin.
-    3. Initialize the map entirely with ocean and clear any plot tags.
-    4. For each continent region, use two fractal passes:
+       and initialized the map entirely with ocean, with all plot tags cleared.
+    2. For each continent region, use two fractal passes:
          • The primary pass “paints” broad land regions by using a lowered water threshold. (Note: To yield more land overall,
            the threshold is set to 20% water rather than 30%.)
          • The secondary pass refines the coastline by converting some of the land back to water, producing natural bays and inlets.
-    5. Then, standard engine calls are made:
+    3. Then the pipeline's standard stages run:
+         • Enforce the 8–tile separation between every pair of continents, including around the East/West wrap.
+           The central gap, the side margins across the seam and the straits are all at least the ocean separation
+           wide by construction, so the repair pass only has work to do when the options narrow them.
          • Expand the coasts and set proper plot tags.
          • Recalculate areas and stamp continents.
-         • Add mountains, hills, volcanoes, build elevation and rainfall maps and model rivers.
+         • Add mountains, hills, volcanoes, lakes, build elevation and rainfall maps and model rivers.
          • Designate biomes, add natural wonders, floodplains, features, and resources.
          • Finally, assign starting positions and reveal discoveries.
   
   This process adheres to the required ground–rules while ensuring that our continents remain distinctly separated 
   by an 8–tile–wide barrier of ocean.
 */
-function generateMap() {
-    console.log("Generating Earth–like map...");
-
-    // Retrieve primary map dimensions and map–size info.
-    let iWidth   = GameplayMap.getGridWidth();
-    let iHeight  = GameplayMap.getGridHeight();
-    let uiMapSize = GameplayMap.getMapSize();
-    let startPositions = [];
-    let mapInfo  = GameInfo.Maps.lookup(uiMapSize);
-    if (mapInfo == null)
-        return;
-
-    /* 
-      Define the separation gap: Enforce an 8–tile–wide band of ocean (oceanBuffer) in the center of the map.
-      This guarantees that the two continents (West and East) are distinctly separated.
-    */
-    let oceanBuffer = 8;
-    let gapStart = Math.floor(iWidth / 2) - Math.floor(oceanBuffer / 2);
-    let gapEnd   = gapStart + oceanBuffer - 1;
-    
-    /*
-      Define continent boundaries using global parameters for polar water rows and side ocean columns.
-      WestContinent extends from the left margin (globals.g_OceanWaterColumns) to just before the gap.
-      EastContinent extends from just after the gap to the right margin.
-    */
-    let westContinent = {
-        west:  globals.g_OceanWaterColumns,
-        east:  gapStart - 1,
-        south: globals.g_PolarWaterRows,
-        north: iHeight - globals.g_PolarWaterRows,
-        continent: 0
-    };
-    let eastContinent = {
-        west: gapEnd + 1,
-        east: iWidth - globals.g_OceanWaterColumns,
-        south: globals.g_PolarWaterRows,
-        north: iHeight - globals.g_PolarWaterRows,
-        continent: 1
-    };
-
-    /* 
-      Initialize the entire map as ocean and clear all plot tags.
-      This guarantees we start from a “water–world” before carving the land.
-    */
-    for (let y = 0; y < iHeight; y++) {
-        for (let x = 0; x < iWidth; x++) {
-            TerrainBuilder.setTerrainType(x, y, globals.g_OceanTerrain);
-            TerrainBuilder.setPlotTag(x, y, PlotTags.PLOT_TAG_NONE);
-        }
-    }
+function carveContinents(map) {
+    let iWidth = map.iWidth;
+    let iHeight = map.iHeight;
 
     /* 
       Helper Function: createContinent
@@ -136,146 +86,138 @@ function generateMap() {
     */
     function createContinent(continent) {
         // Primary fractal pass for broad land formation.
-        let fractalSizePrimary = 3;  // Moderate fractal size for sweeping landmass formation.
+        let fractalSizePrimary = map.tunables.fractalSize;  // Moderate fractal size for sweeping landmass formation.
         FractalBuilder.create(globals.g_LandmassFractal, iWidth, iHeight, fractalSizePrimary, 0);
-        let landWaterPercent = 20;   // Lower water percentage (20%) to provide a boost to land availability.
+        let landWaterPercent = map.tunables.waterPercent;   // Lower water percentage (20%) to provide a boost to land availability.
         let waterThresholdPrimary = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, landWaterPercent);
 
-        for (let y = continent.south; y <= continent.north; y++) {
-            for (let x = continent.west; x <= continent.east; x++) {
+        for (let y = continent.south; y < continent.north; y++) {
+            for (let x = continent.west; x < continent.east; x++) {
                 // Only modify plots that are still ocean.
                 if (GameplayMap.getTerrainType(x, y) === globals.g_OceanTerrain) {
                     let plotHeight = FractalBuilder.getHeight(globals.g_LandmassFractal, x, y);
                     if (plotHeight >= waterThresholdPrimary) {
                         TerrainBuilder.setTerrainType(x, y, globals.g_FlatTerrain);
-                        utilities.addLandmassPlotTags(x, y, eastContinent.west);
+                        utilities.addLandmassPlotTags(x, y, map.eastContinent.west);
                     }
                 }
             }
         }
 
         // Secondary fractal pass for coastline refinement.
-        let fractalSizeSecondary = 4; // A slightly different size creates additional irregularity.
+        let fractalSizeSecondary = map.tunables.coastFractalSize; // A slightly different size creates additional irregularity.
         FractalBuilder.create(globals.g_LandmassFractal, iWidth, iHeight, fractalSizeSecondary, 0);
         // Use a slightly higher threshold to “carve back” water from overly uniform areas.
-        let waterThresholdSecondary = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, landWaterPercent + 10);
-        for (let y = continent.south; y <= continent.north; y++) {
-            for (let x = continent.west; x <= continent.east; x++) {
+        let waterThresholdSecondary = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, map.tunables.coastWaterPercent);
+        for (let y = continent.south; y < continent.north; y++) {
+            for (let x = continent.west; x < continent.east; x++) {
                 if (GameplayMap.getTerrainType(x, y) === globals.g_FlatTerrain) {
                     let plotHeight = FractalBuilder.getHeight(globals.g_LandmassFractal, x, y);
                     // If the plot doesn't meet the refined criteria, revert it back to water 
                     // to simulate bays, inlets, and internal seas.
                     if (plotHeight < waterThresholdSecondary) {
                         TerrainBuilder.setTerrainType(x, y, globals.g_OceanTerrain);
-                        utilities.addWaterPlotTags(x, y, eastContinent.west);
+                        utilities.addWaterPlotTags(x, y, map.eastContinent.west);
                     }
                 }
             }
         }
     }
 
-    // Generate both major continents.
-    createContinent(westContinent);
-    createContinent(eastContinent);
-
-    // Recalculate and fix any terrain inconsistencies.
-    TerrainBuilder.validateAndFixTerrain();
-
-    // Expand coasts to smooth boundaries and assign proper coastal tags.
-    expandCoasts(iWidth, iHeight);
-
-    // Recalculate areas after our major modifications.
-    AreaBuilder.recalculateAreas();
-
-    // Stamp continents if the engine supports additional grouping.
-    TerrainBuilder.stampContinents();
-
-    // Add terrain elevation features:
-    addMountains(iWidth, iHeight);
-    addVolcanoes(iWidth, iHeight);
-    AreaBuilder.recalculateAreas();
-    TerrainBuilder.buildElevation();
-    addHills(iWidth, iHeight);
-
-    // Build rainfall patterns based on elevation and nearby topography.
-    buildRainfallMap(iWidth, iHeight);
-    // Model realistic rivers using a defined navigable terrain.
-    TerrainBuilder.modelRivers(5, 70, globals.g_NavigableRiverTerrain);
-    TerrainBuilder.validateAndFixTerrain();
-    TerrainBuilder.defineNamedRivers();
-
-    // Assign biomes (plains, deserts, forests, tundra, etc.) based on latitude, elevation, and rainfall.
-    designateBiomes(iWidth, iHeight);
-
-    // Add natural wonders to enhance map variety.
-    addNaturalWonders(iWidth, iHeight, mapInfo.NumNaturalWonders);
-
-    // Add floodplains to mimic river deltas and coastal spill–over.
-    TerrainBuilder.addFloodplains(4, 10);
-
-    // Apply additional decorative features (e.g., forests, marshes, ruins).
-    addFeatures(iWidth, iHeight);
-    TerrainBuilder.validateAndFixTerrain();
-    AreaBuilder.recalculateAreas();
-
-    // Recalculate water connectivity and store water–plot data.
-    TerrainBuilder.storeWaterData();
-
-    // Generate snow near the poles.
-    generateSnow(iWidth, iHeight);
-
-    // Choose starting sectors based on the number of players designated in the mapInfo.
-    let iNumPlayersWest = mapInfo.PlayersLandmass1;
-    let iNumPlayersEast = mapInfo.PlayersLandmass2;
-    let iStartSectorRows = mapInfo.StartSectorRows;
-    let iStartSectorCols = mapInfo.StartSectorCols;
-    let bHumanNearEquator = utilities.needHumanNearEquator();
-    let startSectors = chooseStartSectors(iNumPlayersWest, iNumPlayersEast, iStartSectorRows, iStartSectorCols, bHumanNearEquator);
-
-    // Debug: Dump ASCII maps of various map layers.
-    dumpStartSectors(startSectors);
-    dumpContinents(iWidth, iHeight);
-    dumpTerrain(iWidth, iHeight);
-    dumpElevation(iWidth, iHeight);
-    dumpRainfall(iWidth, iHeight);
-    dumpBiomes(iWidth, iHeight);
-    dumpFeatures(iWidth, iHeight);
-    dumpPermanentSnow(iWidth, iHeight);
-
-    // Generate resources over valid land plots.
-    generateResources(iWidth, iHeight, westContinent, eastContinent, iNumPlayersWest, iNumPlayersEast);
-
-    // Assign starting positions for players based on the chosen start sectors.
-    startPositions = assignStartPositions(iNumPlayersWest, iNumPlayersEast, westContinent, eastContinent, iStartSectorRows, iStartSectorCols, startSectors);
-
-    // Generate discoveries (hidden bonuses) across the map.
-    generateDiscoveries(iWidth, iHeight, startPositions);
+    // Generate the major continents: both hemispheres, split by straits when there are more than two.
+    map.continents = splitContinents(map, map.tunables.continentCount);
+    for (let continent of map.continents) {
+        createContinent(continent);
+    }
+}
 
-    // Debug: Dump resource layout.
-    dumpResources(iWidth, iHeight);
 
-    // Recalculate fertility for gameplay balance.
-    FertilityBuilder.recalculate();
+/* 
+  Function: splitContinents
+  -------------------------
+  The regions to carve continents in, as [{ west, east, south, north, id }]. Two continents are the West and
+  East regions themselves; a third splits the West region into a northern and a southern continent, and a
+  fourth splits the East region too. The strait between them is the ocean separation plus g_StraitMargin rows
+  wide, somewhere in the middle third of the land either side, so the continents start out at least as far
+  apart as the hemispheres. A region without g_MinContinentRows rows either side of the strait stays whole. Both
+  halves stay in the same hemisphere, so the players and resources of that hemisphere are shared between them.
+*/
+const g_StraitMargin = 2;
+const g_MinContinentRows = 6;
+
+function splitContinents(map, iContinentCount) {
+    let continents = [];
+    let hemispheres = [map.westContinent, map.eastContinent];
+    let iStraitRows = map.tunables.oceanSeparation + g_StraitMargin;
+    for (let i = 0; i < hemispheres.length; i++) {
+        let region = hemispheres[i];
+        let iLandRows = region.north - region.south - iStraitRows;
+        if (i >= iContinentCount - 2) {
+            continents.push({ ...region, id: continents.length });
+            continue;
+        }
+        if (iLandRows < 2 * g_MinContinentRows) {
+            console.log("Continents: no room for a strait in the " + (i == 0 ? "West" : "East") + " hemisphere");
+            continents.push({ ...region, id: continents.length });
+            continue;
+        }
+        let iThird = Math.floor(iLandRows / 3);
+        let iStrait = region.south + iThird + TerrainBuilder.getRandomNumber(Math.max(1, iThird), "Continent Strait");
+        continents.push({ ...region, north: iStrait, id: continents.length });
+        continents.push({ ...region, south: iStrait + iStraitRows, id: continents.length });
+    }
+    return continents;
+}
 
-    // Generate and dump a noise map for debugging Poisson-based placement.
-    let seed = GameplayMap.getRandomSeed();
-    let avgDistanceBetweenPoints = 3;
-    let normalizedRangeSmoothing = 2;
-    let poisson = TerrainBuilder.generatePoissonMap(seed, avgDistanceBetweenPoints, normalizedRangeSmoothing);
-    let poissonPred = (val) => { return val >= 1 ? "*" : " "; };
-    dumpNoisePredicate(iWidth, iHeight, poisson, poissonPred);
+function continentAt(map, iX, iY) {
+    return map.continents.find(continent => iX >= continent.west && iX < continent.east &&
+                                            iY >= continent.south && iY < continent.north) ?? null;
+}
 
-    // Finalize advanced starting regions.
-    assignAdvancedStartRegions();
+/*
+  Function: separateContinents
+  ----------------------------
+  The separation stage: every continent is a region of its own, so the continents either side of a strait
+  stay the ocean separation apart too, not just the two hemispheres.
+*/
+function separateContinents(map) {
+    map.separation = enforceLandmassSeparation(map.iWidth, map.iHeight, {
+        regionOf: (iX, iY) => continentAt(map, iX, iY)?.id ?? (iX < map.eastContinent.west ? "West" : "East"),
+        eastContinentLeftCol: map.eastContinent.west,
+        failOnViolation: false,
+        minGap: map.tunables.oceanSeparation
+    });
 }
 
 
 /* 
   Register event listeners:
     - 'RequestMapInitData' provides the initial map setup data.
-    - 'GenerateMap' triggers our Earth–like map generation.
+    - 'GenerateMap' runs the shared pipeline with our continents as the landmass stage.
+      Rivers may run up to 70 plots, longer than the pipeline's default, to suit the large continents.
+  With the `Tectonics` option set, plate tectonics (plate-tectonics.js) opens rifts in the continents
+  and raises mountain ranges along the plate boundaries instead of scattering mountains. The options are
+  chosen when the map is generated, so the map value goes into the map recipe.
+  The tunables are the fractal passes' water percentages (20% and 30%, each g_SeaLevelStep more per step
+  of the `SeaLevel` option), their fractal sizes (3 and 4) and the `ContinentCount` option (2 to 4).
 */
-engine.on('RequestMapInitData', requestMapData);
-engine.on('GenerateMap', generateMap);
-
-console.log("Loaded EarthLike.js");
\ No newline at end of file
+const g_SeaLevelStep = 5;
+
+let earthlikeOptions = {
+    name: "Earth–like map",
+    file: "earthlike.js",
+    requestMapData,
+    landmass: carveContinents,
+    overrides: { separation: separateContinents },
+    rivers: { minLength: 5, maxLength: 70 },
+    tunables: (mapOptions) => ({
+        waterPercent: 20 + mapOptions.SeaLevel * g_SeaLevelStep,
+        coastWaterPercent: 30 + mapOptions.SeaLevel * g_SeaLevelStep,
+        fractalSize: 3,
+        coastFractalSize: 4,
+        continentCount: mapOptions.ContinentCount
+    })
+};
+registerMapScript(() => readMapOption("Tectonics") ? withTectonics(earthlikeOptions) : earthlikeOptions);
+
+console.log("Loaded EarthLike.js");
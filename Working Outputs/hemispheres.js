@@ -0,0 +1,213 @@
+/* hemispheres.js
+   Splits a finished land/water layout into the two gameplay hemispheres
+   (PlayersLandmass1 in the West, PlayersLandmass2 in the East) from the land
+   that is actually there, instead of cutting the map in half.
+
+   The wrap seam is always one boundary between the hemispheres; the other is
+   the column with the least land around it, i.e. the widest real ocean gap
+   (the Atlantic, on an Earth mask). Each landmass then goes to the side that
+   holds most of its plots. Only a landmass that really spans both sides (a
+   land bridge) is cut along the split column, and enforceLandmassSeparation()
+   carves the channel that makes the cut real.
+
+   Typical use for a mask-based script:
+
+     let hemispheres = assignHemispheres(iWidth, iHeight);
+     let separation = enforceLandmassSeparation(iWidth, iHeight, { regionOf: hemispheres.hemisphereOf, ... });
+     hemispheres = assignHemispheres(iWidth, iHeight, { splitX: hemispheres.splitX, hemisphereOf: separation.regionOf });
+     tagHemispheres(iWidth, iHeight, hemispheres);
+     let { westContinent, eastContinent } = getHemisphereContinents(iWidth, iHeight, hemispheres);
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { findLandmasses, g_RequiredOceanSeparation } from './landmass-separation.js';
+
+export const g_WestHemisphere = "West";
+export const g_EastHemisphere = "East";
+
+//────────────────────────────────────────────────────────────
+// Pick the column where the East hemisphere starts: the one whose band of
+// options.bandWidth columns (default: the required ocean separation) holds the
+// least land, among columns that leave each side at least options.minShare of
+// all land (default 0.25). Ties go to the more even split.
+export function findHemisphereSplit(iWidth, iHeight, options = {}) {
+    let iBandWidth = options.bandWidth ?? g_RequiredOceanSeparation;
+    let fMinShare = options.minShare ?? 0.25;
+
+    let columnLand = new Array(iWidth).fill(0);
+    let iTotalLand = 0;
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (!GameplayMap.isWater(iX, iY)) {
+                columnLand[iX]++;
+                iTotalLand++;
+            }
+        }
+    }
+
+    let iBestX = Math.floor(iWidth / 2);
+    let iBestCost = Infinity;
+    let fBestBalance = Infinity;
+    let iWestLand = 0;
+    for (let iX = 1; iX < iWidth; iX++) {
+        iWestLand += columnLand[iX - 1];
+        let fBalance = Math.abs(iWestLand / Math.max(1, iTotalLand) - 0.5);
+        if (iTotalLand > 0 && 0.5 - fBalance < fMinShare) {
+            continue;
+        }
+        let iCost = 0;
+        for (let iBand = -Math.floor(iBandWidth / 2); iBand < Math.ceil(iBandWidth / 2); iBand++) {
+            iCost += columnLand[(iX + iBand + iWidth) % iWidth];
+        }
+        if (iCost < iBestCost || (iCost == iBestCost && fBalance < fBestBalance)) {
+            iBestX = iX;
+            iBestCost = iCost;
+            fBestBalance = fBalance;
+        }
+    }
+    return iBestX;
+}
+
+//────────────────────────────────────────────────────────────
+// Flood-fill the landmasses and put each one in a hemisphere.
+//
+// options:
+//   splitX           – first column of the East hemisphere (default: findHemisphereSplit)
+//   maxStraddleShare – a landmass with at most this share of its plots on the
+//                      far side of a boundary is kept whole (default 0.15);
+//                      larger ones are land bridges and are cut by column
+//   hemisphereOf     – the hemispheres from an earlier pass, e.g. the regionOf
+//                      of enforceLandmassSeparation()'s report; a landmass
+//                      whose plots all agree keeps that hemisphere
+//
+// Returns { splitX, landmassIds, landmasses, hemisphereOf } where each landmass
+// is { id, size, plots, hemisphere, west, east, south, north } (east and north
+// exclusive, west > east if it wraps the seam), and hemisphereOf(iX, iY) gives
+// a land plot's hemisphere – usable as regionOf in landmass-separation.js.
+export function assignHemispheres(iWidth, iHeight, options = {}) {
+    let iSplitX = options.splitX ?? findHemisphereSplit(iWidth, iHeight, options);
+    let fMaxStraddleShare = options.maxStraddleShare ?? 0.15;
+    let sideOf = (iX) => (iX < iSplitX ? g_WestHemisphere : g_EastHemisphere);
+
+    let { landmassIds, landmasses } = findLandmasses(iWidth, iHeight);
+    for (let landmass of landmasses) {
+        let iWest = 0;
+        for (let iPlot of landmass.plots) {
+            if (sideOf(iPlot % iWidth) == g_WestHemisphere) {
+                iWest++;
+            }
+        }
+        let fMinority = Math.min(iWest, landmass.size - iWest) / landmass.size;
+        landmass.hemisphere = fMinority <= fMaxStraddleShare
+            ? (iWest * 2 >= landmass.size ? g_WestHemisphere : g_EastHemisphere)
+            : null;
+        if (options.hemisphereOf) {
+            let earlier = new Set(landmass.plots.map(iPlot => options.hemisphereOf(iPlot % iWidth, Math.floor(iPlot / iWidth), landmass.id)));
+            if (earlier.size == 1) {
+                landmass.hemisphere = earlier.values().next().value;
+            }
+        }
+        Object.assign(landmass, getLandmassBounds(iWidth, landmass));
+    }
+
+    // Looked up by plot rather than by the caller's landmass id, so the answer
+    // stays the same while enforceLandmassSeparation() carves landmasses apart.
+    let hemisphereOf = (iX, iY) => landmasses[landmassIds[iY * iWidth + iX]]?.hemisphere ?? sideOf(iX);
+
+    for (let landmass of landmasses) {
+        if (landmass.hemisphere == null) {
+            // A box that wraps (west > east) crosses the seam, the other boundary.
+            let where = landmass.west >= landmass.east ? "the wrap seam or column " + iSplitX : "column " + iSplitX;
+            console.log("Hemispheres: landmass " + landmass.id + " (" + landmass.size + " plots) spans both sides of " + where + " and will be cut");
+        }
+    }
+    return { splitX: iSplitX, landmassIds, landmasses, hemisphereOf };
+}
+
+// Bounding box of a landmass. Columns are treated as a circle: the box is the
+// shortest arc that covers every column the landmass touches.
+function getLandmassBounds(iWidth, landmass) {
+    let used = new Array(iWidth).fill(false);
+    let iSouth = Infinity;
+    let iNorth = -Infinity;
+    for (let iPlot of landmass.plots) {
+        used[iPlot % iWidth] = true;
+        iSouth = Math.min(iSouth, Math.floor(iPlot / iWidth));
+        iNorth = Math.max(iNorth, Math.floor(iPlot / iWidth) + 1);
+    }
+    // The box starts just after the longest run of unused columns.
+    let iBestGapEnd = 0;
+    let iBestGap = 0;
+    let iGap = 0;
+    for (let i = 0; i < iWidth * 2; i++) {
+        if (used[i % iWidth]) {
+            if (iGap > iBestGap) {
+                iBestGap = iGap;
+                iBestGapEnd = i % iWidth;
+            }
+            iGap = 0;
+        } else {
+            iGap++;
+        }
+    }
+    let iWest = iBestGapEnd;
+    let iEast = (iWest + iWidth - Math.min(iBestGap, iWidth)) % iWidth || iWidth;
+    return { west: iWest, east: iEast, south: iSouth, north: iNorth };
+}
+
+//────────────────────────────────────────────────────────────
+// Rewrite the WEST/EAST plot tags from the hemisphere assignment: land by its
+// landmass, water by the side of the split it lies on.
+export function tagHemispheres(iWidth, iHeight, hemispheres) {
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                let bEast = iX >= hemispheres.splitX;
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_WATER);
+                TerrainBuilder.addPlotTag(iX, iY, bEast ? PlotTags.PLOT_TAG_EAST_WATER : PlotTags.PLOT_TAG_WEST_WATER);
+            } else {
+                let bEast = hemispheres.hemisphereOf(iX, iY) == g_EastHemisphere;
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_LANDMASS);
+                TerrainBuilder.addPlotTag(iX, iY, bEast ? PlotTags.PLOT_TAG_EAST_LANDMASS : PlotTags.PLOT_TAG_WEST_LANDMASS);
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// The westContinent / eastContinent boxes that generateResources() and the
+// start-position code expect, fitted to the land of each hemisphere and kept
+// clear of the polar rows; half-open, like the pipeline's (map-pipeline.js). The West box stays left of the split and the East
+// box right of it, since the engine decides a plot's side by comparing its
+// column with eastContinent.west.
+export function getHemisphereContinents(iWidth, iHeight, hemispheres) {
+    let make = (hemisphere, iContinent, iMinX, iMaxX) => {
+        let box = { west: iMaxX, east: iMinX, south: iHeight, north: 0, continent: iContinent };
+        for (let landmass of hemispheres.landmasses) {
+            for (let iPlot of landmass.plots) {
+                let iX = iPlot % iWidth;
+                let iY = Math.floor(iPlot / iWidth);
+                if (iX < iMinX || iX >= iMaxX || hemispheres.hemisphereOf(iX, iY) != hemisphere) {
+                    continue;
+                }
+                box.west = Math.min(box.west, iX);
+                box.east = Math.max(box.east, iX + 1);
+                box.south = Math.min(box.south, iY);
+                box.north = Math.max(box.north, iY + 1);
+            }
+        }
+        if (box.east <= box.west) {
+            // No land on this side; fall back to the whole side.
+            Object.assign(box, { west: iMinX, east: iMaxX, south: 0, north: iHeight });
+        }
+        box.south = Math.max(box.south, globals.g_PolarWaterRows);
+        box.north = Math.min(box.north, iHeight - globals.g_PolarWaterRows);
+        return box;
+    };
+    let westContinent = make(g_WestHemisphere, 0, 0, hemispheres.splitX);
+    let eastContinent = make(g_EastHemisphere, 1, hemispheres.splitX, iWidth);
+    console.log("Hemispheres: split at column " + hemispheres.splitX +
+        ", West x " + westContinent.west + "-" + westContinent.east + " y " + westContinent.south + "-" + westContinent.north +
+        ", East x " + eastContinent.west + "-" + eastContinent.east + " y " + eastContinent.south + "-" + eastContinent.north);
+    return { westContinent, eastContinent };
+}
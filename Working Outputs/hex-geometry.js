@@ -0,0 +1,257 @@
+/* hex-geometry.js
+   The geometry of the map's hex grid, so scripts measure shapes, distances
+   and neighborhoods on hexes rather than on a square grid of plot indexes.
+
+   Plots are "odd-r" offset hexes: rows run from y = 0 at the south edge, and
+   odd rows sit half a plot east of even ones. X wraps around the East/West
+   seam. Three coordinate systems are in use:
+
+     offset (iX, iY)       the engine's plot coordinates
+     cube (q, r, s)        q + r + s = 0; distances, rings and lines are
+                           simple here. Axial is cube without s.
+     plot space (x, y)     in plot widths, odd rows half a plot east, y from
+                           the south edge; a circle here is round on the map
+
+   Everything that walks the grid (adjacent plots, rings, spirals, lines,
+   distances) wraps X and takes the short way around the seam; plots off the
+   north or south edge are left out. maskProjection() maps between the pixels
+   of an image mask and the plots it is stretched over.
+
+   The map size arguments default to the engine's grid size.
+*/
+
+// Rows of a hex map are this far apart, in plot widths.
+export const g_RowSpacing = Math.sqrt(3) / 2;
+
+// Offsets to the adjacent plots in DirectionTypes order (northeast, east,
+// southeast, southwest, west, northwest), for even and odd rows, and the
+// same steps in cube coordinates.
+const g_EvenRowOffsets = [[0, 1], [1, 0], [0, -1], [-1, -1], [-1, 0], [-1, 1]];
+const g_OddRowOffsets = [[1, 1], [1, 0], [1, -1], [0, -1], [-1, 0], [0, 1]];
+const g_CubeDirections = [[0, 1], [1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1]];
+
+function gridWidth() {
+    return GameplayMap.getGridWidth();
+}
+
+function gridHeight() {
+    return GameplayMap.getGridHeight();
+}
+
+export function wrapX(iX, iWidth = gridWidth()) {
+    return ((iX % iWidth) + iWidth) % iWidth;
+}
+
+//────────────────────────────────────────────────────────────
+// Offset <-> cube and axial coordinates.
+export function offsetToCube(iX, iY) {
+    let q = iX - (iY - (iY & 1)) / 2;
+    return { q, r: iY, s: -q - iY };
+}
+
+export function cubeToOffset(q, r) {
+    return { x: q + (r - (r & 1)) / 2, y: r };
+}
+
+export function offsetToAxial(iX, iY) {
+    let { q, r } = offsetToCube(iX, iY);
+    return { q, r };
+}
+
+export function axialToOffset(q, r) {
+    return cubeToOffset(q, r);
+}
+
+// The hex that fractional cube coordinates fall in.
+export function cubeRound(fQ, fR, fS = -fQ - fR) {
+    let q = Math.round(fQ);
+    let r = Math.round(fR);
+    let s = Math.round(fS);
+    let fDQ = Math.abs(q - fQ);
+    let fDR = Math.abs(r - fR);
+    let fDS = Math.abs(s - fS);
+    if (fDQ > fDR && fDQ > fDS) {
+        q = -r - s;
+    } else if (fDR > fDS) {
+        r = -q - s;
+    } else {
+        s = -q - r;
+    }
+    return { q, r, s };
+}
+
+//────────────────────────────────────────────────────────────
+// Plot space.
+export function plotToPoint(iX, iY) {
+    return { x: iX + (iY & 1) * 0.5, y: iY * g_RowSpacing };
+}
+
+// The plot whose hex holds the plot-space point, with X wrapped.
+export function pointToPlot(fX, fY, iWidth = gridWidth()) {
+    let fR = fY / g_RowSpacing;
+    let cube = cubeRound(fX - fR / 2, fR);
+    let plot = cubeToOffset(cube.q, cube.r);
+    return { x: wrapX(plot.x, iWidth), y: plot.y };
+}
+
+// Plot-space vector from one plot's center to another's, the short way
+// around the seam.
+export function plotOffset(iFromX, iFromY, iToX, iToY, iWidth = gridWidth()) {
+    let fDX = (iToX + (iToY & 1) * 0.5) - (iFromX + (iFromY & 1) * 0.5);
+    if (fDX > iWidth / 2) {
+        fDX -= iWidth;
+    } else if (fDX < -iWidth / 2) {
+        fDX += iWidth;
+    }
+    return { x: fDX, y: (iToY - iFromY) * g_RowSpacing };
+}
+
+//────────────────────────────────────────────────────────────
+// Distances and neighbors.
+export function hexDistance(iX1, iY1, iX2, iY2, iWidth = gridWidth()) {
+    let a = offsetToCube(iX1, iY1);
+    let iBest = Infinity;
+    for (let iShift of [0, -iWidth, iWidth]) {
+        let b = offsetToCube(iX2 + iShift, iY2);
+        iBest = Math.min(iBest, (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.s - b.s)) / 2);
+    }
+    return iBest;
+}
+
+// The plot next to (iX, iY) in a DirectionTypes direction, or null off the
+// north or south edge.
+export function getAdjacentPlot(iX, iY, iDirection, iWidth = gridWidth(), iHeight = gridHeight()) {
+    let [iDX, iDY] = ((iY & 1) ? g_OddRowOffsets : g_EvenRowOffsets)[iDirection];
+    let iAdjY = iY + iDY;
+    if (iAdjY < 0 || iAdjY >= iHeight) {
+        return null;
+    }
+    return { x: wrapX(iX + iDX, iWidth), y: iAdjY };
+}
+
+// Visit the (up to six) plots adjacent to (iX, iY), in DirectionTypes order.
+export function forEachAdjacentPlot(iX, iY, callback, iWidth = gridWidth(), iHeight = gridHeight()) {
+    for (let iDirection = 0; iDirection < g_EvenRowOffsets.length; iDirection++) {
+        let adjacent = getAdjacentPlot(iX, iY, iDirection, iWidth, iHeight);
+        if (adjacent) {
+            callback(adjacent.x, adjacent.y, iDirection);
+        }
+    }
+}
+
+// The on-map plot for cube coordinates, or null off the north or south edge.
+function cubeToPlot(q, r, iWidth, iHeight) {
+    if (r < 0 || r >= iHeight) {
+        return null;
+    }
+    let plot = cubeToOffset(q, r);
+    return { x: wrapX(plot.x, iWidth), y: plot.y };
+}
+
+// The plots exactly iRadius steps from (iX, iY), clockwise from the west.
+// On a map narrower than the ring a plot can come up twice.
+export function getRing(iX, iY, iRadius, iWidth = gridWidth(), iHeight = gridHeight()) {
+    if (iRadius == 0) {
+        return [{ x: iX, y: iY }];
+    }
+    let center = offsetToCube(iX, iY);
+    let q = center.q + g_CubeDirections[4][0] * iRadius;
+    let r = center.r + g_CubeDirections[4][1] * iRadius;
+    let ring = [];
+    for (let iSide = 0; iSide < g_CubeDirections.length; iSide++) {
+        for (let iStep = 0; iStep < iRadius; iStep++) {
+            let plot = cubeToPlot(q, r, iWidth, iHeight);
+            if (plot) {
+                ring.push(plot);
+            }
+            q += g_CubeDirections[iSide][0];
+            r += g_CubeDirections[iSide][1];
+        }
+    }
+    return ring;
+}
+
+// The plots within iRadius of (iX, iY), nearest first, each with its ring.
+export function getSpiral(iX, iY, iRadius, iWidth = gridWidth(), iHeight = gridHeight()) {
+    let spiral = [];
+    for (let iRing = 0; iRing <= iRadius; iRing++) {
+        for (let plot of getRing(iX, iY, iRing, iWidth, iHeight)) {
+            spiral.push({ ...plot, ring: iRing });
+        }
+    }
+    return spiral;
+}
+
+// The plots on a line from one plot to another, both ends included, each
+// one adjacent to the last. The line takes the short way around the seam.
+export function getHexLine(iX1, iY1, iX2, iY2, iWidth = gridWidth()) {
+    let a = offsetToCube(iX1, iY1);
+    let fEndX = plotToPoint(iX1, iY1).x + plotOffset(iX1, iY1, iX2, iY2, iWidth).x;
+    let iShift = Math.round((fEndX - plotToPoint(iX2, iY2).x) / iWidth) * iWidth;
+    let b = offsetToCube(iX2 + iShift, iY2);
+    let iSteps = (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.s - b.s)) / 2;
+    let line = [];
+    for (let iStep = 0; iStep <= iSteps; iStep++) {
+        let t = iSteps == 0 ? 0 : iStep / iSteps;
+        // A nudge off the hex edges, so ties round the same way along the line.
+        let cube = cubeRound(a.q + (b.q - a.q) * t + 1e-6, a.r + (b.r - a.r) * t + 1e-6, a.s + (b.s - a.s) * t - 2e-6);
+        let plot = cubeToOffset(cube.q, cube.r);
+        line.push({ x: wrapX(plot.x, iWidth), y: plot.y });
+    }
+    return line;
+}
+
+//────────────────────────────────────────────────────────────
+// Pixel <-> hex projection for an image mask of iImageWidth x iImageHeight
+// pixels (rows from north to south) stretched over iWidth x iHeight plots.
+// Plot y counts from the south row of the area, which is row iSouth of the
+// map; its parity decides which rows are shifted. X wraps both ways.
+//
+//   plotToPixel(iX, iY)     the pixel position (fractional) of the plot's center
+//   pixelToPlot(fPx, fPy)   the plot whose hex the pixel position falls in
+//   fractionToPlot(u, v)    the same for fractions of the image's width and height
+//   hexPixels(iX, iY)       the pixels under the plot's hex, sampled evenly,
+//                           so a pixel comes up as often as the hex covers it
+export function maskProjection(iImageWidth, iImageHeight, iWidth, iHeight, iSouth = 0) {
+    let fPixelsPerX = iImageWidth / iWidth;
+    let fPixelsPerRow = iImageHeight / iHeight;
+    let plotToPixel = (iX, iY) => ({
+        x: (iX + ((iSouth + iY) & 1) * 0.5 + 0.5) * fPixelsPerX,
+        y: (iHeight - 0.5 - iY) * fPixelsPerRow
+    });
+    let pixelToPlot = (fPx, fPy) => {
+        let fX = fPx / fPixelsPerX - 0.5;
+        let fRow = iSouth + iHeight - 0.5 - fPy / fPixelsPerRow;
+        let plot = pointToPlot(fX, fRow * g_RowSpacing, iWidth);
+        return { x: plot.x, y: Math.max(0, Math.min(iHeight - 1, plot.y - iSouth)) };
+    };
+
+    // Sample points over a hex, in plot widths from its center: a grid fine
+    // enough for a couple of samples per pixel, clipped to the hexagon.
+    let fRadius = 1 / Math.sqrt(3);
+    let iSteps = Math.max(3, Math.ceil(2 * Math.max(fPixelsPerX, fPixelsPerRow / g_RowSpacing)));
+    let samples = [];
+    for (let i = 0; i < iSteps; i++) {
+        for (let j = 0; j < iSteps; j++) {
+            let fDX = (i + 0.5) / iSteps - 0.5;
+            let fDY = ((j + 0.5) / iSteps - 0.5) * 2 * fRadius;
+            if (Math.abs(fDY) <= fRadius - Math.abs(fDX) / Math.sqrt(3)) {
+                samples.push({ x: fDX * fPixelsPerX, y: -fDY / g_RowSpacing * fPixelsPerRow });
+            }
+        }
+    }
+    let hexPixels = (iX, iY) => {
+        let center = plotToPixel(iX, iY);
+        return samples.map(sample => ({
+            x: wrapX(Math.floor(center.x + sample.x), iImageWidth),
+            y: Math.max(0, Math.min(iImageHeight - 1, Math.floor(center.y + sample.y)))
+        }));
+    };
+
+    return {
+        plotToPixel,
+        pixelToPlot,
+        fractionToPlot: (u, v) => pixelToPlot(u * iImageWidth, v * iImageHeight),
+        hexPixels
+    };
+}
@@ -0,0 +1,550 @@
+/* hydrology.js
+   The pipeline's lakes, rivers and floodplains worked out from where water
+   actually flows, in place of random lakes and the engine's length-based
+   navigable rivers.
+
+   buildHydrology() runs once the elevation and rainfall are built:
+
+     1. The elevation is depression-filled (priority flood from the sea):
+        every plot gets the lowest level at which water standing on it can
+        still run off to the sea, and the plot it runs off to. Hills and
+        mountains come after buildElevation (and masks put mountains down
+        later still), so hills count g_HillRise higher and mountains
+        g_MountainBarrier, enough that rivers go round them. Small water
+        bodies off the ocean are lakes that rivers run through; larger ones
+        are inland seas that take rivers in and let nothing out.
+     2. Discharge: each plot adds its rainfall (g_RainfallPerDischarge to one
+        unit) to its own and to everything downstream.
+     3. Closed basins are the hollows the fill had to level off. The deepest
+        ones with enough water running in become lakes.
+     4. River mouths are the land plots that run off into the sea; from
+        each, the plots carrying at least g_NavigableDischarge become
+        navigable river, provided the navigable stretch is at least
+        g_MinNavigableLength long. Mouths carrying g_DeltaDischarge or more
+        split into a delta.
+
+   The engine has no call for putting a river on a plot, so navigable rivers
+   are laid as navigable river terrain (which is what modelRivers makes of
+   them too), and modelRivers still draws the small rivers. It walks down
+   the same elevation, so they follow the hydrology's valleys into the
+   navigable rivers. Whatever stretches of its own it makes navigable are
+   turned back to flat land afterwards (removeOtherNavigableRivers), so
+   only the hydrology decides which rivers ships can sail.
+
+   A script can guide the largest rivers along real courses:
+
+     hydrology: { courses: (map) => [{ name: "Nile", points: [{ x, y }, ...] }] }
+
+   Each course runs from its source through the points to the sea, or into
+   an earlier course for a tributary; the fill treats it as a valley, so the
+   river and everything draining into it follow it. Points are plots of the
+   map being built (hence the function).
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { forEachAdjacentPlot, hexDistance } from './hex-geometry.js';
+
+// Water areas off the ocean up to this size are lakes rivers run through;
+// larger ones are inland seas.
+const g_MaxThroughLakeSize = 9;
+const g_MountainBarrier = 1000;
+const g_HillRise = 250;
+
+// Rainfall that makes one unit of discharge: a plot of average rainfall
+// gives about one.
+const g_RainfallPerDischarge = 100;
+
+// A closed basin becomes a lake if the fill stands at least g_MinLakeDepth
+// over its bottom and at least g_MinLakeInflow runs into it; the lake takes
+// up to g_MaxLakeSize of its deepest plots. At most one lake for every
+// (LakeGenerationFrequency × g_LakeFrequencyScale) land plots, deepest first.
+const g_MinLakeDepth = 10;
+const g_MinLakeInflow = 2;
+const g_MaxLakeSize = 6;
+const g_LakeFrequencyScale = 4;
+
+const g_NavigableDischarge = 8;
+const g_MinNavigableLength = 3;
+const g_DeltaDischarge = 30;
+const g_DeltaChannels = 2;
+
+// Floodplains line navigable rivers carrying at least this much.
+const g_FloodplainDischarge = 15;
+const g_DeltaFeatures = ["FEATURE_MARSH", "FEATURE_MANGROVE"];
+
+const g_Land = 0;
+const g_Sea = 1;
+const g_ThroughLake = 2;
+
+//────────────────────────────────────────────────────────────
+// A binary min-heap of [level, order, plot] entries; order breaks ties first
+// come, first served, which spreads the fill evenly across flats.
+function heapPush(heap, entry) {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+        let iParent = (i - 1) >> 1;
+        if (!isBefore(heap[i], heap[iParent])) {
+            break;
+        }
+        [heap[i], heap[iParent]] = [heap[iParent], heap[i]];
+        i = iParent;
+    }
+}
+
+function heapPop(heap) {
+    let top = heap[0];
+    let last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        while (true) {
+            let iSmallest = i;
+            for (let iChild = 2 * i + 1; iChild <= 2 * i + 2 && iChild < heap.length; iChild++) {
+                if (isBefore(heap[iChild], heap[iSmallest])) {
+                    iSmallest = iChild;
+                }
+            }
+            if (iSmallest == i) {
+                break;
+            }
+            [heap[i], heap[iSmallest]] = [heap[iSmallest], heap[i]];
+            i = iSmallest;
+        }
+    }
+    return top;
+}
+
+function isBefore(a, b) {
+    return a[0] < b[0] || (a[0] == b[0] && a[1] < b[1]);
+}
+
+//────────────────────────────────────────────────────────────
+// Sea, lake or land for every plot. Run after AreaBuilder.recalculateAreas.
+function classifyWater(map) {
+    let areaSize = new Map();
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                let iArea = GameplayMap.getAreaId(iX, iY);
+                areaSize.set(iArea, (areaSize.get(iArea) ?? 0) + 1);
+            }
+        }
+    }
+    let kind = new Uint8Array(map.iWidth * map.iHeight);
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (GameplayMap.isWater(iX, iY)) {
+                let iArea = GameplayMap.getAreaId(iX, iY);
+                let bSea = AreaBuilder.isAreaConnectedToOcean(iArea) || areaSize.get(iArea) > g_MaxThroughLakeSize;
+                kind[iY * map.iWidth + iX] = bSea ? g_Sea : g_ThroughLake;
+            }
+        }
+    }
+    return kind;
+}
+
+// Walk from plot to plot through a course's points until it reaches the sea
+// or an earlier course (a tributary), keeping off mountains where there is
+// another way. Returns { name, path, iJoin }, iJoin being the plot of the
+// earlier course it runs into, or -1.
+function traceCourse(map, kind, course, courseOf) {
+    let traced = { name: course.name, path: [], iJoin: -1 };
+    let visited = new Set();
+    let current = course.points[0];
+    for (let iPoint = 1; iPoint <= course.points.length; iPoint++) {
+        let target = course.points[Math.min(iPoint, course.points.length - 1)];
+        let bLast = iPoint == course.points.length;
+        for (let iStep = 0; iStep < map.iWidth + map.iHeight; iStep++) {
+            let i = current.y * map.iWidth + current.x;
+            if (kind[i] == g_Sea) {
+                return traced;
+            }
+            if (courseOf[i] != -1) {
+                traced.iJoin = i;
+                return traced;
+            }
+            if (!visited.has(i)) {
+                visited.add(i);
+                traced.path.push(i);
+            }
+            if (!bLast && current.x == target.x && current.y == target.y) {
+                break;
+            }
+            // Toward the last point, step into the sea as soon as it is next to the path.
+            let next = null;
+            let fBest = Infinity;
+            forEachAdjacentPlot(current.x, current.y, (iAdjX, iAdjY) => {
+                let iAdj = iAdjY * map.iWidth + iAdjX;
+                if (visited.has(iAdj)) {
+                    return;
+                }
+                let fScore = (bLast && kind[iAdj] == g_Sea) || courseOf[iAdj] != -1 ? -Infinity :
+                    hexDistance(iAdjX, iAdjY, target.x, target.y, map.iWidth) + (GameplayMap.isMountain(iAdjX, iAdjY) ? 1.5 : 0);
+                if (fScore < fBest) {
+                    fBest = fScore;
+                    next = { x: iAdjX, y: iAdjY };
+                }
+            });
+            if (next == null) {
+                console.log("Hydrology: the course of the " + course.name + " is blocked at " + current.x + "," + current.y);
+                return traced;
+            }
+            current = next;
+        }
+    }
+    return traced;
+}
+
+function traceCourses(map, kind, options) {
+    let courseOf = new Int32Array(map.iWidth * map.iHeight).fill(-1);
+    let courses = [];
+    for (let course of typeof options.courses === 'function' ? options.courses(map) : options.courses ?? []) {
+        let traced = traceCourse(map, kind, course, courseOf);
+        if (traced.path.length > 0) {
+            traced.path.forEach(i => courseOf[i] = courses.length);
+            courses.push(traced);
+        }
+    }
+    return courses;
+}
+
+//────────────────────────────────────────────────────────────
+// Priority flood from the sea. Returns the filled level and the plot each
+// plot drains to (-1 for the sea), plus the order plots were reached in,
+// which lists every plot after the one it drains to.
+function fillDepressions(map, kind, courses) {
+    let iNumPlots = map.iWidth * map.iHeight;
+    let height = new Float64Array(iNumPlots);
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let i = iY * map.iWidth + iX;
+            if (kind[i] == g_Land) {
+                let iTerrain = GameplayMap.getTerrainType(iX, iY);
+                height[i] = GameplayMap.getElevation(iX, iY) + (iTerrain == globals.g_MountainTerrain ? g_MountainBarrier : iTerrain == globals.g_HillTerrain ? g_HillRise : 0);
+            }
+        }
+    }
+    // A course is a valley falling steadily to its mouth (or to the river it
+    // joins), below everything around it, and drains only along itself.
+    let courseNext = new Int32Array(iNumPlots).fill(-1);
+    for (let course of courses) {
+        let fBase = course.iJoin == -1 ? 0 : height[course.iJoin];
+        course.path.forEach((iPlot, iStep) => {
+            height[iPlot] = Math.min(height[iPlot], fBase + (course.path.length - iStep) * 0.01);
+            courseNext[iPlot] = course.path[iStep + 1] ?? course.iJoin;
+        });
+    }
+
+    let filled = new Float64Array(iNumPlots);
+    let downstream = new Int32Array(iNumPlots).fill(-1);
+    let reached = new Uint8Array(iNumPlots);
+    let order = [];
+    let heap = [];
+    let iOrder = 0;
+    for (let i = 0; i < iNumPlots; i++) {
+        if (kind[i] == g_Sea) {
+            reached[i] = 1;
+            heapPush(heap, [0, iOrder++, i]);
+        }
+    }
+    while (heap.length > 0) {
+        let [fLevel, , i] = heapPop(heap);
+        if (kind[i] != g_Sea) {
+            order.push(i);
+        }
+        forEachAdjacentPlot(i % map.iWidth, Math.floor(i / map.iWidth), (iAdjX, iAdjY) => {
+            let iAdj = iAdjY * map.iWidth + iAdjX;
+            if (reached[iAdj] || (courseNext[iAdj] != -1 && courseNext[iAdj] != i)) {
+                return;
+            }
+            reached[iAdj] = 1;
+            filled[iAdj] = Math.max(height[iAdj], fLevel);
+            downstream[iAdj] = i;
+            heapPush(heap, [filled[iAdj], iOrder++, iAdj]);
+        });
+    }
+    return { height, filled, downstream, order };
+}
+
+// Closed basins: groups of adjacent land plots the fill stands over. Each
+// knows its depth, the plot it spills from and the discharge that leaves
+// through it (everything that ran in).
+function findBasins(map, hydrology) {
+    let iNumPlots = map.iWidth * map.iHeight;
+    let basinOf = new Int32Array(iNumPlots).fill(-1);
+    let basins = [];
+    for (let iStart = 0; iStart < iNumPlots; iStart++) {
+        if (basinOf[iStart] != -1 || hydrology.kind[iStart] != g_Land || hydrology.filled[iStart] <= hydrology.height[iStart]) {
+            continue;
+        }
+        let basin = { plots: [iStart], fDepth: 0, fInflow: 0 };
+        basinOf[iStart] = basins.length;
+        for (let iNext = 0; iNext < basin.plots.length; iNext++) {
+            let i = basin.plots[iNext];
+            basin.fDepth = Math.max(basin.fDepth, hydrology.filled[i] - hydrology.height[i]);
+            forEachAdjacentPlot(i % map.iWidth, Math.floor(i / map.iWidth), (iAdjX, iAdjY) => {
+                let iAdj = iAdjY * map.iWidth + iAdjX;
+                if (basinOf[iAdj] == -1 && hydrology.kind[iAdj] == g_Land && hydrology.filled[iAdj] > hydrology.height[iAdj]) {
+                    basinOf[iAdj] = basins.length;
+                    basin.plots.push(iAdj);
+                }
+            });
+        }
+        for (let i of basin.plots) {
+            let iDown = hydrology.downstream[i];
+            if (iDown == -1 || basinOf[iDown] != basinOf[i]) {
+                basin.fInflow = Math.max(basin.fInflow, hydrology.discharge[i]);
+            }
+        }
+        basins.push(basin);
+    }
+    return basins;
+}
+
+//────────────────────────────────────────────────────────────
+// Fill, flow and discharge for the map as it stands (see the top of this
+// file). options are the script's hydrology options. The pipeline keeps the
+// result as map.hydrology.
+export function buildHydrology(map, options = {}) {
+    let kind = classifyWater(map);
+    let courses = traceCourses(map, kind, options);
+    let hydrology = { kind, courses, ...fillDepressions(map, kind, courses) };
+
+    let discharge = new Float64Array(map.iWidth * map.iHeight);
+    for (let iStep = hydrology.order.length - 1; iStep >= 0; iStep--) {
+        let i = hydrology.order[iStep];
+        if (kind[i] == g_Land) {
+            discharge[i] += GameplayMap.getRainfall(i % map.iWidth, Math.floor(i / map.iWidth)) / g_RainfallPerDischarge;
+        }
+        if (kind[hydrology.downstream[i]] != g_Sea) {
+            discharge[hydrology.downstream[i]] += discharge[i];
+        }
+    }
+    hydrology.discharge = discharge;
+    hydrology.basins = findBasins(map, hydrology);
+    hydrology.mouths = hydrology.order.filter(i => kind[i] == g_Land && kind[hydrology.downstream[i]] == g_Sea)
+        .sort((a, b) => discharge[b] - discharge[a]);
+    hydrology.navigable = new Uint8Array(map.iWidth * map.iHeight);
+    hydrology.delta = [];
+    return hydrology;
+}
+
+//────────────────────────────────────────────────────────────
+// The lakes stage: the deepest closed basins with water running into them
+// become lakes, each growing from its lowest plot. Lakes keep off the coast
+// and off other water so they stay lakes.
+export function addBasinLakes(map, hydrology) {
+    let iLandPlots = hydrology.kind.filter(iKind => iKind == g_Land).length;
+    let iMaxLakes = Math.ceil(iLandPlots / (map.mapInfo.LakeGenerationFrequency * g_LakeFrequencyScale));
+    let candidates = hydrology.basins.filter(basin => basin.fDepth >= g_MinLakeDepth && basin.fInflow >= g_MinLakeInflow)
+        .sort((a, b) => b.fDepth - a.fDepth);
+    let iLakes = 0;
+    let iLakePlots = 0;
+    for (let basin of candidates) {
+        if (iLakes >= iMaxLakes) {
+            break;
+        }
+        let lake = [];
+        let depthOf = (i) => hydrology.filled[i] - hydrology.height[i];
+        let canFlood = (i) => {
+            let iX = i % map.iWidth;
+            let iY = Math.floor(i / map.iWidth);
+            if (GameplayMap.isWater(iX, iY) || GameplayMap.isMountain(iX, iY) || depthOf(i) < g_MinLakeDepth / 2) {
+                return false;
+            }
+            let bNearWater = false;
+            forEachAdjacentPlot(iX, iY, (iAdjX, iAdjY) => {
+                if (GameplayMap.isWater(iAdjX, iAdjY) && !lake.includes(iAdjY * map.iWidth + iAdjX)) {
+                    bNearWater = true;
+                }
+            });
+            return !bNearWater;
+        };
+        let frontier = [basin.plots.reduce((iDeepest, i) => depthOf(i) > depthOf(iDeepest) ? i : iDeepest)];
+        let members = new Set(basin.plots);
+        while (frontier.length > 0 && lake.length < g_MaxLakeSize) {
+            frontier.sort((a, b) => depthOf(b) - depthOf(a));
+            let i = frontier.shift();
+            if (lake.includes(i) || !canFlood(i)) {
+                continue;
+            }
+            lake.push(i);
+            forEachAdjacentPlot(i % map.iWidth, Math.floor(i / map.iWidth), (iAdjX, iAdjY) => {
+                let iAdj = iAdjY * map.iWidth + iAdjX;
+                if (members.has(iAdj) && !lake.includes(iAdj)) {
+                    frontier.push(iAdj);
+                }
+            });
+        }
+        if (lake.length == 0) {
+            continue;
+        }
+        for (let i of lake) {
+            TerrainBuilder.setTerrainType(i % map.iWidth, Math.floor(i / map.iWidth), globals.g_CoastTerrain);
+            hydrology.kind[i] = g_ThroughLake;
+        }
+        iLakes++;
+        iLakePlots += lake.length;
+    }
+    console.log("Hydrology: " + hydrology.basins.length + " closed basins, " + iLakes + " lakes (" + iLakePlots + " plots)");
+}
+
+//────────────────────────────────────────────────────────────
+// The longest stretch upstream of a plot that carries at least fDischarge,
+// following the larger branch at every fork.
+function mainStem(map, hydrology, iMouth, fDischarge) {
+    let stem = [iMouth];
+    let i = iMouth;
+    while (true) {
+        let iUp = -1;
+        forEachAdjacentPlot(i % map.iWidth, Math.floor(i / map.iWidth), (iAdjX, iAdjY) => {
+            let iAdj = iAdjY * map.iWidth + iAdjX;
+            if (hydrology.downstream[iAdj] == i && hydrology.discharge[iAdj] >= fDischarge &&
+                (iUp == -1 || hydrology.discharge[iAdj] > hydrology.discharge[iUp])) {
+                iUp = iAdj;
+            }
+        });
+        if (iUp == -1) {
+            return stem;
+        }
+        stem.push(iUp);
+        i = iUp;
+    }
+}
+
+function setNavigable(map, hydrology, i) {
+    let iX = i % map.iWidth;
+    let iY = Math.floor(i / map.iWidth);
+    if (hydrology.kind[i] != g_Land || GameplayMap.isMountain(iX, iY)) {
+        return false;
+    }
+    TerrainBuilder.setTerrainType(iX, iY, globals.g_NavigableRiverTerrain);
+    hydrology.navigable[i] = 1;
+    return true;
+}
+
+// The big rivers: from every mouth carrying g_NavigableDischarge, each plot
+// upstream that carries as much becomes navigable river, and the largest
+// split into delta channels at the coast.
+export function addNavigableRivers(map, hydrology) {
+    let upstream = new Map();
+    for (let i of hydrology.order) {
+        let iDown = hydrology.downstream[i];
+        if (hydrology.discharge[i] >= g_NavigableDischarge && iDown != -1) {
+            upstream.set(iDown, [...(upstream.get(iDown) ?? []), i]);
+        }
+    }
+    let iRivers = 0;
+    let iPlots = 0;
+    let report = [];
+    for (let iMouth of hydrology.mouths) {
+        if (hydrology.discharge[iMouth] < g_NavigableDischarge ||
+            mainStem(map, hydrology, iMouth, g_NavigableDischarge).length < g_MinNavigableLength) {
+            continue;
+        }
+        // Through lakes as well, but only land plots become river.
+        let reach = [iMouth];
+        for (let iNext = 0; iNext < reach.length; iNext++) {
+            reach.push(...(upstream.get(reach[iNext]) ?? []));
+        }
+        iPlots += reach.filter(i => setNavigable(map, hydrology, i)).length;
+        iRivers++;
+        if (hydrology.discharge[iMouth] >= g_DeltaDischarge) {
+            iPlots += addDeltaChannels(map, hydrology, iMouth);
+        }
+        if (report.length < 5) {
+            let iX = iMouth % map.iWidth;
+            let iY = Math.floor(iMouth / map.iWidth);
+            let course = hydrology.courses.find(candidate => candidate.path.includes(iMouth));
+            report.push((course ? course.name + " " : "") + "at " + iX + "," + iY + ": discharge " + Math.round(hydrology.discharge[iMouth]) +
+                ", " + mainStem(map, hydrology, iMouth, 1).length + " plots long, navigable for " + mainStem(map, hydrology, iMouth, g_NavigableDischarge).length);
+        }
+    }
+    console.log("Hydrology: " + iRivers + " navigable rivers (" + iPlots + " plots)");
+    for (let line of report) {
+        console.log("  " + line);
+    }
+}
+
+// Navigable river terrain that the hydrology did not lay (modelRivers makes
+// some of its rivers navigable) goes back to flat land.
+export function removeOtherNavigableRivers(map, hydrology) {
+    let iRemoved = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (GameplayMap.getTerrainType(iX, iY) == globals.g_NavigableRiverTerrain && !hydrology.navigable[iY * map.iWidth + iX]) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_FlatTerrain);
+                iRemoved++;
+            }
+        }
+    }
+    if (iRemoved > 0) {
+        console.log("Hydrology: " + iRemoved + " navigable river plots from modelRivers turned back to flat land");
+    }
+}
+
+// Distributaries: flat coastal plots beside the mouth become river too.
+function addDeltaChannels(map, hydrology, iMouth) {
+    let iChannels = 0;
+    forEachAdjacentPlot(iMouth % map.iWidth, Math.floor(iMouth / map.iWidth), (iAdjX, iAdjY) => {
+        let iAdj = iAdjY * map.iWidth + iAdjX;
+        if (iChannels >= g_DeltaChannels || hydrology.navigable[iAdj] ||
+            GameplayMap.getTerrainType(iAdjX, iAdjY) != globals.g_FlatTerrain || !GameplayMap.isCoastalLand(iAdjX, iAdjY)) {
+            return;
+        }
+        if (setNavigable(map, hydrology, iAdj)) {
+            iChannels++;
+        }
+    });
+    hydrology.delta.push(iMouth);
+    return iChannels;
+}
+
+//────────────────────────────────────────────────────────────
+// After the biomes: marsh, mangroves or floodplain on the flat land of each
+// delta, and floodplain along the big navigable rivers.
+export function addRiverFloodplains(map, hydrology) {
+    let iFloodplains = 0;
+    let iDeltaPlots = 0;
+    let tryFeature = (iX, iY, featureTypes) => {
+        if (GameplayMap.getTerrainType(iX, iY) != globals.g_FlatTerrain || GameplayMap.getFeatureType(iX, iY) != FeatureTypes.NO_FEATURE) {
+            return false;
+        }
+        let biome = GameInfo.Biomes.lookup(GameplayMap.getBiomeType(iX, iY));
+        for (let featureType of [...featureTypes, "FEATURE_" + biome.BiomeType.replace("BIOME_", "") + "_FLOODPLAIN"]) {
+            let feature = GameInfo.Features.lookup(featureType);
+            if (feature && TerrainBuilder.canHaveFeature(iX, iY, feature.$index)) {
+                TerrainBuilder.setFeatureType(iX, iY, { Feature: feature.$index, Direction: -1, Elevation: 0 });
+                return true;
+            }
+        }
+        return false;
+    };
+    for (let iMouth of hydrology.delta) {
+        let channels = [iMouth];
+        forEachAdjacentPlot(iMouth % map.iWidth, Math.floor(iMouth / map.iWidth), (iAdjX, iAdjY) => {
+            if (hydrology.navigable[iAdjY * map.iWidth + iAdjX]) {
+                channels.push(iAdjY * map.iWidth + iAdjX);
+            }
+        });
+        for (let i of channels) {
+            forEachAdjacentPlot(i % map.iWidth, Math.floor(i / map.iWidth), (iAdjX, iAdjY) => {
+                if (tryFeature(iAdjX, iAdjY, g_DeltaFeatures)) {
+                    iDeltaPlots++;
+                }
+            });
+        }
+    }
+    for (let i = 0; i < hydrology.navigable.length; i++) {
+        if (!hydrology.navigable[i] || hydrology.discharge[i] < g_FloodplainDischarge) {
+            continue;
+        }
+        forEachAdjacentPlot(i % map.iWidth, Math.floor(i / map.iWidth), (iAdjX, iAdjY) => {
+            if (tryFeature(iAdjX, iAdjY, [])) {
+                iFloodplains++;
+            }
+        });
+    }
+    console.log("Hydrology: " + hydrology.delta.length + " deltas (" + iDeltaPlots + " plots), " + iFloodplains + " floodplain plots along the big rivers");
+}
@@ -0,0 +1,353 @@
+/* landmass-description.js
+   Turns a landmass description (the JSON format in landmass-schema.js) into
+   terrain and plot tags, as the landmass stage of the shared pipeline. A map
+   built from a description needs no JavaScript of its own beyond
+
+     registerMapScript(describedMapOptions(description));
+
+   The shapes are painted in order onto a water world; then every plot is
+   tagged West or East by the continent boxes. Region overrides are kept as
+   mask classes (see terrain-mask.js) and laid over the generators' choices by
+   pipeline hooks, plus a rainfall adjustment before rivers and biomes.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { g_RequiredOceanSeparation } from './landmass-separation.js';
+import { validateLandmassDescription } from './landmass-schema.js';
+import { hashString } from './map-recipe.js';
+import { resolveTunables } from './map-options.js';
+import { g_RowSpacing, getSpiral, getAdjacentPlot } from './hex-geometry.js';
+import { plotPoint, circle, ellipse, polygon, roughen, fractalNoise } from './shape-stamps.js';
+import { decodeTerrainMask, resizeTerrainString, g_MaskLetters, getMaskTerrain, applyMaskTerrain, applyMaskBiomes, applyMaskFeatures } from './terrain-mask.js';
+
+//────────────────────────────────────────────────────────────
+// Geometry. Shapes are measured in the plot space of shape-stamps.js;
+// description fractions are converted to columns and rows once per shape.
+function fractionToPoint(map, point) {
+    return { x: point[0] * map.iWidth - 0.5, y: point[1] * map.iHeight - 0.5 };
+}
+
+function lengthToPlots(map, fLength) {
+    return fLength * map.iHeight * g_RowSpacing;
+}
+
+// An area as a half-open plot box { west, east, south, north }, like the
+// continent boxes (map-pipeline.js).
+function areaToBox(map, area) {
+    if (area == "west" || area == "east") {
+        let continent = area == "west" ? map.westContinent : map.eastContinent;
+        return { west: continent.west, east: continent.east, south: continent.south, north: continent.north };
+    }
+    if (Array.isArray(area)) {
+        return {
+            west: Math.round(area[0] * map.iWidth),
+            east: Math.round(area[2] * map.iWidth),
+            south: Math.round(area[1] * map.iHeight),
+            north: Math.round(area[3] * map.iHeight)
+        };
+    }
+    return { west: 0, east: map.iWidth, south: 0, north: map.iHeight };
+}
+
+function forEachPlotInBox(map, box, fn) {
+    for (let iY = Math.max(0, box.south); iY < Math.min(map.iHeight, box.north); iY++) {
+        for (let iX = box.west; iX < box.east; iX++) {
+            fn(((iX % map.iWidth) + map.iWidth) % map.iWidth, iY);
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// A test (iX, iY) => bool for a circle, ellipse or polygon, with its edge
+// pushed out or in by up to roughness (fractal noise, fresh per shape).
+function createShapeTest(map, shape) {
+    let stamp;
+    switch (shape.type) {
+        case "circle":
+            stamp = circle(fractionToPoint(map, shape.center), lengthToPlots(map, shape.radius));
+            break;
+        case "ellipse":
+            stamp = ellipse(fractionToPoint(map, shape.center), shape.radii.map(fRadius => lengthToPlots(map, fRadius)), shape.rotation ?? 0);
+            break;
+        case "polygon":
+            stamp = polygon(shape.points.map(point => fractionToPoint(map, point)));
+            break;
+        default:
+            return () => false;
+    }
+    if (shape.roughness) {
+        stamp = roughen(stamp, lengthToPlots(map, shape.roughness), fractalNoise(map.iWidth, map.iHeight, 4));
+    }
+    return (iX, iY) => stamp(plotPoint(iX, iY, map.iWidth)) >= 0;
+}
+
+// A test for a region area: a shape, or a box area.
+function createAreaTest(map, area) {
+    if (area != null && typeof area == "object" && !Array.isArray(area)) {
+        return createShapeTest(map, area);
+    }
+    let box = areaToBox(map, area ?? "map");
+    return (iX, iY) => {
+        let iOffset = ((iX - box.west) % map.iWidth + map.iWidth) % map.iWidth;
+        return iY >= box.south && iY < box.north && iOffset < box.east - box.west;
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// Shape painters. canvas.land[y * width + x] is the map being built, and
+// canvas.maskClasses what mask letters pin; a plot a later shape repaints
+// loses its mask class.
+function setLand(map, canvas, iX, iY, bLand) {
+    let iIndex = iY * map.iWidth + iX;
+    if (canvas.land[iIndex] != bLand) {
+        canvas.land[iIndex] = bLand;
+        canvas.maskClasses[iIndex] = null;
+    }
+}
+
+function paintGeometric(map, canvas, shape) {
+    let test = createShapeTest(map, shape);
+    let op = shape.op ?? "add";
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let bInside = test(iX, iY);
+            if (op == "add" && bInside) {
+                setLand(map, canvas, iX, iY, true);
+            } else if ((op == "subtract" && bInside) || (op == "intersect" && !bInside)) {
+                setLand(map, canvas, iX, iY, false);
+            }
+        }
+    }
+}
+
+function paintBlob(map, canvas, shape) {
+    let box = areaToBox(map, shape.area ?? "map");
+    let op = shape.op ?? "add";
+    let fFalloff = shape.edgeFalloff ?? 0.5;
+    FractalBuilder.create(globals.g_LandmassFractal, map.iWidth, map.iHeight, shape.fractalSize ?? 3, 0);
+    let fLow = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 0);
+    let fHigh = Math.max(fLow + 1, FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 100));
+    let fSeaLevel = (FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, shape.waterPercent ?? 30) - fLow) / (fHigh - fLow);
+    let fCenterX = (box.west + box.east - 1) / 2;
+    let fCenterY = (box.south + box.north - 1) / 2;
+    let fHalfW = Math.max(1, (box.east - box.west - 1) / 2);
+    let fHalfH = Math.max(1, (box.north - box.south - 1) / 2);
+    let inBox = new Set();
+    forEachPlotInBox(map, box, (iX, iY) => {
+        let iBoxX = iX < box.west ? iX + map.iWidth : iX;
+        let fEdge = Math.hypot((iBoxX - fCenterX) / fHalfW, (iY - fCenterY) / fHalfH) / Math.SQRT2;
+        let fHeight = (FractalBuilder.getHeight(globals.g_LandmassFractal, iX, iY) - fLow) / (fHigh - fLow);
+        let bAbove = fHeight - fFalloff * fEdge * fEdge >= fSeaLevel;
+        inBox.add(iY * map.iWidth + iX);
+        if (op == "add" && bAbove) {
+            setLand(map, canvas, iX, iY, true);
+        } else if ((op == "subtract" && bAbove) || (op == "intersect" && !bAbove)) {
+            setLand(map, canvas, iX, iY, false);
+        }
+    });
+    if (op == "intersect") {
+        // Outside the box nothing is above sea level.
+        canvas.land.forEach((bLand, iIndex) => {
+            if (bLand && !inBox.has(iIndex)) {
+                setLand(map, canvas, iIndex % map.iWidth, Math.floor(iIndex / map.iWidth), false);
+            }
+        });
+    }
+}
+
+function paintMask(map, canvas, shape) {
+    let box = areaToBox(map, shape.area ?? "map");
+    let iBoxWidth = box.east - box.west;
+    let iBoxHeight = box.north - box.south;
+    let maskString = Array.isArray(shape.mask) ? shape.mask.join('\n') : decodeTerrainMask(shape.mask);
+    let rows = resizeTerrainString(maskString, iBoxWidth, iBoxHeight, box.south).split('\n');
+    for (let iRow = 0; iRow < iBoxHeight; iRow++) {
+        let iY = box.north - 1 - iRow;
+        for (let iCol = 0; iCol < iBoxWidth; iCol++) {
+            let iX = (box.west + iCol) % map.iWidth;
+            let maskClass = g_MaskLetters[rows[iRow][iCol].toUpperCase()] ?? g_MaskLetters.W;
+            setLand(map, canvas, iX, iY, !maskClass.water);
+            canvas.maskClasses[iY * map.iWidth + iX] = maskClass.water && !maskClass.lake ? null : maskClass;
+        }
+    }
+}
+
+// Grow islands plot by plot from random seeds in open water.
+function paintIslands(map, canvas, shape) {
+    let box = areaToBox(map, shape.area ?? "map");
+    let [iMinSize, iMaxSize] = shape.size ?? [2, 6];
+    let iCoastDistance = shape.coastDistance ?? 3;
+    let isOpenWater = (iX, iY, island) => getSpiral(iX, iY, iCoastDistance, map.iWidth, map.iHeight).every(near => {
+        let iIndex = near.y * map.iWidth + near.x;
+        return !canvas.land[iIndex] || island.has(iIndex);
+    });
+
+    let iPlaced = 0;
+    let iBoxWidth = box.east - box.west;
+    let iBoxHeight = box.north - box.south;
+    for (let iTry = 0; iTry < shape.count * 20 && iPlaced < shape.count; iTry++) {
+        let iX = (box.west + TerrainBuilder.getRandomNumber(iBoxWidth, "Island X")) % map.iWidth;
+        let iY = box.south + TerrainBuilder.getRandomNumber(iBoxHeight, "Island Y");
+        // Keep islands off the polar rows, like the continents.
+        if (iY < globals.g_PolarWaterRows || iY >= map.iHeight - globals.g_PolarWaterRows || !isOpenWater(iX, iY, new Set())) {
+            continue;
+        }
+        let iSize = iMinSize + TerrainBuilder.getRandomNumber(iMaxSize - iMinSize + 1, "Island Size");
+        let island = new Set([iY * map.iWidth + iX]);
+        let frontier = [{ x: iX, y: iY }];
+        while (island.size < iSize && frontier.length > 0) {
+            let from = frontier[TerrainBuilder.getRandomNumber(frontier.length, "Island Growth")];
+            let next = getAdjacentPlot(from.x, from.y, TerrainBuilder.getRandomNumber(DirectionTypes.NUM_DIRECTION_TYPES, "Island Direction"), map.iWidth, map.iHeight);
+            if (next == null || next.y < globals.g_PolarWaterRows || next.y >= map.iHeight - globals.g_PolarWaterRows ||
+                island.has(next.y * map.iWidth + next.x) || !isOpenWater(next.x, next.y, island)) {
+                // A plot that cannot grow any further stops being tried.
+                if (TerrainBuilder.getRandomNumber(4, "Island Frontier") == 0) {
+                    frontier.splice(frontier.indexOf(from), 1);
+                }
+                continue;
+            }
+            island.add(next.y * map.iWidth + next.x);
+            frontier.push(next);
+        }
+        island.forEach(iIndex => setLand(map, canvas, iIndex % map.iWidth, Math.floor(iIndex / map.iWidth), true));
+        iPlaced++;
+    }
+    console.log("Landmass description: " + iPlaced + " of " + shape.count + " islands placed");
+}
+
+//────────────────────────────────────────────────────────────
+// The continent boxes a description asks for (its "continents" column ranges).
+function setDescribedContinents(map, description) {
+    let make = (range, iContinent) => ({
+        west: Math.round(range[0] * map.iWidth),
+        east: Math.round(range[1] * map.iWidth),
+        south: globals.g_PolarWaterRows,
+        north: map.iHeight - globals.g_PolarWaterRows,
+        continent: iContinent
+    });
+    map.westContinent = make(description.continents.west, 0);
+    map.eastContinent = make(description.continents.east, 1);
+}
+
+//────────────────────────────────────────────────────────────
+// The landmass stage for a description: paint the shapes, write terrain and
+// West/East tags, and return the mask class (or null) of every plot for the
+// region hooks.
+export function carveLandmassDescription(map, description) {
+    let canvas = {
+        land: new Array(map.iWidth * map.iHeight).fill(false),
+        maskClasses: new Array(map.iWidth * map.iHeight).fill(null)
+    };
+    for (let shape of description.shapes) {
+        switch (shape.type) {
+            case "blob": paintBlob(map, canvas, shape); break;
+            case "mask": paintMask(map, canvas, shape); break;
+            case "islands": paintIslands(map, canvas, shape); break;
+            default: paintGeometric(map, canvas, shape); break;
+        }
+    }
+    let { land, maskClasses } = canvas;
+
+    for (let region of description.regions ?? []) {
+        if (region.terrain === undefined && region.biome === undefined && region.feature === undefined) {
+            continue;
+        }
+        let test = createAreaTest(map, region.area);
+        for (let iY = 0; iY < map.iHeight; iY++) {
+            for (let iX = 0; iX < map.iWidth; iX++) {
+                let iIndex = iY * map.iWidth + iX;
+                if (land[iIndex] && test(iX, iY)) {
+                    // Only what the region names replaces the mask's class.
+                    let maskClass = { ...maskClasses[iIndex] };
+                    for (let key of ["terrain", "biome", "feature"]) {
+                        if (region[key] !== undefined) {
+                            maskClass[key] = region[key];
+                        }
+                    }
+                    maskClasses[iIndex] = maskClass;
+                }
+            }
+        }
+    }
+
+    let iLand = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let iIndex = iY * map.iWidth + iX;
+            TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+            if (land[iIndex]) {
+                TerrainBuilder.setTerrainType(iX, iY, getMaskTerrain(maskClasses[iIndex] ?? {}));
+                utilities.addLandmassPlotTags(iX, iY, map.eastContinent.west);
+                iLand++;
+            } else {
+                // Mask lakes start out as shallow water, as on the Earth map.
+                TerrainBuilder.setTerrainType(iX, iY, maskClasses[iIndex]?.lake ? globals.g_CoastTerrain : globals.g_OceanTerrain);
+                utilities.addWaterPlotTags(iX, iY, map.eastContinent.west);
+            }
+        }
+    }
+    console.log("Landmass description " + (description.name ?? "") + ": " + iLand + " land plots (" +
+        (100 * iLand / land.length).toFixed(1) + "%)");
+    return maskClasses;
+}
+
+//────────────────────────────────────────────────────────────
+// Add each region's rainfall adjustment to the rainfall map.
+function applyRegionRainfall(map, description) {
+    for (let region of description.regions ?? []) {
+        if (!region.rainfall) {
+            continue;
+        }
+        let test = createAreaTest(map, region.area);
+        for (let iY = 0; iY < map.iHeight; iY++) {
+            for (let iX = 0; iX < map.iWidth; iX++) {
+                if (!GameplayMap.isWater(iX, iY) && test(iX, iY)) {
+                    TerrainBuilder.setRainfall(iX, iY, Math.max(0, GameplayMap.getRainfall(iX, iY) + region.rainfall));
+                }
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// registerMapScript() options for a description. Throws with every problem
+// validateLandmassDescription() finds. options are merged in, so a script can
+// still add its own overrides and hooks.
+export function describedMapOptions(description, options = {}) {
+    let errors = validateLandmassDescription(description);
+    if (errors.length > 0) {
+        throw new Error("Invalid landmass description:\n  " + errors.join("\n  "));
+    }
+    let hooks = {
+        before: { features: (map) => applyMaskFeatures(map.maskClasses, map.iWidth, map.iHeight) },
+        after: {
+            hills: (map) => applyMaskTerrain(map.maskClasses, map.iWidth, map.iHeight),
+            rainfall: (map) => applyRegionRainfall(map, description),
+            biomes: (map) => applyMaskBiomes(map.maskClasses, map.iWidth, map.iHeight)
+        }
+    };
+    for (let when of ["before", "after"]) {
+        for (let [name, hook] of Object.entries(options.hooks?.[when] ?? {})) {
+            hooks[when][name] = [].concat(hooks[when][name] ?? [], hook);
+        }
+    }
+    let overrides = {};
+    if (description.continents) {
+        overrides.continents = (map) => setDescribedContinents(map, description);
+    }
+    return {
+        name: description.name ?? "described map",
+        landmass: (map) => {
+            map.maskHash = hashString(JSON.stringify(description));
+            map.maskClasses = carveLandmassDescription(map, description);
+        },
+        ...options,
+        tunables: (mapOptions) => ({
+            oceanSeparation: Math.max(description.separation ?? g_RequiredOceanSeparation, mapOptions.SeparationWidth),
+            ...resolveTunables(options.tunables, mapOptions)
+        }),
+        overrides: { ...overrides, ...options.overrides },
+        hooks
+    };
+}
@@ -0,0 +1,282 @@
+/* landmass-schema.js
+   The JSON format for describing a map's land and water without writing
+   JavaScript, and its validator. landmass-description.js turns a description
+   into terrain; Tools/check-landmass.mjs checks a .json file from the command
+   line. This module uses no engine objects, so it runs anywhere.
+
+   A description is an object:
+
+     {
+       "name": "Twin seas",
+       "continents": { "west": [0.04, 0.45], "east": [0.55, 0.96] },
+       "separation": 8,
+       "shapes": [ shape, shape, ... ],
+       "regions": [ region, region, ... ]
+     }
+
+   Coordinates are fractions of the map: x from 0 (west edge) to 1 (east
+   edge), y from 0 (south edge) to 1 (north edge). Lengths (radius, radii,
+   roughness) are fractions of the map height, measured on the hex grid, so a
+   circle stays round on any map size. x wraps around the East/West seam.
+
+   continents – optional; the column ranges of the West and East continent
+                boxes (PlayersLandmass1 and PlayersLandmass2). Defaults to the
+                pipeline's: two halves with an 8-column gap in the middle.
+   separation – optional; water tiles required between West and East land
+                (at least 8, the default).
+
+   shapes run in order, starting from an all-water map. Every shape except
+   "mask" and "islands" has an "op":
+     "add" (default)  – the shape becomes land
+     "subtract"       – the shape becomes water (seas, bays, a smiley's eyes)
+     "intersect"      – land outside the shape becomes water
+   and the geometric ones take "roughness" to fray their edge with fractal
+   noise (default 0, a clean edge).
+
+     { "type": "blob", "area": area, "fractalSize": 3, "waterPercent": 30, "edgeFalloff": 0.5 }
+         Fractal land inside an area box. waterPercent of the fractal lies
+         below sea level before edgeFalloff (0 to 1) sinks the edges of the
+         area, which keeps blobs from filling their box.
+     { "type": "circle", "center": [x, y], "radius": r }
+     { "type": "ellipse", "center": [x, y], "radii": [rx, ry], "rotation": degrees }
+     { "type": "polygon", "points": [[x, y], [x, y], [x, y], ...] }
+     { "type": "mask", "mask": "RLE 40x20\n...", "area": area }
+         A terrain mask (the letters of Tools/png-to-mask.mjs, run-length
+         encoded or not, as one string or an array of rows from north to
+         south) resized into the area. It replaces the area: water letters
+         make water, land letters make land and pin their terrain, biome or
+         feature like they do on the Earth map.
+     { "type": "islands", "count": 12, "size": [2, 6], "area": area, "coastDistance": 3 }
+         Small islands of size[0] to size[1] plots, scattered over water in
+         the area, at least coastDistance plots from any other land.
+
+   area is "map" (default), "west" or "east" (a continent box), or a box
+   [x0, y0, x1, y1].
+
+   regions override what the generators choose inside an area or shape:
+     { "area": area or shape, "terrain": "hill" | "mountain" | "flat",
+       "biome": "BIOME_TUNDRA", "feature": "forest" | "marsh" | "FEATURE_...",
+       "rainfall": +/-amount }
+   terrain, biome and feature are applied like the Earth map's mask letters;
+   rainfall is added to the rainfall map before rivers and biomes.
+*/
+
+export const g_ShapeTypes = ["blob", "circle", "ellipse", "polygon", "mask", "islands"];
+export const g_ShapeOps = ["add", "subtract", "intersect"];
+export const g_NamedAreas = ["map", "west", "east"];
+export const g_RegionTerrains = ["hill", "mountain", "flat"];
+
+// Keys each shape type takes, besides "type".
+const g_ShapeKeys = {
+    blob: ["op", "area", "fractalSize", "waterPercent", "edgeFalloff"],
+    circle: ["op", "center", "radius", "roughness"],
+    ellipse: ["op", "center", "radii", "rotation", "roughness"],
+    polygon: ["op", "points", "roughness"],
+    mask: ["mask", "area"],
+    islands: ["count", "size", "area", "coastDistance"],
+};
+
+// Fewest water tiles allowed between West and East land (ground-rules.txt).
+const g_MinSeparation = 8;
+
+//────────────────────────────────────────────────────────────
+// Small checkers. Each returns an error message, or null when the value is fine.
+function checkNumber(value, fMin, fMax) {
+    if (typeof value != "number" || !Number.isFinite(value)) {
+        return "must be a number";
+    }
+    if (value < fMin || value > fMax) {
+        return "must be between " + fMin + " and " + fMax;
+    }
+    return null;
+}
+
+function checkPoint(value) {
+    if (!Array.isArray(value) || value.length != 2) {
+        return "must be an [x, y] pair";
+    }
+    return checkNumber(value[0], -1, 2) ?? checkNumber(value[1], 0, 1);
+}
+
+function checkBox(value) {
+    if (!Array.isArray(value) || value.length != 4 || value.some(v => checkNumber(v, -1, 2) != null)) {
+        return "must be \"map\", \"west\", \"east\" or a box [x0, y0, x1, y1]";
+    }
+    if (value[0] >= value[2] || value[1] >= value[3] || value[1] < 0 || value[3] > 1) {
+        return "box must have x0 < x1 and 0 <= y0 < y1 <= 1";
+    }
+    return null;
+}
+
+function checkArea(value) {
+    return g_NamedAreas.includes(value) ? null : checkBox(value);
+}
+
+//────────────────────────────────────────────────────────────
+// Errors in one shape, as "path: message" strings.
+function validateShape(shape, path, bRegion) {
+    let errors = [];
+    let check = (key, message) => {
+        if (message != null) {
+            errors.push(path + "." + key + ": " + message);
+        }
+    };
+    if (shape == null || typeof shape != "object" || Array.isArray(shape)) {
+        return [path + ": must be an object"];
+    }
+    if (!g_ShapeTypes.includes(shape.type) || (bRegion && !["circle", "ellipse", "polygon"].includes(shape.type))) {
+        let types = bRegion ? ["circle", "ellipse", "polygon"] : g_ShapeTypes;
+        return [path + ".type: must be one of " + types.join(", ")];
+    }
+    for (let key of Object.keys(shape)) {
+        if (key != "type" && !g_ShapeKeys[shape.type].includes(key)) {
+            errors.push(path + "." + key + ": unknown key for " + shape.type + " shapes");
+        }
+    }
+    if (!bRegion && shape.op !== undefined && g_ShapeKeys[shape.type].includes("op")) {
+        check("op", g_ShapeOps.includes(shape.op) ? null : "must be one of " + g_ShapeOps.join(", "));
+    }
+    if (shape.roughness !== undefined) {
+        check("roughness", checkNumber(shape.roughness, 0, 0.5));
+    }
+    switch (shape.type) {
+        case "blob":
+            if (shape.area !== undefined) check("area", checkArea(shape.area));
+            if (shape.fractalSize !== undefined) check("fractalSize", checkNumber(shape.fractalSize, 1, 8));
+            if (shape.waterPercent !== undefined) check("waterPercent", checkNumber(shape.waterPercent, 0, 100));
+            if (shape.edgeFalloff !== undefined) check("edgeFalloff", checkNumber(shape.edgeFalloff, 0, 1));
+            break;
+        case "circle":
+            check("center", checkPoint(shape.center));
+            check("radius", checkNumber(shape.radius, 0, 1));
+            break;
+        case "ellipse":
+            check("center", checkPoint(shape.center));
+            if (!Array.isArray(shape.radii) || shape.radii.length != 2) {
+                check("radii", "must be an [rx, ry] pair");
+            } else {
+                check("radii", checkNumber(shape.radii[0], 0, 2) ?? checkNumber(shape.radii[1], 0, 1));
+            }
+            if (shape.rotation !== undefined) check("rotation", checkNumber(shape.rotation, -360, 360));
+            break;
+        case "polygon":
+            if (!Array.isArray(shape.points) || shape.points.length < 3) {
+                check("points", "must be a list of at least three [x, y] points");
+            } else {
+                shape.points.forEach((point, i) => check("points[" + i + "]", checkPoint(point)));
+            }
+            break;
+        case "mask": {
+            let bRows = Array.isArray(shape.mask) && shape.mask.length > 0 && shape.mask.every(row => typeof row == "string");
+            if (!bRows && (typeof shape.mask != "string" || shape.mask.trim().length == 0)) {
+                check("mask", "must be a mask string or an array of row strings");
+            }
+            if (shape.area !== undefined) check("area", checkArea(shape.area));
+            break;
+        }
+        case "islands":
+            check("count", Number.isInteger(shape.count) ? checkNumber(shape.count, 1, 500) : "must be a whole number");
+            if (shape.size !== undefined) {
+                if (!Array.isArray(shape.size) || shape.size.length != 2 || !shape.size.every(Number.isInteger) ||
+                    shape.size[0] < 1 || shape.size[0] > shape.size[1]) {
+                    check("size", "must be a [min, max] pair of whole numbers with 1 <= min <= max");
+                }
+            }
+            if (shape.area !== undefined) check("area", checkArea(shape.area));
+            if (shape.coastDistance !== undefined) check("coastDistance", checkNumber(shape.coastDistance, 1, 10));
+            break;
+    }
+    return errors;
+}
+
+//────────────────────────────────────────────────────────────
+// Check a landmass description. Returns a list of "path: message" errors,
+// empty when the description is valid. Unknown keys are reported too, since
+// they are usually typos.
+export function validateLandmassDescription(description) {
+    if (description == null || typeof description != "object" || Array.isArray(description)) {
+        return ["description: must be an object"];
+    }
+    let errors = [];
+    let known = ["name", "continents", "separation", "shapes", "regions"];
+    for (let key of Object.keys(description)) {
+        if (!known.includes(key)) {
+            errors.push(key + ": unknown key (expected one of " + known.join(", ") + ")");
+        }
+    }
+    if (description.name !== undefined && typeof description.name != "string") {
+        errors.push("name: must be a string");
+    }
+    if (description.continents !== undefined) {
+        let continents = description.continents;
+        for (let side of ["west", "east"]) {
+            let range = continents?.[side];
+            if (!Array.isArray(range) || range.length != 2 || checkNumber(range[0], 0, 1) != null ||
+                checkNumber(range[1], 0, 1) != null || range[0] >= range[1]) {
+                errors.push("continents." + side + ": must be a column range [x0, x1] with 0 <= x0 < x1 <= 1");
+            }
+        }
+        if (errors.length == 0 && continents.west[1] >= continents.east[0]) {
+            errors.push("continents: the West range must end before the East range starts");
+        }
+    }
+    if (description.separation !== undefined) {
+        let message = Number.isInteger(description.separation) ? checkNumber(description.separation, g_MinSeparation, 30) : "must be a whole number";
+        if (message) {
+            errors.push("separation: " + message);
+        }
+    }
+    if (!Array.isArray(description.shapes) || description.shapes.length == 0) {
+        errors.push("shapes: must be a non-empty list");
+    } else {
+        description.shapes.forEach((shape, i) => errors.push(...validateShape(shape, "shapes[" + i + "]", false)));
+        if (!description.shapes.some(shape => shape?.type == "mask" || shape?.type == "islands" || (shape?.op ?? "add") == "add")) {
+            errors.push("shapes: nothing adds land");
+        }
+    }
+    if (description.regions !== undefined) {
+        if (!Array.isArray(description.regions)) {
+            errors.push("regions: must be a list");
+        } else {
+            description.regions.forEach((region, i) => {
+                let path = "regions[" + i + "]";
+                if (region == null || typeof region != "object") {
+                    errors.push(path + ": must be an object");
+                    return;
+                }
+                if (typeof region.area == "object" && !Array.isArray(region.area) && region.area != null) {
+                    errors.push(...validateShape(region.area, path + ".area", true));
+                } else {
+                    let message = checkArea(region.area ?? "map");
+                    if (message) {
+                        errors.push(path + ".area: " + message + ", or a circle, ellipse or polygon shape");
+                    }
+                }
+                for (let key of Object.keys(region)) {
+                    if (!["area", "terrain", "biome", "feature", "rainfall"].includes(key)) {
+                        errors.push(path + "." + key + ": unknown key");
+                    }
+                }
+                if (region.terrain !== undefined && !g_RegionTerrains.includes(region.terrain)) {
+                    errors.push(path + ".terrain: must be one of " + g_RegionTerrains.join(", "));
+                }
+                if (region.biome !== undefined && !/^BIOME_[A-Z_]+$/.test(region.biome)) {
+                    errors.push(path + ".biome: must be a BiomeType such as BIOME_TUNDRA");
+                }
+                if (region.feature !== undefined && !["forest", "marsh"].includes(region.feature) && !/^FEATURE_[A-Z_]+$/.test(region.feature)) {
+                    errors.push(path + ".feature: must be \"forest\", \"marsh\" or a FeatureType such as FEATURE_OASIS");
+                }
+                if (region.rainfall !== undefined) {
+                    let message = checkNumber(region.rainfall, -200, 200);
+                    if (message) {
+                        errors.push(path + ".rainfall: " + message);
+                    }
+                }
+                if (["terrain", "biome", "feature", "rainfall"].every(key => region[key] === undefined)) {
+                    errors.push(path + ": overrides nothing (give terrain, biome, feature or rainfall)");
+                }
+            });
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,354 @@
+/* landmass-separation.js
+   Checks the most important ground rule from ground-rules.txt: the map must be
+   split into areas that can only be reached from one another by crossing at
+   least eight coast/ocean tiles, including around the East/West wrap.
+
+   Call validateLandmassSeparation() once the land has been carved (before
+   coasts are expanded is fine, since coast and ocean both count as water).
+   Every pair of regions that come closer than the required gap is reported
+   with the two offending land plots.
+
+   enforceLandmassSeparation() goes one step further: it hands small
+   landmasses that stray too near another region over to that region, and
+   turns as little land as it can into ocean until the rule holds.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { forEachAdjacentPlot } from './hex-geometry.js';
+
+export const g_RequiredOceanSeparation = 8;
+
+//────────────────────────────────────────────────────────────
+// Flood-fill the land into connected landmasses.
+// Returns { landmassIds, landmasses } where landmassIds[plotIndex] is the
+// landmass id (or -1 for water) and each landmass is { id, size, plots }.
+export function findLandmasses(iWidth, iHeight) {
+    let landmassIds = new Int32Array(iWidth * iHeight).fill(-1);
+    let landmasses = [];
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            let iStart = iY * iWidth + iX;
+            if (landmassIds[iStart] != -1 || GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            let landmass = { id: landmasses.length, size: 0, plots: [iStart] };
+            landmassIds[iStart] = landmass.id;
+            for (let i = 0; i < landmass.plots.length; i++) {
+                let iPlot = landmass.plots[i];
+                forEachAdjacentPlot(iPlot % iWidth, Math.floor(iPlot / iWidth), (iAdjX, iAdjY) => {
+                    let iAdjacent = iAdjY * iWidth + iAdjX;
+                    if (landmassIds[iAdjacent] == -1 && !GameplayMap.isWater(iAdjX, iAdjY)) {
+                        landmassIds[iAdjacent] = landmass.id;
+                        landmass.plots.push(iAdjacent);
+                    }
+                }, iWidth, iHeight);
+            }
+            landmass.size = landmass.plots.length;
+            landmasses.push(landmass);
+        }
+    }
+    return { landmassIds, landmasses };
+}
+
+//────────────────────────────────────────────────────────────
+// Find the landmasses and give every land plot its region key (null for water
+// and for landmasses below iMinLandmassSize).
+function labelRegions(iWidth, iHeight, regionOf, iMinLandmassSize) {
+    let { landmassIds, landmasses } = findLandmasses(iWidth, iHeight);
+    let region = new Array(iWidth * iHeight).fill(null);
+    for (let landmass of landmasses) {
+        if (landmass.size < iMinLandmassSize) {
+            continue;
+        }
+        landmass.regions = new Set();
+        for (let iPlot of landmass.plots) {
+            let key = regionOf(iPlot % iWidth, Math.floor(iPlot / iWidth), landmass.id);
+            landmass.regions.add(key);
+            region[iPlot] = key;
+        }
+    }
+    return { landmassIds, landmasses, region };
+}
+
+//────────────────────────────────────────────────────────────
+// The closest crossing, under iMaxGap water tiles, between every pair of
+// region keys that come that close. region[plotIndex] holds each land plot's
+// key (null for water and ignored land); plots with a key are the sources.
+//
+// A multi-source breadth-first search runs out from every source through
+// water, up to iMaxGap steps. Each water plot remembers its nearest source;
+// wherever two fronts with different keys meet, the sum of their depths is
+// the number of water tiles on the shortest crossing between them.
+function findCrossings(iWidth, iHeight, region, iMaxGap) {
+    let iNumPlots = iWidth * iHeight;
+    let key = region.slice();
+    let depth = new Int32Array(iNumPlots).fill(-1);
+    let origin = new Int32Array(iNumPlots).fill(-1);
+    let queue = [];
+
+    for (let iPlot = 0; iPlot < iNumPlots; iPlot++) {
+        if (key[iPlot] !== null) {
+            depth[iPlot] = 0;
+            origin[iPlot] = iPlot;
+            queue.push(iPlot);
+        }
+    }
+
+    // Closest crossing found so far for each unordered pair of keys.
+    let closest = new Map();
+    let recordCrossing = (iPlotA, iPlotB) => {
+        let regionA = key[iPlotA];
+        let regionB = key[iPlotB];
+        let iGap = depth[iPlotA] + depth[iPlotB];
+        if (regionA === regionB || iGap >= iMaxGap) {
+            return;
+        }
+        if (String(regionA) > String(regionB)) {
+            [regionA, regionB, iPlotA, iPlotB] = [regionB, regionA, iPlotB, iPlotA];
+        }
+        let pairKey = String(regionA) + "|" + String(regionB);
+        let existing = closest.get(pairKey);
+        if (existing == null || iGap < existing.gap) {
+            closest.set(pairKey, {
+                regionA,
+                regionB,
+                gap: iGap,
+                plotA: GameplayMap.getLocationFromIndex(origin[iPlotA]),
+                plotB: GameplayMap.getLocationFromIndex(origin[iPlotB]),
+            });
+        }
+    };
+
+    for (let i = 0; i < queue.length; i++) {
+        let iPlot = queue[i];
+        forEachAdjacentPlot(iPlot % iWidth, Math.floor(iPlot / iWidth), (iAdjX, iAdjY) => {
+            let iAdjacent = iAdjY * iWidth + iAdjX;
+            if (depth[iAdjacent] != -1) {
+                recordCrossing(iPlot, iAdjacent);
+            } else if (depth[iPlot] < iMaxGap) {
+                depth[iAdjacent] = depth[iPlot] + 1;
+                key[iAdjacent] = key[iPlot];
+                origin[iAdjacent] = origin[iPlot];
+                queue.push(iAdjacent);
+            }
+        }, iWidth, iHeight);
+    }
+    return Array.from(closest.values()).sort((a, b) => a.gap - b.gap);
+}
+
+//────────────────────────────────────────────────────────────
+// Check that every pair of regions is at least options.minGap water tiles apart.
+//
+// options:
+//   minGap          – required number of coast/ocean tiles between regions (default 8)
+//   regionOf        – (iX, iY, iLandmassId) => region key. Land plots that share a
+//                     key may touch; different keys must be minGap apart. Defaults
+//                     to one region per landmass. A landmass whose plots map to two
+//                     regions is reported as a land bridge (gap 0).
+//   minLandmassSize – landmasses smaller than this are treated as open water
+//   failOnViolation – throw instead of returning when the rule is broken
+export function validateLandmassSeparation(iWidth, iHeight, options = {}) {
+    let iMinGap = options.minGap ?? g_RequiredOceanSeparation;
+    let iMinLandmassSize = options.minLandmassSize ?? 1;
+    let regionOf = options.regionOf ?? ((iX, iY, iLandmassId) => iLandmassId);
+
+    let { landmassIds, landmasses, region } = labelRegions(iWidth, iHeight, regionOf, iMinLandmassSize);
+    let violations = findCrossings(iWidth, iHeight, region, iMinGap);
+    for (let violation of violations) {
+        console.log("Landmass separation: regions " + violation.regionA + " and " + violation.regionB +
+            " are only " + violation.gap + " water tiles apart, between (" +
+            violation.plotA.x + ", " + violation.plotA.y + ") and (" +
+            violation.plotB.x + ", " + violation.plotB.y + ")");
+    }
+    if (violations.length > 0 && options.failOnViolation) {
+        throw new Error("Landmass separation rule broken: " + violations.length + " region pair(s) closer than " + iMinGap + " water tiles");
+    }
+
+    return {
+        isValid: violations.length == 0,
+        minGap: iMinGap,
+        landmassIds,
+        landmasses: landmasses.map(l => ({ id: l.id, size: l.size, regions: l.regions ? Array.from(l.regions) : [] })),
+        violations,
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// Breadth-first hex distance from every plot in `sources`, across the wrap
+// seam, stepping only onto plots that isOpen() allows.
+function distanceFrom(iWidth, iHeight, sources, isOpen) {
+    let distance = new Int32Array(iWidth * iHeight).fill(-1);
+    let queue = [];
+    for (let iPlot of sources) {
+        distance[iPlot] = 0;
+        queue.push(iPlot);
+    }
+    for (let i = 0; i < queue.length; i++) {
+        let iPlot = queue[i];
+        forEachAdjacentPlot(iPlot % iWidth, Math.floor(iPlot / iWidth), (iAdjX, iAdjY) => {
+            let iAdjacent = iAdjY * iWidth + iAdjX;
+            if (distance[iAdjacent] == -1 && isOpen(iAdjacent)) {
+                distance[iAdjacent] = distance[iPlot] + 1;
+                queue.push(iAdjacent);
+            }
+        }, iWidth, iHeight);
+    }
+    return distance;
+}
+
+//────────────────────────────────────────────────────────────
+// Move small landmasses that lie nearer another region's land than their
+// own to that region, so they keep their land instead of being carved away.
+// A landmass moves when it belongs wholly to one region and is not that
+// region's largest, some land of another region is closer than any other
+// land of its own, and it is smaller than the landmass it lies nearest. Each
+// one moved is written to `moved` (plot index -> region key) and returned.
+function reassignStrayLandmasses(iWidth, iHeight, region, landmassIds, landmasses, iMinGap, moved) {
+    let landmassKey = region.map((key, iPlot) => (key === null ? null : landmassIds[iPlot]));
+    let nearest = new Map();
+    for (let crossing of findCrossings(iWidth, iHeight, landmassKey, iMinGap)) {
+        for (let [iFrom, iTo] of [[crossing.regionA, crossing.regionB], [crossing.regionB, crossing.regionA]]) {
+            let list = nearest.get(iFrom) ?? [];
+            list.push({ landmass: landmasses[iTo], gap: crossing.gap });
+            nearest.set(iFrom, list);
+        }
+    }
+
+    let largest = new Map();
+    for (let landmass of landmasses) {
+        for (let key of landmass.regions ?? []) {
+            largest.set(key, Math.max(largest.get(key) ?? 0, landmass.size));
+        }
+    }
+
+    let reassigned = [];
+    for (let [iId, neighbors] of nearest) {
+        let landmass = landmasses[iId];
+        let from = region[landmass.plots[0]];
+        if (landmass.regions?.size != 1 || landmass.size >= largest.get(from)) {
+            continue;
+        }
+        let iOwnGap = Math.min(iMinGap, ...neighbors.filter(n => n.landmass.regions.has(from)).map(n => n.gap));
+        let others = neighbors.filter(n => !n.landmass.regions.has(from)).sort((a, b) => a.gap - b.gap);
+        if (others.length == 0 || others[0].gap >= iOwnGap || landmass.size >= others[0].landmass.size) {
+            continue;
+        }
+        let to = region[others[0].landmass.plots[0]];
+        for (let iPlot of landmass.plots) {
+            region[iPlot] = to;
+            moved.set(iPlot, to);
+        }
+        landmass.regions = new Set([to]);
+        reassigned.push({ plots: landmass.plots, from, to });
+        let plot = GameplayMap.getLocationFromIndex(landmass.plots[0]);
+        console.log("Landmass separation: moved a landmass of " + landmass.size + " plots at (" + plot.x + ", " +
+            plot.y + ") from region " + from + " to region " + to + ", whose land is nearer");
+    }
+    return reassigned;
+}
+
+//────────────────────────────────────────────────────────────
+// Open a channel between two regions that are too close, turning as little
+// land into ocean as it can.
+//
+// The gap is minGap water tiles once no land of A is within minGap + 1 steps
+// of land of B. Each round trims whichever side's front is smaller: the land
+// of A that lies closest to B, or the land of B that lies closest to A.
+// Either way the closest distance grows by at least one, so this takes at
+// most minGap rounds. Steps are counted through water and the two regions'
+// own land, not through a third region's. Returns the plots carved; their
+// region is cleared.
+function carveChannel(iWidth, iHeight, region, regionA, regionB, iMinGap) {
+    let isOpen = (iPlot) => region[iPlot] === null || region[iPlot] === regionA || region[iPlot] === regionB;
+    let carved = [];
+    for (;;) {
+        let plotsA = [];
+        let plotsB = [];
+        for (let iPlot = 0; iPlot < region.length; iPlot++) {
+            if (region[iPlot] === regionA) {
+                plotsA.push(iPlot);
+            } else if (region[iPlot] === regionB) {
+                plotsB.push(iPlot);
+            }
+        }
+        if (plotsA.length == 0 || plotsB.length == 0) {
+            return carved;
+        }
+        let distanceA = distanceFrom(iWidth, iHeight, plotsA, isOpen);
+        let distanceB = distanceFrom(iWidth, iHeight, plotsB, isOpen);
+        let iClosest = Infinity;
+        for (let iPlot of plotsA) {
+            if (distanceB[iPlot] != -1) {
+                iClosest = Math.min(iClosest, distanceB[iPlot]);
+            }
+        }
+        if (iClosest > iMinGap) {
+            return carved;
+        }
+        let frontA = plotsA.filter(iPlot => distanceB[iPlot] == iClosest);
+        let frontB = plotsB.filter(iPlot => distanceA[iPlot] == iClosest);
+        for (let iPlot of (frontA.length <= frontB.length ? frontA : frontB)) {
+            region[iPlot] = null;
+            carved.push(iPlot);
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Repair pass: until every pair of regions is at least minGap water tiles
+// apart, including across the wrap seam, move small landmasses that stray
+// too near another region over to it, then carve ocean channels through
+// the land that is still too close.
+//
+// Takes the same options as validateLandmassSeparation(), plus:
+//   maxPasses           – how many validate/carve rounds to run (default 4)
+//   eastContinentLeftCol – column passed to addWaterPlotTags for carved plots
+//                          (default: half the map width)
+//
+// Returns the final validation report with carvedPlots (plot indexes),
+// reassigned ({ plots, from, to } for each landmass moved) and regionOf (the
+// caller's regionOf with the moves applied) added.
+export function enforceLandmassSeparation(iWidth, iHeight, options = {}) {
+    let iMinGap = options.minGap ?? g_RequiredOceanSeparation;
+    let iMinLandmassSize = options.minLandmassSize ?? 1;
+    let callerRegionOf = options.regionOf ?? ((iX, iY, iLandmassId) => iLandmassId);
+    let iMaxPasses = options.maxPasses ?? 4;
+    let iEastContinentLeftCol = options.eastContinentLeftCol ?? Math.floor(iWidth / 2);
+    let moved = new Map();
+    let regionOf = (iX, iY, iLandmassId) => moved.get(iY * iWidth + iX) ?? callerRegionOf(iX, iY, iLandmassId);
+    let carvedPlots = [];
+    let reassigned = [];
+
+    for (let iPass = 0; iPass < iMaxPasses; iPass++) {
+        let report = validateLandmassSeparation(iWidth, iHeight, { ...options, regionOf, failOnViolation: false });
+        if (report.isValid) {
+            break;
+        }
+        // Region keys are looked up once per pass; apart from the landmasses
+        // moved here, carving only removes land.
+        let { landmassIds, landmasses, region } = labelRegions(iWidth, iHeight, regionOf, iMinLandmassSize);
+        let moves = reassignStrayLandmasses(iWidth, iHeight, region, landmassIds, landmasses, iMinGap, moved);
+        reassigned.push(...moves);
+        let violations = moves.length > 0 ? findCrossings(iWidth, iHeight, region, iMinGap) : report.violations;
+        for (let violation of violations) {
+            let channel = carveChannel(iWidth, iHeight, region, violation.regionA, violation.regionB, iMinGap);
+            for (let iPlot of channel) {
+                let iX = iPlot % iWidth;
+                let iY = Math.floor(iPlot / iWidth);
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_OceanTerrain);
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+                utilities.addWaterPlotTags(iX, iY, iEastContinentLeftCol);
+                carvedPlots.push(iPlot);
+            }
+            console.log("Landmass separation: carved a channel between regions " + violation.regionA +
+                " and " + violation.regionB + " (" + channel.length + " land plots turned to ocean)");
+        }
+    }
+
+    let report = validateLandmassSeparation(iWidth, iHeight, { ...options, regionOf });
+    report.carvedPlots = carvedPlots;
+    report.reassigned = reassigned;
+    report.regionOf = regionOf;
+    return report;
+}
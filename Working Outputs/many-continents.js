@@ -0,0 +1,268 @@
+/* many-continents.js
+   A map of three to seven continents (the ContinentCount option) of
+   different sizes, placed unevenly instead of as equal strips.
+
+   The pipeline's two continent boxes stay the hemispheres: the West box
+   holds the PlayersLandmass1 players and the East box the PlayersLandmass2
+   players, so chooseStartSectors, generateResources and assignStartPositions
+   work as on any other map. Each hemisphere gets its share of the
+   continents (which one gets the odd one out is random) and is cut into
+   that many cells:
+
+     1. A cell holding more than one continent is cut in two, roughly in
+        proportion to the continents each half gets, give or take
+        g_SplitJitter of its span. The cut goes across whichever axis leaves
+        the continents least long and thin, or at random when both do
+        about as well. The cut is an ocean channel oceanSeparation plots
+        wide, so the continents start out as far apart as the hemispheres.
+     2. Each final cell is shrunk by up to g_MaxInset of its span on every
+        side, so the continents do not line up with one another.
+     3. The land in a cell is the highest landPercent of its plots on a
+        fractal, less edgeFalloff at the rim of the ellipse that fills the
+        cell, so every continent is one irregular blob with bays and
+        capes rather than a rectangle.
+
+   A hemisphere too small for its continents (a tiny map with seven) gets
+   as many as fit, g_MinContinentSpan plots across, and the rest go to the
+   other hemisphere if there is room there. The separation stage keeps every
+   continent oceanSeparation water tiles from every other, wrap included.
+*/
+
+console.log("Generating using script many-continents.js");
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { registerMapScript } from './map-pipeline.js';
+import { enforceLandmassSeparation } from './landmass-separation.js';
+import { g_RowSpacing } from './hex-geometry.js';
+
+// The fewest plots a continent spans either way.
+const g_MinContinentSpan = 6;
+
+// How far a cut may stray from the proportional split, and how much of a
+// cell's span each side may lose, as shares of the span.
+const g_SplitJitter = 0.15;
+const g_MaxInset = 0.15;
+
+// A cut across the other axis is as likely as the best one if its
+// continents come out no more than this much thinner (see slenderness).
+const g_AxisSlack = 1.3;
+
+// Land as a percentage of each continent's cell (the landPercent tunable),
+// less g_SeaLevelStep per step of the SeaLevel option.
+const g_LandPercent = 55;
+const g_SeaLevelStep = 5;
+
+//────────────────────────────────────────────────────────────
+// Cells are half-open boxes, like the pipeline's (map-pipeline.js).
+function spanOf(cell, bAcross) {
+    return bAcross ? cell.east - cell.west : cell.north - cell.south;
+}
+
+// How many continents fit along a span of iSpan plots.
+function fitAlong(iSpan, iGap) {
+    return Math.max(0, Math.floor((iSpan + iGap) / (g_MinContinentSpan + iGap)));
+}
+
+function capacityOf(cell, iGap) {
+    return fitAlong(spanOf(cell, true), iGap) * fitAlong(spanOf(cell, false), iGap);
+}
+
+// The two halves of a cell cut across (bAcross: by columns) after iFirst
+// plots, with an iGap channel between them.
+function cutCell(cell, bAcross, iFirst, iGap) {
+    if (bAcross) {
+        return [{ ...cell, east: cell.west + iFirst }, { ...cell, west: cell.west + iFirst + iGap }];
+    }
+    return [{ ...cell, north: cell.south + iFirst }, { ...cell, south: cell.south + iFirst + iGap }];
+}
+
+// Where to cut a span so the first part gets its share of the land.
+function proportionalCut(iSpan, iFirstCount, iCount, iGap) {
+    return Math.round((iSpan - iGap) * iFirstCount / iCount);
+}
+
+// How long and thin the continents of a cell come out if it is cut evenly
+// along whichever axis suits it best, each time: the longest side over the
+// shortest of the worst of them, 1 for square.
+function slenderness(fAcross, fUp, iCount, iGap) {
+    if (iCount <= 1) {
+        return Math.max(fAcross, fUp) / Math.max(1, Math.min(fAcross, fUp));
+    }
+    let iFirstCount = Math.floor(iCount / 2);
+    let fShare = iFirstCount / iCount;
+    let fGapUp = iGap * g_RowSpacing;
+    let fAcrossCut = Math.max(slenderness((fAcross - iGap) * fShare, fUp, iFirstCount, iGap),
+                              slenderness((fAcross - iGap) * (1 - fShare), fUp, iCount - iFirstCount, iGap));
+    let fUpCut = Math.max(slenderness(fAcross, (fUp - fGapUp) * fShare, iFirstCount, iGap),
+                          slenderness(fAcross, (fUp - fGapUp) * (1 - fShare), iCount - iFirstCount, iGap));
+    return Math.min(fAcrossCut, fUpCut);
+}
+
+function slendernessOf(cell, iCount, iGap) {
+    return slenderness(spanOf(cell, true), spanOf(cell, false) * g_RowSpacing, iCount, iGap);
+}
+
+//────────────────────────────────────────────────────────────
+// Cut a cell into iCount cells (step 1 at the top of this file).
+function splitCell(cell, iCount, iGap) {
+    if (iCount <= 1) {
+        return [cell];
+    }
+    let iFirstCount = Math.floor(iCount / 2) + (iCount % 2 == 1 ? TerrainBuilder.getRandomNumber(2, "Continent Split") : 0);
+    let iSecondCount = iCount - iFirstCount;
+
+    // Every cut that leaves room for both halves' continents, on each axis.
+    let cuts = [];
+    for (let bAcross of [true, false]) {
+        let iSpan = spanOf(cell, bAcross);
+        let positions = [];
+        for (let iFirst = g_MinContinentSpan; iFirst + iGap + g_MinContinentSpan <= iSpan; iFirst++) {
+            let [first, second] = cutCell(cell, bAcross, iFirst, iGap);
+            if (capacityOf(first, iGap) >= iFirstCount && capacityOf(second, iGap) >= iSecondCount) {
+                positions.push(iFirst);
+            }
+        }
+        if (positions.length > 0) {
+            cuts.push({ bAcross, iSpan, positions });
+        }
+    }
+    if (cuts.length == 0) {
+        return [cell];
+    }
+    for (let cut of cuts) {
+        let [first, second] = cutCell(cell, cut.bAcross, proportionalCut(cut.iSpan, iFirstCount, iCount, iGap), iGap);
+        cut.fSlenderness = Math.max(slendernessOf(first, iFirstCount, iGap), slendernessOf(second, iSecondCount, iGap));
+    }
+    cuts.sort((a, b) => a.fSlenderness - b.fSlenderness);
+    let cut = cuts[0];
+    if (cuts.length > 1 && cuts[1].fSlenderness <= cuts[0].fSlenderness * g_AxisSlack &&
+        TerrainBuilder.getRandomNumber(2, "Continent Split Axis") == 1) {
+        cut = cuts[1];
+    }
+
+    let iJitter = Math.floor((cut.iSpan - iGap) * g_SplitJitter);
+    let iTarget = proportionalCut(cut.iSpan, iFirstCount, iCount, iGap) + TerrainBuilder.getRandomNumber(2 * iJitter + 1, "Continent Split") - iJitter;
+    let iFirst = cut.positions.reduce((iBest, iPosition) => (Math.abs(iPosition - iTarget) < Math.abs(iBest - iTarget) ? iPosition : iBest));
+    let [first, second] = cutCell(cell, cut.bAcross, iFirst, iGap);
+    return [...splitCell(first, iFirstCount, iGap), ...splitCell(second, iSecondCount, iGap)];
+}
+
+// Shrink a cell by up to g_MaxInset of its span on each side (step 2).
+function insetCell(cell) {
+    let inset = (iSpan, label) => {
+        let iSpare = Math.min(Math.floor(iSpan * g_MaxInset), Math.floor((iSpan - g_MinContinentSpan) / 2));
+        return iSpare > 0 ? TerrainBuilder.getRandomNumber(iSpare + 1, label) : 0;
+    };
+    let iAcross = spanOf(cell, true);
+    let iUp = spanOf(cell, false);
+    return {
+        ...cell,
+        west: cell.west + inset(iAcross, "Continent Inset"),
+        east: cell.east - inset(iAcross, "Continent Inset"),
+        south: cell.south + inset(iUp, "Continent Inset"),
+        north: cell.north - inset(iUp, "Continent Inset")
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// Lay the continents out in the hemispheres, after the continents stage,
+// as map.continents: [{ west, east, south, north, hemisphere, id }].
+function layoutContinents(map) {
+    let iGap = map.tunables.oceanSeparation;
+    // The East box may reach the map edge only as far as leaves iGap
+    // columns of ocean across the wrap to the West box.
+    let hemispheres = [
+        { ...map.westContinent },
+        { ...map.eastContinent, east: Math.min(map.eastContinent.east, map.iWidth - iGap + map.westContinent.west) }
+    ];
+    let iCount = map.tunables.continentCount;
+    let iWest = Math.floor(iCount / 2) + (iCount % 2 == 1 ? TerrainBuilder.getRandomNumber(2, "Continent Hemisphere") : 0);
+    let counts = [iWest, iCount - iWest];
+    for (let i = 0; i < 2; i++) {
+        let iSpare = capacityOf(hemispheres[1 - i], iGap) - counts[1 - i];
+        let iOver = Math.max(0, counts[i] - capacityOf(hemispheres[i], iGap));
+        counts[i] -= iOver;
+        counts[1 - i] += Math.min(iOver, Math.max(0, iSpare));
+    }
+    if (counts[0] + counts[1] < iCount) {
+        console.log("Continents: only room for " + (counts[0] + counts[1]) + " of " + iCount);
+    }
+
+    map.continents = [];
+    hemispheres.forEach((hemisphere, iHemisphere) => {
+        for (let cell of splitCell(hemisphere, counts[iHemisphere], iGap)) {
+            map.continents.push({ ...insetCell(cell), hemisphere: iHemisphere, id: map.continents.length });
+        }
+    });
+    console.log("Continents: " + map.continents.map(continent =>
+        (continent.hemisphere == 0 ? "West " : "East ") + spanOf(continent, true) + "x" + spanOf(continent, false) +
+        " at (" + continent.west + ", " + continent.south + ")").join(", "));
+}
+
+function continentAt(map, iX, iY) {
+    return map.continents.find(continent => iX >= continent.west && iX < continent.east &&
+                                            iY >= continent.south && iY < continent.north) ?? null;
+}
+
+//────────────────────────────────────────────────────────────
+// The landmass stage: one blob per continent (step 3).
+function carveContinents(map) {
+    FractalBuilder.create(globals.g_LandmassFractal, map.iWidth, map.iHeight, map.tunables.fractalSize, 0);
+    let fLow = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 0);
+    let fHigh = Math.max(fLow + 1, FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 100));
+
+    for (let continent of map.continents) {
+        let fCenterX = (continent.west + continent.east - 1) / 2;
+        let fCenterY = (continent.south + continent.north - 1) / 2;
+        let fRadiusX = spanOf(continent, true) / 2;
+        let fRadiusY = spanOf(continent, false) / 2;
+        let plots = [];
+        for (let iY = continent.south; iY < continent.north; iY++) {
+            for (let iX = continent.west; iX < continent.east; iX++) {
+                let fHeight = (FractalBuilder.getHeight(globals.g_LandmassFractal, iX, iY) - fLow) / (fHigh - fLow);
+                let fRim = ((iX - fCenterX) / fRadiusX) ** 2 + ((iY - fCenterY) / fRadiusY) ** 2;
+                plots.push({ x: iX, y: iY, score: fHeight - map.tunables.edgeFalloff * fRim });
+            }
+        }
+        plots.sort((a, b) => b.score - a.score || a.y - b.y || a.x - b.x);
+        let iLand = Math.round(plots.length * map.tunables.landPercent / 100);
+        for (let plot of plots.slice(0, iLand)) {
+            TerrainBuilder.setTerrainType(plot.x, plot.y, globals.g_FlatTerrain);
+            utilities.addLandmassPlotTags(plot.x, plot.y, map.eastContinent.west);
+        }
+    }
+}
+
+// The separation stage: every continent is a region of its own, so each
+// stays oceanSeparation water tiles from all the others, not just from the
+// other hemisphere.
+function separateContinents(map) {
+    map.separation = enforceLandmassSeparation(map.iWidth, map.iHeight, {
+        regionOf: (iX, iY) => continentAt(map, iX, iY)?.id ?? (iX < map.eastContinent.west ? "West" : "East"),
+        eastContinentLeftCol: map.eastContinent.west,
+        failOnViolation: false,
+        minGap: map.tunables.oceanSeparation
+    });
+}
+
+//────────────────────────────────────────────────────────────
+// Everything else is the shared pipeline (map-pipeline.js). The tunables
+// are the ContinentCount option (3 to 7), the land percent of each cell,
+// the fractal's grain and how strongly the land falls away toward a
+// continent's rim.
+registerMapScript({
+    name: "Many Continents map",
+    file: "many-continents.js",
+    hooks: { after: { continents: layoutContinents } },
+    overrides: { separation: separateContinents },
+    landmass: carveContinents,
+    tunables: (mapOptions) => ({
+        continentCount: mapOptions.ContinentCount,
+        landPercent: g_LandPercent - mapOptions.SeaLevel * g_SeaLevelStep,
+        fractalSize: 3,
+        edgeFalloff: 0.6
+    })
+});
+
+console.log("Loaded many-continents.js");
@@ -0,0 +1,133 @@
+/* map-options.js
+   The options a player can set for these maps on the game's setup screen,
+   read with Configuration.getMapValue so nobody has to edit a script to get
+   a wetter world or lower seas.
+
+   g_MapOptions lists every option: its map value key, the range it takes
+   and its default. Most are steps either side of the standard map (-2 to
+   2, with a name for each step); ContinentCount and SeparationWidth are
+   plain numbers and the rest are on/off. g_ScriptOptions says which options
+   each script offers, and may narrow an option's range for that script.
+
+   readMapOptions() reads a script's options when the map is generated (the
+   pipeline keeps them as map.mapOptions, and they go into the map recipe as
+   map values). A value that is missing gives the default; one that is not a
+   whole number, or falls outside the range, is logged and replaced by the
+   default or the nearest end of the range. Options the script does not offer
+   are not read at all and keep their default.
+
+   The scripts turn the options into tunables (map-pipeline.js, and each
+   script's own tunables) or read them from map.mapOptions. A replayed
+   recipe forces both: its tunables, and its map values in place of the
+   setup's (map-recipe.js). Tools/make-map-options.mjs writes the setup screen's
+   parameters, domains and text from these tables; rerun it after changing
+   them.
+*/
+
+const g_Steps = { min: -2, max: 2, defaultValue: 0 };
+
+export const g_MapOptions = [
+    { key: "LandmassSize", name: "Landmass size", ...g_Steps,
+      description: "How much of the map the continents may cover: how wide the polar and side oceans are.",
+      values: ["Smallest", "Small", "Standard", "Large", "Largest"] },
+    { key: "SeaLevel", name: "Sea level", ...g_Steps,
+      description: "How much of the continents is under water.",
+      values: ["Very low", "Low", "Standard", "High", "Very high"] },
+    { key: "ContinentCount", name: "Continents", min: 2, max: 7, defaultValue: 2,
+      description: "How many continents the land is split into." },
+    { key: "MountainDensity", name: "Mountains", ...g_Steps,
+      description: "How many mountains there are.",
+      values: ["Very few", "Few", "Standard", "Many", "Very many"] },
+    { key: "Rainfall", name: "Rainfall", ...g_Steps,
+      description: "How wet the climate is: fewer deserts, more forest and jungle.",
+      values: ["Arid", "Dry", "Standard", "Wet", "Very wet"] },
+    { key: "Temperature", name: "Temperature", ...g_Steps,
+      description: "How warm the climate is: more tundra, or more desert and tropics.",
+      values: ["Cold", "Cool", "Standard", "Warm", "Hot"] },
+    { key: "SeparationWidth", name: "Ocean separation", min: 8, max: 16, defaultValue: 8,
+      description: "The fewest water tiles between the two hemispheres. Never less than eight." },
+    { key: "TrueStartLocations", name: "True start locations", min: 0, max: 1, defaultValue: 0, bBoolean: true,
+      description: "Civilizations start near their historical homelands." },
+    { key: "Tectonics", name: "Plate tectonics", min: 0, max: 1, defaultValue: 0, bBoolean: true,
+      description: "Mountain ranges, volcanic arcs and rifts along the boundaries of drifting plates." },
+    { key: "SeamInOcean", name: "Seam in the widest ocean", min: 0, max: 1, defaultValue: 0, bBoolean: true,
+      description: "Turns the world so the East/West wrap seam runs down the widest ocean." },
+];
+
+// What every pipeline script offers: the options the shared stages read.
+export const g_PipelineOptions = { MountainDensity: {}, Rainfall: {}, Temperature: {}, SeparationWidth: {} };
+
+// The options each script offers, by file name, with any narrower range.
+// A script not listed here (a described map, say) offers g_PipelineOptions.
+export const g_ScriptOptions = {
+    "earth.js": { ...g_PipelineOptions, TrueStartLocations: {}, SeamInOcean: {} },
+    "earthlike.js": { ...g_PipelineOptions, LandmassSize: {}, SeaLevel: {}, ContinentCount: { max: 4 }, Tectonics: {} },
+    "archipelago.js": { ...g_PipelineOptions, LandmassSize: {}, SeaLevel: {} },
+    "smiley-face.js": { ...g_PipelineOptions, LandmassSize: {}, SeaLevel: {} },
+    "twin-seas.js": { ...g_PipelineOptions },
+    "many-continents.js": { ...g_PipelineOptions, LandmassSize: {}, SeaLevel: {}, ContinentCount: { min: 3 } },
+};
+
+export function getMapOption(key) {
+    let option = g_MapOptions.find(option => option.key == key);
+    if (option == null) {
+        throw new Error("map-options: unknown option " + key);
+    }
+    return option;
+}
+
+// An option's default, moved into range when a script narrows it.
+function getOptionDefault(option, range = {}) {
+    return Math.min(range.max ?? option.max, Math.max(range.min ?? option.min, option.defaultValue));
+}
+
+//────────────────────────────────────────────────────────────
+// One option's value, from its map value, within range (the option's own,
+// or range.min and range.max when a script narrows it).
+export function readMapOption(key, range = {}) {
+    let option = getMapOption(key);
+    let iMin = range.min ?? option.min;
+    let iMax = range.max ?? option.max;
+    let iDefault = getOptionDefault(option, range);
+    let value = Configuration.getMapValue(key);
+    if (value == null || value === "") {
+        return iDefault;
+    }
+    let iValue = Number(value);
+    if (!Number.isInteger(iValue)) {
+        console.log("Map options: " + key + " is " + JSON.stringify(value) + ", not a whole number; using " + iDefault);
+        return iDefault;
+    }
+    if (iValue < iMin || iValue > iMax) {
+        let iClamped = Math.min(iMax, Math.max(iMin, iValue));
+        console.log("Map options: " + key + " is " + iValue + ", outside " + iMin + " to " + iMax + "; using " + iClamped);
+        return iClamped;
+    }
+    return iValue;
+}
+
+// Every option for the script with the given file name: the ones it offers
+// read from the map values, the rest at their defaults. Logs the ones that
+// are not at their default (the script's, if it narrows the range).
+export function readMapOptions(file) {
+    let offered = g_ScriptOptions[file] ?? g_PipelineOptions;
+    let mapOptions = {};
+    let changed = [];
+    for (let option of g_MapOptions) {
+        let range = offered[option.key];
+        mapOptions[option.key] = range ? readMapOption(option.key, range) : option.defaultValue;
+        if (mapOptions[option.key] != getOptionDefault(option, range)) {
+            changed.push(option.key + " " + mapOptions[option.key]);
+        }
+    }
+    if (changed.length > 0) {
+        console.log("Map options: " + changed.join(", "));
+    }
+    return mapOptions;
+}
+
+// A script's tunables: given as they are, or as a function of the map
+// options.
+export function resolveTunables(tunables, mapOptions) {
+    return typeof tunables === 'function' ? tunables(mapOptions) : tunables;
+}
@@ -0,0 +1,409 @@
+/* map-pipeline.js
+   The generation sequence every map script in this folder runs, as a list of
+   named stages. A script supplies the one thing that makes it different – the
+   landmass carver – and runs the rest as is:
+
+     registerMapScript({ name: "My map", landmass: (map) => { ... } });
+
+   Each stage is a function of the shared map context (see createMapContext):
+   the grid size, the Maps row, the continent boxes, the players per
+   hemisphere, the start sectors and the start positions. Stages read and
+   write that context, so a later stage sees what an earlier one decided.
+
+   options (all optional except landmass):
+     landmass   – (map) => void, turns the water world into land and water
+     overrides  – { stageName: (map) => void } replaces a stage
+     skip       – [stageName, ...] stages that do not run at all
+     hooks      – { before: { stageName: fn | [fn] }, after: { ... } } run
+                  around a stage (also around an overridden one; not around a
+                  skipped one)
+     file       – the script's file name, which picks the setup options it
+                  offers (g_ScriptOptions in map-options.js)
+     tunables   – the numbers that shape the script's map ({ waterPercent:
+                  20, ... }), or a function of the map options returning
+                  them, read back from map.tunables; they go into the map
+                  recipe and a replay can replace them (map-recipe.js)
+     rivers     – { minLength, maxLength } for the engine's rivers
+                  (modelRivers, default 5, 15)
+     floodplains – { minLength, maxLength } for addFloodplains (default 4, 10)
+     hydrology  – options for buildHydrology (hydrology.js), such as courses
+                  for the big rivers
+     separation – options for enforceLandmassSeparation in the separation stage
+     name       – used in the log
+
+   The three scripts used to run slightly different copies of this sequence.
+   The shared defaults follow the base game's continents script: lakes and
+   ocean plot tags everywhere, the engine's expandCoasts. Rainfall and
+   biomes come from climate.js rather than the engine's latitude bands, and
+   lakes, navigable rivers, deltas and the floodplains along them from
+   hydrology.js, which follows the water downhill once the rainfall is known;
+   the engine still draws the small rivers, 5 to 15 plots long. A script that
+   wants otherwise says so in its options.
+
+   The player's setup options (map-options.js) are read before the first
+   stage and kept as map.mapOptions. The pipeline turns its own into
+   tunables: SeparationWidth into oceanSeparation, LandmassSize into the
+   polar rows and side columns of ocean around the continent boxes
+   (polarWaterRows, oceanWaterColumns),
+   MountainDensity into mountainPercent (the mountains kept or added, as a
+   percentage of those the mountain stage made), and Rainfall and
+   Temperature into climate.js's rainfallPercent and temperatureOffset.
+
+   The statistics stage logs a report on the finished map (map-statistics.js):
+   land share, landmasses, coastline, biomes, features, relief, rivers,
+   resources per hemisphere and how fair the starts are.
+
+   Every run logs its map recipe (map-recipe.js): seed, size, map values,
+   tunables (with the pipeline's own: oceanSeparation, polarWaterRows,
+   oceanWaterColumns, mountainPercent, rainfallPercent, temperatureOffset,
+   rivers and floodplains), mask hash, random calls and a checksum of the
+   final map.
+*/
+
+import { assignStartPositions, chooseStartSectors } from '/base-standard/maps/assign-starting-plots.js';
+import { addMountains, addHills, expandCoasts } from '/base-standard/maps/elevation-terrain-generator.js';
+import { addFeatures } from '/base-standard/maps/feature-biome-generator.js';
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { addNaturalWonders } from '/base-standard/maps/natural-wonder-generator.js';
+import { generateResources } from '/base-standard/maps/resource-generator.js';
+import { addVolcanoes } from '/base-standard/maps/volcano-generator.js';
+import { assignAdvancedStartRegions } from '/base-standard/maps/assign-advanced-start-region.js';
+import { generateDiscoveries } from '/base-standard/maps/discovery-generator.js';
+import { generateSnow, dumpPermanentSnow } from '/base-standard/maps/snow-generator.js';
+import { dumpStartSectors, dumpContinents, dumpTerrain, dumpElevation, dumpRainfall, dumpBiomes, dumpFeatures, dumpResources, dumpNoisePredicate } from '/base-standard/maps/map-debug-helpers.js';
+import { enforceLandmassSeparation, g_RequiredOceanSeparation } from './landmass-separation.js';
+import { buildClimate, designateClimateBiomes } from './climate.js';
+import { buildHydrology, addBasinLakes, addNavigableRivers, removeOtherNavigableRivers, addRiverFloodplains } from './hydrology.js';
+import { readMapOptions, resolveTunables } from './map-options.js';
+import { buildMapStatistics, logMapStatistics } from './map-statistics.js';
+import { getAdjacentPlot } from './hex-geometry.js';
+import { seamColumns } from './wrap-seam.js';
+import { getReplayRecipe, startRecording, stopRecording, createMapRecipe, logMapRecipe, checkReplaySetup, compareReplay } from './map-recipe.js';
+
+// What one step of the LandmassSize, MountainDensity, Rainfall and
+// Temperature options changes: rows of ocean at the poles, percent of the
+// mountains, percent of the rain, °C.
+const g_LandmassSizeStep = 2;
+const g_MountainDensityStep = 30;
+const g_RainfallStep = 15;
+const g_TemperatureStep = 3;
+
+//────────────────────────────────────────────────────────────
+// The ocean around the continent boxes for a LandmassSize step. Smaller
+// landmasses get g_LandmassSizeStep more rows at each pole and a column more
+// at each side per step; larger ones lose polar rows, one per step, but
+// keep the side columns, which are all the wrap has toward the ocean
+// separation.
+function landmassSizeMargins(iStep) {
+    if (iStep >= 0) {
+        return { polarWaterRows: Math.max(0, globals.g_PolarWaterRows - iStep), oceanWaterColumns: globals.g_OceanWaterColumns };
+    }
+    return {
+        polarWaterRows: globals.g_PolarWaterRows - iStep * g_LandmassSizeStep,
+        oceanWaterColumns: globals.g_OceanWaterColumns - iStep
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// The mountainDensity stage: keep or add mountains until there are
+// iPercent percent of those the mountains stage made. Removed mountains
+// become hills; added ones extend the existing ranges into inland plots.
+function adjustMountainDensity(map, iPercent) {
+    if (iPercent == 100) {
+        return;
+    }
+    let mountains = [];
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (GameplayMap.isMountain(iX, iY)) {
+                mountains.push({ x: iX, y: iY });
+            }
+        }
+    }
+    let iTarget = Math.round(mountains.length * iPercent / 100);
+    let iBefore = mountains.length;
+    while (mountains.length > iTarget) {
+        let iPick = TerrainBuilder.getRandomNumber(mountains.length, "Mountain Density");
+        let location = mountains[iPick];
+        mountains[iPick] = mountains[mountains.length - 1];
+        mountains.pop();
+        TerrainBuilder.setTerrainType(location.x, location.y, globals.g_HillTerrain);
+    }
+    for (let iTries = 0; mountains.length < iTarget && iTries < iTarget * 20; iTries++) {
+        let location = mountains[TerrainBuilder.getRandomNumber(mountains.length, "Mountain Density")];
+        let iDirection = TerrainBuilder.getRandomNumber(DirectionTypes.NUM_DIRECTION_TYPES, "Mountain Density");
+        let adjacent = getAdjacentPlot(location.x, location.y, iDirection, map.iWidth, map.iHeight);
+        if (adjacent == null || GameplayMap.isWater(adjacent.x, adjacent.y) ||
+            GameplayMap.isMountain(adjacent.x, adjacent.y) || GameplayMap.isCoastalLand(adjacent.x, adjacent.y)) {
+            continue;
+        }
+        TerrainBuilder.setTerrainType(adjacent.x, adjacent.y, globals.g_MountainTerrain);
+        mountains.push({ x: adjacent.x, y: adjacent.y });
+    }
+    console.log("Mountain density: " + iBefore + " mountains, now " + mountains.length);
+}
+
+//────────────────────────────────────────────────────────────
+// The stages, in the order they run.
+const g_DefaultStages = [
+    // Continent boxes: two halves of the map with an ocean gap of
+    // oceanSeparation columns in the middle, polarWaterRows rows of ocean
+    // at the poles and oceanWaterColumns columns at the sides. The side
+    // oceans meet at the wrap seam, so they are widened to make at least
+    // oceanSeparation columns there too (wrap-seam.js).
+    //
+    // Every continent box in the scripts is half-open, as the engine's own
+    // sector and start-plot code reads them: west and south are the first
+    // column and row inside the box, east and north the first outside it.
+    // Its width is east - west, and a carver loops iX < east, iY < north.
+    ["continents", (map) => {
+        let iSeparation = map.tunables.oceanSeparation;
+        let iGapStart = Math.floor(map.iWidth / 2) - Math.floor(iSeparation / 2);
+        let seam = seamColumns(map.tunables.oceanWaterColumns, iSeparation);
+        map.westContinent = {
+            west: seam.west,
+            east: iGapStart,
+            south: map.tunables.polarWaterRows,
+            north: map.iHeight - map.tunables.polarWaterRows,
+            continent: 0
+        };
+        map.eastContinent = {
+            west: iGapStart + iSeparation,
+            east: map.iWidth - seam.east,
+            south: map.tunables.polarWaterRows,
+            north: map.iHeight - map.tunables.polarWaterRows,
+            continent: 1
+        };
+    }],
+    ["players", (map) => {
+        map.iNumPlayers1 = map.mapInfo.PlayersLandmass1;
+        map.iNumPlayers2 = map.mapInfo.PlayersLandmass2;
+    }],
+    ["startSectors", (map) => {
+        let bHumanNearEquator = utilities.needHumanNearEquator();
+        map.startSectors = chooseStartSectors(map.iNumPlayers1, map.iNumPlayers2, map.iStartSectorRows, map.iStartSectorCols, bHumanNearEquator);
+    }],
+    // Start from a water world; the landmass stage carves the land.
+    ["ocean", (map) => {
+        for (let iY = 0; iY < map.iHeight; iY++) {
+            for (let iX = 0; iX < map.iWidth; iX++) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_OceanTerrain);
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+            }
+        }
+    }],
+    ["landmass", (map) => {
+        throw new Error("map-pipeline: no landmass carver given for " + map.name);
+    }],
+    // West and East must be at least eight water tiles apart, wrap included.
+    // The report (with the regionOf it used) goes in map.separation, for the
+    // statistics stage to check the finished map against.
+    ["separation", (map) => {
+        map.separation = enforceLandmassSeparation(map.iWidth, map.iHeight, {
+            regionOf: (iX, iY) => (iX < map.eastContinent.west ? "West" : "East"),
+            eastContinentLeftCol: map.eastContinent.west,
+            failOnViolation: false,
+            minGap: map.tunables.oceanSeparation,
+            ...map.options.separation
+        });
+    }],
+    ["validate", () => TerrainBuilder.validateAndFixTerrain()],
+    ["coasts", (map) => expandCoasts(map.iWidth, map.iHeight)],
+    ["waterTags", (map) => utilities.adjustOceanPlotTags(map.iNumPlayers1 > map.iNumPlayers2)],
+    ["areas", () => {
+        AreaBuilder.recalculateAreas();
+        TerrainBuilder.stampContinents();
+    }],
+    ["mountains", (map) => addMountains(map.iWidth, map.iHeight)],
+    ["mountainDensity", (map) => adjustMountainDensity(map, map.tunables.mountainPercent)],
+    ["volcanoes", (map) => addVolcanoes(map.iWidth, map.iHeight)],
+    ["elevation", () => {
+        AreaBuilder.recalculateAreas();
+        TerrainBuilder.buildElevation();
+    }],
+    ["hills", (map) => addHills(map.iWidth, map.iHeight)],
+    // Winds, currents and rain shadows (climate.js); the biome stage reads
+    // the temperature it leaves in map.climate.
+    ["rainfall", (map) => { map.climate = buildClimate(map); }],
+    // Where the water runs (hydrology.js), kept as map.hydrology for the
+    // river and floodplain stages: lakes in the closed basins first.
+    ["lakes", (map) => {
+        map.hydrology = buildHydrology(map, map.options.hydrology);
+        addBasinLakes(map, map.hydrology);
+        AreaBuilder.recalculateAreas();
+    }],
+    ["rivers", (map) => {
+        let rivers = map.tunables.rivers;
+        addNavigableRivers(map, map.hydrology);
+        TerrainBuilder.modelRivers(rivers.minLength, rivers.maxLength, globals.g_NavigableRiverTerrain);
+        removeOtherNavigableRivers(map, map.hydrology);
+        TerrainBuilder.validateAndFixTerrain();
+        TerrainBuilder.defineNamedRivers();
+    }],
+    ["biomes", (map) => designateClimateBiomes(map, map.climate)],
+    ["wonders", (map) => addNaturalWonders(map.iWidth, map.iHeight, map.mapInfo.NumNaturalWonders)],
+    ["floodplains", (map) => {
+        let floodplains = map.tunables.floodplains;
+        TerrainBuilder.addFloodplains(floodplains.minLength, floodplains.maxLength);
+        addRiverFloodplains(map, map.hydrology);
+    }],
+    ["features", (map) => addFeatures(map.iWidth, map.iHeight)],
+    ["finalize", () => {
+        TerrainBuilder.validateAndFixTerrain();
+        AreaBuilder.recalculateAreas();
+        TerrainBuilder.storeWaterData();
+    }],
+    ["snow", (map) => generateSnow(map.iWidth, map.iHeight)],
+    ["resources", (map) => generateResources(map.iWidth, map.iHeight, map.westContinent, map.eastContinent, map.iNumPlayers1, map.iNumPlayers2)],
+    ["startPositions", (map) => {
+        map.startPositions = assignStartPositions(map.iNumPlayers1, map.iNumPlayers2, map.westContinent, map.eastContinent,
+            map.iStartSectorRows, map.iStartSectorCols, map.startSectors);
+    }],
+    ["discoveries", (map) => generateDiscoveries(map.iWidth, map.iHeight, map.startPositions)],
+    ["fertility", () => FertilityBuilder.recalculate()],
+    ["advancedStarts", () => assignAdvancedStartRegions()],
+    // A report on the finished map (map-statistics.js), for tuning.
+    ["statistics", (map) => logMapStatistics(buildMapStatistics(map))],
+    // ASCII dumps of every layer, for the game log.
+    ["dumps", (map) => {
+        dumpStartSectors(map.startSectors);
+        dumpContinents(map.iWidth, map.iHeight);
+        dumpTerrain(map.iWidth, map.iHeight);
+        dumpElevation(map.iWidth, map.iHeight);
+        dumpRainfall(map.iWidth, map.iHeight);
+        dumpBiomes(map.iWidth, map.iHeight);
+        dumpFeatures(map.iWidth, map.iHeight);
+        dumpPermanentSnow(map.iWidth, map.iHeight);
+        dumpResources(map.iWidth, map.iHeight);
+        let poisson = TerrainBuilder.generatePoissonMap(GameplayMap.getRandomSeed(), 3, 2);
+        dumpNoisePredicate(map.iWidth, map.iHeight, poisson, (val) => (val >= 1 ? "*" : " "));
+    }],
+];
+
+export const g_MapStageNames = g_DefaultStages.map(([name]) => name);
+
+//────────────────────────────────────────────────────────────
+// The context the stages share, or null if the map size is unknown. A
+// replayed recipe's tunables replace the script's.
+export function createMapContext(options = {}, replay = null) {
+    let mapInfo = GameInfo.Maps.lookup(GameplayMap.getMapSize());
+    if (mapInfo == null) {
+        return null;
+    }
+    let mapOptions = readMapOptions(options.file);
+    return {
+        name: options.name ?? "map",
+        options,
+        mapOptions,
+        iWidth: GameplayMap.getGridWidth(),
+        iHeight: GameplayMap.getGridHeight(),
+        mapInfo,
+        tunables: replay?.tunables ?? {
+            oceanSeparation: Math.max(g_RequiredOceanSeparation, mapOptions.SeparationWidth),
+            ...landmassSizeMargins(mapOptions.LandmassSize),
+            mountainPercent: 100 + mapOptions.MountainDensity * g_MountainDensityStep,
+            rainfallPercent: 100 + mapOptions.Rainfall * g_RainfallStep,
+            temperatureOffset: mapOptions.Temperature * g_TemperatureStep,
+            rivers: { minLength: 5, maxLength: 15, ...options.rivers },
+            floodplains: { minLength: 4, maxLength: 10, ...options.floodplains },
+            ...resolveTunables(options.tunables, mapOptions)
+        },
+        maskHash: null,
+        westContinent: null,
+        eastContinent: null,
+        separation: null,
+        iNumPlayers1: 0,
+        iNumPlayers2: 0,
+        iStartSectorRows: mapInfo.StartSectorRows,
+        iStartSectorCols: mapInfo.StartSectorCols,
+        startSectors: [],
+        startPositions: [],
+        climate: null,
+        hydrology: null,
+    };
+}
+
+function runHooks(hooks, map) {
+    for (let hook of [].concat(hooks ?? [])) {
+        hook(map);
+    }
+}
+
+function runStages(map, options) {
+    let stages = new Map(g_DefaultStages);
+    if (options.landmass) {
+        stages.set("landmass", options.landmass);
+    }
+    for (let [name, stage] of Object.entries(options.overrides ?? {})) {
+        stages.set(name, stage);
+    }
+    let skip = new Set(options.skip ?? []);
+
+    console.log("Generating " + map.name + " (" + map.iWidth + "x" + map.iHeight + ")" +
+        (skip.size > 0 ? ", skipping " + Array.from(skip).join(", ") : ""));
+    for (let [name, stage] of stages) {
+        if (skip.has(name)) {
+            continue;
+        }
+        runHooks(options.hooks?.before?.[name], map);
+        stage(map);
+        runHooks(options.hooks?.after?.[name], map);
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Run every stage (see the options at the top of this file) and log the map
+// recipe. scriptOptions may be a function returning the options, called once
+// recording has started so any map values it reads are in the recipe.
+// Returns the map context, or null if the map size is unknown.
+export function runMapPipeline(scriptOptions) {
+    let replay = getReplayRecipe();
+    let recorder = startRecording(replay);
+    let map = null;
+    let bFinished = false;
+    try {
+        let options = typeof scriptOptions === 'function' ? scriptOptions() : scriptOptions;
+        for (let name of [...Object.keys(options.overrides ?? {}), ...(options.skip ?? []),
+                          ...Object.keys(options.hooks?.before ?? {}), ...Object.keys(options.hooks?.after ?? {})]) {
+            if (!g_MapStageNames.includes(name)) {
+                throw new Error("map-pipeline: unknown stage " + name);
+            }
+        }
+        map = createMapContext(options, replay);
+        if (map == null) {
+            return null;
+        }
+        if (replay) {
+            checkReplaySetup(map, replay);
+        }
+        runStages(map, options);
+        bFinished = true;
+        return map;
+    } finally {
+        stopRecording(recorder);
+        if (map != null) {
+            let recipe = createMapRecipe(map, recorder, bFinished);
+            logMapRecipe(recipe);
+            if (replay && bFinished) {
+                compareReplay(replay, recipe);
+            }
+        }
+    }
+}
+
+function requestMapData(initParams) {
+    engine.call("SetMapInitData", initParams);
+}
+
+//────────────────────────────────────────────────────────────
+// Register the engine listeners for a map script. options are those of
+// runMapPipeline (or a function returning them), plus requestMapData to
+// replace the default RequestMapInitData handler.
+export function registerMapScript(options) {
+    engine.on('RequestMapInitData', (initParams) => {
+        let handler = (typeof options === 'function' ? options() : options).requestMapData ?? requestMapData;
+        handler(initParams);
+    });
+    engine.on('GenerateMap', () => runMapPipeline(options));
+}
@@ -0,0 +1,258 @@
+/* map-recipe.js
+   A "map recipe": everything that decides what a generated map looks like,
+   logged as one line so a map a playtester reports can be made again.
+
+     Map recipe: {"version":2,"script":"Earth–based map","seed":1,...}
+
+   The recipe holds
+     version     – g_RecipeVersion; replays of another version are refused
+     script      – the map context's name
+     seed        – GameplayMap.getRandomSeed()
+     mapSize     – the MapSizeType, plus the grid width and height
+     mapValues   – every Configuration.getMapValue the script asked for, or
+                   null if it could not be recorded
+     tunables    – the script's tunables (map.tunables: water percent,
+                   fractal sizes, ocean separation, ...)
+     maskHash    – hash of the mask or landmass description the landmass
+                   came from (map.maskHash), or null
+   and what the run made of it, to check a replay against:
+     randomCalls – TerrainBuilder.getRandomNumber calls per context, in the
+                   order each context was first used, or null if they could
+                   not be recorded
+     randomHash  – hash of every call's context, range and result, in order
+                   (null with randomCalls)
+     checksum    – hash of the final terrain, biomes, features, resources,
+                   rivers and lakes (see terrainChecksum)
+
+   The pipeline (map-pipeline.js) starts recording before the first stage
+   and logs the recipe after the last, or when a stage throws. Recording
+   swaps TerrainBuilder.getRandomNumber and Configuration.getMapValue for
+   wrappers; where the game does not let a script replace them, that part
+   of the recipe is left out and the log says so.
+
+   Replay: a recipe given as the "MapRecipe" map value (its JSON text) is
+   forced on the run: its tunables replace the script's, and its map values
+   are what Configuration.getMapValue returns for the keys it recorded, so
+   the script's own options (SeamInOcean, Tectonics, ...) come out as they
+   were too. Where getMapValue cannot be wrapped the setup's values stand.
+   The seed and map size come from the game setup, so a replay only warns
+   when they differ, as it does for a different mask. At the end the replay reports whether
+   the random calls and the checksum came out the same. Tools/run-map.mjs
+   --replay sets the seed, size and map values from a recipe and does this.
+*/
+
+export const g_RecipeVersion = 2;
+export const g_RecipePrefix = "Map recipe: ";
+
+//────────────────────────────────────────────────────────────
+// 32-bit FNV-1a, as eight hex digits.
+const g_FnvOffset = 0x811c9dc5;
+const g_FnvPrime = 0x01000193;
+
+function hashInt(iHash, iValue) {
+    for (let iShift = 0; iShift < 32; iShift += 8) {
+        iHash = Math.imul(iHash ^ ((iValue >>> iShift) & 0xff), g_FnvPrime);
+    }
+    return iHash >>> 0;
+}
+
+function hashText(iHash, text) {
+    for (let i = 0; i < text.length; i++) {
+        iHash = hashInt(iHash, text.charCodeAt(i));
+    }
+    return iHash;
+}
+
+function toHex(iHash) {
+    return (iHash >>> 0).toString(16).padStart(8, "0");
+}
+
+export function hashString(text) {
+    return toHex(hashText(g_FnvOffset, text));
+}
+
+//────────────────────────────────────────────────────────────
+// Hash of everything a player would see of the finished map.
+export function terrainChecksum(iWidth, iHeight) {
+    let iHash = g_FnvOffset;
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            iHash = hashInt(iHash, GameplayMap.getTerrainType(iX, iY));
+            iHash = hashInt(iHash, GameplayMap.getBiomeType(iX, iY));
+            iHash = hashInt(iHash, GameplayMap.getFeatureType(iX, iY));
+            iHash = hashInt(iHash, GameplayMap.getResourceType(iX, iY));
+            iHash = hashInt(iHash, (GameplayMap.isRiver(iX, iY) ? 1 : 0) + (GameplayMap.isNavigableRiver(iX, iY) ? 2 : 0) + (GameplayMap.isLake(iX, iY) ? 4 : 0));
+        }
+    }
+    return toHex(iHash);
+}
+
+//────────────────────────────────────────────────────────────
+// Put fn in place of host[key], and check that it took: the engine's host
+// objects may be frozen or have read-only functions. Logs and returns false
+// if it did not.
+function replaceEngineFunction(host, hostName, key, fn) {
+    try {
+        host[key] = fn;
+    } catch (error) {
+        console.log("map-recipe: cannot replace " + hostName + "." + key + " (" + error.message + ")");
+        return false;
+    }
+    if (host[key] !== fn) {
+        console.log("map-recipe: cannot replace " + hostName + "." + key);
+        return false;
+    }
+    return true;
+}
+
+//────────────────────────────────────────────────────────────
+// Start recording the random calls and map values, with the map values of
+// the recipe being replayed (if any) in place of the game's. Returns the
+// recorder; stopRecording() puts the engine functions back. Whatever cannot
+// be recorded is null in the recorder (randomCalls, mapValues).
+export function startRecording(replay = null) {
+    let recorder = {
+        randomCalls: new Map(),
+        iRandomHash: g_FnvOffset,
+        mapValues: {},
+        getRandomNumber: TerrainBuilder.getRandomNumber,
+        getMapValue: Configuration.getMapValue
+    };
+    let recordRandomNumber = (iMax, context) => {
+        let iResult = recorder.getRandomNumber.call(TerrainBuilder, iMax, context);
+        recorder.randomCalls.set(context, (recorder.randomCalls.get(context) ?? 0) + 1);
+        recorder.iRandomHash = hashInt(hashInt(hashText(recorder.iRandomHash, String(context)), iMax), iResult);
+        return iResult;
+    };
+    let forced = replay?.mapValues ?? {};
+    let recordMapValue = (key) => {
+        let value = key in forced ? forced[key] : recorder.getMapValue.call(Configuration, key);
+        recorder.mapValues[key] = value ?? null;
+        return value;
+    };
+    if (!replaceEngineFunction(TerrainBuilder, "TerrainBuilder", "getRandomNumber", recordRandomNumber)) {
+        recorder.randomCalls = null;
+    }
+    if (!replaceEngineFunction(Configuration, "Configuration", "getMapValue", recordMapValue)) {
+        recorder.mapValues = null;
+    }
+    return recorder;
+}
+
+export function stopRecording(recorder) {
+    if (recorder.randomCalls != null) {
+        TerrainBuilder.getRandomNumber = recorder.getRandomNumber;
+    }
+    if (recorder.mapValues != null) {
+        Configuration.getMapValue = recorder.getMapValue;
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// The recipe being replayed, from the MapRecipe map value, or null. Call it
+// before startRecording so the recipe itself is not recorded as a map value.
+export function getReplayRecipe() {
+    let text = Configuration.getMapValue("MapRecipe");
+    if (text == null || text === "") {
+        return null;
+    }
+    let recipe = parseRecipe(String(text));
+    if (recipe == null) {
+        throw new Error("map-recipe: MapRecipe is not a map recipe");
+    }
+    if (recipe.version != g_RecipeVersion) {
+        throw new Error("map-recipe: cannot replay a version " + recipe.version + " recipe");
+    }
+    return recipe;
+}
+
+// A recipe from its JSON, or from a log line (or whole log) holding one.
+export function parseRecipe(text) {
+    let iStart = text.lastIndexOf(g_RecipePrefix);
+    let json = iStart == -1 ? text : text.slice(iStart + g_RecipePrefix.length).split("\n")[0];
+    try {
+        let recipe = JSON.parse(json);
+        return typeof recipe === "object" && recipe != null && "seed" in recipe ? recipe : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// The recipe for the map in the context, with what the recorder saw.
+// bFinished says whether every stage ran (only then is there a checksum).
+export function createMapRecipe(map, recorder, bFinished) {
+    return {
+        version: g_RecipeVersion,
+        script: map.name,
+        seed: GameplayMap.getRandomSeed(),
+        mapSize: map.mapInfo.MapSizeType,
+        width: map.iWidth,
+        height: map.iHeight,
+        mapValues: recorder.mapValues,
+        tunables: map.tunables,
+        maskHash: map.maskHash ?? null,
+        randomCalls: recorder.randomCalls && Object.fromEntries(recorder.randomCalls),
+        randomHash: recorder.randomCalls && toHex(recorder.iRandomHash),
+        checksum: bFinished ? terrainChecksum(map.iWidth, map.iHeight) : null
+    };
+}
+
+export function logMapRecipe(recipe) {
+    console.log(g_RecipePrefix + JSON.stringify(recipe));
+}
+
+// Before the first stage of a replay: what the game setup does not let the
+// script force.
+export function checkReplaySetup(map, replay) {
+    if (replay.seed != GameplayMap.getRandomSeed()) {
+        console.log("Replay: the recipe's seed is " + replay.seed + ", this game's is " + GameplayMap.getRandomSeed());
+    }
+    if (replay.mapSize != map.mapInfo.MapSizeType) {
+        console.log("Replay: the recipe is for " + replay.mapSize + ", this map is " + map.mapInfo.MapSizeType);
+    }
+    if (replay.script != map.name) {
+        console.log("Replay: the recipe is from " + replay.script + ", this is " + map.name);
+    }
+}
+
+// After the last stage. Returns the differences between the replayed recipe
+// and this run's (an empty list for an identical map) and logs them.
+export function compareReplay(replay, recipe) {
+    let differences = [];
+    if (replay.maskHash != recipe.maskHash) {
+        differences.push("mask " + recipe.maskHash + " instead of " + replay.maskHash);
+    }
+    // Map values only when this run could record them.
+    for (let key of recipe.mapValues ? Object.keys(replay.mapValues ?? {}) : []) {
+        if (replay.mapValues[key] !== recipe.mapValues[key]) {
+            differences.push("map value " + key + " is " + recipe.mapValues[key] + " instead of " + replay.mapValues[key]);
+        }
+    }
+    // Random calls are compared only when both runs could record them.
+    if (replay.randomCalls && recipe.randomCalls) {
+        let contexts = new Set([...Object.keys(replay.randomCalls), ...Object.keys(recipe.randomCalls)]);
+        for (let context of contexts) {
+            let iWas = replay.randomCalls[context] ?? 0;
+            let iNow = recipe.randomCalls[context] ?? 0;
+            if (iWas != iNow) {
+                differences.push("\"" + context + "\" called " + iNow + " times instead of " + iWas);
+            }
+        }
+        if (replay.randomHash != recipe.randomHash) {
+            differences.push("random numbers " + recipe.randomHash + " instead of " + replay.randomHash);
+        }
+    }
+    if (replay.checksum != recipe.checksum) {
+        differences.push("checksum " + recipe.checksum + " instead of " + replay.checksum);
+    }
+    if (differences.length == 0) {
+        console.log("Replay: identical map (checksum " + recipe.checksum + ")");
+    } else {
+        console.log("Replay: the map differs from the recipe:");
+        for (let difference of differences) {
+            console.log("  " + difference);
+        }
+    }
+    return differences;
+}
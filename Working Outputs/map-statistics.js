@@ -0,0 +1,231 @@
+/* map-statistics.js
+   The pipeline's statistics stage: a report on the finished map, logged as
+   one line of JSON so the headless harness can collect it over many seeds
+   (Tools/map-stats.mjs) and parameters can be tuned from numbers rather
+   than screenshots.
+
+     Map statistics: {"landPercent":29.6,"targetWaterPercent":20,...}
+
+   The report holds
+     land         – land and water plots, land as a percentage of the map
+                    and of the continent boxes, and the water percent the
+                    script asked for (its waterPercent tunable, or
+                    g_WaterPercent) to set against it
+     landmasses   – how many, the largest, the sizes largest first, and how
+                    many are islands (under g_IslandSize plots)
+     coastline    – hex edges between land and water (lakes included)
+     seam         – land plots in the two edge columns, and the fewest water
+                    plots across the wrap seam along any row (wrap-seam.js)
+     separation   – the pairs of regions that the finished map leaves
+                    closer than the ocean separation, and how many water
+                    plots apart; Tools/run-map.mjs fails the run if there are
+                    any. The regions are the continents, for a script that
+                    lays them out as map.continents, or else the separation
+                    stage's (West and East unless it says otherwise)
+     biomes       – land plots per biome, and each one's share of the land
+     features     – plots per feature, and the share of the land covered
+     relief       – mountains and hills, as plots and shares of the land
+     rivers       – land plots on a river, on a navigable river, lake plots
+     resources    – resources in the West and East hemispheres (by plot tag)
+                    and per player there
+     starts       – per start: the nearest other start, the land plots within
+                    g_StartRings rings and the start score (start-balancing.js),
+                    plus the spread of those over all starts
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { findLandmasses, validateLandmassSeparation } from './landmass-separation.js';
+import { forEachAdjacentPlot, getSpiral, hexDistance } from './hex-geometry.js';
+import { measureSeam } from './wrap-seam.js';
+import { scoreStart } from './start-balancing.js';
+
+export const g_StatisticsPrefix = "Map statistics: ";
+
+// Landmasses smaller than this are islands; land within this many rings of
+// a start is what its player has to settle early.
+const g_IslandSize = 10;
+const g_StartRings = 5;
+
+//────────────────────────────────────────────────────────────
+function percent(iPart, iWhole) {
+    return iWhole > 0 ? Math.round(1000 * iPart / iWhole) / 10 : 0;
+}
+
+function isInBox(box, iX, iY) {
+    return box != null && iX >= box.west && iX < box.east && iY >= box.south && iY < box.north;
+}
+
+function countBy(counts, key) {
+    counts[key] = (counts[key] ?? 0) + 1;
+}
+
+function spread(values) {
+    if (values.length == 0) {
+        return { min: 0, max: 0, mean: 0 };
+    }
+    let fMean = values.reduce((fSum, fValue) => fSum + fValue, 0) / values.length;
+    return { min: Math.min(...values), max: Math.max(...values), mean: Math.round(fMean * 10) / 10 };
+}
+
+//────────────────────────────────────────────────────────────
+function measureStarts(map) {
+    let locations = [];
+    for (let iPlayer of Players.getAliveMajorIds()) {
+        let iPlot = StartPositioner.getStartPosition(iPlayer);
+        if (iPlot >= 0) {
+            locations.push({ player: iPlayer, ...GameplayMap.getLocationFromIndex(iPlot) });
+        }
+    }
+    let starts = locations.map(start => {
+        let iNearest = null;
+        for (let other of locations) {
+            if (other != start) {
+                let iDistance = hexDistance(start.x, start.y, other.x, other.y, map.iWidth);
+                iNearest = iNearest == null ? iDistance : Math.min(iNearest, iDistance);
+            }
+        }
+        let iLand = getSpiral(start.x, start.y, g_StartRings, map.iWidth, map.iHeight)
+            .filter(plot => !GameplayMap.isWater(plot.x, plot.y)).length;
+        let score = scoreStart(start.x, start.y);
+        return { player: start.player, x: start.x, y: start.y, nearestStart: iNearest, land: iLand, score: Math.round(score.total * 10) / 10 };
+    });
+    return {
+        rings: g_StartRings,
+        count: starts.length,
+        nearestStart: spread(starts.filter(start => start.nearestStart != null).map(start => start.nearestStart)),
+        land: spread(starts.map(start => start.land)),
+        score: spread(starts.map(start => start.score)),
+        each: starts
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// The separation check again, on the finished map: later stages can raise
+// land (volcanoes, islands) after the separation stage has had its say, and
+// a script's continents are checked even if its separation stage only kept
+// the hemispheres apart. Landmasses the stage moved to another region stay
+// moved.
+function measureSeparation(map) {
+    let stageRegionOf = map.separation?.regionOf ?? ((iX) => (iX < map.eastContinent.west ? "West" : "East"));
+    let moved = new Map();
+    for (let move of map.separation?.reassigned ?? []) {
+        move.plots.forEach(iPlot => moved.set(iPlot, move.to));
+    }
+    let regionOf = (iX, iY, iLandmassId) => moved.get(iY * map.iWidth + iX) ??
+        map.continents?.find(continent => isInBox(continent, iX, iY))?.id ??
+        stageRegionOf(iX, iY, iLandmassId);
+    let report = validateLandmassSeparation(map.iWidth, map.iHeight, {
+        regionOf,
+        minGap: map.tunables.oceanSeparation
+    });
+    return {
+        minGap: report.minGap,
+        violations: report.violations.map(violation => ({ regions: [violation.regionA, violation.regionB], gap: violation.gap }))
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// The report on the map in the context (see the top of this file).
+export function buildMapStatistics(map) {
+    let iPlots = map.iWidth * map.iHeight;
+    let iLand = 0;
+    let iBoxPlots = 0;
+    let iBoxLand = 0;
+    let iCoastline = 0;
+    let iFeatureLand = 0;
+    let biomes = {};
+    let features = {};
+    let relief = { mountains: 0, hills: 0 };
+    let rivers = { river: 0, navigable: 0, lake: 0 };
+    let resources = { west: 0, east: 0, other: 0 };
+
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let bWater = GameplayMap.isWater(iX, iY);
+            let bInBox = isInBox(map.westContinent, iX, iY) || isInBox(map.eastContinent, iX, iY);
+            if (bInBox) {
+                iBoxPlots++;
+            }
+            let feature = GameInfo.Features[GameplayMap.getFeatureType(iX, iY)];
+            if (feature) {
+                countBy(features, feature.FeatureType);
+            }
+            if (GameplayMap.isLake(iX, iY)) {
+                rivers.lake++;
+            }
+            if (GameplayMap.getResourceType(iX, iY) != ResourceTypes.NO_RESOURCE) {
+                if (GameplayMap.hasPlotTag(iX, iY, PlotTags.PLOT_TAG_WEST_LANDMASS) || GameplayMap.hasPlotTag(iX, iY, PlotTags.PLOT_TAG_WEST_WATER)) {
+                    resources.west++;
+                } else if (GameplayMap.hasPlotTag(iX, iY, PlotTags.PLOT_TAG_EAST_LANDMASS) || GameplayMap.hasPlotTag(iX, iY, PlotTags.PLOT_TAG_EAST_WATER)) {
+                    resources.east++;
+                } else {
+                    resources.other++;
+                }
+            }
+            if (bWater) {
+                continue;
+            }
+            iLand++;
+            if (bInBox) {
+                iBoxLand++;
+            }
+            if (feature) {
+                iFeatureLand++;
+            }
+            countBy(biomes, GameInfo.Biomes[GameplayMap.getBiomeType(iX, iY)].BiomeType);
+            if (GameplayMap.isMountain(iX, iY)) {
+                relief.mountains++;
+            } else if (GameplayMap.getTerrainType(iX, iY) == globals.g_HillTerrain) {
+                relief.hills++;
+            }
+            if (GameplayMap.isRiver(iX, iY)) {
+                rivers.river++;
+            }
+            if (GameplayMap.isNavigableRiver(iX, iY)) {
+                rivers.navigable++;
+            }
+            forEachAdjacentPlot(iX, iY, (iAdjX, iAdjY) => {
+                if (GameplayMap.isWater(iAdjX, iAdjY)) {
+                    iCoastline++;
+                }
+            }, map.iWidth, map.iHeight);
+        }
+    }
+
+    let { landmasses } = findLandmasses(map.iWidth, map.iHeight);
+    let sizes = landmasses.map(landmass => landmass.size).sort((a, b) => b - a);
+
+    return {
+        script: map.name,
+        land: {
+            plots: iLand,
+            water: iPlots - iLand,
+            landPercent: percent(iLand, iPlots),
+            boxLandPercent: percent(iBoxLand, iBoxPlots),
+            targetWaterPercent: map.tunables.waterPercent ?? globals.g_WaterPercent
+        },
+        landmasses: {
+            count: sizes.length,
+            largest: sizes[0] ?? 0,
+            islands: sizes.filter(iSize => iSize < g_IslandSize).length,
+            sizes
+        },
+        coastline: iCoastline,
+        seam: measureSeam(map.iWidth, map.iHeight),
+        separation: measureSeparation(map),
+        biomes: Object.fromEntries(Object.entries(biomes).map(([biome, iCount]) => [biome, { plots: iCount, share: percent(iCount, iLand) }])),
+        features: { plots: features, landShare: percent(iFeatureLand, iLand) },
+        relief: { ...relief, mountainShare: percent(relief.mountains, iLand), hillShare: percent(relief.hills, iLand) },
+        rivers: { ...rivers, riverShare: percent(rivers.river, iLand) },
+        resources: {
+            ...resources,
+            perWestPlayer: map.iNumPlayers1 > 0 ? Math.round(10 * resources.west / map.iNumPlayers1) / 10 : null,
+            perEastPlayer: map.iNumPlayers2 > 0 ? Math.round(10 * resources.east / map.iNumPlayers2) / 10 : null
+        },
+        starts: measureStarts(map)
+    };
+}
+
+export function logMapStatistics(statistics) {
+    console.log(g_StatisticsPrefix + JSON.stringify(statistics));
+}
@@ -0,0 +1,395 @@
+/* plate-tectonics.js
+   An optional plate-tectonics pass for the map pipeline (map-pipeline.js).
+   It splits the grid into plates, gives each plate a drift, and classifies
+   every plate boundary by how the two plates move against each other:
+
+     convergent – the plates close on one another. Two continental plates
+                  push up a mountain range along the seam; a continental
+                  plate riding over an oceanic one gets a coastal range with
+                  volcanoes; of two oceanic plates the slower one raises a
+                  volcanic island arc.
+     divergent  – the plates pull apart. Between two continental plates this
+                  opens a rift: a line of rift lakes and narrow inland seas.
+     transform  – the plates slide past each other; nothing is raised.
+
+   Uplift spreads a few plots from convergent boundaries into the raised
+   plate and falls off with distance. It feeds the pipeline's own steps
+   rather than replacing them: ranges are mountain terrain, so
+   buildElevation raises them and addHills finds the slopes around them, and
+   the volcano stage still runs over the ranges before the arcs add their
+   own volcanoes.
+
+   withTectonics() turns it on for a script:
+
+     registerMapScript(withTectonics({ name: "My map", landmass: carve }));
+
+   tectonic options (all optional):
+     plates       – number of plates (default one per 350 plots, 8 to 20)
+     crust        – true to build the land from the plates' crust instead of
+                    the script's carver: continental plates inside the
+                    continent boxes, raised further by the uplift
+     waterPercent – share of each continent box left under water in crust
+                    mode (default 55)
+   They are kept as the map's tectonics tunable, so the map recipe has them.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { getNumberAdjacentVolcanoes } from '/base-standard/maps/volcano-generator.js';
+import { resolveTunables } from './map-options.js';
+import { forEachAdjacentPlot, plotOffset } from './hex-geometry.js';
+
+export const g_ConvergentBoundary = 1;
+export const g_DivergentBoundary = 2;
+export const g_TransformBoundary = 3;
+
+// Closing (or parting) speed along the boundary above which two plates count
+// as convergent (or divergent); drift speeds run from 0.5 to 1.
+const g_BoundaryThreshold = 0.3;
+
+// How far uplift reaches from a convergent boundary, in plots, and the uplift
+// above which a plot may join a range.
+const g_UpliftReach = 4;
+const g_RangeUplift = 0.6;
+
+//────────────────────────────────────────────────────────────
+// Unit vector from one plot's center to an adjacent plot's, across the wrap.
+function plotDirection(map, iFromX, iFromY, iToX, iToY) {
+    let offset = plotOffset(iFromX, iFromY, iToX, iToY, map.iWidth);
+    let fLength = Math.hypot(offset.x, offset.y);
+    return { x: offset.x / fLength, y: offset.y / fLength };
+}
+
+// Continent boxes are half-open (map-pipeline.js).
+function isInContinentBox(map, iX, iY) {
+    return [map.westContinent, map.eastContinent].some(box =>
+        iX >= box.west && iX < box.east && iY >= box.south && iY < box.north);
+}
+
+function setLandPlot(map, iX, iY) {
+    TerrainBuilder.setTerrainType(iX, iY, globals.g_FlatTerrain);
+    TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+    utilities.addLandmassPlotTags(iX, iY, map.eastContinent.west);
+}
+
+function setWaterPlot(map, iX, iY) {
+    TerrainBuilder.setTerrainType(iX, iY, globals.g_OceanTerrain);
+    TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+    utilities.addWaterPlotTags(iX, iY, map.eastContinent.west);
+}
+
+//────────────────────────────────────────────────────────────
+// Grow the plates from random seeds. Each step takes a random frontier plot
+// of a plate (plates with a higher growth rate are picked more often) and
+// claims all its unclaimed neighbours, which gives Voronoi-like plates with
+// ragged edges.
+function growPlates(map, iNumPlates) {
+    let plateOf = new Int32Array(map.iWidth * map.iHeight).fill(-1);
+    let plates = [];
+    for (let iTry = 0; plates.length < iNumPlates && iTry < iNumPlates * 20; iTry++) {
+        let iX = TerrainBuilder.getRandomNumber(map.iWidth, "Plate Seed X");
+        let iY = TerrainBuilder.getRandomNumber(map.iHeight, "Plate Seed Y");
+        if (plateOf[iY * map.iWidth + iX] != -1) {
+            continue;
+        }
+        let plate = { id: plates.length, seed: { x: iX, y: iY }, iGrowth: 1 + TerrainBuilder.getRandomNumber(3, "Plate Growth"), frontier: [{ x: iX, y: iY }], plots: [iY * map.iWidth + iX] };
+        plateOf[iY * map.iWidth + iX] = plate.id;
+        plates.push(plate);
+    }
+
+    let growing = plates.slice();
+    while (growing.length > 0) {
+        let iRoll = TerrainBuilder.getRandomNumber(growing.reduce((iSum, plate) => iSum + plate.iGrowth, 0), "Plate Pick");
+        let plate = growing.find(candidate => (iRoll -= candidate.iGrowth) < 0);
+        let iFrom = TerrainBuilder.getRandomNumber(plate.frontier.length, "Plate Frontier");
+        let from = plate.frontier[iFrom];
+        plate.frontier[iFrom] = plate.frontier[plate.frontier.length - 1];
+        plate.frontier.pop();
+        forEachAdjacentPlot(from.x, from.y, (iX, iY) => {
+            let iIndex = iY * map.iWidth + iX;
+            if (plateOf[iIndex] == -1) {
+                plateOf[iIndex] = plate.id;
+                plate.plots.push(iIndex);
+                plate.frontier.push({ x: iX, y: iY });
+            }
+        });
+        if (plate.frontier.length == 0) {
+            growing.splice(growing.indexOf(plate), 1);
+        }
+    }
+    return { plates, plateOf };
+}
+
+// Drift and crust type. Once the map has land, a plate is continental if
+// enough of it is land; before that, if its seed lies in a continent box
+// (and most of those do).
+function setPlateMotion(map, plates) {
+    let bHasLand = false;
+    for (let iY = 0; iY < map.iHeight && !bHasLand; iY++) {
+        for (let iX = 0; iX < map.iWidth && !bHasLand; iX++) {
+            bHasLand = !GameplayMap.isWater(iX, iY);
+        }
+    }
+    for (let plate of plates) {
+        let fAngle = TerrainBuilder.getRandomNumber(360, "Plate Drift") * Math.PI / 180;
+        let fSpeed = (50 + TerrainBuilder.getRandomNumber(51, "Plate Speed")) / 100;
+        plate.drift = { x: Math.cos(fAngle) * fSpeed, y: Math.sin(fAngle) * fSpeed };
+        plate.fSpeed = fSpeed;
+        if (bHasLand) {
+            let iLand = plate.plots.filter(iIndex => !GameplayMap.isWater(iIndex % map.iWidth, Math.floor(iIndex / map.iWidth))).length;
+            plate.bContinental = iLand >= plate.plots.length * 0.35;
+        } else {
+            plate.bContinental = isInContinentBox(map, plate.seed.x, plate.seed.y) && TerrainBuilder.getRandomNumber(10, "Plate Crust") < 7;
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Split the map into plates and work out what every boundary does. Returns
+// the tectonics record the other functions here take:
+//   plates   – [{ id, seed, drift, bContinental, plots }]
+//   plateOf  – plate id per plot
+//   boundary – g_*Boundary per plot on a plate edge, 0 elsewhere
+//   range, arc, rift – 1 where a plot is on a mountain range, a volcanic arc
+//              or a rift
+//   uplift   – 0..1 per plot, highest at convergent boundaries
+export function simulatePlates(map, options = {}) {
+    let iNumPlates = options.plates ?? Math.max(8, Math.min(20, Math.round(map.iWidth * map.iHeight / 350)));
+    let { plates, plateOf } = growPlates(map, iNumPlates);
+    setPlateMotion(map, plates);
+
+    let iNumPlots = map.iWidth * map.iHeight;
+    let tectonics = {
+        plates,
+        plateOf,
+        boundary: new Int8Array(iNumPlots),
+        range: new Uint8Array(iNumPlots),
+        arc: new Uint8Array(iNumPlots),
+        rift: new Uint8Array(iNumPlots),
+        uplift: new Float32Array(iNumPlots)
+    };
+    let closing = new Float32Array(iNumPlots);
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let iIndex = iY * map.iWidth + iX;
+            let plate = plates[plateOf[iIndex]];
+            let iStrongest = -1;
+            forEachAdjacentPlot(iX, iY, (iAdjX, iAdjY) => {
+                let other = plates[plateOf[iAdjY * map.iWidth + iAdjX]];
+                if (other == plate) {
+                    return;
+                }
+                // Positive when this plate moves toward the other faster than
+                // the other moves away.
+                let direction = plotDirection(map, iX, iY, iAdjX, iAdjY);
+                let fClosing = (plate.drift.x - other.drift.x) * direction.x + (plate.drift.y - other.drift.y) * direction.y;
+                if (Math.abs(fClosing) <= Math.abs(closing[iIndex]) && tectonics.boundary[iIndex] != 0) {
+                    return;
+                }
+                closing[iIndex] = fClosing;
+                iStrongest = other.id;
+                tectonics.boundary[iIndex] = fClosing > g_BoundaryThreshold ? g_ConvergentBoundary :
+                    fClosing < -g_BoundaryThreshold ? g_DivergentBoundary : g_TransformBoundary;
+            });
+            if (iStrongest == -1) {
+                continue;
+            }
+            let other = plates[iStrongest];
+            if (tectonics.boundary[iIndex] == g_ConvergentBoundary) {
+                if (plate.bContinental) {
+                    tectonics.range[iIndex] = 1;
+                    tectonics.arc[iIndex] = other.bContinental ? 0 : 1;
+                } else if (!other.bContinental && (plate.fSpeed < other.fSpeed || (plate.fSpeed == other.fSpeed && plate.id < other.id))) {
+                    tectonics.arc[iIndex] = 1;
+                }
+            } else if (tectonics.boundary[iIndex] == g_DivergentBoundary && plate.bContinental && other.bContinental) {
+                tectonics.rift[iIndex] = 1;
+            }
+        }
+    }
+
+    // Uplift: from every raised boundary plot into its own plate, falling off
+    // with distance.
+    for (let iIndex = 0; iIndex < iNumPlots; iIndex++) {
+        if (!tectonics.range[iIndex] && !tectonics.arc[iIndex]) {
+            continue;
+        }
+        let fStrength = Math.min(1, closing[iIndex]);
+        let distance = new Map([[iIndex, 0]]);
+        let queue = [iIndex];
+        for (let i = 0; i < queue.length; i++) {
+            let iPlot = queue[i];
+            let iDistance = distance.get(iPlot);
+            tectonics.uplift[iPlot] = Math.max(tectonics.uplift[iPlot], fStrength * (1 - iDistance / (g_UpliftReach + 1)));
+            if (iDistance == g_UpliftReach) {
+                continue;
+            }
+            forEachAdjacentPlot(iPlot % map.iWidth, Math.floor(iPlot / map.iWidth), (iAdjX, iAdjY) => {
+                let iAdjacent = iAdjY * map.iWidth + iAdjX;
+                if (!distance.has(iAdjacent) && plateOf[iAdjacent] == plateOf[iIndex]) {
+                    distance.set(iAdjacent, iDistance + 1);
+                    queue.push(iAdjacent);
+                }
+            });
+        }
+    }
+
+    let iCounts = [0, 0, 0, 0];
+    tectonics.boundary.forEach(iType => iCounts[iType]++);
+    console.log("Plate tectonics: " + plates.length + " plates (" + plates.filter(plate => plate.bContinental).length +
+        " continental); boundary plots " + iCounts[g_ConvergentBoundary] + " convergent, " + iCounts[g_DivergentBoundary] +
+        " divergent, " + iCounts[g_TransformBoundary] + " transform");
+    return tectonics;
+}
+
+//────────────────────────────────────────────────────────────
+// Crust mode's landmass stage: inside each continent box, the highest
+// plots become land, where height is continental crust plus uplift plus a
+// little fractal noise for the coastlines.
+export function raiseTectonicCrust(map, tectonics, fWaterPercent = 55) {
+    FractalBuilder.create(globals.g_LandmassFractal, map.iWidth, map.iHeight, 3, 0);
+    let fLow = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 0);
+    let fHigh = Math.max(fLow + 1, FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, 100));
+    for (let box of [map.westContinent, map.eastContinent]) {
+        let heights = [];
+        for (let iY = box.south; iY < box.north; iY++) {
+            for (let iX = box.west; iX < box.east; iX++) {
+                let iIndex = iY * map.iWidth + iX;
+                let fNoise = (FractalBuilder.getHeight(globals.g_LandmassFractal, iX, iY) - fLow) / (fHigh - fLow);
+                let fHeight = (tectonics.plates[tectonics.plateOf[iIndex]].bContinental ? 0.6 : 0) + 0.5 * tectonics.uplift[iIndex] + 0.4 * fNoise;
+                heights.push({ x: iX, y: iY, fHeight });
+            }
+        }
+        heights.sort((a, b) => a.fHeight - b.fHeight);
+        for (let plot of heights.slice(Math.floor(heights.length * fWaterPercent / 100))) {
+            setLandPlot(map, plot.x, plot.y);
+        }
+    }
+}
+
+// After the landmass stage: open the rifts on land (with a plot either side
+// now and then, for the inland seas) and raise the oceanic island arcs.
+// Island arcs only rise inside the continent boxes, so the ocean gaps stay
+// open.
+export function shapeTectonicLand(map, tectonics) {
+    let iRiftPlots = 0;
+    let iArcPlots = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let iIndex = iY * map.iWidth + iX;
+            if (tectonics.rift[iIndex] && !GameplayMap.isWater(iX, iY)) {
+                setWaterPlot(map, iX, iY);
+                iRiftPlots++;
+                forEachAdjacentPlot(iX, iY, (iAdjX, iAdjY) => {
+                    if (!GameplayMap.isWater(iAdjX, iAdjY) && TerrainBuilder.getRandomNumber(4, "Rift Width") == 0) {
+                        setWaterPlot(map, iAdjX, iAdjY);
+                        iRiftPlots++;
+                    }
+                });
+            } else if (tectonics.arc[iIndex] && !tectonics.range[iIndex] && GameplayMap.isWater(iX, iY) &&
+                       isInContinentBox(map, iX, iY) && TerrainBuilder.getRandomNumber(2, "Arc Island") == 0) {
+                setLandPlot(map, iX, iY);
+                iArcPlots++;
+            }
+        }
+    }
+    console.log("Plate tectonics: " + iRiftPlots + " plots opened along rifts, " + iArcPlots + " island arc plots raised");
+}
+
+//────────────────────────────────────────────────────────────
+// The mountains stage: ranges along convergent boundaries, a plot or two
+// thick where the uplift is strong, with the odd pass left as hills. Island
+// arcs are half mountain. Away from the ranges there are no mountains.
+export function addTectonicMountains(map, tectonics) {
+    let iMountains = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let iIndex = iY * map.iWidth + iX;
+            if (GameplayMap.isWater(iX, iY)) {
+                continue;
+            }
+            let bMountain = false;
+            if (tectonics.range[iIndex]) {
+                bMountain = TerrainBuilder.getRandomNumber(6, "Range Pass") != 0;
+                if (!bMountain) {
+                    TerrainBuilder.setTerrainType(iX, iY, globals.g_HillTerrain);
+                }
+            } else if (tectonics.arc[iIndex]) {
+                bMountain = TerrainBuilder.getRandomNumber(2, "Arc Peak") == 0;
+            } else if (tectonics.uplift[iIndex] >= g_RangeUplift && !GameplayMap.isCoastalLand(iX, iY)) {
+                bMountain = TerrainBuilder.getRandomNumber(3, "Range Width") == 0;
+            }
+            if (bMountain) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_MountainTerrain);
+                iMountains++;
+            }
+        }
+    }
+    console.log("Plate tectonics: " + iMountains + " mountains along ranges and arcs");
+}
+
+// After the hills stage: foothills on the flanks of the ranges, likelier
+// the stronger the uplift.
+export function addTectonicFoothills(map, tectonics) {
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let fUplift = tectonics.uplift[iY * map.iWidth + iX];
+            if (fUplift > 0.2 && GameplayMap.getTerrainType(iX, iY) == globals.g_FlatTerrain &&
+                TerrainBuilder.getRandomNumber(100, "Foothills") < fUplift * 60) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_HillTerrain);
+            }
+        }
+    }
+}
+
+// After the volcano stage: volcanoes along the arcs, one in three arc
+// mountains, never two side by side.
+export function addArcVolcanoes(map, tectonics) {
+    let iVolcanoes = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            if (!tectonics.arc[iY * map.iWidth + iX] || !GameplayMap.isMountain(iX, iY) ||
+                GameplayMap.getFeatureType(iX, iY) != FeatureTypes.NO_FEATURE || getNumberAdjacentVolcanoes(iX, iY) > 0) {
+                continue;
+            }
+            if (TerrainBuilder.getRandomNumber(3, "Arc Volcano") == 0) {
+                TerrainBuilder.setFeatureType(iX, iY, { Feature: globals.g_VolcanoFeature, Direction: -1, Elevation: 0 });
+                iVolcanoes++;
+            }
+        }
+    }
+    console.log("Plate tectonics: " + iVolcanoes + " arc volcanoes");
+}
+
+//────────────────────────────────────────────────────────────
+// Pipeline options with the tectonic stages added to a script's own (see the
+// tectonic options at the top of this file). The script's hooks still run,
+// after the tectonic ones.
+export function withTectonics(options, tectonicOptions = {}) {
+    let hook = (stage, when, fn) => [fn].concat(options.hooks?.[when]?.[stage] ?? []);
+    let tectonicHooks = {
+        before: { ...options.hooks?.before },
+        after: {
+            ...options.hooks?.after,
+            landmass: hook("landmass", "after", (map) => {
+                map.tectonics ??= simulatePlates(map, map.tunables.tectonics);
+                shapeTectonicLand(map, map.tectonics);
+            }),
+            hills: hook("hills", "after", (map) => addTectonicFoothills(map, map.tectonics)),
+            volcanoes: hook("volcanoes", "after", (map) => addArcVolcanoes(map, map.tectonics))
+        }
+    };
+    let tectonicStages = {
+        ...options,
+        tunables: (mapOptions) => ({ ...resolveTunables(options.tunables, mapOptions), tectonics: { ...tectonicOptions } }),
+        hooks: tectonicHooks,
+        overrides: { ...options.overrides, mountains: (map) => addTectonicMountains(map, map.tectonics) }
+    };
+    if (tectonicOptions.crust) {
+        tectonicStages.landmass = (map) => {
+            map.tectonics = simulatePlates(map, map.tunables.tectonics);
+            raiseTectonicCrust(map, map.tectonics, map.tunables.tectonics.waterPercent);
+        };
+    }
+    return tectonicStages;
+}
@@ -0,0 +1,512 @@
+/* shape-stamps.js
+   Shapes to stamp onto the map as land or water, for themed maps (a face, a
+   logo, a name, pixel art) built in a few lines:
+
+     let face = subtract(circle([20, 27], 14), circle([15, 32], 3), circle([25, 32], 3),
+                         bezier([[12, 22], [16, 16], [24, 16], [28, 22]], 2));
+     stampShape(map, roughen(face, 2, fractalNoise(map.iWidth, map.iHeight, 4)));
+
+   A shape is a function (p) => signed distance from p to the shape's edge,
+   in plot widths: positive inside, negative outside. p is a plot as
+   plotPoint() gives it. The geometric shapes measure on the hex grid, so a
+   circle stays round; x wraps around the East/West seam.
+
+   Points are { x, y } in columns and rows (fractions allowed; y counts rows
+   from the south edge), or [x, y]; lengths are in plot widths. gridPoint()
+   turns a point into the plot space the distances are measured in.
+
+     circle(center, radius)            ring(center, inner, outer)
+     ellipse(center, [rx, ry], degrees)
+     rectangle({ west, east, south, north })   a plot box, edges included
+     polygon(points)                   stroke(points, width)
+     bezier(points, width)             cubic curves p0 c c p1 c c p2 ..., as a stroke
+     pixels(rows, { center, cellSize })   rows of "#" (land) from north to south
+     text(string, { center, height })     A-Z, 0-9 and a few marks, 5x7 glyphs
+     svgPath(d, { center, height })       an SVG path's fill (even-odd), scaled
+                                          to height plot widths
+     field(fn)                         (iX, iY) => value, positive inside
+
+   Shapes combine with union(), intersect() and subtract(), and roughen()
+   pushes an edge in or out by up to an amount, with fractalNoise() or the
+   engine's start-sector height (startSectorHeight(), the fractal
+   utilities.getHeightAdjustingForStartSector() builds continents from) as
+   the noise. stampShape() writes a shape to the terrain and plot tags.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import * as utilities from '/base-standard/maps/map-utilities.js';
+import { g_RowSpacing, plotToPoint } from './hex-geometry.js';
+
+// Straight pieces each curve is drawn with.
+const g_CurveSteps = 16;
+
+//────────────────────────────────────────────────────────────
+// A plot in plot space (hex-geometry.js). The plot's own indexes and the map
+// width ride along for fields and the wrap.
+export function plotPoint(iX, iY, iWidth) {
+    return { ...plotToPoint(iX, iY), iX, iY, width: iWidth };
+}
+
+export function gridPoint(point) {
+    let [fX, fY] = Array.isArray(point) ? point : [point.x, point.y];
+    return { x: fX, y: fY * g_RowSpacing };
+}
+
+// A plot-space distance function as a shape that wraps: the nearest of the
+// plot's images either side of the seam counts.
+function wrapping(distance) {
+    return (p) => Math.max(distance(p.x, p.y), distance(p.x - p.width, p.y), distance(p.x + p.width, p.y));
+}
+
+// Distance from (fX, fY) to the segment a-b.
+function segmentDistance(a, b, fX, fY) {
+    let fLength2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    let t = fLength2 > 0 ? Math.max(0, Math.min(1, ((fX - a.x) * (b.x - a.x) + (fY - a.y) * (b.y - a.y)) / fLength2)) : 0;
+    return Math.hypot(fX - (a.x + t * (b.x - a.x)), fY - (a.y + t * (b.y - a.y)));
+}
+
+// Signed distance to the edge of closed rings of points, filled by the
+// even-odd rule (so a ring inside another is a hole).
+export function ringsDistance(rings, fX, fY) {
+    let bInside = false;
+    let fBest = Infinity;
+    for (let points of rings) {
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            let a = points[i];
+            let b = points[j];
+            if ((a.y > fY) != (b.y > fY) && fX < (b.x - a.x) * (fY - a.y) / (b.y - a.y) + a.x) {
+                bInside = !bInside;
+            }
+            fBest = Math.min(fBest, segmentDistance(a, b, fX, fY));
+        }
+    }
+    return bInside ? fBest : -fBest;
+}
+
+function cubicPoint(p0, p1, p2, p3, t) {
+    let s = 1 - t;
+    return {
+        x: s * s * s * p0.x + 3 * s * s * t * p1.x + 3 * s * t * t * p2.x + t * t * t * p3.x,
+        y: s * s * s * p0.y + 3 * s * s * t * p1.y + 3 * s * t * t * p2.y + t * t * t * p3.y
+    };
+}
+
+//────────────────────────────────────────────────────────────
+// Geometric shapes.
+export function circle(center, fRadius) {
+    let c = gridPoint(center);
+    return wrapping((fX, fY) => fRadius - Math.hypot(fX - c.x, fY - c.y));
+}
+
+export function ring(center, fInner, fOuter) {
+    let c = gridPoint(center);
+    return wrapping((fX, fY) => {
+        let fDistance = Math.hypot(fX - c.x, fY - c.y);
+        return Math.min(fOuter - fDistance, fDistance - fInner);
+    });
+}
+
+// An ellipse, turned counterclockwise by fDegrees. The distance is scaled to
+// the shorter radius, so roughening frays it as much as a circle that size.
+export function ellipse(center, radii, fDegrees = 0) {
+    let c = gridPoint(center);
+    let fRX = Math.max(0.5, radii[0]);
+    let fRY = Math.max(0.5, radii[1]);
+    let fAngle = fDegrees * Math.PI / 180;
+    return wrapping((fX, fY) => {
+        let fDX = fX - c.x;
+        let fDY = fY - c.y;
+        let fU = fDX * Math.cos(fAngle) + fDY * Math.sin(fAngle);
+        let fV = -fDX * Math.sin(fAngle) + fDY * Math.cos(fAngle);
+        return (1 - Math.hypot(fU / fRX, fV / fRY)) * Math.min(fRX, fRY);
+    });
+}
+
+export function rectangle(box) {
+    return (p) => Math.min(p.iX - box.west, box.east - p.iX, p.iY - box.south, box.north - p.iY) + 0.5;
+}
+
+export function polygon(points) {
+    let rings = [points.map(gridPoint)];
+    return wrapping((fX, fY) => ringsDistance(rings, fX, fY));
+}
+
+// A line fWidth plot widths wide along the points, with round ends.
+export function stroke(points, fWidth) {
+    let line = points.map(gridPoint);
+    return wrapping((fX, fY) => {
+        let fBest = Infinity;
+        for (let i = 1; i < line.length; i++) {
+            fBest = Math.min(fBest, segmentDistance(line[i - 1], line[i], fX, fY));
+        }
+        return fWidth / 2 - fBest;
+    });
+}
+
+// Cubic Bézier curves through points[0], points[3], points[6], ..., with
+// the two points between each pair as control points, drawn fWidth wide.
+export function bezier(points, fWidth) {
+    let line = [points[0]];
+    for (let i = 0; i + 3 < points.length; i += 3) {
+        let [p0, p1, p2, p3] = points.slice(i, i + 4).map(point => (Array.isArray(point) ? { x: point[0], y: point[1] } : point));
+        for (let iStep = 1; iStep <= g_CurveSteps; iStep++) {
+            line.push(cubicPoint(p0, p1, p2, p3, iStep / g_CurveSteps));
+        }
+    }
+    return stroke(line, fWidth);
+}
+
+//────────────────────────────────────────────────────────────
+// Pixel art: rows of characters from north to south, "#" (or any mark but
+// a space or ".") for land, each cellSize plot widths square, centred on
+// options.center.
+export function pixels(rows, options) {
+    let fCell = options.cellSize ?? 1;
+    let c = gridPoint(options.center);
+    let iColumns = Math.max(...rows.map(row => row.length));
+    let fLeft = c.x - iColumns * fCell / 2;
+    let fTop = c.y + rows.length * fCell / 2;
+    // One empty cell all round, so the inside always has an edge to measure to.
+    let isFilled = (iRow, iColumn) => iRow >= 0 && iRow < rows.length && iColumn >= 0 &&
+        rows[iRow][iColumn] !== undefined && rows[iRow][iColumn] != " " && rows[iRow][iColumn] != ".";
+    let cells = [];
+    for (let iRow = -1; iRow <= rows.length; iRow++) {
+        for (let iColumn = -1; iColumn <= iColumns; iColumn++) {
+            cells.push({
+                bFilled: isFilled(iRow, iColumn),
+                west: fLeft + iColumn * fCell,
+                north: fTop - iRow * fCell
+            });
+        }
+    }
+    let boxDistance = (cell, fX, fY) => {
+        let fDX = Math.max(cell.west - fX, 0, fX - (cell.west + fCell));
+        let fDY = Math.max(cell.north - fCell - fY, 0, fY - cell.north);
+        return Math.hypot(fDX, fDY);
+    };
+    return wrapping((fX, fY) => {
+        let iColumn = Math.floor((fX - fLeft) / fCell);
+        let iRow = Math.floor((fTop - fY) / fCell);
+        let bInside = isFilled(iRow, iColumn);
+        let fBest = Infinity;
+        for (let cell of cells) {
+            if (cell.bFilled != bInside) {
+                fBest = Math.min(fBest, boxDistance(cell, fX, fY));
+            }
+        }
+        if (fBest == Infinity) {
+            fBest = Math.hypot(fX - c.x, fY - c.y);
+        }
+        return bInside ? fBest : -fBest;
+    });
+}
+
+// 5x7 glyphs, one number per row from the top, the high bit on the left.
+const g_Glyphs = {
+    "A": [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11], "B": [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    "C": [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E], "D": [0x1E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1E],
+    "E": [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F], "F": [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    "G": [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F], "H": [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    "I": [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E], "J": [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    "K": [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], "L": [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    "M": [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11], "N": [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    "O": [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], "P": [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    "Q": [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D], "R": [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    "S": [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E], "T": [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    "U": [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], "V": [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    "W": [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A], "X": [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    "Y": [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04], "Z": [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    "0": [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E], "1": [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    "2": [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F], "3": [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    "4": [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02], "5": [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    "6": [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E], "7": [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    "8": [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E], "9": [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    " ": [0, 0, 0, 0, 0, 0, 0], ".": [0, 0, 0, 0, 0, 0x0C, 0x0C], "-": [0, 0, 0, 0x1F, 0, 0, 0],
+    "!": [0x04, 0x04, 0x04, 0x04, 0x04, 0, 0x04], "?": [0x0E, 0x11, 0x01, 0x02, 0x04, 0, 0x04],
+    "'": [0x04, 0x04, 0x08, 0, 0, 0, 0], "&": [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D]
+};
+
+// A line of text, options.height plot widths tall (the glyphs' seven rows),
+// one empty column between letters. Letters the font lacks are left out,
+// with a log line.
+export function text(string, options) {
+    let rows = new Array(7).fill("");
+    let missing = new Set();
+    for (let letter of string.toUpperCase()) {
+        let glyph = g_Glyphs[letter];
+        if (glyph == null) {
+            missing.add(letter);
+            continue;
+        }
+        for (let iRow = 0; iRow < 7; iRow++) {
+            let bits = glyph[iRow].toString(2).padStart(5, "0");
+            rows[iRow] += (rows[iRow].length > 0 ? " " : "") + bits.replace(/1/g, "#").replace(/0/g, " ");
+        }
+    }
+    if (missing.size > 0) {
+        console.log("Shape stamps: no glyph for " + Array.from(missing).map(letter => JSON.stringify(letter)).join(", "));
+    }
+    return pixels(rows, { center: options.center, cellSize: options.height / 7 });
+}
+
+//────────────────────────────────────────────────────────────
+// SVG paths: M, L, H, V, C, S, Q, T, A and Z, absolute and relative. Each
+// subpath becomes a closed ring.
+function parseSvgPath(d) {
+    let tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) ?? [];
+    let rings = [];
+    let ring = null;
+    let current = { x: 0, y: 0 };
+    let start = { x: 0, y: 0 };
+    let lastControl = null;
+    let command = null;
+    let i = 0;
+    let number = () => {
+        let value = Number(tokens[i++]);
+        if (!Number.isFinite(value)) {
+            throw new Error("shape-stamps: bad SVG path near \"" + tokens.slice(Math.max(0, i - 3), i + 2).join(" ") + "\"");
+        }
+        return value;
+    };
+    let moveTo = (point) => {
+        ring = [point];
+        rings.push(ring);
+        current = point;
+        start = point;
+    };
+    let lineTo = (point) => {
+        if (ring == null) {
+            moveTo(current);
+        }
+        ring.push(point);
+        current = point;
+    };
+    let curveTo = (p1, p2, p3) => {
+        let p0 = current;
+        for (let iStep = 1; iStep <= g_CurveSteps; iStep++) {
+            lineTo(cubicPoint(p0, p1, p2, p3, iStep / g_CurveSteps));
+        }
+    };
+
+    while (i < tokens.length) {
+        if (/[A-Za-z]/.test(tokens[i])) {
+            command = tokens[i++];
+        } else if (command == null) {
+            throw new Error("shape-stamps: SVG path does not start with a command");
+        }
+        let bRelative = command == command.toLowerCase();
+        let offset = (point) => (bRelative ? { x: current.x + point.x, y: current.y + point.y } : point);
+        let previousControl = lastControl;
+        lastControl = null;
+        switch (command.toUpperCase()) {
+            case "M":
+                moveTo(offset({ x: number(), y: number() }));
+                // Further pairs after a moveto are linetos.
+                command = bRelative ? "l" : "L";
+                break;
+            case "L":
+                lineTo(offset({ x: number(), y: number() }));
+                break;
+            case "H":
+                lineTo({ x: bRelative ? current.x + number() : number(), y: current.y });
+                break;
+            case "V":
+                lineTo({ x: current.x, y: bRelative ? current.y + number() : number() });
+                break;
+            case "C": {
+                let p1 = offset({ x: number(), y: number() });
+                let p2 = offset({ x: number(), y: number() });
+                let p3 = offset({ x: number(), y: number() });
+                curveTo(p1, p2, p3);
+                lastControl = { type: "C", point: p2 };
+                break;
+            }
+            case "S": {
+                let p1 = previousControl?.type == "C" ? { x: 2 * current.x - previousControl.point.x, y: 2 * current.y - previousControl.point.y } : current;
+                let p2 = offset({ x: number(), y: number() });
+                let p3 = offset({ x: number(), y: number() });
+                curveTo(p1, p2, p3);
+                lastControl = { type: "C", point: p2 };
+                break;
+            }
+            case "Q":
+            case "T": {
+                let q = command.toUpperCase() == "Q" ? offset({ x: number(), y: number() }) :
+                    previousControl?.type == "Q" ? { x: 2 * current.x - previousControl.point.x, y: 2 * current.y - previousControl.point.y } : current;
+                let p3 = offset({ x: number(), y: number() });
+                let p0 = current;
+                curveTo({ x: p0.x + 2 / 3 * (q.x - p0.x), y: p0.y + 2 / 3 * (q.y - p0.y) },
+                        { x: p3.x + 2 / 3 * (q.x - p3.x), y: p3.y + 2 / 3 * (q.y - p3.y) }, p3);
+                lastControl = { type: "Q", point: q };
+                break;
+            }
+            case "A": {
+                let fRX = Math.abs(number());
+                let fRY = Math.abs(number());
+                let fAngle = number() * Math.PI / 180;
+                let bLarge = number() != 0;
+                let bSweep = number() != 0;
+                let end = offset({ x: number(), y: number() });
+                for (let point of arcPoints(current, end, fRX, fRY, fAngle, bLarge, bSweep)) {
+                    lineTo(point);
+                }
+                break;
+            }
+            case "Z":
+                current = start;
+                ring = null;
+                break;
+        }
+    }
+    return rings.filter(points => points.length >= 3);
+}
+
+// The points along an SVG elliptical arc, after the endpoint to centre
+// conversion of the SVG specification (appendix F.6).
+function arcPoints(from, to, fRX, fRY, fAngle, bLarge, bSweep) {
+    if (fRX == 0 || fRY == 0 || (from.x == to.x && from.y == to.y)) {
+        return [to];
+    }
+    let fCos = Math.cos(fAngle);
+    let fSin = Math.sin(fAngle);
+    let fX1 = fCos * (from.x - to.x) / 2 + fSin * (from.y - to.y) / 2;
+    let fY1 = -fSin * (from.x - to.x) / 2 + fCos * (from.y - to.y) / 2;
+    let fScale = fX1 ** 2 / fRX ** 2 + fY1 ** 2 / fRY ** 2;
+    if (fScale > 1) {
+        fRX *= Math.sqrt(fScale);
+        fRY *= Math.sqrt(fScale);
+    }
+    let fNumerator = fRX ** 2 * fRY ** 2 - fRX ** 2 * fY1 ** 2 - fRY ** 2 * fX1 ** 2;
+    let fFactor = Math.sqrt(Math.max(0, fNumerator / (fRX ** 2 * fY1 ** 2 + fRY ** 2 * fX1 ** 2))) * (bLarge == bSweep ? -1 : 1);
+    let fCX1 = fFactor * fRX * fY1 / fRY;
+    let fCY1 = -fFactor * fRY * fX1 / fRX;
+    let fCX = fCos * fCX1 - fSin * fCY1 + (from.x + to.x) / 2;
+    let fCY = fSin * fCX1 + fCos * fCY1 + (from.y + to.y) / 2;
+    let angleOf = (fU, fV) => Math.atan2(fV, fU);
+    let fStart = angleOf((fX1 - fCX1) / fRX, (fY1 - fCY1) / fRY);
+    let fDelta = angleOf((-fX1 - fCX1) / fRX, (-fY1 - fCY1) / fRY) - fStart;
+    if (!bSweep && fDelta > 0) {
+        fDelta -= 2 * Math.PI;
+    } else if (bSweep && fDelta < 0) {
+        fDelta += 2 * Math.PI;
+    }
+    let points = [];
+    for (let iStep = 1; iStep <= g_CurveSteps; iStep++) {
+        let fTheta = fStart + fDelta * iStep / g_CurveSteps;
+        let fU = fRX * Math.cos(fTheta);
+        let fV = fRY * Math.sin(fTheta);
+        points.push({ x: fCos * fU - fSin * fV + fCX, y: fSin * fU + fCos * fV + fCY });
+    }
+    return points;
+}
+
+// An SVG path's fill, scaled to options.height plot widths tall and centred
+// on options.center. SVG's y grows downward, so the path is flipped to
+// stand upright on the map.
+export function svgPath(d, options) {
+    let rings = parseSvgPath(d);
+    if (rings.length == 0) {
+        throw new Error("shape-stamps: the SVG path draws no closed shape");
+    }
+    let all = rings.flat();
+    let fMinX = Math.min(...all.map(point => point.x));
+    let fMaxX = Math.max(...all.map(point => point.x));
+    let fMinY = Math.min(...all.map(point => point.y));
+    let fMaxY = Math.max(...all.map(point => point.y));
+    let fScale = options.height / Math.max(1e-9, fMaxY - fMinY);
+    let c = gridPoint(options.center);
+    let placed = rings.map(points => points.map(point => ({
+        x: c.x + (point.x - (fMinX + fMaxX) / 2) * fScale,
+        y: c.y - (point.y - (fMinY + fMaxY) / 2) * fScale
+    })));
+    return wrapping((fX, fY) => ringsDistance(placed, fX, fY));
+}
+
+//────────────────────────────────────────────────────────────
+// Combining shapes.
+export function union(...shapes) {
+    return (p) => Math.max(...shapes.map(shape => shape(p)));
+}
+
+export function intersect(...shapes) {
+    return (p) => Math.min(...shapes.map(shape => shape(p)));
+}
+
+// The first shape with the others cut out of it.
+export function subtract(shape, ...holes) {
+    return (p) => Math.min(shape(p), ...holes.map(hole => -hole(p)));
+}
+
+// A shape from a value per plot, positive inside.
+export function field(fn) {
+    return (p) => fn(p.iX, p.iY);
+}
+
+// The shape's edge pushed out (noise > 0) or in by up to fAmount plot
+// widths. noise is a function of p like a shape, clamped to [-1, 1].
+export function roughen(shape, fAmount, noise) {
+    return (p) => shape(p) + Math.max(-1, Math.min(1, noise(p))) * fAmount;
+}
+
+//────────────────────────────────────────────────────────────
+// Noise for roughen(): a fresh hill fractal of the given grain, in [-1, 1].
+export function fractalNoise(iWidth, iHeight, iGrain) {
+    FractalBuilder.create(globals.g_HillFractal, iWidth, iHeight, iGrain, 0);
+    let fLow = FractalBuilder.getHeightFromPercent(globals.g_HillFractal, 5);
+    let fHigh = Math.max(fLow + 1, FractalBuilder.getHeightFromPercent(globals.g_HillFractal, 95));
+    let heights = new Float32Array(iWidth * iHeight);
+    for (let iY = 0; iY < iHeight; iY++) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            heights[iY * iWidth + iX] = (FractalBuilder.getHeight(globals.g_HillFractal, iX, iY) - fLow) / (fHigh - fLow) * 2 - 1;
+        }
+    }
+    return (p) => heights[p.iY * iWidth + p.iX];
+}
+
+// The base game's continent height (getHeightAdjustingForStartSector: a
+// landmass fractal raised toward the continent centres and the chosen start
+// sectors) over its sea level, as a field: positive where the base game
+// would put land, 1 at twice the sea level's height. Use it in intersect()
+// to cut coasts into a shape, or as roughen()'s noise.
+export function startSectorHeight(map, iWaterPercent, iFractalSize = 2) {
+    FractalBuilder.create(globals.g_LandmassFractal, map.iWidth, map.iHeight, iFractalSize, 0);
+    let iWaterHeight = FractalBuilder.getHeightFromPercent(globals.g_LandmassFractal, iWaterPercent);
+    let fSeaLevel = iWaterHeight * globals.g_Cutoff;
+    let heights = new Float32Array(map.iWidth * map.iHeight);
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let iPlotHeight = utilities.getHeightAdjustingForStartSector(iX, iY, iWaterHeight, globals.g_FractalWeight,
+                globals.g_CenterWeight, globals.g_StartSectorWeight, map.westContinent, map.eastContinent,
+                map.iStartSectorRows, map.iStartSectorCols, map.startSectors);
+            heights[iY * map.iWidth + iX] = (iPlotHeight - fSeaLevel) / Math.max(1, fSeaLevel);
+        }
+    }
+    return (p) => heights[p.iY * map.iWidth + p.iX];
+}
+
+//────────────────────────────────────────────────────────────
+// Write a shape to the map: "add" makes the plots inside it flat land,
+// "subtract" makes them ocean, "intersect" makes the land outside it ocean.
+// Plots that change get their West/East landmass or water tags. Returns the
+// number of plots changed.
+export function stampShape(map, shape, op = "add") {
+    let iChanged = 0;
+    for (let iY = 0; iY < map.iHeight; iY++) {
+        for (let iX = 0; iX < map.iWidth; iX++) {
+            let bInside = shape(plotPoint(iX, iY, map.iWidth)) >= 0;
+            let bWater = GameplayMap.isWater(iX, iY);
+            if (op == "add" && bInside && bWater) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_FlatTerrain);
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+                utilities.addLandmassPlotTags(iX, iY, map.eastContinent.west);
+                iChanged++;
+            } else if (!bWater && ((op == "subtract" && bInside) || (op == "intersect" && !bInside))) {
+                TerrainBuilder.setTerrainType(iX, iY, globals.g_OceanTerrain);
+                TerrainBuilder.setPlotTag(iX, iY, PlotTags.PLOT_TAG_NONE);
+                utilities.addWaterPlotTags(iX, iY, map.eastContinent.west);
+                iChanged++;
+            }
+        }
+    }
+    return iChanged;
+}
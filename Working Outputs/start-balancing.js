@@ -0,0 +1,269 @@
+/* start-balancing.js
+   Evens out the major civilizations' starts once assignStartPositions() has
+   placed them.
+
+   Every start is scored from the plots within a few rings of it: food,
+   production, rivers, shallow coast and resources, with closer rings counting
+   more. Yields are rough antiquity base yields (biome + terrain + feature),
+   which is all the map script can see; they are meant for comparing starts
+   against each other, not for predicting a city's output.
+
+   Starts that fall more than the tolerance below the best one are improved
+   one change at a time – a resource or a feature added to the plot where it
+   helps most, the resource one of the kinds the start lacks – until they are
+   within the tolerance or run out of changes.
+   The scores before and after are logged.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { getSpiral } from './hex-geometry.js';
+
+const g_DefaultBalanceOptions = {
+    radius: 3,                  // rings around the start that are scored
+    ringWeights: [1, 1, 0.75, 0.5],
+    tolerance: 0.15,            // every start within 15% of the best
+    maxChangesPerStart: 8,
+    maxResourcesPerStart: 3,    // of those changes, at most this many resources
+    weights: { food: 1, production: 1, river: 2, coast: 1, resource: 3 },
+};
+
+// Rough per-plot base yields.
+const g_BiomeYields = {
+    BIOME_GRASSLAND: { food: 3, production: 0 },
+    BIOME_PLAINS: { food: 2, production: 1 },
+    BIOME_TROPICAL: { food: 2, production: 1 },
+    BIOME_TUNDRA: { food: 1, production: 1 },
+    BIOME_DESERT: { food: 0, production: 1 },
+};
+
+const g_FeatureYields = {
+    FEATURE_FOREST: { production: 1 },
+    FEATURE_SAVANNA_WOODLAND: { production: 1 },
+    FEATURE_RAINFOREST: { production: 1 },
+    FEATURE_TAIGA: { production: 1 },
+    FEATURE_SAGEBRUSH_STEPPE: { production: 1 },
+    FEATURE_MARSH: { food: 1 },
+    FEATURE_MANGROVE: { food: 1 },
+    FEATURE_TUNDRA_BOG: { food: 1 },
+    FEATURE_WATERING_HOLE: { food: 1, production: 1 },
+    FEATURE_OASIS: { food: 2 },
+    FEATURE_REEF: { production: 1 },
+    FEATURE_VOLCANO: { production: 1 },
+};
+
+// Features the balancer may add. Floodplains, ice, reefs, volcanoes and
+// wonders are left to their own generators.
+const g_BalanceFeatures = [
+    "FEATURE_FOREST", "FEATURE_SAVANNA_WOODLAND", "FEATURE_RAINFOREST", "FEATURE_TAIGA",
+    "FEATURE_MARSH", "FEATURE_MANGROVE", "FEATURE_TUNDRA_BOG", "FEATURE_OASIS", "FEATURE_WATERING_HOLE",
+];
+
+//────────────────────────────────────────────────────────────
+// Yields and flags of one plot, as { food, production, river, coast, resource }.
+export function scorePlot(iX, iY) {
+    let score = { food: 0, production: 0, river: 0, coast: 0, resource: 0 };
+    let feature = GameInfo.Features.lookup(GameplayMap.getFeatureType(iX, iY));
+    if (feature && feature.FeatureType == "FEATURE_ICE") {
+        return score;
+    }
+    if (GameplayMap.isWater(iX, iY)) {
+        let bShallow = GameplayMap.getTerrainType(iX, iY) == globals.g_CoastTerrain;
+        score.food = bShallow ? 2 : 1;
+        score.coast = bShallow ? 1 : 0;
+    } else if (!GameplayMap.isMountain(iX, iY) || (feature && feature.NaturalWonder)) {
+        let biome = GameInfo.Biomes.lookup(GameplayMap.getBiomeType(iX, iY));
+        let yields = g_BiomeYields[biome?.BiomeType] ?? { food: 1, production: 1 };
+        score.food = yields.food;
+        score.production = yields.production;
+        if (GameplayMap.getTerrainType(iX, iY) == globals.g_HillTerrain) {
+            score.production += 1;
+        }
+        if (GameplayMap.isRiver(iX, iY) || GameplayMap.isNavigableRiver(iX, iY)) {
+            score.river = 1;
+        }
+    }
+    if (feature) {
+        let featureYields = feature.NaturalWonder ? { food: 1, production: 1 }
+            : feature.PlacementClass == "FLOODPLAIN" ? { food: 2 }
+            : g_FeatureYields[feature.FeatureType] ?? {};
+        score.food += featureYields.food ?? 0;
+        score.production += featureYields.production ?? 0;
+    }
+    if (GameplayMap.getResourceType(iX, iY) != ResourceTypes.NO_RESOURCE) {
+        score.resource = 1;
+    }
+    return score;
+}
+
+function weighPlot(score, weights) {
+    return score.food * weights.food + score.production * weights.production + score.river * weights.river +
+        score.coast * weights.coast + score.resource * weights.resource;
+}
+
+//────────────────────────────────────────────────────────────
+// Score the area around one start. Returns the ring-weighted totals of each
+// component plus the combined total.
+export function scoreStart(iX, iY, options = {}) {
+    let opts = { ...g_DefaultBalanceOptions, ...options };
+    let weights = { ...g_DefaultBalanceOptions.weights, ...options.weights };
+    let result = { x: iX, y: iY, food: 0, production: 0, river: 0, coast: 0, resource: 0, total: 0 };
+    for (let plot of getSpiral(iX, iY, opts.radius)) {
+        let fRingWeight = opts.ringWeights[plot.ring] ?? 0;
+        let score = scorePlot(plot.x, plot.y);
+        for (let key of ["food", "production", "river", "coast", "resource"]) {
+            result[key] += score[key] * fRingWeight;
+        }
+        result.total += weighPlot(score, weights) * fRingWeight;
+    }
+    return result;
+}
+
+//────────────────────────────────────────────────────────────
+// Of the tradeable resources a plot can take, the ones the start lacks most:
+// a resource type not yet within reach beats one already there, and a
+// resource class (bonus, city, empire) not yet within reach adds to that.
+// Returns their indexes, or an empty list.
+function getNeededResources(iX, iY, nearby) {
+    let best = [];
+    let iBestNeed = -1;
+    for (let resource of GameInfo.Resources) {
+        if (!resource.Tradeable || !ResourceBuilder.canHaveResource(iX, iY, resource.$index)) {
+            continue;
+        }
+        let iNeed = (nearby.types.has(resource.ResourceType) ? 0 : 2) + (nearby.classes.has(resource.ResourceClassType) ? 0 : 1);
+        if (iNeed > iBestNeed) {
+            best = [];
+            iBestNeed = iNeed;
+        }
+        if (iNeed == iBestNeed) {
+            best.push(resource.$index);
+        }
+    }
+    return best;
+}
+
+// The resource types and classes already within reach of a start.
+function getNearbyResources(iX, iY, opts) {
+    let nearby = { types: new Set(), classes: new Set() };
+    for (let plot of getSpiral(iX, iY, opts.radius)) {
+        let resource = GameInfo.Resources.lookup(GameplayMap.getResourceType(plot.x, plot.y));
+        if (resource) {
+            nearby.types.add(resource.ResourceType);
+            nearby.classes.add(resource.ResourceClassType);
+        }
+    }
+    return nearby;
+}
+
+//────────────────────────────────────────────────────────────
+// The single change around a start that raises its score the most: a land
+// resource on an empty plot (one the start lacks, chosen at random among
+// those it lacks equally), or a feature on a featureless plot. Returns
+// null when nothing helps.
+function findBestImprovement(iX, iY, opts, weights, bAllowResources) {
+    let nearby = bAllowResources ? getNearbyResources(iX, iY, opts) : null;
+    let best = null;
+    let consider = (plot, fGain, apply, bResource) => {
+        if (fGain > 0 && (best == null || fGain > best.gain)) {
+            best = { x: plot.x, y: plot.y, gain: fGain, apply, resource: bResource };
+        }
+    };
+    for (let plot of getSpiral(iX, iY, opts.radius)) {
+        if ((plot.x == iX && plot.y == iY) || GameplayMap.isNaturalWonder(plot.x, plot.y)) {
+            continue;
+        }
+        let fRingWeight = opts.ringWeights[plot.ring] ?? 0;
+        if (bAllowResources && GameplayMap.getResourceType(plot.x, plot.y) == ResourceTypes.NO_RESOURCE) {
+            let needed = getNeededResources(plot.x, plot.y, nearby);
+            if (needed.length > 0) {
+                consider(plot, weights.resource * fRingWeight, () => {
+                    let iResource = needed[TerrainBuilder.getRandomNumber(needed.length, "Start Balance Resource")];
+                    ResourceBuilder.setResourceType(plot.x, plot.y, iResource);
+                }, true);
+            }
+        }
+        if (!GameplayMap.isWater(plot.x, plot.y) && GameplayMap.getFeatureType(plot.x, plot.y) == FeatureTypes.NO_FEATURE) {
+            for (let featureType of g_BalanceFeatures) {
+                let feature = GameInfo.Features.lookup(featureType);
+                if (!feature || !TerrainBuilder.canHaveFeature(plot.x, plot.y, feature.$index)) {
+                    continue;
+                }
+                let yields = g_FeatureYields[featureType];
+                let fGain = ((yields.food ?? 0) * weights.food + (yields.production ?? 0) * weights.production) * fRingWeight;
+                consider(plot, fGain, () => TerrainBuilder.setFeatureType(plot.x, plot.y, { Feature: feature.$index, Direction: -1, Elevation: 0 }), false);
+            }
+        }
+    }
+    return best;
+}
+
+function describeStart(iPlayer, start) {
+    let civ = Configuration.getPlayer(iPlayer)?.civilizationTypeName ?? "player " + iPlayer;
+    return civ + " at (" + start.x + ", " + start.y + "): " + start.total.toFixed(1) +
+        " (food " + start.food.toFixed(1) + ", production " + start.production.toFixed(1) +
+        ", river " + start.river.toFixed(1) + ", coast " + start.coast.toFixed(1) +
+        ", resources " + start.resource.toFixed(1) + ")";
+}
+
+//────────────────────────────────────────────────────────────
+// Score every major start and improve the weak ones.
+//
+// options (all optional, see g_DefaultBalanceOptions):
+//   radius, ringWeights, tolerance, maxChangesPerStart, maxResourcesPerStart,
+//   weights { food, production, river, coast, resource }
+//
+// Returns [{ player, before, after, changes, resourcesAdded }] with before/after as returned
+// by scoreStart().
+export function balanceStartPositions(options = {}) {
+    let opts = { ...g_DefaultBalanceOptions, ...options };
+    let weights = { ...g_DefaultBalanceOptions.weights, ...options.weights };
+
+    let starts = [];
+    for (let iPlayer of Players.getAliveMajorIds()) {
+        let iPlot = StartPositioner.getStartPosition(iPlayer);
+        if (iPlot < 0) {
+            continue;
+        }
+        let location = GameplayMap.getLocationFromIndex(iPlot);
+        let before = scoreStart(location.x, location.y, opts);
+        starts.push({ player: iPlayer, before, after: before, changes: 0, resourcesAdded: 0 });
+    }
+    if (starts.length == 0) {
+        return starts;
+    }
+
+    console.log("Start balance: scores within " + opts.radius + " rings");
+    for (let start of starts) {
+        console.log("  " + describeStart(start.player, start.before));
+    }
+
+    let fTarget = Math.max(...starts.map(s => s.before.total)) * (1 - opts.tolerance);
+    for (let start of starts) {
+        while (start.after.total < fTarget && start.changes < opts.maxChangesPerStart) {
+            let bAllowResources = start.resourcesAdded < opts.maxResourcesPerStart;
+            let improvement = findBestImprovement(start.after.x, start.after.y, opts, weights, bAllowResources);
+            if (improvement == null) {
+                break;
+            }
+            improvement.apply();
+            start.changes++;
+            if (improvement.resource) {
+                start.resourcesAdded++;
+            }
+            start.after = scoreStart(start.after.x, start.after.y, opts);
+        }
+        if (start.changes > 0) {
+            console.log("Start balance: " + start.changes + " change(s) near " + describeStart(start.player, start.after));
+        }
+        if (start.after.total < fTarget) {
+            console.log("Start balance: player " + start.player + " is still " + (fTarget - start.after.total).toFixed(1) + " below the target of " + fTarget.toFixed(1));
+        }
+    }
+
+    let totals = starts.map(s => s.after.total);
+    let fBest = Math.max(...totals);
+    let fWorst = Math.min(...totals);
+    console.log("Start balance: scores " + fWorst.toFixed(1) + " to " + fBest.toFixed(1) +
+        " (weakest " + (100 * (1 - fWorst / fBest)).toFixed(0) + "% below the best, tolerance " + (100 * opts.tolerance).toFixed(0) + "%)");
+    return starts;
+}
@@ -0,0 +1,196 @@
+/* terrain-mask.js
+   Terrain masks: one letter per cell, as written by the PNG preprocessors
+   (PngPreprocessor, or Tools/png-to-mask.mjs), rows from north to south.
+   Decoding, resizing to the map, and the mask classes the letters stand for,
+   shared by earth.js and the image masks of landmass descriptions.
+
+   A mask class says whether a plot is water, and may pin its terrain
+   ("hill", "mountain"), biome (BIOME_*) or feature ("forest", "marsh", or a
+   FEATURE_* name). The apply functions take one class (or null) per plot,
+   indexed by y * width + x, and lay it over what the generators chose.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { maskProjection } from './hex-geometry.js';
+
+//────────────────────────────────────────────────────────────
+// Expand a run-length encoded mask into one letter per cell, rows separated by
+// newlines. The encoded form (written by Tools/png-to-mask.mjs) starts with an
+// "RLE <width>x<height>" line, followed by one line per row of runs such as
+// "310W4L12G" (a run without a count is a single cell). Masks that are not
+// encoded are returned unchanged.
+export function decodeTerrainMask(maskString) {
+    let lines = maskString.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    let header = /^RLE (\d+)x(\d+)$/.exec(lines[0]);
+    if (!header) {
+        return maskString;
+    }
+    let width = Number(header[1]);
+    let rows = lines.slice(1).map(line => line.replace(/(\d*)([A-Za-z])/g, (run, count, letter) => letter.repeat(count ? Number(count) : 1)));
+    if (rows.length != Number(header[2]) || rows.some(row => row.length != width)) {
+        throw new Error("Terrain mask does not match its " + header[1] + "x" + header[2] + " header");
+    }
+    return rows.join('\n');
+}
+
+// Land fraction needed for a resized cell to become land is 0.5, moved up or
+// down by up to this much per cell and per game, so coastlines differ slightly
+// between generations.
+const g_MaskThresholdJitter = 0.15;
+
+//────────────────────────────────────────────────────────────
+// Resize a mask to the map by area averaging. Each map cell covers the
+// source pixels under its hex (see maskProjection() in hex-geometry.js); the
+// fraction of those which is land decides land or water against a jittered
+// threshold, and the most common land (or water) letter among them becomes
+// the cell's letter. Hexes wrap around the East/West seam. iSouth is the map
+// row the bottom of the resized mask lands on, which decides the rows that
+// are shifted half a plot east.
+export function resizeTerrainString(terrainString, targetWidth, targetHeight, iSouth = 0) {
+    let rows = terrainString.split('\n').filter(row => row.trim().length > 0);
+    let projection = maskProjection(rows[0].length, rows.length, targetWidth, targetHeight, iSouth);
+    let output = new Array(targetHeight);
+    for (let y = 0; y < targetHeight; y++) {
+        // Mask rows run north to south, map rows south to north.
+        let iPlotY = targetHeight - 1 - y;
+        let newRow = '';
+        for (let x = 0; x < targetWidth; x++) {
+            let weights = {};
+            let landWeight = 0;
+            let pixels = projection.hexPixels(x, iPlotY);
+            for (let pixel of pixels) {
+                let ch = rows[pixel.y][pixel.x];
+                weights[ch] = (weights[ch] ?? 0) + 1;
+                if (!isMaskWater(ch)) {
+                    landWeight++;
+                }
+            }
+            let landFraction = landWeight / pixels.length;
+            let isLand = landFraction >= 1;
+            if (landFraction > 0 && landFraction < 1) {
+                let jitter = (TerrainBuilder.getRandomNumber(1001, "Mask Threshold Jitter") / 500 - 1) * g_MaskThresholdJitter;
+                isLand = landFraction >= 0.5 + jitter;
+            }
+            newRow += pickMaskLetter(weights, isLand);
+        }
+        output[y] = newRow;
+    }
+    return output.join('\n');
+}
+
+export function isMaskWater(ch) {
+    let maskClass = g_MaskLetters[ch.toUpperCase()];
+    return !maskClass || maskClass.water === true;
+}
+
+// The heaviest letter of the wanted kind (land or water) in a resized cell.
+function pickMaskLetter(weights, isLand) {
+    let best = isLand ? 'L' : 'W';
+    let bestWeight = 0;
+    for (let ch in weights) {
+        if (isMaskWater(ch) != isLand && weights[ch] > bestWeight) {
+            best = ch;
+            bestWeight = weights[ch];
+        }
+    }
+    return best;
+}
+
+//────────────────────────────────────────────────────────────
+// Mask letters written by the PNG preprocessor. Water letters become ocean or
+// lake; every land letter becomes land, and the ones that say more than "land"
+// also pin the terrain, biome or feature class of the plot. Anything the mask
+// leaves open is filled in by the normal generators.
+export const g_MaskLetters = {
+    W: { water: true },
+    K: { water: true, lake: true },
+    L: {},
+    G: { biome: "BIOME_GRASSLAND" },
+    D: { biome: "BIOME_DESERT" },
+    T: { biome: "BIOME_TUNDRA" },
+    F: { feature: "forest" },
+    S: { feature: "marsh" },
+    H: { terrain: "hill" },
+    M: { terrain: "mountain" }
+};
+
+// Feature to use for a mask feature class, by the biome the plot ends up in.
+const g_MaskFeatures = {
+    forest: {
+        BIOME_GRASSLAND: "FEATURE_FOREST",
+        BIOME_PLAINS: "FEATURE_SAVANNA_WOODLAND",
+        BIOME_TROPICAL: "FEATURE_RAINFOREST",
+        BIOME_TUNDRA: "FEATURE_TAIGA"
+    },
+    marsh: {
+        BIOME_GRASSLAND: "FEATURE_MARSH",
+        BIOME_PLAINS: "FEATURE_MARSH",
+        BIOME_TROPICAL: "FEATURE_MANGROVE",
+        BIOME_TUNDRA: "FEATURE_TUNDRA_BOG"
+    }
+};
+
+//────────────────────────────────────────────────────────────
+// Terrain type a mask class asks for; flat land unless it says otherwise.
+export function getMaskTerrain(maskClass) {
+    if (maskClass.terrain === "mountain") {
+        return globals.g_MountainTerrain;
+    }
+    if (maskClass.terrain === "hill") {
+        return globals.g_HillTerrain;
+    }
+    return globals.g_FlatTerrain;
+}
+
+//────────────────────────────────────────────────────────────
+// Put back the mountains and hills the mask asked for, in case an earlier
+// stage (addHills) overwrote them.
+export function applyMaskTerrain(maskClasses, targetWidth, targetHeight) {
+    for (let y = 0; y < targetHeight; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            let maskClass = maskClasses[y * targetWidth + x];
+            if (maskClass?.terrain && !GameplayMap.isWater(x, y)) {
+                TerrainBuilder.setTerrainType(x, y, getMaskTerrain(maskClass));
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Override the biomes chosen by designateBiomes() wherever the mask names one.
+export function applyMaskBiomes(maskClasses, targetWidth, targetHeight) {
+    for (let y = 0; y < targetHeight; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            let maskClass = maskClasses[y * targetWidth + x];
+            if (maskClass?.biome && !GameplayMap.isWater(x, y)) {
+                TerrainBuilder.setBiomeType(x, y, GameInfo.Biomes.lookup(maskClass.biome).$index);
+            }
+        }
+    }
+}
+
+//────────────────────────────────────────────────────────────
+// Place the forests and marshes the mask asks for before addFeatures() runs,
+// so the scatter pass only fills the plots the mask left open. The concrete
+// feature for a feature class follows the plot's biome (taiga in the tundra,
+// rainforest in the tropics, ...); plots whose biome has no fitting feature,
+// or that cannot have the named FEATURE_*, are left alone.
+export function applyMaskFeatures(maskClasses, targetWidth, targetHeight) {
+    let placed = 0;
+    for (let y = 0; y < targetHeight; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            let maskClass = maskClasses[y * targetWidth + x];
+            if (!maskClass?.feature || GameplayMap.isWater(x, y) || GameplayMap.getFeatureType(x, y) != FeatureTypes.NO_FEATURE) {
+                continue;
+            }
+            let biome = GameInfo.Biomes.lookup(GameplayMap.getBiomeType(x, y));
+            let featureName = g_MaskFeatures[maskClass.feature]?.[biome?.BiomeType] ?? maskClass.feature;
+            let feature = featureName ? GameInfo.Features.lookup(featureName) : null;
+            if (feature && TerrainBuilder.canHaveFeature(x, y, feature.$index)) {
+                TerrainBuilder.setFeatureType(x, y, { Feature: feature.$index, Direction: -1, Elevation: 0 });
+                placed++;
+            }
+        }
+    }
+    console.log("Mask features placed: " + placed);
+}
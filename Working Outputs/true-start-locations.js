@@ -0,0 +1,167 @@
+/* true-start-locations.js
+   "True start locations" for maps drawn from a picture of the Earth: each
+   civilization starts near its historical homeland (Rome in Italy, Egypt on
+   the Nile, ...).
+
+   The homelands are latitude/longitude pairs keyed by CivilizationType. The
+   map script supplies the projection from latitude/longitude to plots (it
+   depends on the picture), and applyTrueStartLocations() moves the starts
+   that assignStartPositions() chose:
+
+   - a civilization without an entry, or whose civilization is not in
+     GameInfo.Civilizations, keeps its assigned start;
+   - the homeland is snapped to the nearest plot a city can be founded on;
+   - if no such plot within options.maxSnapDistance respects
+     g_RequiredBufferBetweenMajorStarts, the assigned start is kept.
+
+   Assigned starts that crowd a homeland are moved out of the way first, to
+   the nearest plot that keeps the buffer to everybody.
+*/
+
+import * as globals from '/base-standard/maps/map-globals.js';
+import { getSpiral, hexDistance } from './hex-geometry.js';
+
+// [latitude, longitude] of each civilization's heartland.
+export const g_TrueStartLocations = {
+    // Antiquity
+    CIVILIZATION_AKSUM: [14.1, 38.7],
+    CIVILIZATION_CARTHAGE: [36.9, 10.3],
+    CIVILIZATION_EGYPT: [29.9, 31.2],
+    CIVILIZATION_GREECE: [38.0, 23.7],
+    CIVILIZATION_HAN: [34.3, 108.9],
+    CIVILIZATION_KHMER: [13.4, 103.9],
+    CIVILIZATION_MAURYA: [25.6, 85.1],
+    CIVILIZATION_MAYA: [17.2, -89.6],
+    CIVILIZATION_MISSISSIPPIAN: [38.7, -90.1],
+    CIVILIZATION_PERSIA: [29.9, 52.9],
+    CIVILIZATION_ROME: [41.9, 12.5],
+    // Exploration
+    CIVILIZATION_ABBASID: [33.3, 44.4],
+    CIVILIZATION_CHOLA: [10.8, 79.1],
+    CIVILIZATION_HAWAII: [21.3, -157.8],
+    CIVILIZATION_INCA: [-13.5, -72.0],
+    CIVILIZATION_MAJAPAHIT: [-7.5, 112.4],
+    CIVILIZATION_MING: [39.9, 116.4],
+    CIVILIZATION_MONGOLIA: [47.2, 102.8],
+    CIVILIZATION_NORMAN: [49.2, -0.4],
+    CIVILIZATION_SHAWNEE: [39.3, -82.9],
+    CIVILIZATION_SONGHAI: [16.3, 0.0],
+    CIVILIZATION_SPAIN: [40.4, -3.7],
+    // Modern
+    CIVILIZATION_AMERICA: [38.9, -77.0],
+    CIVILIZATION_BUGANDA: [0.3, 32.6],
+    CIVILIZATION_FRENCH_EMPIRE: [48.9, 2.4],
+    CIVILIZATION_MEIJI: [35.7, 139.7],
+    CIVILIZATION_MEXICO: [19.4, -99.1],
+    CIVILIZATION_MUGHAL: [28.6, 77.2],
+    CIVILIZATION_PRUSSIA: [52.5, 13.4],
+    CIVILIZATION_QING: [39.9, 116.4],
+    CIVILIZATION_RUSSIA: [55.8, 37.6],
+    CIVILIZATION_SIAM: [13.8, 100.5],
+};
+
+function canStartAt(iX, iY) {
+    return !GameplayMap.isWater(iX, iY) && !GameplayMap.isImpassable(iX, iY) &&
+        !GameplayMap.isNavigableRiver(iX, iY) && !GameplayMap.isNaturalWonder(iX, iY);
+}
+
+function isClearOfOtherStarts(iX, iY, iPlayer, starts) {
+    for (let [iOther, location] of starts) {
+        if (iOther != iPlayer && hexDistance(iX, iY, location.x, location.y) < globals.g_RequiredBufferBetweenMajorStarts) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Nearest plot to (iX, iY), ring by ring, where iPlayer could start without
+// crowding anyone else in `starts`. Returns null if there is none within
+// iMaxDistance.
+function findNearestStartPlot(iX, iY, iPlayer, starts, iMaxDistance) {
+    for (let plot of getSpiral(iX, iY, iMaxDistance)) {
+        if (canStartAt(plot.x, plot.y) && isClearOfOtherStarts(plot.x, plot.y, iPlayer, starts)) {
+            return { x: plot.x, y: plot.y };
+        }
+    }
+    return null;
+}
+
+//────────────────────────────────────────────────────────────
+// Move major civilizations to their homelands.
+//
+// project(latitude, longitude) => { x, y } maps a homeland onto the map.
+// options:
+//   locations       – table to use instead of g_TrueStartLocations
+//   maxSnapDistance – how far from the homeland a start may be (default 5)
+//
+// Returns the start plot indexes of all major players, in player order, for
+// generateDiscoveries() and friends.
+export function applyTrueStartLocations(project, options = {}) {
+    let locations = options.locations ?? g_TrueStartLocations;
+    let iMaxSnapDistance = options.maxSnapDistance ?? 5;
+
+    // Current start of every major player, as { x, y }.
+    let starts = new Map();
+    let playerIds = Players.getAliveMajorIds();
+    for (let iPlayer of playerIds) {
+        let iPlot = StartPositioner.getStartPosition(iPlayer);
+        if (iPlot >= 0) {
+            starts.set(iPlayer, GameplayMap.getLocationFromIndex(iPlot));
+        }
+    }
+
+    let iPlaced = 0;
+    let placed = new Set();
+    for (let iPlayer of playerIds) {
+        let civ = Configuration.getPlayer(iPlayer)?.civilizationTypeName;
+        let homeland = locations[civ];
+        if (!homeland || !GameInfo.Civilizations.lookup(civ)) {
+            console.log("True start locations: no homeland for " + (civ ?? "player " + iPlayer) + ", keeping the assigned start");
+            continue;
+        }
+        let target = project(homeland[0], homeland[1]);
+
+        // Assigned (not yet true) starts near the homeland step aside if they can.
+        let others = new Map(Array.from(starts).filter(([iOther]) => iOther == iPlayer || placed.has(iOther)));
+        let start = findNearestStartPlot(target.x, target.y, iPlayer, others, iMaxSnapDistance);
+        if (start != null) {
+            let moves = [];
+            for (let [iOther, location] of starts) {
+                if (iOther == iPlayer || placed.has(iOther) ||
+                    hexDistance(start.x, start.y, location.x, location.y) >= globals.g_RequiredBufferBetweenMajorStarts) {
+                    continue;
+                }
+                let trial = new Map(starts);
+                trial.set(iPlayer, start);
+                moves.forEach(move => trial.set(move.player, move.location));
+                let moved = findNearestStartPlot(location.x, location.y, iOther, trial, globals.g_RequiredBufferBetweenMajorStarts * 2);
+                if (moved == null) {
+                    start = null;
+                    break;
+                }
+                moves.push({ player: iOther, location: moved });
+            }
+            if (start != null) {
+                for (let move of moves) {
+                    starts.set(move.player, move.location);
+                    StartPositioner.setStartPosition(GameplayMap.getIndexFromXY(move.location.x, move.location.y), move.player);
+                    console.log("True start locations: moved player " + move.player + " to (" + move.location.x + ", " + move.location.y + ") to make room for " + civ);
+                }
+            }
+        }
+        if (start == null) {
+            console.log("True start locations: no free land within " + iMaxSnapDistance + " plots of " + civ + "'s homeland (" + target.x + ", " + target.y + "), keeping the assigned start");
+            continue;
+        }
+
+        starts.set(iPlayer, start);
+        placed.add(iPlayer);
+        StartPositioner.setStartPosition(GameplayMap.getIndexFromXY(start.x, start.y), iPlayer);
+        console.log("True start locations: " + civ + " starts at (" + start.x + ", " + start.y + ")");
+        iPlaced++;
+    }
+    console.log("True start locations: " + iPlaced + " of " + playerIds.length + " civilizations placed at their homelands");
+
+    return playerIds.filter(iPlayer => starts.has(iPlayer))
+        .map(iPlayer => GameplayMap.getIndexFromXY(starts.get(iPlayer).x, starts.get(iPlayer).y));
+}
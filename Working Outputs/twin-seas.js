@@ -0,0 +1,144 @@
+// twin-seas.js
+// Generated by Tools/check-landmass.mjs from twin-seas.json; edit the JSON and
+// regenerate rather than editing this file.
+console.log("Generating using script twin-seas.js");
+
+import { registerMapScript } from './map-pipeline.js';
+import { describedMapOptions } from './landmass-description.js';
+
+const g_LandmassDescription = {
+    "name": "Twin Seas",
+    "continents": {
+        "west": [
+            0.04,
+            0.45
+        ],
+        "east": [
+            0.55,
+            0.96
+        ]
+    },
+    "separation": 8,
+    "shapes": [
+        {
+            "type": "blob",
+            "area": "west",
+            "fractalSize": 3,
+            "waterPercent": 25,
+            "edgeFalloff": 0.6
+        },
+        {
+            "type": "circle",
+            "center": [
+                0.76,
+                0.55
+            ],
+            "radius": 0.25,
+            "roughness": 0.08
+        },
+        {
+            "type": "ellipse",
+            "center": [
+                0.24,
+                0.52
+            ],
+            "radii": [
+                0.07,
+                0.12
+            ],
+            "rotation": -20,
+            "op": "subtract",
+            "roughness": 0.03
+        },
+        {
+            "type": "circle",
+            "center": [
+                0.76,
+                0.5
+            ],
+            "radius": 0.08,
+            "op": "subtract",
+            "roughness": 0.03
+        },
+        {
+            "type": "polygon",
+            "points": [
+                [
+                    0.6,
+                    0.2
+                ],
+                [
+                    0.7,
+                    0.05
+                ],
+                [
+                    0.74,
+                    0.22
+                ]
+            ],
+            "roughness": 0.04
+        },
+        {
+            "type": "islands",
+            "count": 10,
+            "size": [
+                1,
+                4
+            ],
+            "area": [
+                0,
+                0.1,
+                1,
+                0.9
+            ],
+            "coastDistance": 3
+        }
+    ],
+    "regions": [
+        {
+            "area": [
+                0,
+                0.8,
+                1,
+                1
+            ],
+            "biome": "BIOME_TUNDRA"
+        },
+        {
+            "area": {
+                "type": "circle",
+                "center": [
+                    0.25,
+                    0.52
+                ],
+                "radius": 0.2
+            },
+            "rainfall": 40
+        },
+        {
+            "area": {
+                "type": "polygon",
+                "points": [
+                    [
+                        0.6,
+                        0.2
+                    ],
+                    [
+                        0.7,
+                        0.05
+                    ],
+                    [
+                        0.74,
+                        0.22
+                    ]
+                ]
+            },
+            "terrain": "hill",
+            "feature": "forest"
+        }
+    ]
+};
+
+registerMapScript(describedMapOptions(g_LandmassDescription));
+
+console.log("Loaded twin-seas.js");
@@ -0,0 +1,108 @@
+/* wrap-seam.js
+   The East/West wrap seam. X is cyclic on these maps: hex-geometry.js walks
+   across the seam like across any other column, so landmass detection,
+   separation checks, mask resizing and the flood fills all see land on
+   both sides of it as neighbors. What is left to decide is where the seam
+   falls.
+
+   The pipeline's continent boxes keep side oceans that together are at
+   least the ocean separation wide (seamColumns()). A mask-based map can
+   instead be turned so the seam runs down its widest ocean:
+
+     let iShift = findSeamShift(rows, iBandWidth, isWaterLetter);
+     rows = rotateColumns(rows, iShift);     // column x moves to x + iShift
+
+   Turning by whole columns keeps every plot's neighbors, since rows are
+   shifted by the same amount whatever their parity.
+
+   measureSeam() reports what lies across the seam of a finished map, for
+   the statistics.
+*/
+
+import { wrapX } from './hex-geometry.js';
+
+//────────────────────────────────────────────────────────────
+// Ocean columns either side of the seam for the pipeline's continent boxes:
+// oceanWaterColumns each, widened so the two together are at least the
+// ocean separation (the odd column goes to the East side).
+export function seamColumns(iOceanWaterColumns, iSeparation) {
+    let iGap = Math.max(2 * iOceanWaterColumns, iSeparation);
+    let iWest = Math.floor(iGap / 2);
+    return { west: iWest, east: iGap - iWest };
+}
+
+//────────────────────────────────────────────────────────────
+// The shift that brings the widest ocean to the seam, for rows of letters
+// (or any rows whose cells isWater() can judge), all the same length. The
+// seam goes in front of the column whose band of iBandWidth columns around
+// it holds the least land; among bands that are equally clear, the one
+// deepest inside open water (weighing land by how close it comes to the
+// seam, over a quarter of the map) wins, and then the smallest turn.
+export function findSeamShift(rows, iBandWidth, isWater) {
+    let iWidth = rows[0].length;
+    let columnLand = new Array(iWidth).fill(0);
+    for (let row of rows) {
+        for (let iX = 0; iX < iWidth; iX++) {
+            if (!isWater(row[iX])) {
+                columnLand[iX]++;
+            }
+        }
+    }
+    let iReach = Math.max(iBandWidth, Math.floor(iWidth / 4));
+    let best = null;
+    for (let iX = 0; iX < iWidth; iX++) {
+        let iBand = 0;
+        let fNear = 0;
+        for (let iOffset = -iReach; iOffset < iReach; iOffset++) {
+            let iLand = columnLand[wrapX(iX + iOffset, iWidth)];
+            // Columns iX - 1 and iX are both right at the seam.
+            let iDistance = iOffset < 0 ? -iOffset - 1 : iOffset;
+            if (iDistance < iBandWidth / 2) {
+                iBand += iLand;
+            }
+            fNear += iLand * (iReach - iDistance);
+        }
+        let iTurn = Math.min(iX, iWidth - iX);
+        if (best == null || iBand < best.band || (iBand == best.band && (fNear < best.near || (fNear == best.near && iTurn < best.turn)))) {
+            best = { x: iX, band: iBand, near: fNear, turn: iTurn };
+        }
+    }
+    return (iWidth - best.x) % iWidth;
+}
+
+// Rows with every cell moved iShift columns east, around the seam.
+export function rotateColumns(rows, iShift) {
+    return rows.map(row => {
+        let iCut = wrapX(-iShift, row.length);
+        return row.slice(iCut) + row.slice(0, iCut);
+    });
+}
+
+//────────────────────────────────────────────────────────────
+// What lies across the seam of the map: land plots in the two edge columns,
+// and the fewest water plots between land on either side, along any row
+// (null when no row has land on both sides).
+export function measureSeam(iWidth, iHeight) {
+    let iEdgeLand = 0;
+    let iNarrowest = null;
+    for (let iY = 0; iY < iHeight; iY++) {
+        if (!GameplayMap.isWater(0, iY)) {
+            iEdgeLand++;
+        }
+        if (!GameplayMap.isWater(iWidth - 1, iY)) {
+            iEdgeLand++;
+        }
+        let iEast = 0;
+        while (iEast < iWidth && GameplayMap.isWater(iWidth - 1 - iEast, iY)) {
+            iEast++;
+        }
+        let iWest = 0;
+        while (iWest < iWidth && GameplayMap.isWater(iWest, iY)) {
+            iWest++;
+        }
+        if (iEast + iWest < iWidth) {
+            iNarrowest = Math.min(iNarrowest ?? Infinity, iEast + iWest);
+        }
+    }
+    return { edgeLand: iEdgeLand, narrowestGap: iNarrowest };
+}